@@ -1,5 +1,6 @@
 import React, { useState, useMemo, useEffect, useRef, Suspense, useCallback } from 'react';
-import { Info, AlertTriangle, Users, Castle, BookOpen, Skull, Zap, X, Globe, Cpu, Smartphone, Atom, Gauge, Printer, Settings, ZoomIn, ZoomOut, Maximize2, Eye, EyeOff } from 'lucide-react';
+import { flushSync } from 'react-dom';
+import { Info, AlertTriangle, Users, Castle, BookOpen, Skull, Zap, X, Globe, Cpu, Smartphone, Atom, Gauge, Printer, Settings, ZoomIn, ZoomOut, Maximize2, Eye, EyeOff, ArrowLeft, ArrowRight } from 'lucide-react';
 import { useToast } from './hooks/useToast';
 import { ToastContainer } from './components/Toast';
 import { useKeyboardNavigation, useFocusTrap } from './hooks/useKeyboardNavigation';
@@ -8,51 +9,72 @@ import { usePerformance, useDebounce, useThrottle } from './hooks/usePerformance
 import { LoadingOverlay, LoadingSpinner } from './components/Loading';
 import AccessibleButton from './components/AccessibleButton';
 import { generateSmoothPath, generateMetroPaths } from './src/utils/pathGenerator';
-import { yearToX } from './src/utils/coordinates';
-import { LINES, VIEWBOX as VIEWBOX_CONFIG, TIMELINE } from './src/constants/metroConfig';
+import { getTimeScale, blendStationLayouts, zoomViewBoxOn, getLineYPositions, TIME_SCALES, TIME_SCALE_LABELS } from './src/utils/coordinates';
+import { isLineVisible } from './src/utils/lineConfig';
+import { buildRouteGraph, planRoute } from './src/utils/routePlanner';
+import { compareStations, MAX_COMPARED_STATIONS } from './src/utils/stationComparison';
+import { RENDERERS, RENDERER_LABELS, resolveRenderer } from './src/utils/canvasMap';
+import { getLodPolicy, shouldDrawStation, getStationLabel, getClusterViewBox } from './src/utils/levelOfDetail';
+import { placeLabels, createTextMeasurer, getLabelPriority, LABEL_TEXT } from './src/utils/labelPlacement';
+import { exportMapSvg, exportMapPng, downloadBlob, buildExportFilename, EXPORT_FORMATS, EXPORT_SCOPES } from './src/utils/mapExport';
+import { LINES, TIMELINE } from './src/constants/metroConfig';
 import { useMapState } from './src/hooks/useMapState';
 import { useMapController } from './src/hooks/useMapController';
-import { processStations, ICON_TYPES } from './src/data/stations';
+import { useStationDataset } from './src/hooks/useStationDataset';
+import { useUrlState } from './src/hooks/useUrlState';
+import { useStationEditor } from './src/hooks/useStationEditor';
+import { useTimeScaleTransition } from './src/hooks/useTimeScaleTransition';
+import { usePresentation } from './src/hooks/usePresentation';
+import { useNarrator } from './src/hooks/useNarrator';
+import { usePreferences } from './src/hooks/usePreferences';
+import { useBookmarkStorage } from './src/hooks/useBookmarkStorage';
+import { ICON_TYPES, processStations } from './src/data/stations';
+import { BUILT_IN_DATASET_ID } from './src/data/datasetLoader';
+import { normalizeTours, mergeTours, serializeTours } from './src/data/tours';
+import { summarizeValidationReport } from './src/data/stationSchema';
 import { animateViewBox } from './src/utils/transitions';
+import { parsePresentationParams } from './src/utils/presentation';
+import { loadPreferences, clearPreferences, DEFAULT_PREFERENCES } from './src/utils/preferences';
+import { loadBookmarks, normalizeBookmarks, mergeBookmarks, serializeBookmarks } from './src/utils/bookmarks';
 import MapRenderer from './src/components/MapRenderer';
+import CanvasMapRenderer from './src/components/CanvasMapRenderer';
 import MapOverlay, { LegendFooter } from './src/components/MapOverlay';
 import WelcomeOverlay from './src/components/WelcomeOverlay';
 import InfoSidebar from './src/components/InfoSidebar';
+import PresentationControls from './src/components/PresentationControls';
+import NarrationSubtitles from './src/components/NarrationSubtitles';
+import { JourneyComplete } from './src/components/EmptyStates';
 
 /**
- * Icon mapping function - converts icon type strings to JSX elements
+ * Icon components keyed by icon type
  * Keeps JSX out of the data layer for cleaner separation of concerns
  */
-const getStationIcon = (iconType, iconSize = 'normal', primaryLine) => {
+const STATION_ICON_COMPONENTS = {
+  [ICON_TYPES.USERS]: Users,
+  [ICON_TYPES.SETTINGS]: Settings,
+  [ICON_TYPES.CASTLE]: Castle,
+  [ICON_TYPES.BOOK]: BookOpen,
+  [ICON_TYPES.SKULL]: Skull,
+  [ICON_TYPES.ZAP]: Zap,
+  [ICON_TYPES.GLOBE]: Globe,
+  [ICON_TYPES.CPU]: Cpu,
+  [ICON_TYPES.SMARTPHONE]: Smartphone,
+  [ICON_TYPES.ATOM]: Atom,
+  [ICON_TYPES.GAUGE]: Gauge,
+  [ICON_TYPES.PRINTER]: Printer,
+  [ICON_TYPES.ALERT]: AlertTriangle
+};
+
+/**
+ * Icon mapping function - converts icon type strings to JSX elements
+ * Icons are tinted with the color of the station's primary line
+ */
+const getStationIcon = (iconType, iconSize = 'normal', lineConfig) => {
   const sizeClass = iconSize === 'large' ? 'w-6 h-6' : 'w-5 h-5';
+  const Icon = STATION_ICON_COMPONENTS[iconType] || Settings;
+  const color = iconType === ICON_TYPES.ALERT ? '#ffffff' : (lineConfig?.color || LINES.Tech.color);
   
-  // Color classes based on primary line
-  const colorClasses = {
-    'Tech': 'text-cyan-400',
-    'War': 'text-red-400',
-    'Population': 'text-green-400',
-    'Philosophy': 'text-yellow-400',
-    'Empire': 'text-purple-400'
-  };
-  const colorClass = colorClasses[primaryLine] || 'text-cyan-400';
-  
-  const iconMap = {
-    [ICON_TYPES.USERS]: <Users className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.SETTINGS]: <Settings className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.CASTLE]: <Castle className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.BOOK]: <BookOpen className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.SKULL]: <Skull className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.ZAP]: <Zap className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.GLOBE]: <Globe className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.CPU]: <Cpu className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.SMARTPHONE]: <Smartphone className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.ATOM]: <Atom className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.GAUGE]: <Gauge className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.PRINTER]: <Printer className={`${sizeClass} ${colorClass}`} />,
-    [ICON_TYPES.ALERT]: <AlertTriangle className={`${sizeClass} text-white`} />
-  };
-  
-  return iconMap[iconType] || <Settings className={`${sizeClass} ${colorClass}`} />;
+  return <Icon className={sizeClass} style={{ color }} />;
 };
 
 const CivilizationMetroMap = () => {
@@ -60,7 +82,7 @@ const CivilizationMetroMap = () => {
   usePerformance('CivilizationMetroMap');
 
   // --- Commercial-Grade Hooks ---
-  const { toasts, removeToast, success, error: showError, info } = useToast();
+  const { toasts, removeToast, success, error: showError, warning, info } = useToast();
   const { announce } = useAccessibility();
   const { saveFocus, restoreFocus, focusElement } = useFocusManagement();
   
@@ -84,23 +106,75 @@ const CivilizationMetroMap = () => {
   
   const debouncedSearch = useDebounce(debouncedSearchCallback, 300);
 
-  // Station data - processed from single source of truth (src/data/stations.js)
-  // yearToX imported from src/utils/coordinates.js - single source of truth for coordinate calculations
-  // Eliminates data duplication - updates to stations.js reflect everywhere
+  // Station dataset - built-in data (src/data/stations.js) or an external JSON dataset
+  // Both are run through processStations, so coordinates come from the active time scale
+  const {
+    dataset,
+    isLoading: datasetLoading,
+    error: datasetError,
+    loadDataset,
+    resetDataset,
+    editDataset
+  } = useStationDataset();
+
+  // Line configuration declared by the dataset (built-in LINES unless overridden)
+  const lines = dataset.lines;
+
+  // Add JSX icons (kept at component level for proper React hygiene)
+  const stationIcons = useMemo(() => new Map(dataset.stations.map(station => [
+    station.id,
+    getStationIcon(station.iconType, station.iconSize, dataset.lines[station.lines[0]])
+  ])), [dataset]);
+
+  // Preferences, last view and bookmarks saved on this device (read once, see utils/preferences)
+  const [savedPreferences] = useState(() => loadPreferences());
+  const [skipWelcome, setSkipWelcome] = useState(savedPreferences.preferences.skipWelcome);
+  const [initialMapState] = useState(() => {
+    const { preferences, view } = savedPreferences;
+    return {
+      visibleLines: preferences.visibleLines,
+      showMinimap: preferences.showMinimap,
+      showAllLabels: preferences.showAllLabels,
+      showUI: preferences.showUI,
+      showWelcome: !preferences.skipWelcome,
+      viewBox: view?.viewBox,
+      bookmarks: loadBookmarks()
+    };
+  });
+
+  // Time scale - switching modes eases stations, paths, axis and minimap to the new layout.
+  // The piecewise scale comes from the dataset (anchors computed from its station years).
+  const [timeScaleMode, setTimeScaleMode] = useState(savedPreferences.preferences.timeScaleMode);
+  const scaleTransition = useTimeScaleTransition(
+    timeScaleMode === TIME_SCALES.PIECEWISE ? dataset.timeScale : getTimeScale(timeScaleMode)
+  );
+  const timeScale = scaleTransition.scale;
+
+  // Renderer - the canvas backend takes over for very large datasets (or when chosen)
+  const [rendererSetting, setRendererSetting] = useState(savedPreferences.preferences.renderer);
+
   const stations = useMemo(() => {
-    // Get processed stations from central data source
-    const baseStations = processStations();
-    
-    // Add JSX icons (kept at component level for proper React hygiene)
-    return baseStations.map(station => ({
-      ...station,
-      icon: getStationIcon(station.iconType, station.iconSize, station.lines[0])
-    }));
-  }, []);
+    const { from, to, progress } = scaleTransition;
+    const target = processStations(dataset.rawStations, lines, to);
+    const layout = progress < 1
+      ? blendStationLayouts(processStations(dataset.rawStations, lines, from), target, progress)
+      : target;
+    return layout.map(station => ({ ...station, icon: stationIcons.get(station.id) }));
+  }, [dataset.rawStations, lines, scaleTransition, stationIcons]);
+  const activeRenderer = resolveRenderer(rendererSetting, stations.length);
 
   // --- Centralized State Management ---
   // Must be called after stations is defined
-  const { state, actions, navigateJourney: baseNavigateJourney, filteredStations: mapFilteredStations } = useMapState(stations);
+  const {
+    state,
+    actions,
+    activeTour,
+    filteredStations: mapFilteredStations,
+    searchResults,
+    searchMatchIds,
+    filterMatchIds,
+    comparedStations
+  } = useMapState(stations, { lines, initialState: initialMapState });
   
   // Extract state for easier access
   const {
@@ -114,27 +188,116 @@ const CivilizationMetroMap = () => {
     showWelcome,
     showFilters,
     showMinimap,
+    showExport,
+    editorMode,
     showAllLabels,
     showUI,
     searchQuery,
     journeyMode,
     journeyIndex,
+    tours,
+    showTours,
+    bookmarks,
+    showBookmarks,
     focusedEra,
+    filterExpression,
+    showRoutePlanner,
+    routeOriginId,
+    routeDestinationId,
+    routeMode,
+    comparedStationIds,
+    history,
     error: loadError
   } = state;
   
   // Alias state for backward compatibility
   const hoveredStation = hoveredStationId;
+
+  // The map is not ready until both the intro delay and any dataset fetch have finished
+  const isMapLoading = isLoading || datasetLoading;
   
   // Filtered and searchable stations
   // Use filtered stations from useMapState (already handles search and era filtering)
   const filteredStations = mapFilteredStations;
   
-  // Journey stations - key milestones for guided tour
-  const journeyStations = useMemo(() => [
-    'neolithic', 'uruk', 'classical', 'columbian', 'industrial', 'crisis', 'singularity'
-  ], []);
+  // Journey stations - the stops of the tour being played (see data/tours.js)
+  const journeyStations = useMemo(() => (
+    activeTour ? activeTour.stops.map(stop => stop.stationId) : []
+  ), [activeTour]);
   
+  // Route planner - the network only changes with the dataset, the route with its endpoints and mode
+  const routeGraph = useMemo(() => buildRouteGraph(stations, lines), [stations, lines]);
+  const route = useMemo(() => {
+    if (!routeOriginId || !routeDestinationId) return null;
+    return planRoute(routeGraph, routeOriginId, routeDestinationId, routeMode);
+  }, [routeGraph, routeOriginId, routeDestinationId, routeMode]);
+
+  // Station comparison - chronological columns, gaps and causal paths between the compared stations
+  const comparison = useMemo(() => (
+    comparedStations.length > 0 ? compareStations(comparedStations, routeGraph) : null
+  ), [comparedStations, routeGraph]);
+  const comparedStationIdSet = useMemo(() => (
+    comparedStationIds.length > 0 ? new Set(comparedStationIds) : null
+  ), [comparedStationIds]);
+
+  // Starred stations, marked on the map
+  const bookmarkedStationIdSet = useMemo(() => (
+    bookmarks.stationIds.length > 0 ? new Set(bookmarks.stationIds) : null
+  ), [bookmarks.stationIds]);
+
+  // Centering also selects, so this is a single step in the navigation history
+  const handleRouteStationSelect = useCallback((station) => {
+    actions.centerOnStation(station);
+  }, [actions]);
+
+  // Cluster markers ("+7 stations") zoom in until their stations are drawn
+  const handleClusterExpand = useCallback((cluster) => {
+    actions.setViewBox(getClusterViewBox(viewBox, cluster));
+    announce(`Showing ${cluster.count} stations on the ${cluster.line} line`);
+  }, [actions, viewBox, announce]);
+
+  const handleGoToYear = useCallback((year) => {
+    actions.centerOnX(scaleTransition.to.yearToX(year));
+  }, [actions, scaleTransition.to]);
+
+  // Year range brush / era presets: filter to the range and frame it on the target scale
+  const handleYearRangeChange = useCallback((range) => {
+    actions.setEraFilter(range);
+    if (range) {
+      actions.zoomToXRange(scaleTransition.to.yearToX(range[0]), scaleTransition.to.yearToX(range[1]));
+    } else {
+      actions.resetView();
+    }
+  }, [actions, scaleTransition.to]);
+
+  const handleTimeScaleChange = useCallback((mode) => {
+    setTimeScaleMode(mode);
+    announce(`Time scale: ${TIME_SCALE_LABELS[mode]}`);
+  }, [announce]);
+
+  const handleRendererChange = useCallback((mode) => {
+    setRendererSetting(mode);
+    announce(`Renderer: ${RENDERER_LABELS[mode]}`);
+  }, [announce]);
+
+  const handleSidebarClose = useCallback(() => {
+    actions.clearSelection();
+    actions.clearRoute();
+    actions.clearComparison();
+  }, [actions]);
+
+  const handleStationCompare = useCallback((station) => {
+    const isCompared = comparedStationIds.includes(station.id);
+    // The first shift-click also brings in the selected station (see TOGGLE_COMPARE_STATION)
+    const count = comparedStationIds.length || (selectedStation && selectedStation.id !== station.id ? 1 : 0);
+    if (!isCompared && count >= MAX_COMPARED_STATIONS) {
+      announce(`You can compare up to ${MAX_COMPARED_STATIONS} stations`);
+      return;
+    }
+    actions.toggleCompareStation(station.id);
+    announce(isCompared ? `Removed ${station.name} from comparison` : `Added ${station.name} to comparison`);
+  }, [actions, announce, comparedStationIds, selectedStation]);
+
   // Focus trap for welcome modal
   useFocusTrap(showWelcome, welcomeRef);
 
@@ -142,8 +305,8 @@ const CivilizationMetroMap = () => {
   // We strictly use the 'stations' calculated above to ensure
   // the lines pass exactly through the station coordinates.
   const paths = useMemo(() => {
-    return generateMetroPaths(yearToX, VIEWBOX_HEIGHT, stations);
-  }, [yearToX, stations]);
+    return generateMetroPaths(timeScale.yearToX, VIEWBOX_HEIGHT, stations, lines);
+  }, [timeScale, stations, lines]);
 
   // Calculate current zoom level for LOD (Level of Detail)
   // VIEWBOX_WIDTH is 8000. If viewBox.width is 8000, zoom is 1. If 4000, zoom is 2.
@@ -151,65 +314,53 @@ const CivilizationMetroMap = () => {
     return VIEWBOX_WIDTH / viewBox.width;
   }, [viewBox.width]);
 
-  // MEDIUM PRIORITY: Label collision detection - prevent overlap in dense areas
-  // Calculate label offsets for visible stations to avoid overlap
-  const labelOffsets = useMemo(() => {
-    if (currentZoom <= 0.6) return {}; // Only apply at detail zoom levels
-    
-    const offsets = {};
-    const labelHeight = 30; // Approximate label height
-    const minLabelGap = 40; // Minimum vertical gap between labels
-    const visibleLabels = filteredStations
-      .filter(s => {
-        const isHovered = hoveredStation === s.id;
-        const isSelected = selectedStation?.id === s.id;
-        const isInJourney = journeyMode && journeyStations[journeyIndex] === s.id;
-        const isSearchMatch = searchQuery && (s.name.toLowerCase().includes(searchQuery.toLowerCase()) || s.yearLabel.toLowerCase().includes(searchQuery.toLowerCase()));
-        return showAllLabels || isHovered || isSelected || isInJourney || isSearchMatch;
-      })
-      .map(s => ({
+  // Label placement - each label takes the clearest spot around its station, most important first
+  const lodPolicy = getLodPolicy(currentZoom);
+  const lineYPositions = useMemo(() => getLineYPositions(lines), [lines]);
+  const measureLabelText = useMemo(() => createTextMeasurer(), []);
+  const labelPlacements = useMemo(() => {
+    if (!lodPolicy.labelRequested && !lodPolicy.labelMajors) return {}; // No labels at this tier
+
+    const routeStationIds = route ? new Set(route.stationIds) : null;
+    const labels = [];
+    filteredStations.forEach(s => {
+      const isHovered = hoveredStation === s.id;
+      const isSelected = selectedStation?.id === s.id;
+      const isInJourney = journeyMode && journeyStations[journeyIndex] === s.id;
+      const isSearchMatch = searchMatchIds?.has(s.id) ?? false;
+      const isOnRoute = routeStationIds?.has(s.id) ?? false;
+      const isCompared = comparedStationIdSet?.has(s.id) ?? false;
+      const isBookmarked = bookmarkedStationIdSet?.has(s.id) ?? false;
+      const isActive = isHovered || isSelected || isInJourney;
+      const isHighlighted = isActive || isSearchMatch || isOnRoute || isCompared || isBookmarked;
+      if (!shouldDrawStation(lodPolicy, s, isHighlighted)) return;
+
+      const stationYs = s.lines
+        .filter(l => lines[l] && isLineVisible(visibleLines, lines[l].id))
+        .map(l => lineYPositions[l]);
+      if (stationYs.length === 0) return;
+
+      const label = getStationLabel(lodPolicy, s, {
+        isActive,
+        isRequested: showAllLabels || isSearchMatch || isOnRoute || isCompared
+      });
+      if (!label) return;
+
+      labels.push({
         id: s.id,
+        text: label.text,
+        fontSize: isActive ? LABEL_TEXT.activeNameSize : LABEL_TEXT.nameSize,
+        yearText: label.showYear ? s.yearLabel : null,
+        insightLines: label.insightLines,
         x: s.coords.x,
-        y: Math.min(...s.lines.map(l => {
-          const lineYPositions = {
-            'Tech': 0.18 * VIEWBOX_CONFIG.HEIGHT,
-            'War': 0.36 * VIEWBOX_CONFIG.HEIGHT,
-            'Population': 0.50 * VIEWBOX_CONFIG.HEIGHT,
-            'Philosophy': 0.64 * VIEWBOX_CONFIG.HEIGHT,
-            'Empire': 0.82 * VIEWBOX_CONFIG.HEIGHT
-          };
-          return lineYPositions[l] || 0;
-        })) - 30, // Label Y position
-        priority: (selectedStation?.id === s.id ? 3 : hoveredStation === s.id ? 2 : 1) // Higher priority = less offset
-      }))
-      .sort((a, b) => a.x - b.x); // Sort by X position
-    
-    // Simple collision detection: check nearby labels and apply vertical offsets
-    for (let i = 0; i < visibleLabels.length; i++) {
-      const current = visibleLabels[i];
-      let offsetY = 0;
-      let maxOffset = 0;
-      
-      // Check for collisions with previous labels
-      for (let j = 0; j < i; j++) {
-        const other = visibleLabels[j];
-        const distanceX = Math.abs(current.x - other.x);
-        const distanceY = Math.abs(current.y - (other.y + offsets[other.id] || 0));
-        
-        // If labels are close horizontally and would overlap vertically
-        if (distanceX < 200 && distanceY < minLabelGap) {
-          const requiredOffset = minLabelGap - distanceY + (offsets[other.id] || 0);
-          maxOffset = Math.max(maxOffset, requiredOffset);
-        }
-      }
-      
-      // Apply offset (higher priority labels get less offset)
-      offsetY = maxOffset / current.priority;
-      offsets[current.id] = offsetY;
-    }
-    
-    return offsets;
-  }, [filteredStations, currentZoom, showAllLabels, hoveredStation, selectedStation, journeyMode, journeyIndex, journeyStations, searchQuery]);
+        topY: Math.min(...stationYs),
+        bottomY: Math.max(...stationYs),
+        priority: getLabelPriority({ isSelected, isActive, significance: s.significance })
+      });
+    });
+
+    return placeLabels(labels, { corridors: Object.values(lineYPositions), measureText: measureLabelText });
+  }, [filteredStations, lines, visibleLines, lineYPositions, measureLabelText, lodPolicy, showAllLabels, hoveredStation, selectedStation, journeyMode, journeyIndex, journeyStations, searchMatchIds, route, comparedStationIdSet, bookmarkedStationIdSet]);
 
   // Determine narrative focus: Which line should be highlighted based on selected station?
   const narrativeFocusLine = useMemo(() => {
@@ -217,22 +368,25 @@ const CivilizationMetroMap = () => {
       return null;
     }
     // Focus on the primary line (first line) of the selected station
-    return selectedStation.lines[0].toLowerCase();
-  }, [selectedStation]);
+    return lines[selectedStation.lines[0]]?.id ?? null;
+  }, [selectedStation, lines]);
 
   // Initialize viewBox on mount - Human-Centric: Show meaningful overview
   useEffect(() => {
     try {
       // Start with a view that shows the full timeline width but focused on the middle
-      // This gives users a sense of the full scope while being centered
-      const initialWidth = VIEWBOX_WIDTH * 0.8;
-      const initialHeight = VIEWBOX_HEIGHT * 0.7;
-      actions.setViewBox({ 
-        x: VIEWBOX_WIDTH * 0.1, 
-        y: VIEWBOX_HEIGHT * 0.15, 
-        width: initialWidth, 
-        height: initialHeight 
-      });
+      // This gives users a sense of the full scope while being centered.
+      // A saved last view was already restored into the initial state.
+      if (!savedPreferences.view) {
+        const initialWidth = VIEWBOX_WIDTH * 0.8;
+        const initialHeight = VIEWBOX_HEIGHT * 0.7;
+        actions.setViewBox({ 
+          x: VIEWBOX_WIDTH * 0.1, 
+          y: VIEWBOX_HEIGHT * 0.15, 
+          width: initialWidth, 
+          height: initialHeight 
+        });
+      }
       
       // Simulate loading time for smooth experience
       const loadTimer = setTimeout(() => {
@@ -247,12 +401,103 @@ const CivilizationMetroMap = () => {
       showError('Failed to initialize map. Please refresh the page.');
       console.error('Initialization error:', err);
     }
-  }, [announce, showError, actions]);
+  }, [announce, showError, actions, savedPreferences]);
+
+  // Surface dataset failures through the shared error state
+  useEffect(() => {
+    if (!datasetError) return;
+    actions.setError(datasetError);
+    showError(`Failed to load dataset: ${datasetError.message}`);
+  }, [datasetError, actions, showError]);
+
+  // Reset station-specific state whenever a different dataset is swapped in
+  const datasetIdRef = useRef(dataset.id);
+  useEffect(() => {
+    if (datasetIdRef.current === dataset.id) return;
+    datasetIdRef.current = dataset.id;
+    actions.clearSelection();
+    actions.hoverStation(null);
+    actions.endJourney();
+    actions.clearRoute();
+    actions.clearHistory();
+    actions.setAnimationProgress(0);
+    success(`Loaded "${dataset.name}" (${dataset.stations.length} stations)`);
+    announce(`Dataset ${dataset.name} loaded`);
+  }, [dataset, actions, success, announce]);
+
+  // Shareable deep links - restore the linked view once loaded, then keep the URL in sync
+  const handleUrlIssues = useCallback((issues) => {
+    warning(`Some link settings were ignored: ${issues.join('; ')}`, 6000);
+  }, [warning]);
+
+  useUrlState({
+    state,
+    actions,
+    stations,
+    lines,
+    enabled: !isMapLoading,
+    onIssues: handleUrlIssues
+  });
+
+  // Dev-mode data lint: surface schema problems that would otherwise fail silently
+  // (dropped causal links, fallback icons) as soon as a dataset is shown.
+  // Edits are linted live in the authoring panel instead.
+  useEffect(() => {
+    if (!import.meta.env.DEV || !dataset.validation || dataset.isEdited) return;
+    const { errors, warnings } = dataset.validation;
+    if (errors.length === 0 && warnings.length === 0) return;
+
+    console.warn(`[Station data] ${dataset.name}:`, [...errors, ...warnings].map(issue => issue.message));
+    const notify = errors.length > 0 ? showError : warning;
+    notify(summarizeValidationReport(dataset.validation), 10000);
+  }, [dataset, showError, warning]);
+
+  // Handle a dataset file chosen from the filter panel
+  const handleLoadDatasetFile = useCallback((file) => {
+    if (file) loadDataset(file);
+  }, [loadDataset]);
+
+  const handleResetDataset = useCallback(() => {
+    actions.setError(null);
+    resetDataset();
+  }, [actions, resetDataset]);
+
+  // Export the rendered map as a standalone SVG or PNG
+  const [isExporting, setIsExporting] = useState(false);
+  // Exports clone the SVG renderer: it replaces the canvas while the SVG is cloned, and draws
+  // everything instead of culling what is off screen for a full-map export
+  const [exportScope, setExportScope] = useState(null);
+  const MapView = activeRenderer === RENDERERS.CANVAS && exportScope === null ? CanvasMapRenderer : MapRenderer;
+  const handleExport = useCallback(async ({ format, scope, width }) => {
+    if (!svgRef.current) return;
+    setIsExporting(true);
+    try {
+      const options = { scope, viewBox };
+      flushSync(() => setExportScope(scope));
+      // Both exporters clone the SVG before their first await
+      const pending = format === EXPORT_FORMATS.PNG
+        ? exportMapPng(svgRef.current, { ...options, width })
+        : exportMapSvg(svgRef.current, options);
+      setExportScope(null);
+      const blob = await pending;
+      const filename = buildExportFilename(dataset.name, format);
+      downloadBlob(blob, filename);
+      success(`Exported ${filename}`);
+      announce(`Map exported as ${format.toUpperCase()}`);
+    } catch (err) {
+      console.error('[Export] Failed to export map:', err);
+      showError(`Export failed: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [viewBox, dataset.name, success, showError, announce]);
 
   // Animate path drawing on mount with error handling
   useEffect(() => {
-    if (isLoading) return;
+    if (isMapLoading) return;
     
+    // Re-runs when a new dataset is swapped in, so the previous draw must be cancelled
+    let frameId = null;
     try {
       const duration = 3000;
       const startTime = Date.now();
@@ -262,7 +507,7 @@ const CivilizationMetroMap = () => {
           const progress = Math.min(elapsed / duration, 1);
           actions.setAnimationProgress(progress);
           if (progress < 1) {
-            requestAnimationFrame(animate);
+            frameId = requestAnimationFrame(animate);
           } else {
             announce('Map animation complete');
           }
@@ -276,20 +521,64 @@ const CivilizationMetroMap = () => {
       console.error('Animation setup error:', err);
       actions.setAnimationProgress(1);
     }
-  }, [isLoading, announce, actions]);
+
+    return () => {
+      if (frameId) cancelAnimationFrame(frameId);
+    };
+  }, [isMapLoading, dataset, announce, actions]);
 
   // LOW PRIORITY: Extract map controller logic into custom hook for maintainability
   // Note: Wheel and touch handlers are attached via useEffect in the hook
-  const { handleMouseDown, handleMouseMove, handleMouseUp } = useMapController({
+  // Map clicks are only meaningful in authoring mode; the handler is set once the editor exists
+  const mapClickHandlerRef = useRef(null);
+  const { handleMouseDown, handleMouseMove, handleMouseUp, screenToSVG } = useMapController({
     viewBox,
     setViewBox: actions.setViewBox,
     isPanning,
     startPan: actions.startPan,
     endPan: actions.endPan,
     containerRef,
-    svgRef
+    svgRef,
+    onMapClick: (point) => mapClickHandlerRef.current?.(point)
+  });
+
+  // Authoring mode - edits go straight into the active dataset
+  const stationEditor = useStationEditor({
+    enabled: editorMode,
+    dataset,
+    editDataset,
+    stations,
+    selectedStation,
+    actions,
+    screenToSVG,
+    timeScale
   });
 
+  mapClickHandlerRef.current = editorMode ? (point) => {
+    const created = stationEditor.createStationAt(point);
+    if (created) {
+      announce(`Added ${created.name} at ${created.yearLabel}`);
+    } else {
+      info('Click on a line to add a station there');
+    }
+  } : null;
+
+  const editorIssues = useMemo(() => {
+    const id = stationEditor.editingStation?.id;
+    if (!id) return [];
+    const { errors, warnings } = dataset.validation;
+    return [...errors, ...warnings].filter(issue => issue.stationId === id);
+  }, [stationEditor.editingStation, dataset.validation]);
+
+  const handleExportDataset = useCallback(() => {
+    const result = stationEditor.exportDataset();
+    if (result.exported) {
+      success(`Exported ${result.filename}`);
+    } else {
+      showError(summarizeValidationReport(result.validation));
+    }
+  }, [stationEditor, success, showError]);
+
   // Zoom control functions - use actions from useMapState
   const zoomIn = () => actions.zoomIn();
   const zoomOut = () => actions.zoomOut();
@@ -329,82 +618,260 @@ const CivilizationMetroMap = () => {
       -500, 0, 500, 1000, 1200, 1400, 1500, 1600, 1700, 
       1800, 1850, 1900, 1950, 2000, 2010, 2025
     ];
+    // Skip markers that would crowd the previous one on the target scale (linear/log bunch them up)
+    const minMarkerGap = 120;
+    let lastTargetX = -Infinity;
     years.forEach(year => {
-      if (year >= TIMELINE.START && year <= TIMELINE.END) {
-        markers.push({
-          year,
-          label: year < 0 ? `${Math.abs(year)} BCE` : year === 0 ? '1 CE' : `${year} CE`,
-          x: yearToX(year)
-        });
-      }
+      if (year < TIMELINE.START || year > TIMELINE.END) return;
+      const targetX = scaleTransition.to.yearToX(year);
+      if (targetX - lastTargetX < minMarkerGap) return;
+      lastTargetX = targetX;
+      markers.push({
+        year,
+        label: year < 0 ? `${Math.abs(year)} BCE` : year === 0 ? '1 CE' : `${year} CE`,
+        x: timeScale.yearToX(year)
+      });
     });
     return markers;
-  }, []);
+  }, [scaleTransition.to, timeScale]);
   
-  // CRITICAL: Override journey navigation with cinematic camera transitions
-  const navigateJourney = useCallback((direction) => {
+  // Optional narrator that reads each tour stop aloud once the camera arrives
+  const narrator = useNarrator({ initialSettings: savedPreferences.preferences.narrator });
+  const { cancel: cancelNarration, pause: pauseNarration, resume: resumeNarration } = narrator;
+  const [stopArrival, setStopArrival] = useState(null);
+
+  // Cinematic camera transition to a tour stop, framed at the stop's zoom
+  const flyToStop = useCallback((station, stop) => {
     // Cancel any existing journey animation
     if (journeyAnimationRef.current) {
       journeyAnimationRef.current();
       journeyAnimationRef.current = null;
     }
     
-    if (!stations.length) return;
-    
-    const journeyStationIds = journeyStations;
-    const currentIndex = journeyIndex;
-    
-    let nextIndex;
-    if (direction === 'next') {
-      nextIndex = (currentIndex + 1) % journeyStationIds.length;
-    } else {
-      nextIndex = (currentIndex - 1 + journeyStationIds.length) % journeyStationIds.length;
-    }
-    
-    const nextStation = stations.find(s => s.id === journeyStationIds[nextIndex]);
-    if (!nextStation) return;
-    
-    // Calculate target viewBox
-    const targetViewBox = {
-      x: nextStation.coords.x - viewBox.width / 2,
-      y: nextStation.coords.y - viewBox.height / 2,
-      width: viewBox.width,
-      height: viewBox.height
-    };
-    
-    // Constrain target viewBox
-    const constrainedTarget = {
-      x: Math.max(0, Math.min(VIEWBOX_WIDTH - targetViewBox.width, targetViewBox.x)),
-      y: Math.max(0, Math.min(VIEWBOX_HEIGHT - targetViewBox.height, targetViewBox.y)),
-      width: targetViewBox.width,
-      height: targetViewBox.height
-    };
-    
-    // Start cinematic transition
-    const startViewBox = { ...viewBox };
     journeyAnimationRef.current = animateViewBox(
-      startViewBox,
-      constrainedTarget,
+      { ...viewBox },
+      zoomViewBoxOn(viewBox, station.coords, stop.zoom),
       2000, // 2 second smooth transition
-      (currentViewBox) => {
-        // Update viewBox during animation
-        actions.setViewBox(currentViewBox);
-      },
+      (currentViewBox) => actions.setViewBox(currentViewBox, { animated: true }),
       () => {
-        // Animation complete - update journey state
-        baseNavigateJourney(direction);
-        actions.selectStation(nextStation);
         journeyAnimationRef.current = null;
+        setStopArrival({ station });
       }
     );
+  }, [viewBox, actions]);
+
+  // CRITICAL: Override journey navigation with cinematic camera transitions
+  const navigateJourney = useCallback((direction) => {
+    const stops = activeTour?.stops;
+    if (!stations.length || !stops?.length) return;
     
-    // Update journey state immediately (for UI feedback)
+    const nextIndex = direction === 'next'
+      ? (journeyIndex + 1) % stops.length
+      : (journeyIndex - 1 + stops.length) % stops.length;
+    const nextStation = stations.find(s => s.id === stops[nextIndex].stationId);
+    if (!nextStation) return;
+    
+    // Update journey state immediately (for UI feedback), then move the camera
     if (direction === 'next') {
       actions.journeyNext(nextStation);
     } else {
       actions.journeyPrev(nextStation);
     }
-  }, [stations, journeyIndex, journeyStations, viewBox, actions, baseNavigateJourney]);
+    flyToStop(nextStation, stops[nextIndex]);
+  }, [stations, activeTour, journeyIndex, actions, flyToStop]);
+
+  // Play a tour from its first stop; returns that stop's station (null if it is not on the map)
+  const handleStartTour = useCallback((tourId) => {
+    const tour = tours.find(t => t.id === tourId);
+    const firstStop = tour?.stops[0];
+    const firstStation = firstStop ? stations.find(s => s.id === firstStop.stationId) : null;
+    if (!firstStation) {
+      showError(`"${tour?.title ?? tourId}" does not start at a station on this map`);
+      return null;
+    }
+    actions.startJourney(tour.id, firstStation);
+    flyToStop(firstStation, firstStop);
+    announce(`Starting ${tour.title} at ${firstStation.name}`);
+    return firstStation;
+  }, [tours, stations, actions, flyToStop, announce, showError]);
+
+  // Tours as JSON - imported tours replace those with the same id
+  const handleImportToursFile = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      let json;
+      try {
+        json = JSON.parse(await file.text());
+      } catch (err) {
+        throw new Error(`${file.name || 'Tours file'} is not valid JSON`);
+      }
+      const { tours: imported, issues } = normalizeTours(json, { stationIds: stations.map(s => s.id) });
+      if (issues.length > 0) warning(`Some tour stops were skipped: ${issues.join('; ')}`, 6000);
+      if (imported.length === 0) return;
+      actions.setTours(mergeTours(tours, imported));
+      success(`Imported ${imported.length} tour${imported.length === 1 ? '' : 's'}`);
+    } catch (err) {
+      showError(err.message);
+    }
+  }, [stations, tours, actions, success, warning, showError]);
+
+  // Bookmarks and notes - kept on this device, shareable as JSON (see utils/bookmarks)
+  useBookmarkStorage({ bookmarks });
+
+  const handleToggleBookmark = useCallback((stationId) => {
+    const station = stations.find(s => s.id === stationId);
+    const isBookmarked = bookmarks.stationIds.includes(stationId);
+    actions.toggleBookmark(stationId);
+    announce(`${isBookmarked ? 'Removed bookmark from' : 'Bookmarked'} ${station?.name ?? stationId}`);
+  }, [stations, bookmarks.stationIds, actions, announce]);
+
+  // Imported notes replace those for the same station
+  const handleImportBookmarksFile = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      let json;
+      try {
+        json = JSON.parse(await file.text());
+      } catch (err) {
+        throw new Error(`${file.name || 'Bookmarks file'} is not valid JSON`);
+      }
+      const { bookmarks: imported, issues } = normalizeBookmarks(json);
+      if (issues.length > 0) warning(`Some bookmarks were skipped: ${issues.join('; ')}`, 6000);
+      actions.setBookmarks(mergeBookmarks(bookmarks, imported));
+      const noteCount = Object.keys(imported.notes).length;
+      success(`Imported ${imported.stationIds.length} bookmark${imported.stationIds.length === 1 ? '' : 's'} and ${noteCount} note${noteCount === 1 ? '' : 's'}`);
+    } catch (err) {
+      showError(err.message);
+    }
+  }, [bookmarks, actions, success, warning, showError]);
+
+  const handleExportBookmarks = useCallback(() => {
+    const filename = buildExportFilename(`${dataset.name} bookmarks`, 'json');
+    downloadBlob(new Blob([serializeBookmarks(bookmarks)], { type: 'application/json' }), filename);
+    success(`Exported ${filename}`);
+  }, [dataset.name, bookmarks, success]);
+
+  // Presentation mode - autoplay a tour with the UI hidden, e.g. on a museum kiosk
+  const [presentationComplete, setPresentationComplete] = useState(false);
+  const presentation = usePresentation({
+    journeyMode,
+    journeyIndex,
+    activeTour,
+    navigateJourney,
+    onComplete: () => setPresentationComplete(true),
+    narrationSync: narrator.isSupported && narrator.settings.enabled
+  });
+  const { start: startPresentation, markNarrationEnd } = presentation;
+  // showUI from before the presentation (null when not presenting), and the options to restart with
+  const uiBeforePresentationRef = useRef(null);
+  const presentationOptionsRef = useRef({});
+
+  const handlePresentTour = useCallback((tourId, { fromCurrentStop = false, ...options } = {}) => {
+    const isPlaying = journeyMode && activeTour?.id === tourId;
+    if (fromCurrentStop && isPlaying) {
+      // The camera is already there; narrate the stop again so a synced presentation can move on
+      const station = stations.find(s => s.id === journeyStations[journeyIndex]);
+      if (station) setStopArrival({ station });
+    } else if (!handleStartTour(tourId)) {
+      return;
+    }
+
+    if (uiBeforePresentationRef.current === null) uiBeforePresentationRef.current = showUI;
+    presentationOptionsRef.current = options;
+    actions.setUI(false);
+    actions.setWelcome(false);
+    setPresentationComplete(false);
+    startPresentation(options);
+    announce('Presentation started. Press Escape to stop.');
+  }, [journeyMode, activeTour, stations, journeyStations, journeyIndex, showUI, actions, handleStartTour, startPresentation, announce]);
+
+  const handleExploreAfterPresentation = useCallback(() => {
+    setPresentationComplete(false);
+    actions.endJourney();
+  }, [actions]);
+
+  // Narrate each stop as the camera arrives; a synced presentation moves on when it ends.
+  // Only a new arrival starts narration, not settings, layout or stop changes.
+  const { narrate } = narrator;
+  const narratedArrivalRef = useRef(null);
+  useEffect(() => {
+    if (!stopArrival || !journeyMode || narratedArrivalRef.current === stopArrival) return;
+    narratedArrivalRef.current = stopArrival;
+    const stopIndex = journeyIndex;
+    const station = stations.find(s => s.id === stopArrival.station.id) || stopArrival.station;
+    narrate(station).then(completed => {
+      if (completed) markNarrationEnd(stopIndex);
+    });
+  }, [stopArrival, journeyMode, journeyIndex, stations, narrate, markNarrationEnd]);
+
+  // Leaving a stop (or the tour) cuts its narration short
+  useEffect(() => {
+    cancelNarration();
+  }, [journeyMode, journeyIndex, activeTour, cancelNarration]);
+
+  // Pausing the presentation pauses the narrator too
+  useEffect(() => {
+    if (!presentation.isPresenting) return;
+    if (presentation.isPaused) {
+      pauseNarration();
+    } else {
+      resumeNarration();
+    }
+  }, [presentation.isPresenting, presentation.isPaused, pauseNarration, resumeNarration]);
+
+  // Remember display preferences and the last view (not the temporary state of a presentation)
+  const preferences = useMemo(() => ({
+    visibleLines,
+    showMinimap,
+    showAllLabels,
+    showUI,
+    skipWelcome,
+    timeScaleMode,
+    renderer: rendererSetting,
+    narrator: narrator.settings
+  }), [visibleLines, showMinimap, showAllLabels, showUI, skipWelcome, timeScaleMode, rendererSetting, narrator.settings]);
+
+  usePreferences({
+    preferences,
+    viewBox,
+    enabled: !isMapLoading && !presentation.isPresenting
+  });
+
+  const { updateSettings: updateNarratorSettings } = narrator;
+  const handleResetPreferences = useCallback(() => {
+    clearPreferences();
+    actions.resetPreferences();
+    setSkipWelcome(DEFAULT_PREFERENCES.skipWelcome);
+    setTimeScaleMode(DEFAULT_PREFERENCES.timeScaleMode);
+    setRendererSetting(DEFAULT_PREFERENCES.renderer);
+    updateNarratorSettings(DEFAULT_PREFERENCES.narrator);
+    success('Preferences reset to defaults');
+    announce('Preferences reset to defaults');
+  }, [actions, updateNarratorSettings, success, announce]);
+
+  // Bring the UI back once the presentation (and its completion screen) is over
+  useEffect(() => {
+    if (presentation.isPresenting || presentationComplete || uiBeforePresentationRef.current === null) return;
+    actions.setUI(uiBeforePresentationRef.current);
+    uiBeforePresentationRef.current = null;
+  }, [presentation.isPresenting, presentationComplete, actions]);
+
+  // Kiosk links (?present=<tour>&dwell=<seconds>&loop) start presenting once the map is ready
+  const presentationLinkCheckedRef = useRef(false);
+  useEffect(() => {
+    if (isMapLoading || presentationLinkCheckedRef.current || typeof window === 'undefined') return;
+    presentationLinkCheckedRef.current = true;
+
+    const { options, issues } = parsePresentationParams(window.location.search, { tours });
+    if (issues.length > 0) warning(`Presentation link: ${issues.join('; ')}`, 6000);
+    if (options) handlePresentTour(options.tourId, { dwell: options.dwell, loop: options.loop });
+  }, [isMapLoading, tours, warning, handlePresentTour]);
+
+  const handleExportTours = useCallback(() => {
+    const filename = buildExportFilename(`${dataset.name} tours`, 'json');
+    downloadBlob(new Blob([serializeTours(tours)], { type: 'application/json' }), filename);
+    success(`Exported ${filename}`);
+  }, [dataset.name, tours, success]);
   
   // Cleanup journey animation on unmount
   useEffect(() => {
@@ -418,31 +885,70 @@ const CivilizationMetroMap = () => {
   // Only show sidebar for SELECTED stations (clicked), not on hover
   // This prevents flickering when the sidebar overlaps with far-right stations
   const activeData = selectedStation;
+
+  // Highlight what the search matched in the sidebar, using the same results as the map
+  const activeSearchMatches = useMemo(() => (
+    activeData ? searchResults.find(result => result.station.id === activeData.id)?.matches : undefined
+  ), [activeData, searchResults]);
   
   // Hover data for tooltip (separate from sidebar)
   const hoveredData = hoveredStation ? stations.find(s => s.id === hoveredStation) : null;
 
+  // Navigation history - back/forward through selections, views, era filters and journey steps.
+  // A camera flight in progress would overwrite the restored view, so it is cancelled first.
+  const stepHistory = useCallback((direction) => {
+    const stack = direction === 'back' ? history.past : history.future;
+    if (stack.length === 0) return;
+    if (journeyAnimationRef.current) {
+      journeyAnimationRef.current();
+      journeyAnimationRef.current = null;
+    }
+    if (direction === 'back') {
+      actions.goBack();
+    } else {
+      actions.goForward();
+    }
+    const station = stack[direction === 'back' ? stack.length - 1 : 0].selectedStation;
+    announce(`${direction === 'back' ? 'Back' : 'Forward'}${station ? ` to ${station.name}` : ''}`);
+  }, [history, actions, announce]);
+
+  const handleGoBack = useCallback(() => stepHistory('back'), [stepHistory]);
+  const handleGoForward = useCallback(() => stepHistory('forward'), [stepHistory]);
+
   // Keyboard Navigation - Commercial-Grade
   useKeyboardNavigation({
     onEscape: () => {
-      if (showWelcome) {
+      if (presentation.isPresenting) {
+        presentation.stop();
+        announce('Presentation stopped');
+      } else if (presentationComplete) {
+        handleExploreAfterPresentation();
+      } else if (showWelcome) {
         actions.setWelcome(false);
         announce('Welcome overlay closed');
+      } else if (comparedStationIds.length > 0) {
+        actions.clearComparison();
+        announce('Comparison closed');
       } else if (selectedStation) {
         actions.clearSelection();
         announce('Station details closed');
+      } else if (route) {
+        actions.clearRoute();
+        announce('Route cleared');
       } else if (showFilters) {
         actions.toggleFilters();
         announce('Filters panel closed');
       }
     },
+    onBack: handleGoBack,
+    onForward: handleGoForward,
     onEnter: () => {
       if (showWelcome && !journeyMode) {
         actions.setWelcome(false);
         announce('Starting exploration');
       }
     },
-    enabled: !isLoading
+    enabled: !isMapLoading
   });
 
   // Error state handling
@@ -453,13 +959,24 @@ const CivilizationMetroMap = () => {
           <AlertTriangle className="w-16 h-16 text-red-400 mx-auto mb-4" aria-hidden="true" />
           <h2 className="text-2xl font-bold text-white mb-2">Failed to Load Map</h2>
           <p className="text-neutral-400 mb-6">{loadError.message || 'An unexpected error occurred'}</p>
-          <AccessibleButton
-            onClick={() => window.location.reload()}
-            variant="primary"
-            ariaLabel="Reload the application"
-          >
-            Reload Application
-          </AccessibleButton>
+          <div className="flex gap-3 justify-center">
+            <AccessibleButton
+              onClick={() => window.location.reload()}
+              variant="primary"
+              ariaLabel="Reload the application"
+            >
+              Reload Application
+            </AccessibleButton>
+            {datasetError && (
+              <AccessibleButton
+                onClick={handleResetDataset}
+                variant="secondary"
+                ariaLabel="Discard the failed dataset and use the built-in data"
+              >
+                Use Built-in Data
+              </AccessibleButton>
+            )}
+          </div>
         </div>
       </div>
     );
@@ -472,7 +989,9 @@ const CivilizationMetroMap = () => {
       aria-label="Civilization Map - Interactive timeline visualization"
     >
       {/* Loading State */}
-      {isLoading && <LoadingOverlay message="Loading Civilization Map..." />}
+      {isMapLoading && (
+        <LoadingOverlay message={datasetLoading ? 'Loading station dataset...' : 'Loading Civilization Map...'} />
+      )}
       
       {/* Toast Notifications */}
       <ToastContainer toasts={toasts} removeToast={removeToast} />
@@ -480,9 +999,13 @@ const CivilizationMetroMap = () => {
       {/* Welcome Overlay - Extracted to WelcomeOverlay component */}
       <WelcomeOverlay
         isVisible={showWelcome}
-        stations={stations}
-        journeyStations={journeyStations}
+        lines={lines}
+        tours={tours}
+        activeTourId={activeTour?.id ?? null}
+        skipWelcome={skipWelcome}
         actions={actions}
+        onStartTour={handleStartTour}
+        onSkipWelcomeChange={setSkipWelcome}
         saveFocus={saveFocus}
         restoreFocus={restoreFocus}
         announce={announce}
@@ -518,14 +1041,59 @@ const CivilizationMetroMap = () => {
         showMinimap={showMinimap}
         searchQuery={searchQuery}
         filteredStations={filteredStations}
+        searchResults={searchResults}
         visibleLines={visibleLines}
+        lines={lines}
         showAllLabels={showAllLabels}
         focusedEra={focusedEra}
+        timeScale={timeScaleMode}
+        renderer={rendererSetting}
+        activeRenderer={activeRenderer}
+        yearScale={scaleTransition.to}
+        timeMarkers={timeMarkers}
+        filterExpression={filterExpression}
+        filterMatchIds={filterMatchIds}
         journeyMode={journeyMode}
         journeyIndex={journeyIndex}
         journeyStations={journeyStations}
+        tours={tours}
+        activeTour={activeTour}
+        showTours={showTours}
+        selectedStation={selectedStation}
+        currentZoom={currentZoom}
+        onStartTour={handleStartTour}
+        onPresentTour={handlePresentTour}
+        narrator={narrator}
+        onImportToursFile={handleImportToursFile}
+        onExportTours={handleExportTours}
+        bookmarks={bookmarks}
+        showBookmarks={showBookmarks}
+        onImportBookmarksFile={handleImportBookmarksFile}
+        onExportBookmarks={handleExportBookmarks}
+        stations={stations}
+        showRoutePlanner={showRoutePlanner}
+        routeOriginId={routeOriginId}
+        routeDestinationId={routeDestinationId}
+        routeMode={routeMode}
+        route={route}
+        showExport={showExport}
+        isExporting={isExporting}
+        onExport={handleExport}
+        editorMode={editorMode}
+        editorValidation={dataset.validation}
+        isDatasetEdited={Boolean(dataset.isEdited)}
+        onExportDataset={handleExportDataset}
+        datasetName={dataset.name}
+        isCustomDataset={dataset.id !== BUILT_IN_DATASET_ID}
+        onLoadDatasetFile={handleLoadDatasetFile}
+        onResetDataset={handleResetDataset}
+        onResetPreferences={handleResetPreferences}
         actions={actions}
         navigateJourney={navigateJourney}
+        onGoToYear={handleGoToYear}
+        onTimeScaleChange={handleTimeScaleChange}
+        onRendererChange={handleRendererChange}
+        onYearRangeChange={handleYearRangeChange}
         announce={announce}
       />
 
@@ -574,6 +1142,25 @@ const CivilizationMetroMap = () => {
               <ZoomOut size={16} />
             </button>
             <div className="h-px bg-cyan-900/30 my-0.5"></div>
+            <button
+              onClick={handleGoBack}
+              disabled={history.past.length === 0}
+              className="p-1.5 text-cyan-400 hover:text-cyan-300 hover:bg-neutral-800 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+              title="Back (Alt+←)"
+              aria-label="Back to the previous view"
+            >
+              <ArrowLeft size={16} />
+            </button>
+            <button
+              onClick={handleGoForward}
+              disabled={history.future.length === 0}
+              className="p-1.5 text-cyan-400 hover:text-cyan-300 hover:bg-neutral-800 rounded transition-colors disabled:opacity-30 disabled:hover:bg-transparent"
+              title="Forward (Alt+→)"
+              aria-label="Forward to the next view"
+            >
+              <ArrowRight size={16} />
+            </button>
+            <div className="h-px bg-cyan-900/30 my-0.5"></div>
             <button
               onClick={resetView}
               className="p-1.5 text-cyan-400 hover:text-cyan-300 hover:bg-neutral-800 rounded transition-colors"
@@ -587,10 +1174,11 @@ const CivilizationMetroMap = () => {
           </div>
           )}
           
-          <MapRenderer
+          <MapView
             svgRef={svgRef}
             viewBox={viewBox}
             paths={paths}
+            lines={lines}
             stations={stations}
             filteredStations={filteredStations}
             visibleLines={visibleLines}
@@ -601,16 +1189,27 @@ const CivilizationMetroMap = () => {
             journeyMode={journeyMode}
             journeyIndex={journeyIndex}
             journeyStations={journeyStations}
-            searchQuery={searchQuery}
+            searchMatchIds={searchMatchIds}
+            filterMatchIds={filterMatchIds}
+            comparedStationIds={comparedStationIdSet}
+            bookmarkedStationIds={bookmarkedStationIdSet}
+            cullToViewport={exportScope !== EXPORT_SCOPES.FULL}
             showAllLabels={showAllLabels}
             currentZoom={currentZoom}
-            labelOffsets={labelOffsets}
+            labelPlacements={labelPlacements}
             timeMarkers={timeMarkers}
+            route={route}
+            timeScale={timeScale}
+            screenToSVG={screenToSVG}
+            isPanning={isPanning}
             VIEWBOX_WIDTH={VIEWBOX_WIDTH}
             VIEWBOX_HEIGHT={VIEWBOX_HEIGHT}
             onStationHover={actions.hoverStation}
             onStationSelect={actions.selectStation}
             onStationJourneyGoTo={actions.journeyGoTo}
+            onStationCompare={handleStationCompare}
+            onStationDragStart={editorMode ? stationEditor.startStationDrag : undefined}
+            onClusterExpand={handleClusterExpand}
           />
 
           {/* Minimap - Human-Centric Spatial Orientation */}
@@ -646,21 +1245,20 @@ const CivilizationMetroMap = () => {
                 <rect width={VIEWBOX_WIDTH} height={VIEWBOX_HEIGHT} fill="url(#minimapGrid)" />
                 
                 {/* Minimap lines (simplified, thicker for visibility) */}
-                {visibleLines.tech && (
-                  <path d={paths.blue} fill="none" stroke="#22d3ee" strokeWidth="4" opacity="0.7" />
-                )}
-                {visibleLines.population && (
-                  <path d={typeof paths.green === 'string' ? paths.green : paths.green.main} fill="none" stroke="#22c55e" strokeWidth="4" opacity="0.7" />
-                )}
-                {visibleLines.war && (
-                  <path d={paths.red} fill="none" stroke="#ef4444" strokeWidth="4" opacity="0.7" />
-                )}
-                {visibleLines.empire && (
-                  <path d={paths.purple} fill="none" stroke="#9333ea" strokeWidth="4" opacity="0.7" />
-                )}
-                {visibleLines.philosophy && (
-                  <path d={paths.orange} fill="none" stroke="#fbbf24" strokeWidth="4" opacity="0.5" />
-                )}
+                {Object.values(lines).map(config => {
+                  const path = paths[config.id];
+                  if (!path || !isLineVisible(visibleLines, config.id)) return null;
+                  return (
+                    <path
+                      key={config.id}
+                      d={typeof path === 'string' ? path : path.main}
+                      fill="none"
+                      stroke={config.color}
+                      strokeWidth="4"
+                      opacity="0.7"
+                    />
+                  );
+                })}
                 
                 {/* Current viewport indicator - more prominent */}
                 <rect
@@ -747,21 +1345,14 @@ const CivilizationMetroMap = () => {
                   {hoveredData.name}
                 </div>
                 <div className="flex flex-wrap gap-1">
-                  {hoveredData.lines?.map((line, idx) => {
-                    const lineColors = {
-                      'Tech': 'bg-cyan-500',
-                      'Population': 'bg-green-500',
-                      'War': 'bg-red-500',
-                      'Empire': 'bg-purple-500',
-                      'Philosophy': 'bg-amber-500'
-                    };
-                    return (
-                      <span 
-                        key={idx}
-                        className={`w-2 h-2 rounded-full ${lineColors[line] || 'bg-gray-500'}`}
-                      />
-                    );
-                  })}
+                  {hoveredData.lines?.map((line, idx) => (
+                    <span 
+                      key={idx}
+                      className="w-2 h-2 rounded-full"
+                      style={{ backgroundColor: lines[line]?.color || '#6b7280' }}
+                      title={lines[line]?.name || line}
+                    />
+                  ))}
                 </div>
                 <div className="text-[10px] text-cyan-400/60 mt-2 uppercase tracking-wider">
                   Click to view details
@@ -816,16 +1407,66 @@ const CivilizationMetroMap = () => {
         {/* Info Sidebar - Extracted to InfoSidebar component */}
         <InfoSidebar
           activeData={activeData}
+          lines={lines}
+          searchMatches={activeSearchMatches}
           journeyMode={journeyMode}
           journeyIndex={journeyIndex}
           journeyStations={journeyStations}
-          onClose={() => actions.clearSelection()}
+          activeTour={activeTour}
+          route={route}
+          comparison={comparison}
+          isBookmarked={Boolean(activeData && bookmarks.stationIds.includes(activeData.id))}
+          note={(activeData && bookmarks.notes[activeData.id]) || ''}
+          onToggleBookmark={handleToggleBookmark}
+          onNoteChange={actions.setStationNote}
+          onClose={handleSidebarClose}
           onNavigateJourney={navigateJourney}
+          onSelectStation={handleRouteStationSelect}
+          onRouteFrom={actions.setRouteOrigin}
+          onRouteTo={actions.setRouteDestination}
+          onClearRoute={actions.clearRoute}
+          onRemoveComparedStation={actions.toggleCompareStation}
+          onClearComparison={actions.clearComparison}
+          editingStation={stationEditor.editingStation}
+          editorStations={dataset.rawStations}
+          editorIssues={editorIssues}
+          onEditStation={stationEditor.updateSelectedStation}
+          onRenameStation={stationEditor.renameSelectedStation}
+          onDeleteStation={stationEditor.deleteSelectedStation}
         />
       </div>
 
+      {/* Narration Subtitles */}
+      {narrator.settings.subtitles && narrator.subtitle && (
+        <NarrationSubtitles subtitle={narrator.subtitle} raised={presentation.isPresenting} />
+      )}
+
+      {/* Presentation Mode - caption bar, or the completion screen of a tour that does not loop */}
+      {presentation.isPresenting && activeTour && (
+        <PresentationControls
+          tour={activeTour}
+          stopIndex={journeyIndex}
+          station={stations.find(s => s.id === journeyStations[journeyIndex]) || null}
+          stopDuration={presentation.stopDuration}
+          isPaused={presentation.isPaused}
+          pauseReason={presentation.pauseReason}
+          loop={presentation.loop}
+          onPause={presentation.pause}
+          onResume={presentation.resume}
+          onStop={presentation.stop}
+        />
+      )}
+      {presentationComplete && (
+        <div className="absolute inset-0 z-50 flex items-center justify-center bg-neutral-950/70 backdrop-blur-sm p-4">
+          <JourneyComplete
+            onRestart={() => handlePresentTour(activeTour?.id, presentationOptionsRef.current)}
+            onExplore={handleExploreAfterPresentation}
+          />
+        </div>
+      )}
+
       {/* Legend Footer - Extracted to MapOverlay */}
-      {showUI && <LegendFooter />}
+      {showUI && <LegendFooter lines={lines} />}
 
       <style>{`
         .custom-scrollbar::-webkit-scrollbar { width: 6px; }
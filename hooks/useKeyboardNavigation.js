@@ -3,6 +3,7 @@ import { useEffect, useCallback } from 'react';
 /**
  * Commercial-grade keyboard navigation hook
  * Provides WCAG 2.1 compliant keyboard navigation
+ * Alt+Left/Right call onBack/onForward (browser-style history) instead of the arrow handlers
  */
 export const useKeyboardNavigation = ({
   onEscape,
@@ -11,6 +12,8 @@ export const useKeyboardNavigation = ({
   onArrowDown,
   onArrowLeft,
   onArrowRight,
+  onBack,
+  onForward,
   onTab,
   enabled = true
 }) => {
@@ -42,18 +45,26 @@ export const useKeyboardNavigation = ({
           break;
         case 'ArrowLeft':
           event.preventDefault();
-          onArrowLeft?.(event);
+          if (event.altKey && onBack) {
+            onBack(event);
+          } else {
+            onArrowLeft?.(event);
+          }
           break;
         case 'ArrowRight':
           event.preventDefault();
-          onArrowRight?.(event);
+          if (event.altKey && onForward) {
+            onForward(event);
+          } else {
+            onArrowRight?.(event);
+          }
           break;
         case 'Tab':
           onTab?.(event);
           break;
       }
     }
-  }, [enabled, onEscape, onEnter, onArrowUp, onArrowDown, onArrowLeft, onArrowRight, onTab]);
+  }, [enabled, onEscape, onEnter, onArrowUp, onArrowDown, onArrowLeft, onArrowRight, onBack, onForward, onTab]);
 
   useEffect(() => {
     if (enabled) {
@@ -0,0 +1,129 @@
+/**
+ * BookmarksPanel Component
+ * Starred and annotated stations, with JSON import/export
+ *
+ * Clicking an entry centers the map on the station and opens it in the sidebar.
+ */
+
+import React, { memo, useMemo, useRef } from 'react';
+import { X, Star, StickyNote, Download, FileUp } from 'lucide-react';
+import { getBookmarkedStations } from '../utils/bookmarks';
+
+const smallButtonClass = 'flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded bg-neutral-800 text-neutral-400 hover:text-white disabled:opacity-40 disabled:hover:text-neutral-400';
+const iconButtonClass = 'p-0.5 text-neutral-500 hover:text-white rounded';
+
+/**
+ * Bookmarks panel
+ * @param {Object} bookmarks - Bookmarks ({stationIds, notes}, see utils/bookmarks.js)
+ * @param {Array} stations - Stations of the current dataset
+ * @param {Object|null} selectedStation - Selected station (highlighted in the list)
+ * @param {Function} onSelectStation - Called with a station to center and open it
+ * @param {Function} onToggleBookmark - Called with a station id to unstar it
+ * @param {Function} onImportFile - Called with a File of bookmarks JSON
+ * @param {Function} onExport - Exports bookmarks and notes as JSON
+ * @param {Function} onClose - Closes the panel
+ * @param {Function} [announce] - Screen reader announcement
+ */
+const BookmarksPanel = memo(function BookmarksPanel({
+  bookmarks,
+  stations,
+  selectedStation,
+  onSelectStation,
+  onToggleBookmark,
+  onImportFile,
+  onExport,
+  onClose,
+  announce
+}) {
+  const fileInputRef = useRef(null);
+  const entries = useMemo(() => getBookmarkedStations(bookmarks, stations), [bookmarks, stations]);
+  const hasData = bookmarks.stationIds.length > 0 || Object.keys(bookmarks.notes).length > 0;
+
+  return (
+    <div className="bg-neutral-900/95 backdrop-blur-md border border-cyan-900/50 rounded-lg p-3 shadow-xl w-72 max-h-[70vh] overflow-y-auto">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          <Star size={14} className="text-amber-300" />
+          <span className="text-xs font-bold text-white">Bookmarks</span>
+        </div>
+        <button onClick={onClose} className="text-cyan-400/60 hover:text-white" aria-label="Close bookmarks">
+          <X size={14} />
+        </button>
+      </div>
+
+      {entries.length === 0 && (
+        <p className="text-xs text-neutral-500 mb-2">
+          No bookmarks on this map. Star a station or add a note in its details, or import a bookmarks file.
+        </p>
+      )}
+      <ul className="space-y-1 mb-2">
+        {entries.map(({ station, note, isStarred }) => (
+          <li
+            key={station.id}
+            className={`flex items-start gap-1 px-2 py-1.5 rounded border ${selectedStation?.id === station.id ? 'border-cyan-500/50 bg-cyan-900/20' : 'border-neutral-800 bg-neutral-950/60'}`}
+          >
+            <button
+              onClick={() => onSelectStation(station)}
+              className="flex-1 min-w-0 text-left"
+              aria-label={`Go to ${station.name}`}
+            >
+              <div className="text-xs text-white truncate">
+                <span className="font-mono text-cyan-500 mr-1.5">{station.yearLabel}</span>
+                {station.name}
+              </div>
+              {note && (
+                <div className="flex items-start gap-1 text-[10px] text-neutral-400">
+                  <StickyNote size={10} className="mt-0.5 shrink-0" />
+                  <span className="line-clamp-2">{note}</span>
+                </div>
+              )}
+            </button>
+            {isStarred && (
+              <button
+                onClick={() => {
+                  onToggleBookmark(station.id);
+                  announce?.(`Removed bookmark from ${station.name}`);
+                }}
+                className={iconButtonClass}
+                aria-label={`Remove bookmark from ${station.name}`}
+              >
+                <Star size={12} className="text-amber-400" fill="currentColor" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-1">
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className={smallButtonClass}
+          aria-label="Import bookmarks from a JSON file"
+        >
+          <FileUp size={12} /> Import
+        </button>
+        <button
+          onClick={onExport}
+          disabled={!hasData}
+          className={smallButtonClass}
+          aria-label="Export bookmarks and notes as JSON"
+        >
+          <Download size={12} /> Export
+        </button>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          onImportFile(e.target.files?.[0]);
+          // Allow re-importing the same file
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+});
+
+export default BookmarksPanel;
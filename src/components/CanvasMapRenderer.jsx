@@ -0,0 +1,675 @@
+/**
+ * CanvasMapRenderer Component
+ * Canvas 2D rendering backend for very large datasets
+ *
+ * Takes the same props as MapRenderer and draws the time axis, causal links,
+ * metro lines, spans, the planned route, stations and labels to a <canvas>,
+ * without the SVG filter effects that slow the browser down at scale. Line
+ * shapes are the same path strings generateMetroPaths produces, drawn as Path2D.
+ *
+ * A transparent SVG with the same viewBox sits on top. It is what svgRef points
+ * to, so the map controller's coordinate conversions and its direct viewBox
+ * updates while panning keep working (the canvas redraws when that viewBox
+ * changes), and it carries the cursor crosshair. Hover and clicks are
+ * hit-tested against the station markers and cluster badges.
+ * What is drawn at each zoom follows the level-of-detail policy (see utils/levelOfDetail),
+ * and labels go where utils/labelPlacement puts them.
+ */
+
+import React, { memo, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { CursorCrosshair, getRouteSegments } from './metro';
+import { LINES, ERAS, PATH_STROKE } from '../constants/metroConfig';
+import { isLineVisible } from '../utils/lineConfig';
+import { getTimeScale, getLineYPositions, TIME_SCALES, TIME_SCALE_LABELS } from '../utils/coordinates';
+import {
+  createSpatialIndex,
+  querySpatialIndex,
+  getCullBounds,
+  getStationBounds,
+  buildCausalLinks
+} from '../utils/viewportCulling';
+import {
+  getViewTransform,
+  screenToMapPoint,
+  layoutStationMarkers,
+  hitTestStations,
+  MIN_HIT_PIXELS
+} from '../utils/canvasMap';
+import {
+  DEFAULT_LOD_THRESHOLDS,
+  getLodPolicy,
+  getStationLabel,
+  collectHighlightedIds,
+  clusterHiddenStations,
+  getClusterSize,
+  getClusterBadge,
+  findClusterAt
+} from '../utils/levelOfDetail';
+import { LABEL_TEXT } from '../utils/labelPlacement';
+
+const DIMMED_OPACITY = 0.25;
+const LINE_DASH = 12000; // Same draw-in dash as MetroLine
+const SPAN_BAND_WIDTH = PATH_STROKE.main + 16;
+const SPAN_BRACKET_HEIGHT = SPAN_BAND_WIDTH + 12;
+const LABEL_FONT = LABEL_TEXT.fontFamily;
+
+// SVG text-anchor to canvas textAlign
+const TEXT_ALIGN = { start: 'left', middle: 'center', end: 'right' };
+
+// Path2D objects for path strings, created on first use
+function createPathCache() {
+  const cache = new Map();
+  return (d) => {
+    if (!cache.has(d)) cache.set(d, new Path2D(d));
+    return cache.get(d);
+  };
+}
+
+function parseViewBox(value) {
+  const [x, y, width, height] = (value || '').split(/[\s,]+/).map(Number);
+  return [x, y, width, height].every(Number.isFinite) && width > 0 && height > 0
+    ? { x, y, width, height }
+    : null;
+}
+
+function traceRoundRect(ctx, x, y, width, height) {
+  const r = height / 2;
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + width - r, y);
+  ctx.arc(x + width - r, y + r, r, -Math.PI / 2, Math.PI / 2);
+  ctx.lineTo(x + r, y + height);
+  ctx.arc(x + r, y + r, r, Math.PI / 2, (Math.PI * 3) / 2);
+  ctx.closePath();
+}
+
+function strokeCircle(ctx, x, y, r) {
+  ctx.beginPath();
+  ctx.arc(x, y, r, 0, Math.PI * 2);
+}
+
+function traceStar(ctx, cx, cy, r) {
+  ctx.beginPath();
+  for (let i = 0; i < 10; i++) {
+    const radius = i % 2 === 0 ? r : r * 0.45;
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    ctx.lineTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+  }
+  ctx.closePath();
+}
+
+/**
+ * Draw the whole map for a viewBox
+ * @param {CanvasRenderingContext2D} ctx - Context of the canvas
+ * @param {Object} scene - Props and derived data from the component
+ * @param {Object} viewBox - ViewBox to draw
+ * @param {{width: number, height: number, dpr: number}} size - Canvas size in CSS pixels and pixel ratio
+ */
+function drawMap(ctx, scene, viewBox, size) {
+  const {
+    lines, visibleLines, animationProgress, narrativeFocusLine, crisisLines, lineDrawOrder, lineYPositions,
+    getPath, linkIndex, stationIndex, route, routeStationIds, hoveredStation, selectedStation,
+    journeyMode, journeyIndex, journeyStations, searchMatchIds, filterMatchIds, comparedStationIds,
+    bookmarkedStationIds, showAllLabels, lodPolicy, clusters, labelPlacements, timeMarkers, timeScale,
+    VIEWBOX_WIDTH, VIEWBOX_HEIGHT
+  } = scene;
+  const { width, height, dpr } = size;
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, width * dpr, height * dpr);
+  const transform = getViewTransform(viewBox, width, height);
+  ctx.setTransform(transform.scale * dpr, 0, 0, transform.scale * dpr, transform.x * dpr, transform.y * dpr);
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  const bounds = getCullBounds(viewBox);
+  const isDimmed = routeStationIds !== null;
+  const clusterSize = getClusterSize(viewBox);
+
+  // Era bands, when the whole timeline is small
+  if (lodPolicy.eraBands) {
+    ctx.setLineDash([]);
+    ctx.textAlign = 'center';
+    Object.values(ERAS).forEach(era => {
+      const x0 = timeScale.yearToX(era.range[0]);
+      const x1 = timeScale.yearToX(era.range[1]);
+      const fontSize = Math.min(clusterSize * 1.5, (x1 - x0) / (era.label.length * 0.6));
+      ctx.fillStyle = era.color;
+      ctx.globalAlpha = 0.15;
+      ctx.fillRect(x0, 0, x1 - x0, VIEWBOX_HEIGHT);
+      ctx.globalAlpha = 1;
+      ctx.font = `700 ${fontSize}px ${LABEL_FONT}`;
+      ctx.fillText(era.label, (x0 + x1) / 2, fontSize * 1.5);
+    });
+  }
+
+  // Time axis
+  ctx.globalAlpha = 0.4;
+  ctx.strokeStyle = '#22d3ee';
+  ctx.fillStyle = '#22d3ee';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([5, 5]);
+  ctx.textAlign = 'center';
+  ctx.font = `bold 24px monospace`;
+  timeMarkers.forEach(marker => {
+    ctx.beginPath();
+    ctx.moveTo(marker.x, VIEWBOX_HEIGHT - 80);
+    ctx.lineTo(marker.x, VIEWBOX_HEIGHT);
+    ctx.stroke();
+    ctx.globalAlpha = 0.4 * 0.7;
+    ctx.fillText(marker.label, marker.x, VIEWBOX_HEIGHT - 20);
+    ctx.globalAlpha = 0.4;
+  });
+  ctx.globalAlpha = 0.4 * 0.5;
+  ctx.font = `bold 20px monospace`;
+  ctx.fillText(
+    `TIME (${TIME_SCALE_LABELS[timeScale.mode]} SCALE) • 12,025 YEARS OF HUMAN CIVILIZATION`.toUpperCase(),
+    VIEWBOX_WIDTH / 2,
+    VIEWBOX_HEIGHT - 5
+  );
+
+  // Causal links
+  ctx.globalAlpha = 0.2 * (isDimmed ? DIMMED_OPACITY : 1);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+  ctx.lineWidth = 2;
+  ctx.setLineDash([8, 4]);
+  querySpatialIndex(linkIndex, bounds).forEach(link => ctx.stroke(getPath(link.pathData)));
+
+  // Metro lines: shadow, main body, glowing core (braided lines add their strands)
+  const groupAlpha = isDimmed ? DIMMED_OPACITY : 1;
+  const dashOffset = LINE_DASH * (1 - animationProgress);
+  lineDrawOrder.forEach(([lineName, config]) => {
+    const path = scene.paths[config.id];
+    if (!path) return;
+    const main = typeof path === 'string' ? path : path.main;
+    const isVisible = isLineVisible(visibleLines, config.id);
+    const isFocus = narrativeFocusLine === config.id;
+    const isCrisis = config.alwaysCrisis || crisisLines.has(lineName);
+
+    const strokeLayer = (d, color, lineWidth, alpha, dashed) => {
+      if (!d || alpha <= 0) return;
+      ctx.globalAlpha = groupAlpha * alpha;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dashed ? [LINE_DASH, LINE_DASH] : []);
+      ctx.lineDashOffset = dashed ? dashOffset : 0;
+      ctx.stroke(getPath(d));
+    };
+
+    strokeLayer(main, config.colorDark, PATH_STROKE.background, isVisible ? 0.5 : 0.05, false);
+    if (typeof path === 'object') {
+      strokeLayer(path.braid1, config.colorMid, PATH_STROKE.braidMain, 0.6 * (isVisible ? 1 : 0.1), true);
+      strokeLayer(path.braid2, config.colorMid, PATH_STROKE.braidMain, 0.6 * (isVisible ? 1 : 0.1), true);
+    }
+    strokeLayer(main, config.colorMid, PATH_STROKE.main, isVisible ? (isFocus ? 1 : 0.6) : 0.1, true);
+    strokeLayer(
+      main,
+      isCrisis ? '#ef4444' : config.colorGlow || config.color,
+      isFocus ? PATH_STROKE.core + 2 : PATH_STROKE.core,
+      isVisible ? (isFocus ? 0.9 : 0.4) : 0,
+      true
+    );
+  });
+  ctx.lineDashOffset = 0;
+
+  const entries = querySpatialIndex(stationIndex, bounds);
+
+  // Station spans
+  entries.forEach(({ station: s, markers }) => {
+    if (!s.span) return;
+    const isActive = hoveredStation === s.id || selectedStation?.id === s.id;
+    const isFilteredOut = filterMatchIds !== null && !filterMatchIds.has(s.id);
+    const opacity = groupAlpha * (isActive ? 0.9 : 0.45) * (isFilteredOut ? DIMMED_OPACITY : 1);
+    const { startX, endX, circa } = s.span;
+    markers.forEach(({ y, color }) => {
+      ctx.strokeStyle = color;
+      ctx.lineCap = 'butt';
+      ctx.setLineDash([]);
+      ctx.globalAlpha = opacity * 0.35;
+      ctx.lineWidth = SPAN_BAND_WIDTH;
+      ctx.beginPath();
+      ctx.moveTo(startX, y);
+      ctx.lineTo(endX, y);
+      ctx.stroke();
+
+      ctx.lineCap = 'round';
+      ctx.globalAlpha = opacity;
+      ctx.lineWidth = 4;
+      ctx.setLineDash(circa ? [6, 6] : []);
+      [startX, endX].forEach(x => {
+        ctx.beginPath();
+        ctx.moveTo(x, y - SPAN_BRACKET_HEIGHT / 2);
+        ctx.lineTo(x, y + SPAN_BRACKET_HEIGHT / 2);
+        ctx.stroke();
+      });
+    });
+  });
+
+  // Clusters of the stations hidden at this zoom
+  ctx.setLineDash([]);
+  ctx.textAlign = 'center';
+  ctx.font = `700 ${clusterSize}px ${LABEL_FONT}`;
+  clusters.forEach(cluster => {
+    const badge = getClusterBadge(cluster, clusterSize);
+    traceRoundRect(ctx, badge.x, badge.y, badge.width, badge.height);
+    ctx.globalAlpha = groupAlpha * 0.85;
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fill();
+    ctx.globalAlpha = groupAlpha;
+    ctx.strokeStyle = cluster.color;
+    ctx.lineWidth = clusterSize * 0.15;
+    ctx.stroke();
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(badge.label, cluster.x, cluster.y + clusterSize * 0.35);
+  });
+
+  // Planned route
+  if (route) {
+    const { legs, transfers } = getRouteSegments(route, lines, lineYPositions);
+    ctx.globalAlpha = 0.85;
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = PATH_STROKE.main + 10;
+    legs.forEach(leg => ctx.stroke(getPath(leg.d)));
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = PATH_STROKE.main + 4;
+    legs.forEach(leg => {
+      ctx.strokeStyle = leg.color;
+      ctx.setLineDash(leg.isCausal ? [16, 10] : []);
+      ctx.stroke(getPath(leg.d));
+    });
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 6;
+    ctx.setLineDash([10, 6]);
+    transfers.forEach(t => {
+      ctx.beginPath();
+      ctx.moveTo(t.x, t.y1);
+      ctx.lineTo(t.x, t.y2);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    [legs[0]?.start, legs[legs.length - 1]?.end].filter(Boolean).forEach(point => {
+      strokeCircle(ctx, point.x, point.y, 28);
+      ctx.stroke();
+    });
+  }
+
+  // Stations, then their labels on top
+  const labels = [];
+  entries.forEach(({ station: s, markers, radius: baseRadius }) => {
+    const isHovered = hoveredStation === s.id;
+    const isSelected = selectedStation?.id === s.id;
+    const isInJourney = journeyMode && journeyStations[journeyIndex] === s.id;
+    const isSearchMatch = searchMatchIds?.has(s.id) ?? false;
+    const isOnRoute = routeStationIds?.has(s.id) ?? false;
+    const isCompared = comparedStationIds?.has(s.id) ?? false;
+    const isActive = isHovered || isSelected || isInJourney;
+    const isOffRoute = routeStationIds !== null && !isOnRoute;
+    const isFilteredOut = filterMatchIds !== null && !filterMatchIds.has(s.id);
+    const radius = isActive ? baseRadius * (4 / 3) : baseRadius;
+    const alpha = isOffRoute || isFilteredOut ? DIMMED_OPACITY : 1;
+    const topY = Math.min(...markers.map(m => m.y));
+
+    ctx.globalAlpha = alpha;
+    if (markers.length > 1) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.lineWidth = 4;
+      ctx.setLineDash([8, 8]);
+      ctx.beginPath();
+      ctx.moveTo(s.coords.x, topY);
+      ctx.lineTo(s.coords.x, Math.max(...markers.map(m => m.y)));
+      ctx.stroke();
+    }
+
+    markers.forEach(({ x, y, color }) => {
+      if (isActive) {
+        ctx.globalAlpha = alpha * 0.15;
+        ctx.fillStyle = color;
+        strokeCircle(ctx, x, y, radius * 2.5);
+        ctx.fill();
+        ctx.globalAlpha = alpha;
+      }
+      if (isCompared) {
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([6, 4]);
+        strokeCircle(ctx, x, y, radius * 1.8);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#0a0a0a';
+      ctx.strokeStyle = color;
+      ctx.lineWidth = isActive ? 6 : 4;
+      strokeCircle(ctx, x, y, radius);
+      ctx.fill();
+      ctx.stroke();
+      if (lodPolicy.innerDot || isActive) {
+        ctx.fillStyle = color;
+        strokeCircle(ctx, x, y, isActive ? 8 : 6);
+        ctx.fill();
+      }
+      if (s.significance === 'hub') {
+        ctx.fillStyle = '#ffffff';
+        strokeCircle(ctx, x, y, 3);
+        ctx.fill();
+      }
+    });
+
+    if (bookmarkedStationIds?.has(s.id)) {
+      const size = lodPolicy.markerScale < 1 ? 12 : 14;
+      traceStar(ctx, s.coords.x + size * 1.4, topY - size * 1.4, size);
+      ctx.fillStyle = '#fbbf24';
+      ctx.strokeStyle = '#0a0a0a';
+      ctx.lineWidth = 2;
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    const label = getStationLabel(lodPolicy, s, {
+      isActive,
+      isRequested: showAllLabels || isSearchMatch || isOnRoute || isCompared
+    });
+    if (label) {
+      labels.push({
+        s,
+        label,
+        isActive,
+        alpha,
+        placement: labelPlacements[s.id] || { x: s.coords.x, y: topY - 30, textAnchor: 'middle', leader: null },
+        color: markers[0].color
+      });
+    }
+  });
+
+  ctx.setLineDash([]);
+  labels.forEach(({ s, label, isActive, alpha, placement, color }) => {
+    const { x, y, textAnchor, leader } = placement;
+    if (leader) {
+      ctx.globalAlpha = alpha * 0.5;
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(leader.x1, leader.y1);
+      ctx.lineTo(leader.x2, leader.y2);
+      ctx.stroke();
+    }
+
+    const name = label.text;
+    ctx.textAlign = TEXT_ALIGN[textAnchor];
+    ctx.font = `700 ${isActive ? LABEL_TEXT.activeNameSize : LABEL_TEXT.nameSize}px ${LABEL_FONT}`;
+    ctx.globalAlpha = alpha * 0.5;
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 6;
+    ctx.strokeText(name, x, y);
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(name, x, y);
+    let lineY = y;
+    if (label.showYear) {
+      lineY += LABEL_TEXT.yearStep;
+      ctx.font = `600 ${LABEL_TEXT.yearSize}px ${LABEL_FONT}`;
+      ctx.fillStyle = color;
+      ctx.fillText(s.yearLabel, x, lineY);
+    }
+    ctx.font = `${LABEL_TEXT.insightSize}px ${LABEL_FONT}`;
+    ctx.fillStyle = '#a3a3a3';
+    label.insightLines.forEach((line, idx) => ctx.fillText(line, x, lineY + (idx + 1) * LABEL_TEXT.insightStep));
+  });
+  ctx.textAlign = 'center';
+  ctx.globalAlpha = 1;
+}
+
+const CanvasMapRenderer = memo(function CanvasMapRenderer({
+  svgRef,
+  viewBox,
+  paths,
+  lines = LINES,
+  stations,
+  filteredStations,
+  visibleLines,
+  animationProgress,
+  narrativeFocusLine,
+  hoveredStation,
+  selectedStation,
+  journeyMode,
+  journeyIndex,
+  journeyStations,
+  searchMatchIds,
+  filterMatchIds = null,
+  comparedStationIds = null,
+  bookmarkedStationIds = null,
+  showAllLabels,
+  currentZoom,
+  labelPlacements = {},
+  timeMarkers,
+  route,
+  lodThresholds = DEFAULT_LOD_THRESHOLDS,
+  timeScale = getTimeScale(TIME_SCALES.PIECEWISE),
+  screenToSVG,
+  isPanning,
+  VIEWBOX_WIDTH,
+  VIEWBOX_HEIGHT,
+  onStationHover,
+  onStationSelect,
+  onStationJourneyGoTo,
+  onStationCompare,
+  onStationDragStart,
+  onClusterExpand
+}) {
+  const canvasRef = useRef(null);
+  const viewBoxRef = useRef(viewBox);
+  const sizeRef = useRef(null);
+  const frameRef = useRef(null);
+  const pressedRef = useRef(null);
+  const [isOverCluster, setIsOverCluster] = useState(false);
+
+  // Same derived layout as MapRenderer
+  const lineYPositions = useMemo(() => getLineYPositions(lines), [lines]);
+  const lineDrawOrder = useMemo(() => Object.entries(lines).reverse(), [lines]);
+  const crisisLines = useMemo(() => {
+    const names = new Set();
+    stations.forEach(s => {
+      if (s.significance === 'crisis') s.lines.forEach(line => names.add(line));
+    });
+    return names;
+  }, [stations]);
+  const routeStationIds = useMemo(() => (route ? new Set(route.stationIds) : null), [route]);
+
+  // Level of detail: which stations, labels and extras this zoom shows
+  const lodPolicy = getLodPolicy(currentZoom, lodThresholds);
+  const highlightedIds = useMemo(() => collectHighlightedIds(
+    selectedStation?.id,
+    journeyMode ? journeyStations[journeyIndex] : null,
+    searchMatchIds,
+    bookmarkedStationIds,
+    routeStationIds,
+    comparedStationIds
+  ), [selectedStation, journeyMode, journeyStations, journeyIndex, searchMatchIds, bookmarkedStationIds, routeStationIds, comparedStationIds]);
+
+  // Marker layout and spatial indexes; drawing and hit-testing only look at what is near
+  const stationIndex = useMemo(() => createSpatialIndex(
+    layoutStationMarkers(filteredStations, { lines, visibleLines, lineYPositions, lodPolicy, highlightedIds }),
+    entry => getStationBounds(entry.station, lineYPositions)
+  ), [filteredStations, lines, visibleLines, lineYPositions, lodPolicy, highlightedIds]);
+
+  // Stations the tier hides, gathered into "+N stations" markers
+  const clusters = useMemo(() => clusterHiddenStations(filteredStations, {
+    policy: lodPolicy, lines, visibleLines, lineYPositions, viewBox, highlightedIds
+  }), [filteredStations, lodPolicy, lines, visibleLines, lineYPositions, viewBox, highlightedIds]);
+
+  const linkIndex = useMemo(() => {
+    const shownIds = new Set(filteredStations.map(s => s.id));
+    const links = buildCausalLinks(stations, lineYPositions)
+      .filter(link => shownIds.has(link.sourceId) && shownIds.has(link.targetId));
+    return createSpatialIndex(links, link => link.bounds);
+  }, [stations, filteredStations, lineYPositions]);
+
+  // Path2D objects are reused until the line shapes or links change
+  const getPath = useMemo(() => createPathCache(), [paths, linkIndex]);
+
+  // Everything drawMap needs, read at draw time so animation frames see the latest props
+  const sceneRef = useRef(null);
+  sceneRef.current = {
+    lines, paths, visibleLines, animationProgress, narrativeFocusLine, crisisLines, lineDrawOrder,
+    lineYPositions, getPath, linkIndex, stationIndex, route, routeStationIds, hoveredStation,
+    selectedStation, journeyMode, journeyIndex, journeyStations, searchMatchIds, filterMatchIds,
+    comparedStationIds, bookmarkedStationIds, showAllLabels, lodPolicy, clusters, labelPlacements, timeMarkers,
+    timeScale, VIEWBOX_WIDTH, VIEWBOX_HEIGHT
+  };
+
+  const requestDraw = useCallback(() => {
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      const ctx = canvasRef.current?.getContext('2d');
+      if (!ctx || !sizeRef.current || typeof Path2D === 'undefined') return;
+      drawMap(ctx, sceneRef.current, viewBoxRef.current, sizeRef.current);
+    });
+  }, []);
+
+  useEffect(() => () => {
+    if (frameRef.current) cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  // Redraw on any prop change
+  useEffect(() => {
+    viewBoxRef.current = viewBox;
+    requestDraw();
+  });
+
+  // Follow the canvas size (and the device pixel ratio) for a sharp picture
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+
+    const resize = () => {
+      const rect = canvas.getBoundingClientRect();
+      const dpr = window.devicePixelRatio || 1;
+      sizeRef.current = { width: rect.width, height: rect.height, dpr };
+      canvas.width = Math.round(rect.width * dpr);
+      canvas.height = Math.round(rect.height * dpr);
+      requestDraw();
+    };
+    resize();
+
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(resize);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [requestDraw]);
+
+  // The map controller writes the overlay's viewBox directly while panning; follow it
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || typeof MutationObserver === 'undefined') return undefined;
+
+    const observer = new MutationObserver(() => {
+      const next = parseViewBox(svg.getAttribute('viewBox'));
+      if (next) {
+        viewBoxRef.current = next;
+        requestDraw();
+      }
+    });
+    observer.observe(svg, { attributes: true, attributeFilter: ['viewBox'] });
+    return () => observer.disconnect();
+  }, [svgRef, requestDraw]);
+
+  // Station under the mouse, or else the cluster badge under it
+  const hitTest = useCallback((e) => {
+    const svg = svgRef.current;
+    if (!svg) return { station: null, cluster: null };
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width || !rect.height) return { station: null, cluster: null };
+    const transform = getViewTransform(viewBoxRef.current, rect.width, rect.height);
+    const point = screenToMapPoint(transform, e.clientX - rect.left, e.clientY - rect.top);
+    const near = querySpatialIndex(stationIndex, { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y });
+    const station = hitTestStations(near, point, MIN_HIT_PIXELS / transform.scale);
+    return {
+      station,
+      cluster: station ? null : findClusterAt(clusters, point, getClusterSize(viewBoxRef.current))
+    };
+  }, [svgRef, stationIndex, clusters]);
+
+  const handleMouseMove = (e) => {
+    if (isPanning) return;
+    const { station, cluster } = hitTest(e);
+    const id = station?.id ?? null;
+    if (id !== hoveredStation) onStationHover(id);
+    setIsOverCluster(Boolean(cluster && onClusterExpand));
+  };
+
+  const handleMouseLeave = () => {
+    if (hoveredStation) onStationHover(null);
+    setIsOverCluster(false);
+  };
+
+  // Presses on a station or cluster must not start a pan (or start a drag in authoring mode)
+  const handleMouseDown = (e) => {
+    const target = hitTest(e);
+    pressedRef.current = target;
+    if (target.station && onStationDragStart) {
+      onStationDragStart(target.station, e);
+    } else if (target.station || target.cluster) {
+      e.stopPropagation();
+    }
+  };
+
+  const handleClick = (e) => {
+    const { station, cluster } = hitTest(e);
+    const pressed = pressedRef.current;
+    pressedRef.current = null;
+
+    // Ignore clicks that end a pan started elsewhere
+    if (cluster && pressed?.cluster?.key === cluster.key) {
+      e.stopPropagation();
+      onClusterExpand?.(cluster);
+      return;
+    }
+    if (!station || pressed?.station?.id !== station.id) return;
+    e.stopPropagation();
+
+    // Shift-click adds the station to the comparison instead of selecting it
+    if (e.shiftKey && onStationCompare) {
+      onStationCompare(station);
+      return;
+    }
+    onStationSelect(station);
+    if (journeyMode) {
+      const jdx = journeyStations.indexOf(station.id);
+      if (jdx !== -1) onStationJourneyGoTo(jdx, station);
+    }
+  };
+
+  const cursor = hoveredStation ? (onStationDragStart ? 'ew-resize' : 'pointer') : isOverCluster ? 'zoom-in' : undefined;
+
+  return (
+    <div className="w-full h-full relative z-10">
+      <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" aria-hidden="true" />
+      <svg
+        ref={svgRef}
+        className="absolute inset-0 w-full h-full"
+        viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`}
+        preserveAspectRatio="xMidYMid meet"
+        style={{ cursor }}
+        data-renderer="canvas"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={handleMouseLeave}
+        onMouseDown={handleMouseDown}
+        onClick={handleClick}
+      >
+        {/* Year readout under the mouse */}
+        {screenToSVG && (
+          <CursorCrosshair
+            svgRef={svgRef}
+            screenToSVG={screenToSVG}
+            xToYear={timeScale.xToYear}
+            viewBox={viewBox}
+            isPanning={isPanning}
+          />
+        )}
+      </svg>
+    </div>
+  );
+});
+
+export default CanvasMapRenderer;
@@ -0,0 +1,24 @@
+/**
+ * HighlightedText Component
+ * Renders text segments from utils/stationSearch with the matched parts marked
+ */
+
+import React, { memo } from 'react';
+
+/**
+ * Highlighted text
+ * @param {Array<{text: string, match: boolean}>} segments - From highlightSegments or createSnippet
+ * @param {string} [markClassName] - Classes for the matched parts
+ */
+const HighlightedText = memo(function HighlightedText({
+  segments,
+  markClassName = 'bg-cyan-400/25 text-inherit rounded-sm px-0.5 -mx-0.5'
+}) {
+  return segments.map((segment, idx) => (
+    segment.match
+      ? <mark key={idx} className={markClassName}>{segment.text}</mark>
+      : <React.Fragment key={idx}>{segment.text}</React.Fragment>
+  ));
+});
+
+export default HighlightedText;
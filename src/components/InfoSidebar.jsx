@@ -6,27 +6,32 @@
  * - Displays detailed information about selected stations
  * - Mobile-responsive with bottom-sheet behavior
  * - Includes journey navigation when in journey mode
+ * - Shows the step-by-step itinerary of a planned route
+ * - Lays out shift-clicked stations side by side for comparison
+ * - Swaps the station content for an edit form in authoring mode
+ * - Stars stations and keeps personal notes on them
  */
 
 import React, { memo } from 'react';
-import { X, TrendingUp, BookOpen, Info, ChevronRight } from 'lucide-react';
-
-/**
- * Line color configuration
- */
-const LINE_COLORS = {
-  'Tech': 'bg-cyan-900/30 border-cyan-700/50 text-cyan-300',
-  'Population': 'bg-green-900/30 border-green-700/50 text-green-300',
-  'War': 'bg-red-900/30 border-red-700/50 text-red-300',
-  'Empire': 'bg-purple-900/30 border-purple-700/50 text-purple-300',
-  'Philosophy': 'bg-amber-900/30 border-amber-700/50 text-amber-300'
-};
+import { X, TrendingUp, BookOpen, Info, ChevronRight, Navigation, GitBranch, Star, StickyNote } from 'lucide-react';
+import { LINES } from '../constants/metroConfig';
+import { getLineBadgeStyle } from '../utils/lineConfig';
+import { CAUSAL_LINK, ROUTE_MODE_LABELS } from '../utils/routePlanner';
+import { getYearSpan, formatYearRange, formatDuration } from '../utils/years';
+import { highlightSegments } from '../utils/stationSearch';
+import { MAX_NOTE_LENGTH } from '../utils/bookmarks';
+import StationEditorForm from './StationEditorForm';
+import HighlightedText from './HighlightedText';
+import StationComparison from './StationComparison';
 
 /**
  * Station Header Component
- * Displays station icon, name, year, and line badges
+ * Displays station icon, name, year, span, and line badges
+ * @param {Object} [matches] - Search highlight ranges by field (from the station's search result)
  */
-const StationHeader = memo(function StationHeader({ station }) {
+const StationHeader = memo(function StationHeader({ station, lines = LINES, matches }) {
+  const span = getYearSpan(station);
+
   return (
     <div className="flex items-start gap-4 mb-6">
       <div className="p-4 bg-gradient-to-br from-neutral-900 to-neutral-950 rounded-xl border border-neutral-800 shadow-inner">
@@ -37,7 +42,7 @@ const StationHeader = memo(function StationHeader({ station }) {
           Station ID: {station.yearLabel}
         </div>
         <h2 className="text-3xl font-bold text-white leading-tight mb-3">
-          {station.name}
+          <HighlightedText segments={highlightSegments(station.name, matches?.name)} />
         </h2>
         
         {/* Quick Stats */}
@@ -52,12 +57,27 @@ const StationHeader = memo(function StationHeader({ station }) {
               </div>
             </div>
           )}
+          {span && (
+            <div className="px-3 py-1.5 bg-amber-900/30 border border-amber-700/50 rounded-lg">
+              <div className="text-[10px] uppercase tracking-widest text-amber-400 mb-0.5">
+                Duration
+              </div>
+              <div className="text-sm font-bold text-amber-300">
+                {formatDuration(span)}
+              </div>
+              <div className="text-[10px] font-mono text-amber-400/80">
+                {formatYearRange(span)}
+              </div>
+            </div>
+          )}
           {station.lines && (
             <div className="flex flex-wrap gap-1.5">
               {station.lines.map((line, idx) => (
                 <span 
                   key={idx}
-                  className={`px-2.5 py-1 text-[10px] uppercase tracking-widest border rounded-full ${LINE_COLORS[line] || 'bg-neutral-800 border-neutral-700 text-cyan-300'}`}
+                  className={`px-2.5 py-1 text-[10px] uppercase tracking-widest border rounded-full ${lines[line] ? '' : 'bg-neutral-800 border-neutral-700 text-cyan-300'}`}
+                  style={lines[line] ? getLineBadgeStyle(lines[line]) : undefined}
+                  title={lines[line]?.name}
                 >
                   {line}
                 </span>
@@ -73,8 +93,13 @@ const StationHeader = memo(function StationHeader({ station }) {
 /**
  * Station Content Component
  * Displays visual, atmosphere, insight, and details sections
+ * @param {Object} [matches] - Search highlight ranges by field (from the station's search result)
  */
-const StationContent = memo(function StationContent({ station }) {
+const StationContent = memo(function StationContent({ station, matches }) {
+  const highlight = (field) => (
+    <HighlightedText segments={highlightSegments(station[field] || '', matches?.[field])} />
+  );
+
   return (
     <div className="space-y-6">
       {/* Visual Analysis - Most Important First */}
@@ -83,7 +108,7 @@ const StationContent = memo(function StationContent({ station }) {
           <TrendingUp size={16} /> What You're Seeing
         </h3>
         <p className="text-neutral-200 leading-relaxed pl-5 border-l-3 border-purple-500/60 text-base">
-          {station.visual}
+          {highlight('visual')}
         </p>
       </div>
 
@@ -93,7 +118,7 @@ const StationContent = memo(function StationContent({ station }) {
           <BookOpen size={16} /> The Experience
         </h3>
         <p className="text-lg font-serif italic text-cyan-100/90 leading-relaxed">
-          "{station.atmosphere}"
+          "{highlight('atmosphere')}"
         </p>
       </div>
 
@@ -103,19 +128,19 @@ const StationContent = memo(function StationContent({ station }) {
           <Info size={16} /> Key Insight
         </h3>
         <p className="text-neutral-100 leading-relaxed text-base font-medium">
-          {station.insight}
+          {highlight('insight')}
         </p>
       </div>
 
       {/* Details - Expandable Context */}
-      <details className="group">
+      <details className="group" open={Boolean(matches?.details) || undefined}>
         <summary className="cursor-pointer text-xs uppercase tracking-widest text-neutral-500 mb-3 flex items-center gap-2 hover:text-cyan-400 transition-colors list-none">
           <ChevronRight className="w-4 h-4 transform group-open:rotate-90 transition-transform" />
           <span>Full Context</span>
         </summary>
         <div className="mt-3 p-4 bg-black/30 rounded-lg border border-white/5">
           <p className="text-sm text-neutral-400 leading-relaxed font-mono">
-            {station.details}
+            {highlight('details')}
           </p>
         </div>
       </details>
@@ -125,21 +150,26 @@ const StationContent = memo(function StationContent({ station }) {
 
 /**
  * Journey Navigation Component
- * Navigation controls for journey mode
+ * Navigation controls for journey mode, with the tour title and the stop's caption
  */
 const JourneyNavigation = memo(function JourneyNavigation({
   journeyIndex,
   journeyStationsLength,
+  tourTitle,
+  caption,
   onNavigateJourney
 }) {
   return (
     <div className="mt-8 pt-6 border-t border-cyan-900/30">
       <div className="flex items-center justify-between mb-3">
-        <span className="text-xs text-cyan-400">Journey Progress</span>
+        <span className="text-xs text-cyan-400">{tourTitle || 'Journey Progress'}</span>
         <span className="text-xs text-neutral-500">
           {journeyIndex + 1} / {journeyStationsLength}
         </span>
       </div>
+      {caption && (
+        <p className="text-sm text-cyan-100/90 leading-relaxed mb-4">{caption}</p>
+      )}
       <div className="flex gap-2">
         <button
           onClick={() => onNavigateJourney('prev')}
@@ -158,6 +188,135 @@ const JourneyNavigation = memo(function JourneyNavigation({
   );
 });
 
+/**
+ * Station Notes Component
+ * Free-text personal notes on the station, saved as they are typed
+ */
+const StationNotes = memo(function StationNotes({ station, note, onNoteChange }) {
+  const inputId = `station-note-${station.id}`;
+
+  return (
+    <div className="mt-8 pt-6 border-t border-cyan-900/30">
+      <label htmlFor={inputId} className="text-xs uppercase tracking-widest text-cyan-400 mb-3 flex items-center gap-2 font-bold">
+        <StickyNote size={16} /> My Notes
+      </label>
+      <textarea
+        id={inputId}
+        value={note}
+        onChange={(e) => onNoteChange(station.id, e.target.value)}
+        // Keep arrow keys for the caret instead of panning the map; Escape still closes the sidebar
+        onKeyDown={(e) => { if (e.key !== 'Escape') e.stopPropagation(); }}
+        maxLength={MAX_NOTE_LENGTH}
+        rows={3}
+        placeholder="Add a note for yourself…"
+        className="w-full px-3 py-2 bg-neutral-900/60 border border-neutral-800 rounded-lg text-sm text-neutral-200 placeholder-neutral-600 focus:outline-none focus:border-cyan-500 resize-y"
+      />
+    </div>
+  );
+});
+
+/**
+ * Route Actions Component
+ * Use the selected station as a route endpoint
+ */
+const RouteActions = memo(function RouteActions({ station, onRouteFrom, onRouteTo }) {
+  return (
+    <div className="mt-8 pt-6 border-t border-cyan-900/30 flex gap-2">
+      <button
+        onClick={() => onRouteFrom(station.id)}
+        className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-neutral-800 hover:bg-neutral-700 rounded text-sm text-white transition-colors"
+      >
+        <Navigation size={14} /> Route from here
+      </button>
+      <button
+        onClick={() => onRouteTo(station.id)}
+        className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-neutral-800 hover:bg-neutral-700 rounded text-sm text-white transition-colors"
+      >
+        <Navigation size={14} className="rotate-180" /> Route to here
+      </button>
+    </div>
+  );
+});
+
+/**
+ * Route Itinerary Component
+ * Step-by-step directions for a planned route, one block per leg
+ */
+const RouteItinerary = memo(function RouteItinerary({ route, lines = LINES, onSelectStation, onClearRoute }) {
+  const origin = route.stations[0];
+  const destination = route.stations[route.stations.length - 1];
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-xs uppercase tracking-widest text-cyan-400 flex items-center gap-2 font-bold">
+          <Navigation size={16} /> Route
+        </h3>
+        <button
+          onClick={onClearRoute}
+          className="text-[10px] text-cyan-500 hover:text-cyan-300 uppercase tracking-wider"
+        >
+          Clear route
+        </button>
+      </div>
+      <p className="text-sm text-neutral-300 mb-1">
+        {origin.name} → {destination.name}
+      </p>
+      <p className="text-xs text-neutral-500 mb-4">
+        {ROUTE_MODE_LABELS[route.mode]} · {route.stops} stop{route.stops === 1 ? '' : 's'} · {route.transfers} transfer{route.transfers === 1 ? '' : 's'}
+      </p>
+
+      {route.legs.length === 0 && (
+        <p className="text-sm text-neutral-400">You are already there.</p>
+      )}
+
+      <ol className="space-y-3">
+        {route.legs.map((leg, idx) => {
+          const isCausal = leg.via === CAUSAL_LINK;
+          const color = isCausal ? '#e5e5e5' : lines[leg.via]?.color ?? '#9ca3af';
+          const hops = leg.stations.length - 1;
+
+          return (
+            <li key={`${leg.via}-${idx}`}>
+              {idx > 0 && (
+                <div className="text-[10px] uppercase tracking-widest text-neutral-500 mb-2 pl-4">
+                  Change at {leg.stations[0].name}
+                </div>
+              )}
+              <div className="p-3 rounded-lg bg-neutral-900/60 border border-neutral-800">
+                <div className="flex items-center gap-2 mb-2 text-xs font-bold text-white">
+                  {isCausal ? (
+                    <GitBranch size={14} className="text-neutral-300" />
+                  ) : (
+                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: color }} />
+                  )}
+                  <span>{isCausal ? 'Follow causal link' : `Ride ${leg.via}`}</span>
+                  <span className="ml-auto font-normal text-neutral-500">
+                    {hops} stop{hops === 1 ? '' : 's'}
+                  </span>
+                </div>
+                <ol className="pl-1.5 border-l-2 space-y-1" style={{ borderColor: color, borderStyle: isCausal ? 'dashed' : 'solid' }}>
+                  {leg.stations.map((station, stationIdx) => (
+                    <li key={`${station.id}-${stationIdx}`}>
+                      <button
+                        onClick={() => onSelectStation(station)}
+                        className="w-full text-left pl-2 py-0.5 rounded text-xs text-neutral-300 hover:text-white hover:bg-neutral-800 transition-colors"
+                      >
+                        <span className="font-mono text-cyan-500 mr-2">{station.yearLabel}</span>
+                        {station.name}
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+});
+
 /**
  * Sidebar Footer Component
  * Bottom footer for the sidebar
@@ -179,63 +338,161 @@ const SidebarFooter = memo(function SidebarFooter() {
 const InfoSidebar = memo(function InfoSidebar({
   // Station data
   activeData,
+  lines = LINES,
+  searchMatches,
   
   // Journey state
   journeyMode,
   journeyIndex,
   journeyStations,
+  activeTour,
+  
+  // Route planner
+  route,
+  
+  // Comparison (from compareStations; null when nothing is compared)
+  comparison,
+  
+  // Bookmarks and notes
+  isBookmarked = false,
+  note = '',
+  onToggleBookmark,
+  onNoteChange,
+  
+  // Authoring mode
+  editingStation,
+  editorStations,
+  editorIssues,
+  onEditStation,
+  onRenameStation,
+  onDeleteStation,
   
   // Actions
   onClose,
-  onNavigateJourney
+  onNavigateJourney,
+  onSelectStation,
+  onRouteFrom,
+  onRouteTo,
+  onClearRoute,
+  onRemoveComparedStation,
+  onClearComparison
 }) {
+  const isComparing = Boolean(comparison);
+  const isOpen = Boolean(activeData || route || isComparing);
+
   return (
     <div 
       className={`
         absolute right-0 
-        ${activeData ? 'bottom-0 md:top-0 md:bottom-auto' : 'bottom-[-100vh] md:top-0 md:bottom-auto'}
+        ${isOpen ? 'bottom-0 md:top-0 md:bottom-auto' : 'bottom-[-100vh] md:top-0 md:bottom-auto'}
         h-[80vh] md:h-full
-        w-full md:w-[420px] max-w-md
+        w-full ${isComparing ? 'md:w-[640px] max-w-2xl' : 'md:w-[420px] max-w-md'}
         bg-neutral-950/97 backdrop-blur-xl 
         border-t md:border-t-0 md:border-l border-cyan-900/50
         rounded-t-2xl md:rounded-none
         shadow-[-10px_0_30px_rgba(0,0,0,0.9)] z-30
         transition-transform duration-500 ease-[cubic-bezier(0.23,1,0.32,1)]
-        ${activeData ? 'translate-y-0 md:translate-x-0' : 'translate-y-full md:translate-x-full'}
+        ${isOpen ? 'translate-y-0 md:translate-x-0' : 'translate-y-full md:translate-x-full'}
       `}
       role="complementary"
       aria-label="Station details sidebar"
-      aria-hidden={!activeData}
+      aria-hidden={!isOpen}
     >
-      {activeData && (
+      {isOpen && (
         <div className="flex flex-col h-full relative">
           {/* Close Button */}
           <button 
             onClick={onClose}
             className="absolute top-4 right-4 p-2 text-neutral-500 hover:text-white hover:bg-neutral-800 rounded-full transition-colors z-10"
-            aria-label="Close station details"
+            aria-label={isComparing ? 'Close comparison' : activeData ? 'Close station details' : 'Close route'}
           >
             <X size={20} />
           </button>
 
+          {/* Bookmark Toggle */}
+          {activeData && !isComparing && onToggleBookmark && (
+            <button
+              onClick={() => onToggleBookmark(activeData.id)}
+              className={`absolute top-4 right-14 p-2 rounded-full transition-colors z-10 ${isBookmarked ? 'text-amber-400 hover:bg-neutral-800' : 'text-neutral-500 hover:text-white hover:bg-neutral-800'}`}
+              aria-label={isBookmarked ? `Remove bookmark from ${activeData.name}` : `Bookmark ${activeData.name}`}
+              aria-pressed={isBookmarked}
+              title={isBookmarked ? 'Remove bookmark' : 'Bookmark'}
+            >
+              <Star size={20} fill={isBookmarked ? 'currentColor' : 'none'} />
+            </button>
+          )}
+
           {/* Content */}
           <div className="p-8 overflow-y-auto custom-scrollbar">
-            {/* Station Header */}
-            <StationHeader station={activeData} />
+            {/* Route Itinerary (when a route is planned) */}
+            {route && (
+              <RouteItinerary
+                route={route}
+                lines={lines}
+                onSelectStation={onSelectStation}
+                onClearRoute={onClearRoute}
+              />
+            )}
 
-            {/* Divider */}
-            <div className="h-px w-full bg-gradient-to-r from-cyan-900 via-cyan-500/50 to-cyan-900 mb-6"></div>
+            {/* Station Comparison (replaces the single station while active) */}
+            {isComparing && (
+              <StationComparison
+                comparison={comparison}
+                lines={lines}
+                onSelectStation={onSelectStation}
+                onRemoveStation={onRemoveComparedStation}
+                onClear={onClearComparison}
+              />
+            )}
 
-            {/* Station Content */}
-            <StationContent station={activeData} />
+            {activeData && !isComparing && (
+              <>
+                {/* Station Header */}
+                <StationHeader station={activeData} lines={lines} matches={searchMatches} />
 
-            {/* Journey Navigation (when in journey mode) */}
-            {journeyMode && (
-              <JourneyNavigation
-                journeyIndex={journeyIndex}
-                journeyStationsLength={journeyStations.length}
-                onNavigateJourney={onNavigateJourney}
-              />
+                {/* Divider */}
+                <div className="h-px w-full bg-gradient-to-r from-cyan-900 via-cyan-500/50 to-cyan-900 mb-6"></div>
+
+                {editingStation ? (
+                  /* Station Editor (authoring mode) */
+                  <StationEditorForm
+                    key={editingStation.id}
+                    station={editingStation}
+                    stations={editorStations}
+                    lines={lines}
+                    issues={editorIssues}
+                    onChange={onEditStation}
+                    onRename={onRenameStation}
+                    onDelete={onDeleteStation}
+                  />
+                ) : (
+                  <>
+                    {/* Station Content */}
+                    <StationContent station={activeData} matches={searchMatches} />
+
+                    {/* Personal Notes */}
+                    {onNoteChange && (
+                      <StationNotes station={activeData} note={note} onNoteChange={onNoteChange} />
+                    )}
+
+                    {/* Route Endpoints */}
+                    {onRouteFrom && onRouteTo && (
+                      <RouteActions station={activeData} onRouteFrom={onRouteFrom} onRouteTo={onRouteTo} />
+                    )}
+                  </>
+                )}
+
+                {/* Journey Navigation (when in journey mode) */}
+                {journeyMode && (
+                  <JourneyNavigation
+                    journeyIndex={journeyIndex}
+                    journeyStationsLength={journeyStations.length}
+                    tourTitle={activeTour?.title}
+                    caption={activeTour?.stops[journeyIndex]?.caption}
+                    onNavigateJourney={onNavigateJourney}
+                  />
+                )}
+              </>
             )}
           </div>
 
@@ -248,7 +505,7 @@ const InfoSidebar = memo(function InfoSidebar({
 });
 
 // Named exports for sub-components
-export { StationHeader, StationContent, JourneyNavigation, SidebarFooter };
+export { StationHeader, StationContent, StationNotes, JourneyNavigation, RouteActions, RouteItinerary, SidebarFooter };
 
 // Default export for main component
 export default InfoSidebar;
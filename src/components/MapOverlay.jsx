@@ -10,8 +10,32 @@
  * core map logic when tweaking UI.
  */
 
-import React, { memo } from 'react';
-import { Search, Filter, Map, HelpCircle, X, Play } from 'lucide-react';
+import React, { memo, useMemo, useRef, useState } from 'react';
+import { Search, Filter, Map, HelpCircle, X, Play, FileUp, RotateCcw, Navigation, ArrowUpDown, Download, Pencil, Calendar, ListOrdered, MonitorPlay, Star } from 'lucide-react';
+import { LINES, TIMELINE } from '../constants/metroConfig';
+import { isLineVisible } from '../utils/lineConfig';
+import { TIME_SCALES, TIME_SCALE_LABELS, TIME_SCALE_DESCRIPTIONS } from '../utils/coordinates';
+import { RENDERERS, RENDERER_LABELS, RENDERER_DESCRIPTIONS } from '../utils/canvasMap';
+import { ROUTE_MODES, ROUTE_MODE_LABELS } from '../utils/routePlanner';
+import { EXPORT_FORMATS, EXPORT_SCOPES, PNG_WIDTHS } from '../utils/mapExport';
+import { formatYearLabel, parseYearInput } from '../utils/years';
+import { highlightSegments, createSnippet } from '../utils/stationSearch';
+import {
+  FILTER_OPS,
+  FILTER_TYPES,
+  FILTER_TYPE_LABELS,
+  createFilterCondition,
+  addFilterCondition,
+  updateFilterCondition,
+  removeFilterCondition,
+  isFilterActive
+} from '../utils/stationFilter';
+import { SIGNIFICANCE_LEVELS } from '../data/stationSchema';
+import HighlightedText from './HighlightedText';
+import TimelineBrush from './TimelineBrush';
+import TourBuilder from './TourBuilder';
+import BookmarksPanel from './BookmarksPanel';
+import NarratorSettings from './NarratorSettings';
 
 /**
  * Search Input Component
@@ -55,25 +79,65 @@ const SearchInput = memo(function SearchInput({
   );
 });
 
+/**
+ * Go To Year Component
+ * Centers the view on a typed year ("1348", "3000 BCE")
+ */
+const YearJump = memo(function YearJump({ onGoToYear, announce }) {
+  const [value, setValue] = useState('');
+  const [isInvalid, setIsInvalid] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const year = parseYearInput(value);
+    if (year === null) {
+      setIsInvalid(true);
+      announce('Type a year like 1348 or 3000 BCE');
+      return;
+    }
+    const clamped = Math.min(TIMELINE.END, Math.max(TIMELINE.START, year));
+    setIsInvalid(false);
+    onGoToYear(clamped);
+    announce(`Centered on ${formatYearLabel(clamped)}`);
+  };
+
+  return (
+    <form className="relative" onSubmit={handleSubmit} role="search" aria-label="Go to year">
+      <Calendar className="absolute left-2.5 top-1/2 transform -translate-y-1/2 w-4 h-4 text-cyan-400/60" />
+      <input
+        type="text"
+        aria-label="Go to year"
+        aria-invalid={isInvalid}
+        title="Go to year, e.g. 1348 or 3000 BCE"
+        value={value}
+        onChange={(e) => { setValue(e.target.value); setIsInvalid(false); }}
+        placeholder="Go to year"
+        className={`pl-8 pr-2 py-1.5 bg-neutral-900/90 backdrop-blur-md border rounded-lg text-white text-sm placeholder-cyan-400/40 focus:outline-none w-32 ${isInvalid ? 'border-red-500/70 focus:border-red-500' : 'border-cyan-900/50 focus:border-cyan-500'}`}
+        autoComplete="off"
+      />
+    </form>
+  );
+});
+
 /**
  * Search Results Dropdown Component
- * Displays filtered station results
+ * Displays ranked search results with the matched words highlighted
  */
 const SearchResults = memo(function SearchResults({
-  filteredStations,
+  results,
   onSelectStation,
   announce
 }) {
-  if (!filteredStations || filteredStations.length === 0) return null;
+  if (!results || results.length === 0) return null;
 
   return (
     <div
       id="station-finder-results"
       role="listbox"
-      aria-label={`${filteredStations.length} stations found`}
+      aria-label={`${results.length} stations found`}
       className="w-64 max-h-80 overflow-y-auto bg-neutral-900/95 backdrop-blur-md border border-cyan-900/50 rounded-lg shadow-2xl"
     >
-      {filteredStations.slice(0, 8).map((station, idx) => (
+      {results.slice(0, 8).map(({ station, matches, snippet }, idx) => (
         <button
           key={station.id}
           role="option"
@@ -84,13 +148,250 @@ const SearchResults = memo(function SearchResults({
           }}
           className="w-full text-left p-2.5 hover:bg-neutral-800 border-b border-neutral-700/30 transition-colors focus:outline-none focus:bg-cyan-900/30"
         >
-          <div className="font-medium text-white text-sm">{station.name}</div>
-          <div className="text-xs text-cyan-400/70">{station.yearLabel}</div>
+          <div className="font-medium text-white text-sm">
+            <HighlightedText segments={highlightSegments(station.name, matches.name)} />
+          </div>
+          <div className="text-xs text-cyan-400/70">
+            <HighlightedText segments={highlightSegments(station.yearLabel, matches.yearLabel)} />
+          </div>
+          {snippet && (
+            <div className="mt-1 text-[11px] leading-snug text-neutral-400">
+              <HighlightedText segments={createSnippet(snippet.text, snippet.ranges)} />
+            </div>
+          )}
         </button>
       ))}
-      {filteredStations.length > 8 && (
+      {results.length > 8 && (
         <div className="p-2 text-xs text-neutral-500 text-center">
-          +{filteredStations.length - 8} more
+          +{results.length - 8} more
+        </div>
+      )}
+    </div>
+  );
+});
+
+/**
+ * Dataset Picker Component
+ * Shows the active station dataset and loads alternative timelines from JSON files
+ */
+const DatasetPicker = memo(function DatasetPicker({
+  datasetName,
+  isCustomDataset,
+  onLoadDatasetFile,
+  onResetDataset
+}) {
+  const fileInputRef = useRef(null);
+
+  return (
+    <div>
+      <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-1">Dataset</div>
+      <div className="text-xs text-neutral-300 truncate mb-1.5" title={datasetName}>{datasetName}</div>
+      <div className="flex gap-1">
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded bg-neutral-800 text-neutral-400 hover:text-white"
+          aria-label="Load station dataset from a JSON file"
+        >
+          <FileUp size={12} /> Load JSON
+        </button>
+        {isCustomDataset && (
+          <button
+            onClick={onResetDataset}
+            className="flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded bg-neutral-800 text-neutral-400 hover:text-white"
+            aria-label="Switch back to the built-in dataset"
+          >
+            <RotateCcw size={12} /> Built-in
+          </button>
+        )}
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          onLoadDatasetFile(e.target.files?.[0]);
+          // Allow re-selecting the same file after edits
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+});
+
+/**
+ * Toggle chip used by the filter builder
+ */
+const FilterChip = ({ isOn, onClick, color, children }) => (
+  <button
+    type="button"
+    role="checkbox"
+    aria-checked={isOn}
+    onClick={onClick}
+    className={`px-1.5 py-0.5 text-[10px] rounded border transition-opacity ${isOn ? '' : 'opacity-40 hover:opacity-70'}`}
+    style={{ borderColor: color || '#0e7490', color: color || '#67e8f9' }}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * Filter Builder Component
+ * Combines conditions on lines, significance, connections and interchanges with AND/OR
+ * @param {Object|null} expression - Current filter expression (utils/stationFilter)
+ * @param {Object} lines - Active line configuration
+ * @param {number|null} matchCount - Stations passing the filter (null while inactive)
+ * @param {number} stationCount - Total stations
+ * @param {Function} onChange - Called with the next expression (null clears the filter)
+ */
+const FilterBuilder = memo(function FilterBuilder({
+  expression,
+  lines = LINES,
+  matchCount,
+  stationCount,
+  onChange
+}) {
+  const conditions = expression?.conditions || [];
+  const update = (index, patch) => onChange(updateFilterCondition(expression, index, patch));
+  const toggleIn = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+  const renderCondition = (condition, index) => {
+    switch (condition.type) {
+      case FILTER_TYPES.LINES:
+        return (
+          <>
+            <div className="flex flex-wrap gap-1">
+              {Object.entries(lines).map(([lineName, config]) => (
+                <FilterChip
+                  key={lineName}
+                  isOn={condition.lines.includes(lineName)}
+                  color={config.color}
+                  onClick={() => update(index, { lines: toggleIn(condition.lines, lineName) })}
+                >
+                  {lineName}
+                </FilterChip>
+              ))}
+            </div>
+            <div className="flex gap-1 mt-1" role="radiogroup" aria-label="Line match">
+              {['all', 'any'].map(match => (
+                <button
+                  key={match}
+                  type="button"
+                  role="radio"
+                  aria-checked={condition.match === match}
+                  onClick={() => update(index, { match })}
+                  className={`px-1.5 py-0.5 text-[10px] rounded ${condition.match === match ? 'bg-cyan-600 text-white' : 'bg-neutral-800 text-neutral-400 hover:text-white'}`}
+                >
+                  {match === 'all' ? 'All of' : 'Any of'}
+                </button>
+              ))}
+            </div>
+          </>
+        );
+      case FILTER_TYPES.SIGNIFICANCE:
+        return (
+          <div className="flex flex-wrap gap-1">
+            {SIGNIFICANCE_LEVELS.map(level => (
+              <FilterChip
+                key={level}
+                isOn={condition.values.includes(level)}
+                onClick={() => update(index, { values: toggleIn(condition.values, level) })}
+              >
+                {level}
+              </FilterChip>
+            ))}
+          </div>
+        );
+      case FILTER_TYPES.CONNECTIONS:
+      case FILTER_TYPES.LINE_COUNT:
+        return (
+          <label className="flex items-center gap-1.5 text-[10px] text-neutral-400">
+            At least
+            <input
+              type="number"
+              min={1}
+              step={1}
+              value={condition.min}
+              onChange={(e) => {
+                const min = Number(e.target.value);
+                if (Number.isInteger(min) && min >= 1) update(index, { min });
+              }}
+              className="w-10 px-1 py-0.5 bg-neutral-800 border border-neutral-700 rounded text-white text-[10px]"
+            />
+            {condition.type === FILTER_TYPES.CONNECTIONS ? 'outgoing links' : 'lines'}
+          </label>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-[10px] uppercase tracking-widest text-cyan-500">Filter builder</div>
+        {isFilterActive(expression) && (
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            className="text-[10px] text-neutral-500 hover:text-white"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {conditions.length > 1 && (
+        <div className="flex gap-1 mb-1.5" role="radiogroup" aria-label="Combine conditions">
+          {Object.values(FILTER_OPS).map(op => (
+            <button
+              key={op}
+              type="button"
+              role="radio"
+              aria-checked={expression.op === op}
+              onClick={() => onChange({ ...expression, op })}
+              className={`px-1.5 py-0.5 text-[10px] rounded uppercase ${expression.op === op ? 'bg-cyan-600 text-white' : 'bg-neutral-800 text-neutral-400 hover:text-white'}`}
+            >
+              {op === FILTER_OPS.AND ? 'Match all' : 'Match any'}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <ul className="space-y-1.5">
+        {conditions.map((condition, index) => (
+          <li key={index} className="p-1.5 rounded bg-neutral-800/60 border border-neutral-700/50">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-[10px] text-neutral-300">{FILTER_TYPE_LABELS[condition.type] || condition.type}</span>
+              <button
+                type="button"
+                onClick={() => onChange(removeFilterCondition(expression, index))}
+                className="text-neutral-500 hover:text-white"
+                aria-label={`Remove ${FILTER_TYPE_LABELS[condition.type] || 'condition'} filter`}
+              >
+                <X size={10} />
+              </button>
+            </div>
+            {renderCondition(condition, index)}
+          </li>
+        ))}
+      </ul>
+
+      <select
+        value=""
+        onChange={(e) => e.target.value && onChange(addFilterCondition(expression, createFilterCondition(e.target.value)))}
+        className="mt-1.5 w-full px-1.5 py-1 bg-neutral-800 border border-neutral-700 rounded text-[10px] text-neutral-300"
+        aria-label="Add filter condition"
+      >
+        <option value="">Add condition…</option>
+        {Object.values(FILTER_TYPES).map(type => (
+          <option key={type} value={type}>{FILTER_TYPE_LABELS[type]}</option>
+        ))}
+      </select>
+
+      {matchCount !== null && (
+        <div className="mt-1 text-[10px] text-cyan-400/70" aria-live="polite">
+          {matchCount} of {stationCount} stations match
         </div>
       )}
     </div>
@@ -99,24 +400,36 @@ const SearchResults = memo(function SearchResults({
 
 /**
  * Filter Panel Component
- * Line visibility toggles, labels toggle, and era quick filters
+ * Line visibility toggles, labels toggle, time scale, renderer, year range brush, era quick
+ * filters, dataset picker and saved preferences
  */
 const FilterPanel = memo(function FilterPanel({
   visibleLines,
+  lines = LINES,
   showAllLabels,
   focusedEra,
+  timeScale,
+  renderer = RENDERERS.AUTO,
+  activeRenderer = RENDERERS.SVG,
+  filterExpression,
+  filterMatchCount,
+  stationCount,
+  stations,
+  yearScale,
+  timeMarkers,
   onToggleLine,
   onToggleLabels,
-  onEraFilter
+  onEraFilter,
+  onTimeScaleChange,
+  onRendererChange,
+  onFilterChange,
+  datasetName,
+  isCustomDataset,
+  onLoadDatasetFile,
+  onResetDataset,
+  onResetPreferences,
+  announce
 }) {
-  const lineConfig = [
-    { key: 'tech', label: 'Tech', color: 'bg-cyan-500' },
-    { key: 'population', label: 'Population', color: 'bg-green-500' },
-    { key: 'war', label: 'War', color: 'bg-red-500' },
-    { key: 'empire', label: 'Empire', color: 'bg-purple-500' },
-    { key: 'philosophy', label: 'Philosophy', color: 'bg-amber-500' }
-  ];
-
   const eraConfig = [
     { label: 'All', range: null },
     { label: 'Ancient', range: [-10000, -1000] },
@@ -127,21 +440,27 @@ const FilterPanel = memo(function FilterPanel({
   ];
 
   return (
-    <div className="bg-neutral-900/95 backdrop-blur-md border border-cyan-900/50 rounded-lg p-3 shadow-xl w-56">
+    <div className="bg-neutral-900/95 backdrop-blur-md border border-cyan-900/50 rounded-lg p-3 shadow-xl w-56 max-h-[70vh] overflow-y-auto">
       <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-2">Lines</div>
       <div className="grid grid-cols-1 gap-1.5">
-        {lineConfig.map(line => (
-          <label key={line.key} className="flex items-center gap-2 cursor-pointer py-0.5">
-            <input
-              type="checkbox"
-              checked={visibleLines[line.key]}
-              onChange={() => onToggleLine(line.key)}
-              className="w-3 h-3 rounded border-cyan-900/50 bg-neutral-800 text-cyan-500"
-            />
-            <div className={`w-3 h-3 rounded-full ${line.color} ${visibleLines[line.key] ? 'opacity-100' : 'opacity-30'}`}></div>
-            <span className="text-xs text-neutral-300">{line.label}</span>
-          </label>
-        ))}
+        {Object.entries(lines).map(([lineName, config]) => {
+          const isVisible = isLineVisible(visibleLines, config.id);
+          return (
+            <label key={config.id} className="flex items-center gap-2 cursor-pointer py-0.5" title={config.description}>
+              <input
+                type="checkbox"
+                checked={isVisible}
+                onChange={() => onToggleLine(config.id)}
+                className="w-3 h-3 rounded border-cyan-900/50 bg-neutral-800 text-cyan-500"
+              />
+              <div
+                className={`w-3 h-3 rounded-full ${isVisible ? 'opacity-100' : 'opacity-30'}`}
+                style={{ backgroundColor: config.color }}
+              ></div>
+              <span className="text-xs text-neutral-300">{lineName}</span>
+            </label>
+          );
+        })}
       </div>
       
       <div className="mt-2 pt-2 border-t border-cyan-900/30">
@@ -156,9 +475,69 @@ const FilterPanel = memo(function FilterPanel({
         </label>
       </div>
 
+      {/* Time Scale */}
+      <div className="mt-2 pt-2 border-t border-cyan-900/30">
+        <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-1">Time scale</div>
+        <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Time scale">
+          {Object.values(TIME_SCALES).map(mode => (
+            <button
+              key={mode}
+              role="radio"
+              aria-checked={timeScale === mode}
+              title={TIME_SCALE_DESCRIPTIONS[mode]}
+              onClick={() => onTimeScaleChange(mode)}
+              className={`px-1.5 py-0.5 text-[10px] rounded ${
+                timeScale === mode
+                  ? 'bg-cyan-600 text-white'
+                  : 'bg-neutral-800 text-neutral-400 hover:text-white'
+              }`}
+            >
+              {TIME_SCALE_LABELS[mode]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Renderer */}
+      {onRendererChange && (
+        <div className="mt-2 pt-2 border-t border-cyan-900/30">
+          <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-1">Renderer</div>
+          <div className="flex flex-wrap gap-1" role="radiogroup" aria-label="Renderer">
+            {Object.values(RENDERERS).map(mode => (
+              <button
+                key={mode}
+                role="radio"
+                aria-checked={renderer === mode}
+                title={RENDERER_DESCRIPTIONS[mode]}
+                onClick={() => onRendererChange(mode)}
+                className={`px-1.5 py-0.5 text-[10px] rounded ${
+                  renderer === mode
+                    ? 'bg-cyan-600 text-white'
+                    : 'bg-neutral-800 text-neutral-400 hover:text-white'
+                }`}
+              >
+                {mode === RENDERERS.AUTO ? `${RENDERER_LABELS[mode]} (${RENDERER_LABELS[activeRenderer]})` : RENDERER_LABELS[mode]}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Era Quick Filters */}
       <div className="mt-2 pt-2 border-t border-cyan-900/30">
         <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-1">Era</div>
+        {yearScale && (
+          <div className="mb-1.5">
+            <TimelineBrush
+              yearScale={yearScale}
+              timeMarkers={timeMarkers}
+              stations={stations}
+              range={focusedEra}
+              onChange={onEraFilter}
+              announce={announce}
+            />
+          </div>
+        )}
         <div className="flex flex-wrap gap-1">
           {eraConfig.map(era => (
             <button
@@ -175,31 +554,80 @@ const FilterPanel = memo(function FilterPanel({
           ))}
         </div>
       </div>
+
+      {/* Structured Filters */}
+      {onFilterChange && (
+        <div className="mt-2 pt-2 border-t border-cyan-900/30">
+          <FilterBuilder
+            expression={filterExpression}
+            lines={lines}
+            matchCount={filterMatchCount}
+            stationCount={stationCount}
+            onChange={onFilterChange}
+          />
+        </div>
+      )}
+
+      {/* Dataset Picker */}
+      {onLoadDatasetFile && (
+        <div className="mt-2 pt-2 border-t border-cyan-900/30">
+          <DatasetPicker
+            datasetName={datasetName}
+            isCustomDataset={isCustomDataset}
+            onLoadDatasetFile={onLoadDatasetFile}
+            onResetDataset={onResetDataset}
+          />
+        </div>
+      )}
+
+      {/* Saved Preferences */}
+      {onResetPreferences && (
+        <div className="mt-2 pt-2 border-t border-cyan-900/30">
+          <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-1">Preferences</div>
+          <p className="text-[10px] text-neutral-500 mb-1.5">Display settings and the last view are remembered on this device.</p>
+          <button
+            onClick={onResetPreferences}
+            className="flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded bg-neutral-800 text-neutral-400 hover:text-white"
+            aria-label="Reset display preferences to their defaults"
+          >
+            <RotateCcw size={12} /> Reset to defaults
+          </button>
+        </div>
+      )}
     </div>
   );
 });
 
 /**
  * Journey Mode Controls Component
- * Navigation controls for guided tour mode
+ * Navigation controls for guided tour mode, with the tour title and the stop's caption
  */
 const JourneyControls = memo(function JourneyControls({
   journeyIndex,
   journeyStationsLength,
+  tourTitle,
+  caption,
   onNavigateJourney,
-  onEndJourney
+  onPresent,
+  onEndJourney,
+  narrator
 }) {
   return (
-    <div className="bg-gradient-to-r from-cyan-900/90 to-purple-900/90 backdrop-blur-md border border-cyan-500/50 rounded-lg p-3 shadow-xl">
+    <div className="bg-gradient-to-r from-cyan-900/90 to-purple-900/90 backdrop-blur-md border border-cyan-500/50 rounded-lg p-3 shadow-xl max-w-xs">
       <div className="flex items-center justify-between mb-2">
-        <div className="flex items-center gap-2">
-          <Play size={14} className="text-cyan-300" />
-          <span className="text-xs font-bold text-white">Journey {journeyIndex + 1}/{journeyStationsLength}</span>
+        <div className="flex items-center gap-2 min-w-0">
+          <Play size={14} className="text-cyan-300 shrink-0" />
+          <span className="text-xs font-bold text-white truncate">
+            {tourTitle || 'Journey'} {journeyIndex + 1}/{journeyStationsLength}
+          </span>
         </div>
-        <button onClick={onEndJourney} className="text-cyan-400/60 hover:text-white">
+        <button onClick={onEndJourney} className="text-cyan-400/60 hover:text-white" aria-label="End journey">
           <X size={14} />
         </button>
       </div>
+      {caption && (
+        <p className="text-xs text-cyan-100/90 leading-relaxed mb-2">{caption}</p>
+      )}
       <div className="flex gap-1.5">
         <button
           onClick={() => onNavigateJourney('prev')}
@@ -213,7 +641,244 @@ const JourneyControls = memo(function JourneyControls({
         >
           Next →
         </button>
+        {onPresent && (
+          <button
+            onClick={onPresent}
+            className="px-2 py-1 bg-neutral-800 hover:bg-neutral-700 rounded text-xs text-white"
+            title="Present (autoplay)"
+            aria-label="Present this tour"
+          >
+            <MonitorPlay size={12} />
+          </button>
+        )}
       </div>
+      {narrator?.isSupported && (
+        <div className="mt-2 pt-2 border-t border-cyan-500/20">
+          <NarratorSettings narrator={narrator} />
+        </div>
+      )}
+    </div>
+  );
+});
+
+/**
+ * Route Planner Component
+ * Origin/destination pickers and cost mode for planning a trip through the network
+ */
+const RoutePlanner = memo(function RoutePlanner({
+  stations,
+  routeOriginId,
+  routeDestinationId,
+  routeMode,
+  route,
+  onSetOrigin,
+  onSetDestination,
+  onSetMode,
+  onSwap,
+  onClear,
+  onClose
+}) {
+  // Chronological station list for the pickers
+  const sortedStations = useMemo(
+    () => [...stations].sort((a, b) => a.year - b.year),
+    [stations]
+  );
+
+  const hasEndpoints = Boolean(routeOriginId && routeDestinationId);
+  const selectClass = 'flex-1 min-w-0 px-1.5 py-1 bg-neutral-800 border border-cyan-900/50 rounded text-xs text-white focus:outline-none focus:border-cyan-500';
+
+  const renderPicker = (label, value, onChange) => (
+    <label className="flex items-center gap-2">
+      <span className="w-8 text-[10px] uppercase tracking-widest text-cyan-500">{label}</span>
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className={selectClass}
+        aria-label={`Route ${label.toLowerCase()}`}
+      >
+        <option value="">Choose station…</option>
+        {sortedStations.map(station => (
+          <option key={station.id} value={station.id}>
+            {station.yearLabel} · {station.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="bg-neutral-900/95 backdrop-blur-md border border-cyan-900/50 rounded-lg p-3 shadow-xl w-72">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          <Navigation size={14} className="text-cyan-300" />
+          <span className="text-xs font-bold text-white">Plan Route</span>
+        </div>
+        <button onClick={onClose} className="text-cyan-400/60 hover:text-white" aria-label="Close route planner">
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-1.5">
+        <div className="flex-1 flex flex-col gap-1.5 min-w-0">
+          {renderPicker('From', routeOriginId, onSetOrigin)}
+          {renderPicker('To', routeDestinationId, onSetDestination)}
+        </div>
+        <button
+          onClick={onSwap}
+          className="p-1 text-cyan-400/70 hover:text-white rounded hover:bg-neutral-800"
+          title="Swap origin and destination"
+          aria-label="Swap origin and destination"
+        >
+          <ArrowUpDown size={14} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-1 mt-2" role="radiogroup" aria-label="Route cost mode">
+        {Object.values(ROUTE_MODES).map(mode => (
+          <button
+            key={mode}
+            role="radio"
+            aria-checked={routeMode === mode}
+            onClick={() => onSetMode(mode)}
+            className={`px-1.5 py-0.5 text-[10px] rounded ${
+              routeMode === mode ? 'bg-cyan-600 text-white' : 'bg-neutral-800 text-neutral-400 hover:text-white'
+            }`}
+          >
+            {ROUTE_MODE_LABELS[mode]}
+          </button>
+        ))}
+      </div>
+
+      {hasEndpoints && (
+        <div className="mt-2 pt-2 border-t border-cyan-900/30 flex items-center justify-between gap-2">
+          <span className="text-xs text-neutral-300" role="status">
+            {route
+              ? `${route.stops} stop${route.stops === 1 ? '' : 's'} · ${route.transfers} transfer${route.transfers === 1 ? '' : 's'}`
+              : routeMode === ROUTE_MODES.CAUSAL
+                ? 'No causal chain leads there'
+                : 'No route between these stations'}
+          </span>
+          <button onClick={onClear} className="text-[10px] text-cyan-500 hover:text-cyan-300 uppercase tracking-wider">
+            Clear
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+/**
+ * Export Panel Component
+ * Save the map as a standalone SVG or a PNG at a chosen width
+ */
+const ExportPanel = memo(function ExportPanel({ isExporting, onExport, onClose }) {
+  const [scope, setScope] = useState(EXPORT_SCOPES.VIEW);
+  const [pngWidth, setPngWidth] = useState(PNG_WIDTHS[0]);
+
+  const optionClass = (isActive) => `px-1.5 py-0.5 text-[10px] rounded ${
+    isActive ? 'bg-cyan-600 text-white' : 'bg-neutral-800 text-neutral-400 hover:text-white'
+  }`;
+
+  return (
+    <div className="bg-neutral-900/95 backdrop-blur-md border border-cyan-900/50 rounded-lg p-3 shadow-xl w-56">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          <Download size={14} className="text-cyan-300" />
+          <span className="text-xs font-bold text-white">Export Map</span>
+        </div>
+        <button onClick={onClose} className="text-cyan-400/60 hover:text-white" aria-label="Close export panel">
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-1">Area</div>
+      <div className="flex gap-1 mb-2" role="radiogroup" aria-label="Export area">
+        <button role="radio" aria-checked={scope === EXPORT_SCOPES.VIEW} onClick={() => setScope(EXPORT_SCOPES.VIEW)} className={optionClass(scope === EXPORT_SCOPES.VIEW)}>
+          Current view
+        </button>
+        <button role="radio" aria-checked={scope === EXPORT_SCOPES.FULL} onClick={() => setScope(EXPORT_SCOPES.FULL)} className={optionClass(scope === EXPORT_SCOPES.FULL)}>
+          Full map
+        </button>
+      </div>
+
+      <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-1">PNG width</div>
+      <div className="flex gap-1 mb-3" role="radiogroup" aria-label="PNG width">
+        {PNG_WIDTHS.map(width => (
+          <button key={width} role="radio" aria-checked={pngWidth === width} onClick={() => setPngWidth(width)} className={optionClass(pngWidth === width)}>
+            {width}px
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => onExport({ format: EXPORT_FORMATS.SVG, scope })}
+          disabled={isExporting}
+          className="flex-1 px-2 py-1 text-xs rounded bg-neutral-800 text-white hover:bg-neutral-700 disabled:opacity-50 transition-colors"
+        >
+          SVG
+        </button>
+        <button
+          onClick={() => onExport({ format: EXPORT_FORMATS.PNG, scope, width: pngWidth })}
+          disabled={isExporting}
+          className="flex-1 px-2 py-1 text-xs rounded bg-cyan-600 text-white hover:bg-cyan-500 disabled:opacity-50 transition-colors"
+        >
+          {isExporting ? 'Exporting…' : 'PNG'}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+/**
+ * Editor Panel Component
+ * Authoring mode instructions, validation status and dataset export
+ */
+const EditorPanel = memo(function EditorPanel({ validation, isEdited, onExportDataset, onClose }) {
+  const { errors, warnings } = validation;
+  const hasErrors = errors.length > 0;
+
+  return (
+    <div className="bg-neutral-900/95 backdrop-blur-md border border-amber-700/50 rounded-lg p-3 shadow-xl w-72">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          <Pencil size={14} className="text-amber-300" />
+          <span className="text-xs font-bold text-white">Authoring Mode</span>
+        </div>
+        <button onClick={onClose} className="text-cyan-400/60 hover:text-white" aria-label="Leave authoring mode">
+          <X size={14} />
+        </button>
+      </div>
+
+      <ul className="text-[11px] text-neutral-400 space-y-0.5 mb-2 list-disc pl-4">
+        <li>Click a line to add a station at that year</li>
+        <li>Drag a station to move it along the timeline</li>
+        <li>Select a station to edit it in the sidebar</li>
+      </ul>
+
+      <div className="pt-2 border-t border-cyan-900/30" role="status">
+        <div className={`text-xs ${hasErrors ? 'text-red-300' : 'text-green-300'}`}>
+          {hasErrors
+            ? `${errors.length} error${errors.length === 1 ? '' : 's'} must be fixed before export`
+            : 'Dataset passes validation'}
+          {warnings.length > 0 && (
+            <span className="text-amber-300/80"> · {warnings.length} warning{warnings.length === 1 ? '' : 's'}</span>
+          )}
+        </div>
+        {hasErrors && (
+          <div className="mt-1 text-[10px] text-neutral-500 truncate" title={errors[0].message}>
+            {errors[0].message}
+          </div>
+        )}
+      </div>
+
+      <button
+        onClick={onExportDataset}
+        disabled={hasErrors}
+        className="mt-2 w-full px-2 py-1 text-xs rounded bg-cyan-600 text-white hover:bg-cyan-500 disabled:opacity-50 disabled:hover:bg-cyan-600 transition-colors"
+      >
+        Export dataset JSON{isEdited ? '' : ' (unchanged)'}
+      </button>
     </div>
   );
 });
@@ -225,20 +890,18 @@ const JourneyControls = memo(function JourneyControls({
 const LegendItem = memo(function LegendItem({ color, label }) {
   return (
     <div className="flex items-center gap-1.5 shrink-0">
-      <div className={`w-2.5 h-2.5 rounded-full ${color}`}></div>
+      <div className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: color }}></div>
       <span className="text-[10px] uppercase tracking-wider text-neutral-400">{label}</span>
     </div>
   );
 });
 
-const LegendFooter = memo(function LegendFooter() {
+const LegendFooter = memo(function LegendFooter({ lines = LINES }) {
   return (
     <footer className="h-10 bg-neutral-950/90 backdrop-blur-sm border-t border-neutral-800/50 flex items-center justify-center gap-6 px-4 z-20 shrink-0">
-      <LegendItem color="bg-cyan-400" label="Tech" />
-      <LegendItem color="bg-green-500" label="Population" />
-      <LegendItem color="bg-red-500" label="War" />
-      <LegendItem color="bg-purple-500" label="Empire" />
-      <LegendItem color="bg-amber-500" label="Philosophy" />
+      {Object.entries(lines).map(([lineName, config]) => (
+        <LegendItem key={config.id} color={config.color} label={lineName} />
+      ))}
     </footer>
   );
 });
@@ -256,20 +919,77 @@ const ControlPanel = memo(function ControlPanel({
   // Search state
   searchQuery,
   filteredStations,
+  searchResults,
   
   // Filter state
   visibleLines,
+  lines,
   showAllLabels,
   focusedEra,
+  timeScale,
+  renderer,
+  activeRenderer,
+  yearScale,
+  timeMarkers,
+  filterExpression,
+  filterMatchIds,
   
   // Journey state
   journeyMode,
   journeyIndex,
   journeyStations,
   
+  // Tours state
+  tours,
+  activeTour,
+  showTours,
+  selectedStation,
+  currentZoom,
+  onStartTour,
+  onPresentTour,
+  onImportToursFile,
+  narrator,
+  onExportTours,
+  
+  // Bookmarks state
+  bookmarks,
+  showBookmarks,
+  onImportBookmarksFile,
+  onExportBookmarks,
+  
+  // Route planner state
+  stations,
+  showRoutePlanner,
+  routeOriginId,
+  routeDestinationId,
+  routeMode,
+  route,
+  
+  // Export state
+  showExport,
+  isExporting,
+  onExport,
+  
+  // Authoring state
+  editorMode,
+  editorValidation,
+  isDatasetEdited,
+  onExportDataset,
+  
+  // Dataset state
+  datasetName,
+  isCustomDataset,
+  onLoadDatasetFile,
+  onResetDataset,
+  onResetPreferences,
+  
   // Actions
   actions,
   navigateJourney,
+  onGoToYear,
+  onTimeScaleChange,
+  onRendererChange,
+  onYearRangeChange,
   announce
 }) {
   // Handle search keyboard events
@@ -306,6 +1026,7 @@ const ControlPanel = memo(function ControlPanel({
           onKeyDown={handleSearchKeyDown}
           filteredStationsCount={filteredStations.length}
         />
+        <YearJump onGoToYear={onGoToYear} announce={announce} />
         
         {/* Compact Icon Buttons */}
         <button
@@ -324,6 +1045,47 @@ const ControlPanel = memo(function ControlPanel({
         >
           <Map size={18} />
         </button>
+        <button
+          onClick={() => actions.toggleRoutePlanner()}
+          className={`p-1.5 backdrop-blur-md border rounded-lg transition-colors ${showRoutePlanner ? 'bg-cyan-900/50 border-cyan-500/50 text-cyan-300' : 'bg-neutral-900/90 border-cyan-900/50 text-cyan-400 hover:bg-neutral-800'}`}
+          title="Plan route"
+          aria-label="Toggle route planner"
+        >
+          <Navigation size={18} />
+        </button>
+        <button
+          onClick={() => actions.toggleTours()}
+          className={`p-1.5 backdrop-blur-md border rounded-lg transition-colors ${showTours ? 'bg-cyan-900/50 border-cyan-500/50 text-cyan-300' : 'bg-neutral-900/90 border-cyan-900/50 text-cyan-400 hover:bg-neutral-800'}`}
+          title="Tours"
+          aria-label="Toggle tours"
+        >
+          <ListOrdered size={18} />
+        </button>
+        <button
+          onClick={() => actions.toggleBookmarks()}
+          className={`p-1.5 backdrop-blur-md border rounded-lg transition-colors ${showBookmarks ? 'bg-cyan-900/50 border-cyan-500/50 text-cyan-300' : 'bg-neutral-900/90 border-cyan-900/50 text-cyan-400 hover:bg-neutral-800'}`}
+          title="Bookmarks"
+          aria-label="Toggle bookmarks"
+        >
+          <Star size={18} />
+        </button>
+        <button
+          onClick={() => actions.toggleExport()}
+          className={`p-1.5 backdrop-blur-md border rounded-lg transition-colors ${showExport ? 'bg-cyan-900/50 border-cyan-500/50 text-cyan-300' : 'bg-neutral-900/90 border-cyan-900/50 text-cyan-400 hover:bg-neutral-800'}`}
+          title="Export map"
+          aria-label="Toggle export panel"
+        >
+          <Download size={18} />
+        </button>
+        <button
+          onClick={() => actions.toggleEditor()}
+          className={`p-1.5 backdrop-blur-md border rounded-lg transition-colors ${editorMode ? 'bg-amber-900/50 border-amber-500/50 text-amber-300' : 'bg-neutral-900/90 border-cyan-900/50 text-cyan-400 hover:bg-neutral-800'}`}
+          title="Authoring mode"
+          aria-label="Toggle authoring mode"
+          aria-pressed={editorMode}
+        >
+          <Pencil size={18} />
+        </button>
         <button
           onClick={() => actions.setWelcome(true)}
           className="p-1.5 bg-neutral-900/90 backdrop-blur-md border border-cyan-900/50 rounded-lg text-cyan-400 hover:bg-neutral-800 transition-colors"
@@ -335,9 +1097,9 @@ const ControlPanel = memo(function ControlPanel({
       </div>
       
       {/* Search Results Dropdown */}
-      {searchQuery && filteredStations.length > 0 && (
+      {searchQuery && searchResults.length > 0 && (
         <SearchResults
-          filteredStations={filteredStations}
+          results={searchResults}
           onSelectStation={handleSelectStation}
           announce={announce}
         />
@@ -347,11 +1109,102 @@ const ControlPanel = memo(function ControlPanel({
       {showFilters && (
         <FilterPanel
           visibleLines={visibleLines}
+          lines={lines}
           showAllLabels={showAllLabels}
           focusedEra={focusedEra}
+          timeScale={timeScale}
+          renderer={renderer}
+          activeRenderer={activeRenderer}
+          onRendererChange={onRendererChange}
           onToggleLine={actions.toggleLine}
           onToggleLabels={actions.toggleLabels}
-          onEraFilter={actions.setEraFilter}
+          onEraFilter={onYearRangeChange || actions.setEraFilter}
+          onTimeScaleChange={onTimeScaleChange}
+          filterExpression={filterExpression}
+          filterMatchCount={filterMatchIds ? filterMatchIds.size : null}
+          stationCount={stations.length}
+          stations={stations}
+          yearScale={yearScale}
+          timeMarkers={timeMarkers}
+          onFilterChange={actions.setFilterExpression}
+          datasetName={datasetName}
+          isCustomDataset={isCustomDataset}
+          onLoadDatasetFile={onLoadDatasetFile}
+          onResetDataset={onResetDataset}
+          onResetPreferences={onResetPreferences}
+          announce={announce}
+        />
+      )}
+
+      {/* Route Planner */}
+      {showRoutePlanner && (
+        <RoutePlanner
+          stations={stations}
+          routeOriginId={routeOriginId}
+          routeDestinationId={routeDestinationId}
+          routeMode={routeMode}
+          route={route}
+          onSetOrigin={actions.setRouteOrigin}
+          onSetDestination={actions.setRouteDestination}
+          onSetMode={actions.setRouteMode}
+          onSwap={actions.swapRoute}
+          onClear={actions.clearRoute}
+          onClose={actions.toggleRoutePlanner}
+        />
+      )}
+
+      {/* Export Panel */}
+      {showExport && (
+        <ExportPanel
+          isExporting={isExporting}
+          onExport={onExport}
+          onClose={actions.toggleExport}
+        />
+      )}
+
+      {/* Authoring Mode */}
+      {editorMode && (
+        <EditorPanel
+          validation={editorValidation}
+          isEdited={isDatasetEdited}
+          onExportDataset={onExportDataset}
+          onClose={actions.toggleEditor}
+        />
+      )}
+
+      {/* Tours */}
+      {showTours && (
+        <TourBuilder
+          tours={tours}
+          activeTourId={activeTour?.id ?? null}
+          journeyMode={journeyMode}
+          stations={stations}
+          selectedStation={selectedStation}
+          currentZoom={currentZoom}
+          onSaveTour={actions.saveTour}
+          onDeleteTour={actions.deleteTour}
+          onStartTour={onStartTour}
+          onPresentTour={onPresentTour}
+          onImportFile={onImportToursFile}
+          narrator={narrator}
+          onExport={onExportTours}
+          onClose={actions.toggleTours}
+          announce={announce}
+        />
+      )}
+
+      {/* Bookmarks */}
+      {showBookmarks && (
+        <BookmarksPanel
+          bookmarks={bookmarks}
+          stations={stations}
+          selectedStation={selectedStation}
+          onSelectStation={handleSelectStation}
+          onToggleBookmark={actions.toggleBookmark}
+          onImportFile={onImportBookmarksFile}
+          onExport={onExportBookmarks}
+          onClose={actions.toggleBookmarks}
+          announce={announce}
         />
       )}
 
@@ -360,7 +1213,11 @@ const ControlPanel = memo(function ControlPanel({
         <JourneyControls
           journeyIndex={journeyIndex}
           journeyStationsLength={journeyStations.length}
+          tourTitle={activeTour?.title}
+          caption={activeTour?.stops[journeyIndex]?.caption}
           onNavigateJourney={navigateJourney}
+          onPresent={onPresentTour && activeTour ? () => onPresentTour(activeTour.id, { fromCurrentStop: true }) : undefined}
+          narrator={narrator}
           onEndJourney={actions.endJourney}
         />
       )}
@@ -382,20 +1239,77 @@ const MapOverlay = memo(function MapOverlay({
   // Search state
   searchQuery,
   filteredStations,
+  searchResults,
   
   // Filter state
   visibleLines,
+  lines,
   showAllLabels,
   focusedEra,
+  timeScale,
+  renderer,
+  activeRenderer,
+  yearScale,
+  timeMarkers,
+  filterExpression,
+  filterMatchIds,
   
   // Journey state
   journeyMode,
   journeyIndex,
   journeyStations,
   
+  // Tours state
+  tours,
+  activeTour,
+  showTours,
+  selectedStation,
+  currentZoom,
+  onStartTour,
+  onPresentTour,
+  onImportToursFile,
+  narrator,
+  onExportTours,
+  
+  // Bookmarks state
+  bookmarks,
+  showBookmarks,
+  onImportBookmarksFile,
+  onExportBookmarks,
+  
+  // Route planner state
+  stations,
+  showRoutePlanner,
+  routeOriginId,
+  routeDestinationId,
+  routeMode,
+  route,
+  
+  // Export state
+  showExport,
+  isExporting,
+  onExport,
+  
+  // Authoring state
+  editorMode,
+  editorValidation,
+  isDatasetEdited,
+  onExportDataset,
+  
+  // Dataset state
+  datasetName,
+  isCustomDataset,
+  onLoadDatasetFile,
+  onResetDataset,
+  onResetPreferences,
+  
   // Actions
   actions,
   navigateJourney,
+  onGoToYear,
+  onTimeScaleChange,
+  onRendererChange,
+  onYearRangeChange,
   announce
 }) {
   if (!showUI) return null;
@@ -406,14 +1320,59 @@ const MapOverlay = memo(function MapOverlay({
       showMinimap={showMinimap}
       searchQuery={searchQuery}
       filteredStations={filteredStations}
+      searchResults={searchResults}
       visibleLines={visibleLines}
+      lines={lines}
       showAllLabels={showAllLabels}
       focusedEra={focusedEra}
+      timeScale={timeScale}
+      renderer={renderer}
+      activeRenderer={activeRenderer}
+      yearScale={yearScale}
+      timeMarkers={timeMarkers}
+      filterExpression={filterExpression}
+      filterMatchIds={filterMatchIds}
       journeyMode={journeyMode}
       journeyIndex={journeyIndex}
       journeyStations={journeyStations}
+      tours={tours}
+      activeTour={activeTour}
+      showTours={showTours}
+      selectedStation={selectedStation}
+      currentZoom={currentZoom}
+      onStartTour={onStartTour}
+      onPresentTour={onPresentTour}
+      onImportToursFile={onImportToursFile}
+      narrator={narrator}
+      onExportTours={onExportTours}
+      bookmarks={bookmarks}
+      showBookmarks={showBookmarks}
+      onImportBookmarksFile={onImportBookmarksFile}
+      onExportBookmarks={onExportBookmarks}
+      stations={stations}
+      showRoutePlanner={showRoutePlanner}
+      routeOriginId={routeOriginId}
+      routeDestinationId={routeDestinationId}
+      routeMode={routeMode}
+      route={route}
+      showExport={showExport}
+      isExporting={isExporting}
+      onExport={onExport}
+      editorMode={editorMode}
+      editorValidation={editorValidation}
+      isDatasetEdited={isDatasetEdited}
+      onExportDataset={onExportDataset}
+      datasetName={datasetName}
+      isCustomDataset={isCustomDataset}
+      onLoadDatasetFile={onLoadDatasetFile}
+      onResetDataset={onResetDataset}
+      onResetPreferences={onResetPreferences}
       actions={actions}
       navigateJourney={navigateJourney}
+      onGoToYear={onGoToYear}
+      onTimeScaleChange={onTimeScaleChange}
+      onRendererChange={onRendererChange}
+      onYearRangeChange={onYearRangeChange}
       announce={announce}
     />
   );
@@ -423,8 +1382,14 @@ const MapOverlay = memo(function MapOverlay({
 export { 
   SearchInput, 
   SearchResults, 
+  YearJump,
+  FilterBuilder,
   FilterPanel, 
+  DatasetPicker,
   JourneyControls, 
+  RoutePlanner,
+  ExportPanel,
+  EditorPanel,
   ControlPanel,
   LegendItem, 
   LegendFooter 
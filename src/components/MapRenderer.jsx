@@ -5,16 +5,49 @@
  * Separated from CivMap.jsx to maintain clean separation of concerns:
  * - CivMap.jsx: State management and UI layout
  * - MapRenderer.jsx: SVG rendering and visual presentation
+ *
+ * Only stations, labels and causal links near the current viewBox are drawn
+ * (see utils/viewportCulling), so large datasets cost what is on screen.
+ * What is drawn at each zoom follows the level-of-detail policy (see utils/levelOfDetail),
+ * and labels go where utils/labelPlacement puts them.
  */
 
-import React, { memo } from 'react';
-import { MetroLine } from './metro';
-import { LINES, VIEWBOX as VIEWBOX_CONFIG } from '../constants/metroConfig';
+import React, { memo, useMemo } from 'react';
+import { MetroLine, RouteOverlay, StationSpans, CursorCrosshair } from './metro';
+import { LINES, ERAS } from '../constants/metroConfig';
+import { isLineVisible } from '../utils/lineConfig';
+import { getTimeScale, getLineYPositions, TIME_SCALES, TIME_SCALE_LABELS } from '../utils/coordinates';
+import {
+  createSpatialIndex,
+  querySpatialIndex,
+  getCullBounds,
+  getStationBounds,
+  buildCausalLinks
+} from '../utils/viewportCulling';
+import {
+  DEFAULT_LOD_THRESHOLDS,
+  getLodPolicy,
+  shouldDrawStation,
+  getStationLabel,
+  collectHighlightedIds,
+  clusterHiddenStations,
+  getClusterSize,
+  getClusterBadge
+} from '../utils/levelOfDetail';
+import { LABEL_TEXT } from '../utils/labelPlacement';
+
+// Five-pointed star centered on (cx, cy), for bookmark markers
+const starPoints = (cx, cy, r) => Array.from({ length: 10 }, (_, i) => {
+  const radius = i % 2 === 0 ? r : r * 0.45;
+  const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+  return `${cx + Math.cos(angle) * radius},${cy + Math.sin(angle) * radius}`;
+}).join(' ');
 
 const MapRenderer = memo(function MapRenderer({
   svgRef,
   viewBox,
   paths,
+  lines = LINES,
   stations,
   filteredStations,
   visibleLines,
@@ -25,28 +58,88 @@ const MapRenderer = memo(function MapRenderer({
   journeyMode,
   journeyIndex,
   journeyStations,
-  searchQuery,
+  searchMatchIds,
+  filterMatchIds = null,
+  comparedStationIds = null,
+  bookmarkedStationIds = null,
   showAllLabels,
   currentZoom,
-  labelOffsets,
+  labelPlacements = {},
   timeMarkers,
+  route,
+  cullToViewport = true,
+  lodThresholds = DEFAULT_LOD_THRESHOLDS,
+  timeScale = getTimeScale(TIME_SCALES.PIECEWISE),
+  screenToSVG,
+  isPanning,
   VIEWBOX_WIDTH,
   VIEWBOX_HEIGHT,
   onStationHover,
   onStationSelect,
-  onStationJourneyGoTo
+  onStationJourneyGoTo,
+  onStationCompare,
+  onStationDragStart,
+  onClusterExpand
 }) {
-  // Line Y positions (must match pathGenerator.js)
-  const lineYPositions = {
-    'Tech': 0.18 * VIEWBOX_CONFIG.HEIGHT,
-    'War': 0.36 * VIEWBOX_CONFIG.HEIGHT,
-    'Population': 0.50 * VIEWBOX_CONFIG.HEIGHT,
-    'Philosophy': 0.64 * VIEWBOX_CONFIG.HEIGHT,
-    'Empire': 0.82 * VIEWBOX_CONFIG.HEIGHT
-  };
+  // Line corridor Y positions, from the same line config pathGenerator.js uses
+  const lineYPositions = useMemo(() => getLineYPositions(lines), [lines]);
+
+  // Lines in draw order: earlier-declared lines are drawn last so they sit on top
+  const lineDrawOrder = useMemo(() => Object.entries(lines).reverse(), [lines]);
+
+  // Lines that carry a crisis station get the crisis glow
+  const crisisLines = useMemo(() => {
+    const names = new Set();
+    stations.forEach(s => {
+      if (s.significance === 'crisis') s.lines.forEach(line => names.add(line));
+    });
+    return names;
+  }, [stations]);
+
+  // While a route is planned, everything off the route is dimmed
+  const routeStationIds = useMemo(() => (route ? new Set(route.stationIds) : null), [route]);
+  const dimmedOpacity = 0.25;
+
+  // Level of detail: which stations, labels and extras this zoom shows
+  const lodPolicy = getLodPolicy(currentZoom, lodThresholds);
+  const highlightedIds = useMemo(() => collectHighlightedIds(
+    selectedStation?.id,
+    journeyMode ? journeyStations[journeyIndex] : null,
+    searchMatchIds,
+    bookmarkedStationIds,
+    routeStationIds,
+    comparedStationIds
+  ), [selectedStation, journeyMode, journeyStations, journeyIndex, searchMatchIds, bookmarkedStationIds, routeStationIds, comparedStationIds]);
 
-  const lineMap = { 'Tech': 'tech', 'Population': 'population', 'War': 'war', 'Empire': 'empire', 'Philosophy': 'philosophy' };
-  const colors = { 'Tech': '#22d3ee', 'Population': '#22c55e', 'War': '#ef4444', 'Empire': '#9333ea', 'Philosophy': '#fbbf24' };
+  // Stations the tier hides, gathered into "+N stations" markers
+  const clusterSize = getClusterSize(viewBox);
+  const clusters = useMemo(() => clusterHiddenStations(filteredStations, {
+    policy: lodPolicy, lines, visibleLines, lineYPositions, viewBox, highlightedIds
+  }), [filteredStations, lodPolicy, lines, visibleLines, lineYPositions, viewBox, highlightedIds]);
+
+  // Spatial indexes, rebuilt only when the stations or their layout change
+  const stationIndex = useMemo(() => (
+    createSpatialIndex(filteredStations, s => getStationBounds(s, lineYPositions))
+  ), [filteredStations, lineYPositions]);
+
+  // Causal links are drawn only when both ends pass the search and era filters
+  const linkIndex = useMemo(() => {
+    const shownIds = new Set(filteredStations.map(s => s.id));
+    const links = buildCausalLinks(stations, lineYPositions)
+      .filter(link => shownIds.has(link.sourceId) && shownIds.has(link.targetId));
+    return createSpatialIndex(links, link => link.bounds);
+  }, [stations, filteredStations, lineYPositions]);
+
+  // What intersects the view plus a margin (everything when culling is off, e.g. for a full-map export)
+  const cullBounds = useMemo(() => (
+    cullToViewport
+      ? getCullBounds(viewBox)
+      : { minX: -Infinity, minY: -Infinity, maxX: Infinity, maxY: Infinity }
+  ), [cullToViewport, viewBox]);
+  const stationsInView = useMemo(() => (
+    querySpatialIndex(stationIndex, cullBounds).filter(s => shouldDrawStation(lodPolicy, s, highlightedIds.has(s.id)))
+  ), [stationIndex, cullBounds, lodPolicy, highlightedIds]);
+  const linksInView = useMemo(() => querySpatialIndex(linkIndex, cullBounds), [linkIndex, cullBounds]);
 
   return (
     <svg 
@@ -222,6 +315,34 @@ const MapRenderer = memo(function MapRenderer({
         </filter>
       </defs>
 
+      {/* Era Bands - Orientation when the whole timeline is small */}
+      {lodPolicy.eraBands && (
+        <g className="era-bands pointer-events-none">
+          {Object.entries(ERAS).map(([id, era]) => {
+            const x0 = timeScale.yearToX(era.range[0]);
+            const x1 = timeScale.yearToX(era.range[1]);
+            // Labels shrink to fit narrow bands
+            const fontSize = Math.min(clusterSize * 1.5, (x1 - x0) / (era.label.length * 0.6));
+            return (
+              <g key={id}>
+                <rect x={x0} y={0} width={x1 - x0} height={VIEWBOX_HEIGHT} fill={era.color} fillOpacity={0.15} />
+                <text
+                  x={(x0 + x1) / 2}
+                  y={fontSize * 1.5}
+                  textAnchor="middle"
+                  fill={era.color}
+                  fontSize={fontSize}
+                  fontFamily="'JetBrains Mono', monospace"
+                  fontWeight="700"
+                >
+                  {era.label}
+                </text>
+              </g>
+            );
+          })}
+        </g>
+      )}
+
       {/* Time Axis */}
       <g className="time-axis" opacity="0.4">
         {timeMarkers.map((marker, idx) => (
@@ -260,159 +381,135 @@ const MapRenderer = memo(function MapRenderer({
           className="uppercase tracking-widest"
           fontWeight="bold"
         >
-          Time (Piecewise Scale) • 12,025 Years of Human Civilization
+          Time ({TIME_SCALE_LABELS[timeScale.mode]} Scale) • 12,025 Years of Human Civilization
         </text>
       </g>
 
       {/* Causal Link Layer - Dependency curves between related stations */}
-      {/* Render connections from all stations, but only show if both source and target are visible */}
-      <g className="causal-links" opacity="0.2">
-        {stations.map((station) => {
-          if (!station.connections || station.connections.length === 0) return null;
-          
-          // Check if source station is visible (in filteredStations)
-          const isSourceVisible = filteredStations.some(s => s.id === station.id);
-          if (!isSourceVisible) return null;
-          
-          return station.connections.map((conn, idx) => {
-            // Find target in full stations array (not filtered) to ensure we can always resolve it
-            const targetStation = stations.find(s => s.id === conn.targetId);
-            if (!targetStation) return null;
-            
-            // Only show connection if target is also visible
-            const isTargetVisible = filteredStations.some(s => s.id === targetStation.id);
-            if (!isTargetVisible) return null;
-            
-            // Get primary line Y positions for both stations
-            const sourcePrimaryLine = station.lines[0];
-            const targetPrimaryLine = targetStation.lines[0];
-            const sourceY = lineYPositions[sourcePrimaryLine] || station.coords.y;
-            const targetY = lineYPositions[targetPrimaryLine] || targetStation.coords.y;
-            
-            // Calculate control points for smooth Bézier curve
-            // Control points offset horizontally to create smooth arc
-            const dx = targetStation.coords.x - station.coords.x;
-            const controlOffsetX = Math.abs(dx) * 0.3; // 30% of horizontal distance
-            
-            const x1 = station.coords.x;
-            const y1 = sourceY;
-            const cx1 = station.coords.x + controlOffsetX;
-            const cy1 = sourceY;
-            const cx2 = targetStation.coords.x - controlOffsetX;
-            const cy2 = targetY;
-            const x2 = targetStation.coords.x;
-            const y2 = targetY;
-            
-            // Create Bézier curve path
-            const pathData = `M ${x1} ${y1} C ${cx1} ${cy1}, ${cx2} ${cy2}, ${x2} ${y2}`;
-            
-            return (
-              <path
-                key={`${station.id}-${conn.targetId}-${idx}`}
-                d={pathData}
-                stroke="rgba(255, 255, 255, 0.2)"
-                strokeWidth="2"
-                fill="none"
-                strokeDasharray="8,4"
-                className="pointer-events-none"
-              />
-            );
-          });
-        })}
+      {/* Only links whose ends are both shown and whose curve crosses the view */}
+      <g className="causal-links" opacity={routeStationIds ? 0.2 * dimmedOpacity : 0.2}>
+        {linksInView.map(link => (
+          <path
+            key={link.key}
+            d={link.pathData}
+            stroke="rgba(255, 255, 255, 0.2)"
+            strokeWidth="2"
+            fill="none"
+            strokeDasharray="8,4"
+            className="pointer-events-none"
+          />
+        ))}
       </g>
 
       {/* Metro Lines - Performance-First with Narrative Focus */}
-      {/* Check if lines have crisis stations to enable glow effect */}
-      {(() => {
-        const hasCrisisOnLine = (lineName) => {
-          return stations.some(s => 
-            s.significance === 'crisis' && s.lines.includes(lineName)
-          );
-        };
-        
-        return (
-          <>
-            <MetroLine
-              pathData={paths.orange}
-              lineConfig={LINES.Philosophy}
-              animationProgress={animationProgress}
-              isVisible={visibleLines.philosophy}
-              isNarrativeFocus={narrativeFocusLine === 'philosophy'}
-              isCrisisMode={hasCrisisOnLine('Philosophy')}
-            />
-            
-            <MetroLine
-              pathData={paths.purple}
-              lineConfig={LINES.Empire}
-              animationProgress={animationProgress}
-              isVisible={visibleLines.empire}
-              isNarrativeFocus={narrativeFocusLine === 'empire'}
-              isCrisisMode={hasCrisisOnLine('Empire')}
-            />
-
-            <MetroLine
-              // Handle object structure for braided lines or string for simple lines
-              pathData={typeof paths.green === 'string' ? paths.green : paths.green.main}
-              lineConfig={LINES.Population}
-              animationProgress={animationProgress}
-              isVisible={visibleLines.population}
-              isNarrativeFocus={narrativeFocusLine === 'population'}
-              isCrisisMode={hasCrisisOnLine('Population')}
-            />
-          </>
-        );
-      })()}
+      <g className="metro-lines" opacity={routeStationIds ? dimmedOpacity : 1} style={{ transition: 'opacity 0.3s ease' }}>
+      {lineDrawOrder.map(([lineName, config]) => {
+        const path = paths[config.id];
+        if (!path) return null;
 
-      <MetroLine
-        pathData={paths.red}
-        lineConfig={LINES.War}
-        animationProgress={animationProgress}
-        isVisible={visibleLines.war}
-        isNarrativeFocus={narrativeFocusLine === 'war'}
-        isCrisisMode={true} // War line always has crisis mode for visual impact
-      />
-
-      {(() => {
-        const hasCrisisOnLine = (lineName) => {
-          return stations.some(s => 
-            s.significance === 'crisis' && s.lines.includes(lineName)
-          );
-        };
-        
         return (
           <MetroLine
-            pathData={paths.blue}
-            lineConfig={LINES.Tech}
+            key={config.id}
+            // Handle object structure for braided lines or string for simple lines
+            pathData={typeof path === 'string' ? path : path.main}
+            lineConfig={config}
             animationProgress={animationProgress}
-            isVisible={visibleLines.tech}
-            isNarrativeFocus={narrativeFocusLine === 'tech'}
-            isCrisisMode={hasCrisisOnLine('Tech')}
+            isVisible={isLineVisible(visibleLines, config.id)}
+            isNarrativeFocus={narrativeFocusLine === config.id}
+            isCrisisMode={config.alwaysCrisis || crisisLines.has(lineName)}
           />
         );
-      })()}
+      })}
+      </g>
+
+      {/* Station Spans - Periods drawn along the corridors, under the stations */}
+      <g opacity={routeStationIds ? dimmedOpacity : 1}>
+        <StationSpans
+          stations={stationsInView}
+          lines={lines}
+          visibleLines={visibleLines}
+          lineYPositions={lineYPositions}
+          hoveredStation={hoveredStation}
+          selectedStation={selectedStation}
+          filterMatchIds={filterMatchIds}
+        />
+      </g>
+
+      {/* Station Clusters - Stations hidden at this zoom; clicking one zooms in on them */}
+      {clusters.length > 0 && (
+        <g className="station-clusters" opacity={routeStationIds ? dimmedOpacity : 1}>
+          {clusters.map(cluster => {
+            const badge = getClusterBadge(cluster, clusterSize);
+            return (
+              <g
+                key={cluster.key}
+                className="station-cluster"
+                role="button"
+                aria-label={`${badge.label} on the ${cluster.line} line, zoom in to show them`}
+                style={{ cursor: onClusterExpand ? 'zoom-in' : undefined }}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onClusterExpand?.(cluster);
+                }}
+                onMouseDown={(e) => e.stopPropagation()}
+              >
+                <rect
+                  x={badge.x}
+                  y={badge.y}
+                  width={badge.width}
+                  height={badge.height}
+                  rx={badge.height / 2}
+                  fill="#0a0a0a"
+                  fillOpacity={0.85}
+                  stroke={cluster.color}
+                  strokeWidth={clusterSize * 0.15}
+                />
+                <text
+                  x={cluster.x}
+                  y={cluster.y + clusterSize * 0.35}
+                  textAnchor="middle"
+                  fill="#ffffff"
+                  fontSize={clusterSize}
+                  fontFamily="'JetBrains Mono', monospace"
+                  fontWeight="700"
+                  className="pointer-events-none select-none"
+                >
+                  {badge.label}
+                </text>
+              </g>
+            );
+          })}
+        </g>
+      )}
+
+      {/* Planned Route - Drawn over the dimmed network, under the stations */}
+      {route && <RouteOverlay route={route} lines={lines} lineYPositions={lineYPositions} />}
 
       {/* PROPER METRO MAP: Render each station ON ITS LINE(S) at the line's Y position */}
       {/* For multi-line stations, render a marker on EACH line */}
-      {filteredStations.map((s) => {
+      {stationsInView.map((s) => {
         const isHovered = hoveredStation === s.id;
         const isSelected = selectedStation?.id === s.id;
         const isInJourney = journeyMode && journeyStations[journeyIndex] === s.id;
-        const isSearchMatch = searchQuery && (s.name.toLowerCase().includes(searchQuery.toLowerCase()) || s.yearLabel.toLowerCase().includes(searchQuery.toLowerCase()));
-        const shouldShowLabel = showAllLabels || isHovered || isSelected || isInJourney || isSearchMatch;
+        const isSearchMatch = searchMatchIds?.has(s.id) ?? false;
+        const isOnRoute = routeStationIds?.has(s.id) ?? false;
+        const isCompared = comparedStationIds?.has(s.id) ?? false;
+        const isBookmarked = bookmarkedStationIds?.has(s.id) ?? false;
+        const shouldShowLabel = showAllLabels || isHovered || isSelected || isInJourney || isSearchMatch || isOnRoute || isCompared;
         const isActive = isHovered || isSelected || isInJourney;
+        const isOffRoute = routeStationIds !== null && !isOnRoute;
+        const isFilteredOut = filterMatchIds !== null && !filterMatchIds.has(s.id);
         
         // Get visible lines for this station
-        const visibleStationLines = s.lines.filter(line => visibleLines[lineMap[line]] !== false);
+        const visibleStationLines = s.lines.filter(line => lines[line] && isLineVisible(visibleLines, lines[line].id));
         if (visibleStationLines.length === 0 && !isSearchMatch) return null;
-        
-        // LOD: At very low zoom, only show major stations (hubs, crisis, or in journey)
-        const isTooSmall = currentZoom < 0.2;
-        const shouldRenderStation = !isTooSmall || s.significance === 'hub' || s.significance === 'crisis' || isInJourney || isSearchMatch;
-        if (!shouldRenderStation) return null;
+        const label = visibleStationLines.length > 0
+          ? getStationLabel(lodPolicy, s, { isActive, isRequested: shouldShowLabel })
+          : null;
         
         // Render a marker on EACH line this station belongs to
         return (
-          <g key={s.id}>
+          <g key={s.id} opacity={isOffRoute || isFilteredOut ? dimmedOpacity : 1}>
             {/* Vertical connector for multi-line stations */}
             {visibleStationLines.length > 1 && (
               <line
@@ -431,33 +528,37 @@ const MapRenderer = memo(function MapRenderer({
             {/* Station marker on each line - LOD aware */}
             {visibleStationLines.map((line, idx) => {
               const lineY = lineYPositions[line];
-              const lineColor = colors[line];
+              const lineColor = lines[line].color;
               const isPrimaryLine = idx === 0;
               
               // LOD: Adjust radius based on zoom level
               const baseRadius = isActive ? 20 : 15;
-              const radius = currentZoom < 0.2 ? baseRadius * 0.5 : baseRadius;
+              const radius = baseRadius * lodPolicy.markerScale;
               
               const isCrisis = s.significance === 'crisis';
               const isSingularity = s.id === 'singularity';
-              const isDetailView = currentZoom > 0.6; // Define here for use in this scope
               
               return (
                 <g
                   key={`${s.id}-${line}`}
                   className="station-marker"
-                  style={{ cursor: 'pointer' }}
+                  style={{ cursor: onStationDragStart ? 'ew-resize' : 'pointer' }}
                   onMouseEnter={() => onStationHover(s.id)}
                   onMouseLeave={() => onStationHover(null)}
                   onClick={(e) => {
                     e.stopPropagation();
+                    // Shift-click adds the station to the comparison instead of selecting it
+                    if (e.shiftKey && onStationCompare) {
+                      onStationCompare(s);
+                      return;
+                    }
                     onStationSelect(s);
                     if (journeyMode) {
                       const jdx = journeyStations.indexOf(s.id);
                       if (jdx !== -1) onStationJourneyGoTo(jdx, s);
                     }
                   }}
-                  onMouseDown={(e) => e.stopPropagation()}
+                  onMouseDown={(e) => (onStationDragStart ? onStationDragStart(s, e) : e.stopPropagation())}
                 >
                   {/* Glow effect on active */}
                   {isActive && (
@@ -471,6 +572,20 @@ const MapRenderer = memo(function MapRenderer({
                     />
                   )}
                   
+                  {/* Comparison ring */}
+                  {isCompared && (
+                    <circle
+                      cx={s.coords.x}
+                      cy={lineY}
+                      r={radius * 1.8}
+                      fill="none"
+                      stroke="#fbbf24"
+                      strokeWidth={3}
+                      strokeDasharray="6,4"
+                      className="pointer-events-none"
+                    />
+                  )}
+                  
                   {/* Singularity: Event Horizon Distortion Effect */}
                   {isSingularity && isPrimaryLine && (
                     <circle
@@ -505,7 +620,7 @@ const MapRenderer = memo(function MapRenderer({
                   />
                   
                   {/* Inner dot - only render if zoomed in or active (LOD) */}
-                  {(isDetailView || isActive) && (
+                  {(lodPolicy.innerDot || isActive) && (
                     <circle
                       cx={s.coords.x}
                       cy={lineY}
@@ -560,25 +675,55 @@ const MapRenderer = memo(function MapRenderer({
               );
             })}
             
-            {/* Label - LOD aware: only show if zoomed in enough or active */}
-            {/* MEDIUM PRIORITY: Apply collision detection offsets */}
-            {shouldShowLabel && (currentZoom > 0.6 || isActive) && (
+            {/* Bookmark star - top right of the topmost marker */}
+            {isBookmarked && visibleStationLines.length > 0 && (() => {
+              const topY = Math.min(...visibleStationLines.map(l => lineYPositions[l]));
+              const size = lodPolicy.markerScale < 1 ? 12 : 14;
+              return (
+                <polygon
+                  points={starPoints(s.coords.x + size * 1.4, topY - size * 1.4, size)}
+                  fill="#fbbf24"
+                  stroke="#0a0a0a"
+                  strokeWidth={2}
+                  strokeLinejoin="round"
+                  className="pointer-events-none"
+                />
+              );
+            })()}
+            
+            {/* Label - LOD aware: text, year and insight follow the zoom tier */}
+            {/* Placed clear of corridors and other labels (see labelPlacement.js) */}
+            {label && (
               <g className="pointer-events-none select-none">
                 {(() => {
                   const topY = Math.min(...visibleStationLines.map(l => lineYPositions[l]));
-                  const isDetailView = currentZoom > 0.6; // Re-define in this closure scope
-                  const labelOffset = labelOffsets[s.id] || 0; // Get collision offset
-                  const labelY = topY - 30 - labelOffset; // Apply offset
+                  const { x, y, textAnchor, leader } = labelPlacements[s.id]
+                    || { x: s.coords.x, y: topY - 30, textAnchor: 'middle', leader: null };
+                  const insightY = y + (label.showYear ? LABEL_TEXT.yearStep : 0);
+                  const nameSize = isActive ? LABEL_TEXT.activeNameSize : LABEL_TEXT.nameSize;
                   return (
                     <>
+                      {/* Leader line - only for labels pushed away from their station */}
+                      {leader && (
+                        <line
+                          x1={leader.x1}
+                          y1={leader.y1}
+                          x2={leader.x2}
+                          y2={leader.y2}
+                          stroke="#ffffff"
+                          strokeWidth={2}
+                          opacity={0.5}
+                          className="station-leader"
+                        />
+                      )}
                       {/* Name label background */}
                       <text
-                        x={s.coords.x}
-                        y={labelY}
-                        textAnchor="middle"
+                        x={x}
+                        y={y}
+                        textAnchor={textAnchor}
                         fill="#000"
-                        fontSize={isActive ? 28 : 24}
-                        fontFamily="'JetBrains Mono', monospace"
+                        fontSize={nameSize}
+                        fontFamily={LABEL_TEXT.fontFamily}
                         fontWeight="700"
                         stroke="#000"
                         strokeWidth={6}
@@ -586,35 +731,50 @@ const MapRenderer = memo(function MapRenderer({
                         opacity={0.5}
                         className="station-label"
                       >
-                        {s.name.length > 25 ? `${s.name.substring(0, 25)}…` : s.name}
+                        {label.text}
                       </text>
                       {/* Name label */}
                       <text
-                        x={s.coords.x}
-                        y={labelY}
-                        textAnchor="middle"
+                        x={x}
+                        y={y}
+                        textAnchor={textAnchor}
                         fill="#ffffff"
-                        fontSize={isActive ? 28 : 24}
-                        fontFamily="'JetBrains Mono', monospace"
+                        fontSize={nameSize}
+                        fontFamily={LABEL_TEXT.fontFamily}
                         fontWeight="700"
                         className="station-label"
                       >
-                        {s.name.length > 25 ? `${s.name.substring(0, 25)}…` : s.name}
+                        {label.text}
                       </text>
-                      {/* Year label - Only show if very zoomed in or active (LOD) */}
-                      {(isActive || currentZoom > 1.2) && (
+                      {/* Year label */}
+                      {label.showYear && (
                         <text
-                          x={s.coords.x}
-                          y={labelY + 24}
-                          textAnchor="middle"
-                          fill={colors[visibleStationLines[0]]}
-                          fontSize={20}
-                          fontFamily="'JetBrains Mono', monospace"
+                          x={x}
+                          y={y + LABEL_TEXT.yearStep}
+                          textAnchor={textAnchor}
+                          fill={lines[visibleStationLines[0]].color}
+                          fontSize={LABEL_TEXT.yearSize}
+                          fontFamily={LABEL_TEXT.fontFamily}
                           fontWeight="600"
                         >
                           {s.yearLabel}
                         </text>
                       )}
+                      {/* Insight - Close-up only, under the name and year */}
+                      {label.insightLines.map((line, idx) => (
+                        <text
+                          key={idx}
+                          x={x}
+                          y={insightY + (idx + 1) * LABEL_TEXT.insightStep}
+                          textAnchor={textAnchor}
+                          fill="#a3a3a3"
+                          fontSize={LABEL_TEXT.insightSize}
+                          fontFamily={LABEL_TEXT.fontFamily}
+                          className="station-insight"
+                        >
+                          {line}
+                        </text>
+                      ))}
                     </>
                   );
                 })()}
@@ -623,6 +783,17 @@ const MapRenderer = memo(function MapRenderer({
           </g>
         );
       })}
+
+      {/* Year readout under the mouse */}
+      {screenToSVG && (
+        <CursorCrosshair
+          svgRef={svgRef}
+          screenToSVG={screenToSVG}
+          xToYear={timeScale.xToYear}
+          viewBox={viewBox}
+          isPanning={isPanning}
+        />
+      )}
     </svg>
   );
 });
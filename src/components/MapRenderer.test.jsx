@@ -0,0 +1,175 @@
+/**
+ * Component Tests for MapRenderer.jsx
+ * Tests viewport culling (what is drawn, and that drawing cost follows what is in view),
+ * the level of detail (clusters, highlighted stations, era bands) and label placement
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, fireEvent } from '@testing-library/react';
+import MapRenderer from './MapRenderer';
+import { VIEWBOX } from '../constants/metroConfig';
+
+// Records how many indexed items each of the renderer's viewport queries visits
+const indexQueries = vi.hoisted(() => []);
+vi.mock('../utils/viewportCulling', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    querySpatialIndex: (index, bounds) => {
+      const stats = {};
+      const result = actual.querySpatialIndex(index, bounds, stats);
+      indexQueries.push({ size: index.size, visited: stats.visited, found: result.length });
+      return result;
+    }
+  };
+});
+
+// Stations one per 10 units along the Tech corridor, each linked to the next
+const createStations = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `s${i}`,
+  name: `Station ${i}`,
+  year: i,
+  yearLabel: `${i} CE`,
+  lines: ['Tech'],
+  significance: 'normal',
+  coords: { x: i * 10, y: 0 },
+  connections: i + 1 < count ? [{ targetId: `s${i + 1}` }] : []
+}));
+
+const view = { x: 1000, y: 0, width: 1000, height: VIEWBOX.HEIGHT };
+
+const renderMap = (stations, overrides = {}) => render(
+  <MapRenderer
+    svgRef={{ current: null }}
+    viewBox={view}
+    paths={{}}
+    stations={stations}
+    filteredStations={stations}
+    visibleLines={{}}
+    animationProgress={1}
+    hoveredStation={null}
+    selectedStation={null}
+    journeyMode={false}
+    journeyIndex={0}
+    journeyStations={[]}
+    searchMatchIds={null}
+    showAllLabels={false}
+    currentZoom={1}
+    labelPlacements={{}}
+    timeMarkers={[]}
+    route={null}
+    isPanning={false}
+    VIEWBOX_WIDTH={VIEWBOX.WIDTH}
+    VIEWBOX_HEIGHT={VIEWBOX.HEIGHT}
+    onStationHover={vi.fn()}
+    onStationSelect={vi.fn()}
+    onStationJourneyGoTo={vi.fn()}
+    {...overrides}
+  />
+);
+
+const count = (container, selector) => container.querySelectorAll(selector).length;
+
+describe('MapRenderer viewport culling', () => {
+  it('should only draw stations and links near the view', () => {
+    const { container } = renderMap(createStations(1000));
+    const markers = count(container, '.station-marker');
+    // 1000 units of view plus margin and label padding, one station per 10 units
+    expect(markers).toBeGreaterThan(100);
+    expect(markers).toBeLessThan(250);
+    expect(count(container, '.causal-links path')).toBeLessThan(250);
+  });
+
+  it('should draw everything when culling is off', () => {
+    const { container } = renderMap(createStations(400), { cullToViewport: false });
+    expect(count(container, '.station-marker')).toBe(400);
+    expect(count(container, '.causal-links path')).toBe(399);
+  });
+
+  it('should skip links to stations that are filtered out', () => {
+    const stations = createStations(300);
+    const { container } = renderMap(stations, {
+      filteredStations: stations.filter((_, i) => i % 2 === 0),
+      cullToViewport: false
+    });
+    expect(count(container, '.causal-links path')).toBe(0);
+  });
+
+  // Benchmark: the DOM drawn for the same view is the same size whether the dataset
+  // has hundreds or thousands of stations, so render cost follows the visible items
+  it('benchmark: should visit the same number of indexed items for a 10x larger dataset', () => {
+    const measure = (stations) => {
+      indexQueries.length = 0;
+      renderMap(stations).unmount();
+      return indexQueries.map(({ visited, found }) => ({ visited, found }));
+    };
+
+    const small = measure(createStations(300));
+    const large = measure(createStations(3000));
+
+    // One query for stations, one for causal links, each touching only the cells in view
+    expect(small).toHaveLength(2);
+    expect(large).toEqual(small);
+    large.forEach(({ visited }) => expect(visited).toBeLessThan(300));
+  });
+});
+
+describe('MapRenderer level of detail', () => {
+  // Zoomed out to the era tier: the whole timeline fits in a third of the view
+  const eraView = { x: 0, y: 0, width: VIEWBOX.WIDTH / 0.3, height: VIEWBOX.HEIGHT / 0.3 };
+
+  it('should gather hidden stations into cluster markers that expand on click', () => {
+    const onClusterExpand = vi.fn();
+    const stations = createStations(20);
+    stations[5] = { ...stations[5], significance: 'hub' };
+    const { container } = renderMap(stations, { viewBox: eraView, currentZoom: 0.3, onClusterExpand });
+
+    expect(count(container, '.station-marker')).toBe(1);
+    const clusters = container.querySelectorAll('.station-cluster');
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].textContent).toBe('+19 stations');
+
+    fireEvent.click(clusters[0]);
+    expect(onClusterExpand).toHaveBeenCalledWith(expect.objectContaining({ count: 19 }));
+  });
+
+  it('should draw highlighted stations whatever the tier', () => {
+    const stations = createStations(20);
+    const { container } = renderMap(stations, {
+      viewBox: eraView,
+      currentZoom: 0.3,
+      searchMatchIds: new Set(['s3']),
+      selectedStation: stations[7]
+    });
+    expect(count(container, '.station-marker')).toBe(2);
+    expect(container.querySelector('.station-cluster').textContent).toBe('+18 stations');
+  });
+
+  it('should show era bands only in the overview', () => {
+    const overview = renderMap(createStations(5), { viewBox: eraView, currentZoom: 0.1 });
+    expect(count(overview.container, '.era-bands rect')).toBeGreaterThan(0);
+    overview.unmount();
+    expect(count(renderMap(createStations(5)).container, '.era-bands')).toBe(0);
+  });
+});
+
+describe('MapRenderer labels', () => {
+  it('should draw labels where they were placed, with a leader line when pushed away', () => {
+    const stations = createStations(200);
+    const { container } = renderMap(stations, {
+      showAllLabels: true,
+      labelPlacements: {
+        s110: { x: 1100, y: 680, textAnchor: 'middle', leader: null },
+        s120: { x: 1218, y: 600, textAnchor: 'start', leader: { x1: 1208, y1: 710, x2: 1218, y2: 640 } }
+      }
+    });
+
+    const labelFor = name => [...container.querySelectorAll('.station-label')].find(t => t.textContent === name);
+    expect(labelFor('Station 110').getAttribute('y')).toBe('680');
+    expect(labelFor('Station 120').getAttribute('text-anchor')).toBe('start');
+    expect(count(container, '.station-leader')).toBe(1);
+
+    // Stations without a placement fall back to centered above their marker
+    expect(labelFor('Station 130').getAttribute('text-anchor')).toBe('middle');
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * NarrationSubtitles Component
+ * Shows the segment being read aloud over the map
+ */
+
+import React, { memo } from 'react';
+
+/**
+ * Subtitle line
+ * @param {Object} subtitle - Current segment ({label, text, index, count}) from useNarrator
+ * @param {boolean} [raised=false] - Sit higher, above the presentation caption bar
+ */
+const NarrationSubtitles = memo(function NarrationSubtitles({ subtitle, raised = false }) {
+  return (
+    <div
+      className={`absolute ${raised ? 'bottom-40' : 'bottom-24'} left-1/2 -translate-x-1/2 z-40 w-[min(40rem,calc(100%-2rem))] pointer-events-none text-center`}
+      aria-hidden="true"
+    >
+      <div className="inline-block px-4 py-2 rounded-lg bg-black/75 backdrop-blur-sm">
+        <div className="text-[10px] uppercase tracking-widest text-cyan-400/80">{subtitle.label}</div>
+        <p className="text-base text-white leading-snug">{subtitle.text}</p>
+      </div>
+    </div>
+  );
+});
+
+export default NarrationSubtitles;
@@ -0,0 +1,75 @@
+/**
+ * NarratorSettings Component
+ * Narration toggle with voice, speed and subtitle options (see hooks/useNarrator.js)
+ */
+
+import React, { memo } from 'react';
+import { Volume2, VolumeX } from 'lucide-react';
+import { NARRATION_RATE } from '../utils/narrator';
+
+const selectClass = 'w-full px-1.5 py-1 bg-neutral-800 border border-cyan-900/50 rounded text-xs text-white focus:outline-none focus:border-cyan-500';
+
+/**
+ * Narration settings
+ * @param {Object} narrator - Narrator from useNarrator
+ */
+const NarratorSettings = memo(function NarratorSettings({ narrator }) {
+  if (!narrator?.isSupported) return null;
+  const { settings, voices, updateSettings } = narrator;
+
+  return (
+    <div className="space-y-1.5">
+      <button
+        onClick={() => updateSettings({ enabled: !settings.enabled })}
+        className={`flex items-center gap-1.5 text-xs ${settings.enabled ? 'text-cyan-300' : 'text-neutral-400 hover:text-white'}`}
+        aria-pressed={settings.enabled}
+      >
+        {settings.enabled ? <Volume2 size={12} /> : <VolumeX size={12} />}
+        Narrate stops
+      </button>
+
+      {settings.enabled && (
+        <>
+          <select
+            value={settings.voiceURI || ''}
+            onChange={(e) => updateSettings({ voiceURI: e.target.value || null })}
+            className={selectClass}
+            aria-label="Narrator voice"
+          >
+            <option value="">Default voice</option>
+            {voices.map(voice => (
+              <option key={voice.voiceURI} value={voice.voiceURI}>
+                {voice.name} ({voice.lang})
+              </option>
+            ))}
+          </select>
+          <div className="flex items-center gap-2">
+            <span className="text-[10px] uppercase tracking-widest text-neutral-500">Speed</span>
+            <input
+              type="range"
+              min={NARRATION_RATE.MIN}
+              max={NARRATION_RATE.MAX}
+              step={NARRATION_RATE.STEP}
+              value={settings.rate}
+              onChange={(e) => updateSettings({ rate: Number(e.target.value) })}
+              className="flex-1 accent-cyan-500"
+              aria-label="Narration speed"
+            />
+            <span className="w-8 text-right text-[10px] font-mono text-neutral-300">{settings.rate.toFixed(1)}×</span>
+          </div>
+          <label className="flex items-center gap-1.5 text-xs text-neutral-400">
+            <input
+              type="checkbox"
+              checked={settings.subtitles}
+              onChange={(e) => updateSettings({ subtitles: e.target.checked })}
+              className="accent-cyan-500"
+            />
+            Subtitles
+          </label>
+        </>
+      )}
+    </div>
+  );
+});
+
+export default NarratorSettings;
@@ -0,0 +1,102 @@
+/**
+ * PresentationControls Component
+ * Caption bar shown while a tour autoplays: stop caption, a progress bar for the
+ * stop's dwell time, and pause/stop buttons. Stays visible with the UI hidden.
+ */
+
+import React, { memo } from 'react';
+import { Pause, Play, Square, Repeat } from 'lucide-react';
+import { PRESENTATION_CONTROLS_ATTRIBUTE } from '../hooks/usePresentation';
+
+const buttonClass = 'p-1.5 rounded bg-neutral-800/80 text-cyan-300 hover:bg-neutral-700 hover:text-white transition-colors';
+
+/**
+ * Presentation caption bar
+ * @param {Object} tour - Tour being presented
+ * @param {number} stopIndex - Current stop index
+ * @param {Object|null} station - Station of the current stop
+ * @param {number|null} stopDuration - Dwell time of the current stop (ms); null while the stop is being narrated
+ * @param {boolean} isPaused - Whether the countdown is paused
+ * @param {string|null} pauseReason - 'user' (paused here) or 'interaction' (resumes when idle)
+ * @param {boolean} loop - Whether the tour starts over after the last stop
+ * @param {Function} onPause - Pauses the presentation
+ * @param {Function} onResume - Resumes the presentation
+ * @param {Function} onStop - Ends the presentation
+ */
+const PresentationControls = memo(function PresentationControls({
+  tour,
+  stopIndex,
+  station,
+  stopDuration,
+  isPaused,
+  pauseReason,
+  loop,
+  onPause,
+  onResume,
+  onStop
+}) {
+  const stop = tour.stops[stopIndex];
+
+  return (
+    <div
+      {...{ [PRESENTATION_CONTROLS_ATTRIBUTE]: '' }}
+      className="absolute bottom-6 left-1/2 -translate-x-1/2 z-50 w-[min(40rem,calc(100%-2rem))] bg-neutral-950/85 backdrop-blur-md border border-cyan-900/50 rounded-lg shadow-2xl overflow-hidden"
+      role="region"
+      aria-label="Presentation"
+    >
+      <div className="flex items-start gap-3 p-3">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2 text-[10px] uppercase tracking-widest text-cyan-500">
+            <span className="truncate">{tour.title}</span>
+            <span className="font-mono">{stopIndex + 1}/{tour.stops.length}</span>
+            {loop && <Repeat size={10} aria-label="Looping" />}
+            {isPaused && (
+              <span className="text-amber-400">
+                {pauseReason === 'interaction' ? 'Paused · resumes when idle' : 'Paused'}
+              </span>
+            )}
+          </div>
+          {station && <h2 className="text-lg font-bold text-white truncate">{station.name}</h2>}
+          {stop?.caption && <p className="text-sm text-cyan-100/90 leading-relaxed">{stop.caption}</p>}
+        </div>
+        <div className="flex gap-1 shrink-0">
+          <button
+            onClick={isPaused ? onResume : onPause}
+            className={buttonClass}
+            aria-label={isPaused ? 'Resume presentation' : 'Pause presentation'}
+          >
+            {isPaused ? <Play size={14} /> : <Pause size={14} />}
+          </button>
+          <button onClick={onStop} className={buttonClass} aria-label="Stop presentation">
+            <Square size={14} />
+          </button>
+        </div>
+      </div>
+
+      {/* Restarts for every stop; pausing freezes it along with the countdown */}
+      <div className="h-1 bg-neutral-800">
+        {stopDuration === null ? (
+          <div className={`h-full bg-cyan-500/40 ${isPaused ? '' : 'animate-pulse'}`} />
+        ) : (
+          <div
+            key={`${tour.id}-${stopIndex}`}
+            className="h-full bg-gradient-to-r from-cyan-500 to-purple-500 origin-left"
+            style={{
+              animation: `presentationProgress ${stopDuration}ms linear forwards`,
+              animationPlayState: isPaused ? 'paused' : 'running'
+            }}
+          />
+        )}
+      </div>
+
+      <style>{`
+        @keyframes presentationProgress {
+          from { transform: scaleX(0); }
+          to { transform: scaleX(1); }
+        }
+      `}</style>
+    </div>
+  );
+});
+
+export default PresentationControls;
@@ -0,0 +1,194 @@
+/**
+ * StationComparison Component
+ * Side-by-side view of up to four stations (shift-click on the map to add them)
+ *
+ * - One column per station, in chronological order
+ * - Rows for year, population, lines, significance and the narrative fields
+ * - The time between neighbouring stations and any causal paths connecting them
+ */
+
+import React, { memo } from 'react';
+import { X, Columns, GitBranch } from 'lucide-react';
+import { LINES } from '../constants/metroConfig';
+import { getLineBadgeStyle } from '../utils/lineConfig';
+import { getYearSpan, formatYearRange, formatDuration } from '../utils/years';
+import { MAX_COMPARED_STATIONS } from '../utils/stationComparison';
+
+const ROWS = [
+  {
+    label: 'Year',
+    render: (station) => {
+      const span = getYearSpan(station);
+      return (
+        <>
+          <div className="font-mono text-cyan-300">{station.yearLabel}</div>
+          {span && <div className="text-[10px] font-mono text-amber-400/80">{formatYearRange(span)}</div>}
+        </>
+      );
+    }
+  },
+  { label: 'Population', render: (station) => station.population || <span className="text-neutral-600">—</span> },
+  {
+    label: 'Lines',
+    render: (station, lines) => (
+      <div className="flex flex-wrap gap-1">
+        {station.lines.map(line => (
+          <span
+            key={line}
+            className={`px-1.5 py-0.5 text-[9px] uppercase tracking-widest border rounded-full ${lines[line] ? '' : 'bg-neutral-800 border-neutral-700 text-cyan-300'}`}
+            style={lines[line] ? getLineBadgeStyle(lines[line]) : undefined}
+          >
+            {line}
+          </span>
+        ))}
+      </div>
+    )
+  },
+  { label: 'Significance', render: (station) => <span className="capitalize">{station.significance}</span> },
+  { label: "What you're seeing", render: (station) => station.visual },
+  { label: 'The experience', render: (station) => <span className="font-serif italic">{station.atmosphere}</span> },
+  { label: 'Key insight', render: (station) => station.insight }
+];
+
+/**
+ * Describe the gap between two years
+ */
+const formatGap = (years) => (years === 0 ? 'Same year' : formatDuration({ startYear: 0, endYear: years }));
+
+/**
+ * Station comparison
+ * @param {Object} comparison - From compareStations (utils/stationComparison)
+ * @param {Object} [lines] - Active line configuration
+ * @param {Function} onSelectStation - Called with a station to select it
+ * @param {Function} onRemoveStation - Called with a station id to drop it from the comparison
+ * @param {Function} onClear - Clears the comparison
+ */
+const StationComparison = memo(function StationComparison({
+  comparison,
+  lines = LINES,
+  onSelectStation,
+  onRemoveStation,
+  onClear
+}) {
+  const { stations, gaps, totalYears, sharedLines, causalPaths } = comparison;
+  const columns = { gridTemplateColumns: `6rem repeat(${stations.length}, minmax(9rem, 1fr))` };
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-xs uppercase tracking-widest text-cyan-400 flex items-center gap-2 font-bold">
+          <Columns size={16} /> Compare stations
+        </h3>
+        <button
+          onClick={onClear}
+          className="text-[10px] text-cyan-500 hover:text-cyan-300 uppercase tracking-wider"
+        >
+          Clear comparison
+        </button>
+      </div>
+      <p className="text-xs text-neutral-500 mb-4">
+        {stations.length < 2
+          ? 'Shift-click another station on the map to compare.'
+          : `${formatGap(totalYears)} from first to last · shift-click to add up to ${MAX_COMPARED_STATIONS}`}
+      </p>
+
+      {/* Side-by-side grid */}
+      <div className="overflow-x-auto custom-scrollbar pb-2">
+        <div className="grid gap-x-3 text-xs" style={columns} role="table" aria-label="Station comparison">
+          <div role="row" className="contents">
+            <div role="columnheader" />
+            {stations.map(station => (
+              <div key={station.id} role="columnheader" className="flex items-start gap-1 pb-2 border-b border-cyan-900/40">
+                <button
+                  onClick={() => onSelectStation(station)}
+                  className="flex-1 text-left text-sm font-bold text-white hover:text-cyan-300 leading-tight"
+                >
+                  {station.name}
+                </button>
+                <button
+                  onClick={() => onRemoveStation(station.id)}
+                  className="p-0.5 text-neutral-500 hover:text-white rounded"
+                  aria-label={`Remove ${station.name} from comparison`}
+                >
+                  <X size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {ROWS.map(row => (
+            <div key={row.label} role="row" className="contents">
+              <div role="rowheader" className="py-2 text-[10px] uppercase tracking-widest text-neutral-500 border-b border-neutral-800/60">
+                {row.label}
+              </div>
+              {stations.map(station => (
+                <div key={station.id} role="cell" className="py-2 text-neutral-300 leading-relaxed border-b border-neutral-800/60">
+                  {row.render(station, lines)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {stations.length > 1 && (
+        <>
+          {/* Time gaps */}
+          <div className="mt-4">
+            <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-2">Time between</div>
+            <ol className="space-y-1">
+              {gaps.map(gap => (
+                <li key={`${gap.from.id}-${gap.to.id}`} className="flex items-center gap-2 text-xs text-neutral-300">
+                  <span className="truncate">{gap.from.name}</span>
+                  <span className="text-neutral-600">→</span>
+                  <span className="truncate">{gap.to.name}</span>
+                  <span className="ml-auto font-mono text-amber-300 whitespace-nowrap">{formatGap(gap.years)}</span>
+                </li>
+              ))}
+            </ol>
+            {sharedLines.length > 0 && (
+              <p className="mt-2 text-xs text-neutral-500">
+                All on {sharedLines.map(line => lines[line]?.name || line).join(', ')}
+              </p>
+            )}
+          </div>
+
+          {/* Causal paths */}
+          <div className="mt-4">
+            <div className="text-[10px] uppercase tracking-widest text-cyan-500 mb-2 flex items-center gap-1.5">
+              <GitBranch size={12} /> Causal paths
+            </div>
+            {causalPaths.length === 0 ? (
+              <p className="text-xs text-neutral-500">No chain of causal links connects these stations.</p>
+            ) : (
+              <ul className="space-y-2">
+                {causalPaths.map(({ from, to, route }) => (
+                  <li key={`${from.id}-${to.id}`} className="p-2 rounded-lg bg-neutral-900/60 border border-neutral-800">
+                    <div className="flex flex-wrap items-center gap-1 text-xs">
+                      {route.stations.map((station, idx) => (
+                        <React.Fragment key={station.id}>
+                          {idx > 0 && <span className="text-neutral-600">→</span>}
+                          <button
+                            onClick={() => onSelectStation(station)}
+                            className="text-neutral-300 hover:text-white"
+                          >
+                            {station.name}
+                          </button>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                    <div className="text-[10px] text-neutral-500 mt-1">
+                      {route.stops} link{route.stops === 1 ? '' : 's'} · {formatGap(to.year - from.year)}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+export default StationComparison;
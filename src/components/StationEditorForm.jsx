@@ -0,0 +1,305 @@
+/**
+ * StationEditorForm Component
+ * Sidebar form for editing a raw station definition in authoring mode
+ *
+ * Every field change is applied immediately (the map redraws as you type);
+ * the id and year are committed on blur/Enter since half-typed values are invalid.
+ */
+
+import React, { memo, useState, useMemo } from 'react';
+import { Trash2, Plus, X, AlertTriangle } from 'lucide-react';
+import { LINES } from '../constants/metroConfig';
+import { ICON_TYPES } from '../data/stations';
+import { SIGNIFICANCE_LEVELS } from '../data/stationSchema';
+import { formatYearLabel } from '../utils/years';
+
+const inputClass = 'w-full px-2 py-1.5 bg-neutral-900 border border-neutral-800 rounded text-sm text-white focus:outline-none focus:border-cyan-500';
+const labelClass = 'block text-[10px] uppercase tracking-widest text-cyan-500 mb-1';
+
+const NARRATIVE_FIELDS = [
+  { key: 'visual', label: "What You're Seeing" },
+  { key: 'atmosphere', label: 'The Experience' },
+  { key: 'insight', label: 'Key Insight' }
+];
+
+/**
+ * Labelled form field wrapper
+ */
+const Field = ({ label, children, hint }) => (
+  <label className="block">
+    <span className={labelClass}>{label}</span>
+    {children}
+    {hint && <span className="block mt-1 text-[10px] text-red-400">{hint}</span>}
+  </label>
+);
+
+/**
+ * Optional span end, committed on blur/Enter like the year
+ * Clearing the field removes that end of the span.
+ */
+const SpanYearInput = ({ value, placeholder, onCommit }) => {
+  const [draft, setDraft] = useState('');
+  const [focused, setFocused] = useState(false);
+  const current = value === undefined ? '' : String(value);
+
+  const commit = () => {
+    setFocused(false);
+    const trimmed = draft.trim();
+    const year = Number(trimmed);
+    if (trimmed === '') {
+      if (value !== undefined) onCommit(undefined);
+    } else if (Number.isInteger(year) && year !== value) {
+      onCommit(year);
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      step="1"
+      className={inputClass}
+      value={focused ? draft : current}
+      placeholder={placeholder}
+      onFocus={() => { setDraft(current); setFocused(true); }}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          commit();
+        }
+      }}
+    />
+  );
+};
+
+/**
+ * Station editor form
+ * @param {Object} station - Raw station being edited
+ * @param {Array} stations - All raw stations (connection targets)
+ * @param {Object} lines - Active line configuration
+ * @param {Array} issues - Validation issues for this station
+ * @param {Function} onChange - Called with a patch for the station
+ * @param {Function} onRename - Called with a new id; returns an error message or null
+ * @param {Function} onDelete - Deletes the station
+ */
+const StationEditorForm = memo(function StationEditorForm({
+  station,
+  stations,
+  lines = LINES,
+  issues = [],
+  onChange,
+  onRename,
+  onDelete
+}) {
+  const [idDraft, setIdDraft] = useState(station.id);
+  const [idError, setIdError] = useState(null);
+  const [yearDraft, setYearDraft] = useState(String(station.year));
+  const [yearFocused, setYearFocused] = useState(false);
+
+  const connections = station.connections || [];
+  const connectionTargets = useMemo(() => (
+    stations.filter(s => s.year > station.year && !connections.some(conn => conn.targetId === s.id))
+  ), [stations, station.year, connections]);
+  const stationNames = useMemo(() => new Map(stations.map(s => [s.id, s.name])), [stations]);
+
+  const commitId = () => {
+    const error = onRename(idDraft.trim());
+    setIdError(error);
+    if (error) setIdDraft(station.id);
+  };
+
+  const commitYear = () => {
+    setYearFocused(false);
+    const year = Number(yearDraft);
+    if (yearDraft.trim() !== '' && Number.isInteger(year) && year !== station.year) {
+      onChange({ year });
+    } else {
+      setYearDraft(String(station.year));
+    }
+  };
+
+  const commitOnEnter = (commit) => (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commit();
+    }
+  };
+
+  const toggleLine = (lineName) => {
+    const stationLines = station.lines || [];
+    const next = stationLines.includes(lineName)
+      ? stationLines.filter(l => l !== lineName)
+      : [...stationLines, lineName];
+    if (next.length > 0) onChange({ lines: next });
+  };
+
+  return (
+    <form className="space-y-4" onSubmit={(e) => e.preventDefault()} aria-label={`Edit ${station.name}`}>
+      {issues.length > 0 && (
+        <ul className="p-3 rounded-lg bg-red-950/40 border border-red-900/50 space-y-1">
+          {issues.map((issue, idx) => (
+            <li key={idx} className={`flex gap-2 text-xs ${issue.severity === 'error' ? 'text-red-300' : 'text-amber-300'}`}>
+              <AlertTriangle size={12} className="mt-0.5 shrink-0" />
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Field label="Name">
+        <input className={inputClass} value={station.name} onChange={(e) => onChange({ name: e.target.value })} />
+      </Field>
+
+      <Field label="Id" hint={idError}>
+        <input
+          className={`${inputClass} font-mono`}
+          value={idDraft}
+          onChange={(e) => setIdDraft(e.target.value)}
+          onBlur={commitId}
+          onKeyDown={commitOnEnter(commitId)}
+        />
+      </Field>
+
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="Year">
+          <input
+            type="number"
+            step="1"
+            className={inputClass}
+            value={yearFocused ? yearDraft : String(station.year)}
+            onFocus={() => { setYearDraft(String(station.year)); setYearFocused(true); }}
+            onChange={(e) => setYearDraft(e.target.value)}
+            onBlur={commitYear}
+            onKeyDown={commitOnEnter(commitYear)}
+          />
+        </Field>
+        <Field label="Year label">
+          <input
+            className={inputClass}
+            value={station.yearLabel || ''}
+            placeholder={formatYearLabel(station.year)}
+            onChange={(e) => onChange({ yearLabel: e.target.value })}
+          />
+        </Field>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="Span start">
+          <SpanYearInput value={station.startYear} placeholder="—" onCommit={(startYear) => onChange({ startYear })} />
+        </Field>
+        <Field label="Span end">
+          <SpanYearInput value={station.endYear} placeholder="—" onCommit={(endYear) => onChange({ endYear })} />
+        </Field>
+      </div>
+      <label className="flex items-center gap-2 text-xs text-neutral-300">
+        <input
+          type="checkbox"
+          className="accent-cyan-500"
+          checked={station.circa === true}
+          onChange={(e) => onChange({ circa: e.target.checked || undefined })}
+        />
+        Dates are approximate (circa)
+      </label>
+
+      <fieldset>
+        <legend className={labelClass}>Lines</legend>
+        <div className="flex flex-wrap gap-1.5">
+          {Object.entries(lines).map(([lineName, config]) => {
+            const isOn = station.lines?.includes(lineName);
+            return (
+              <button
+                key={lineName}
+                type="button"
+                role="checkbox"
+                aria-checked={isOn}
+                onClick={() => toggleLine(lineName)}
+                className={`px-2 py-1 text-[10px] uppercase tracking-widest border rounded-full transition-opacity ${isOn ? '' : 'opacity-40 hover:opacity-70'}`}
+                style={{ borderColor: config.color, color: config.color }}
+              >
+                {lineName}
+              </button>
+            );
+          })}
+        </div>
+      </fieldset>
+
+      <div className="grid grid-cols-2 gap-3">
+        <Field label="Significance">
+          <select className={inputClass} value={station.significance} onChange={(e) => onChange({ significance: e.target.value })}>
+            {SIGNIFICANCE_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+          </select>
+        </Field>
+        <Field label="Icon">
+          <select className={inputClass} value={station.iconType || ''} onChange={(e) => onChange({ iconType: e.target.value })}>
+            {Object.values(ICON_TYPES).map(icon => <option key={icon} value={icon}>{icon}</option>)}
+          </select>
+        </Field>
+      </div>
+
+      {NARRATIVE_FIELDS.map(({ key, label }) => (
+        <Field key={key} label={label}>
+          <textarea
+            rows={2}
+            className={inputClass}
+            value={station.narrative?.[key] || ''}
+            onChange={(e) => onChange({ narrative: { [key]: e.target.value } })}
+          />
+        </Field>
+      ))}
+
+      <Field label="Full Context">
+        <textarea rows={3} className={inputClass} value={station.details || ''} onChange={(e) => onChange({ details: e.target.value })} />
+      </Field>
+
+      <Field label="Population">
+        <input className={inputClass} value={station.population || ''} onChange={(e) => onChange({ population: e.target.value || undefined })} />
+      </Field>
+
+      <fieldset>
+        <legend className={labelClass}>Leads to</legend>
+        <ul className="space-y-1 mb-2">
+          {connections.map(conn => (
+            <li key={conn.targetId} className="flex items-center justify-between gap-2 px-2 py-1 rounded bg-neutral-900 text-xs text-neutral-300">
+              <span>{stationNames.get(conn.targetId) || conn.targetId}</span>
+              <button
+                type="button"
+                onClick={() => onChange({ connections: connections.filter(c => c.targetId !== conn.targetId) })}
+                className="text-neutral-500 hover:text-white"
+                aria-label={`Remove connection to ${stationNames.get(conn.targetId) || conn.targetId}`}
+              >
+                <X size={12} />
+              </button>
+            </li>
+          ))}
+        </ul>
+        {connectionTargets.length > 0 && (
+          <div className="flex items-center gap-2">
+            <Plus size={12} className="text-cyan-500 shrink-0" />
+            <select
+              className={inputClass}
+              value=""
+              onChange={(e) => e.target.value && onChange({ connections: [...connections, { targetId: e.target.value, type: 'causal' }] })}
+              aria-label="Add causal connection"
+            >
+              <option value="">Add causal connection…</option>
+              {connectionTargets.map(s => (
+                <option key={s.id} value={s.id}>{s.yearLabel} · {s.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </fieldset>
+
+      <button
+        type="button"
+        onClick={onDelete}
+        className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-red-950/50 hover:bg-red-900/60 border border-red-900/50 rounded text-sm text-red-200 transition-colors"
+      >
+        <Trash2 size={14} /> Delete station
+      </button>
+    </form>
+  );
+});
+
+export default StationEditorForm;
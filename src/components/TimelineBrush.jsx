@@ -0,0 +1,223 @@
+/**
+ * TimelineBrush Component
+ * Mini timeline with a draggable year range selection
+ *
+ * - Drag a handle to move one end, drag the selection to move both
+ * - Press on the track outside the selection to draw a new range
+ * - Handles are sliders: arrow keys nudge, Page Up/Down nudge further, Home/End jump
+ *
+ * The range is only committed (filter + zoom) when a drag ends, so the map does
+ * not re-zoom on every mouse move.
+ */
+
+import React, { memo, useRef, useState } from 'react';
+import { TIMELINE, VIEWBOX } from '../constants/metroConfig';
+import { nudgeYear } from '../utils/coordinates';
+import { formatYearLabel, formatYearRange } from '../utils/years';
+
+const FULL_RANGE = [TIMELINE.START, TIMELINE.END];
+
+// Marker labels closer than this (percent of the track) are skipped
+const MIN_LABEL_GAP = 30;
+
+const clampYear = (year) => Math.round(Math.min(TIMELINE.END, Math.max(TIMELINE.START, year)));
+
+/**
+ * Year range brush
+ * @param {Object} yearScale - Time scale the track is laid out on ({ yearToX, xToYear })
+ * @param {Array} [timeMarkers] - Axis markers ({ year, label }) drawn as ticks
+ * @param {Array} [stations] - Stations drawn as density ticks
+ * @param {Array<number>|null} range - Selected [start, end] years, or null for all time
+ * @param {Function} onChange - Called with the committed range (null for all time)
+ * @param {Function} [announce] - Screen reader announcement
+ */
+const TimelineBrush = memo(function TimelineBrush({
+  yearScale,
+  timeMarkers = [],
+  stations = [],
+  range,
+  onChange,
+  announce
+}) {
+  const trackRef = useRef(null);
+  const dragRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  const [start, end] = draft || range || FULL_RANGE;
+  const toPercent = (year) => (yearScale.yearToX(year) / VIEWBOX.WIDTH) * 100;
+  const isAllTime = !draft && !range;
+
+  const yearAtClientX = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return clampYear(yearScale.xToYear(ratio * VIEWBOX.WIDTH));
+  };
+
+  const commit = (next) => {
+    const isFull = next[0] <= TIMELINE.START && next[1] >= TIMELINE.END;
+    onChange(isFull ? null : next);
+    announce?.(isFull ? 'Showing all time' : `Showing ${formatYearRange({ startYear: next[0], endYear: next[1] })}`);
+  };
+
+  const startDrag = (mode) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const year = yearAtClientX(e.clientX);
+    dragRef.current = { mode, originYear: year, originRange: [start, end] };
+    if (mode === 'create') setDraft([year, year]);
+    // Captured events still bubble to the track, which handles move and up
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const year = yearAtClientX(e.clientX);
+    const [originStart, originEnd] = drag.originRange;
+
+    if (drag.mode === 'start') setDraft([Math.min(year, originEnd - 1), originEnd]);
+    else if (drag.mode === 'end') setDraft([originStart, Math.max(year, originStart + 1)]);
+    else if (drag.mode === 'create') setDraft([Math.min(drag.originYear, year), Math.max(drag.originYear, year)]);
+    else {
+      // Move the selection by the same distance along the track, keeping its width on screen
+      const dx = yearScale.yearToX(year) - yearScale.yearToX(drag.originYear);
+      const x0 = yearScale.yearToX(originStart) + dx;
+      const x1 = yearScale.yearToX(originEnd) + dx;
+      const shift = Math.max(-x0, Math.min(VIEWBOX.WIDTH - x1, 0));
+      setDraft([clampYear(yearScale.xToYear(x0 + shift)), clampYear(yearScale.xToYear(x1 + shift))]);
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || !draft) {
+      setDraft(null);
+      return;
+    }
+    // A click on the track without dragging selects nothing
+    if (draft[1] - draft[0] >= 1) commit(draft);
+    setDraft(null);
+  };
+
+  const handleKeyDown = (which) => (e) => {
+    const steps = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1, PageDown: -10, PageUp: 10 }[e.key];
+    let next;
+    if (steps !== undefined) {
+      next = which === 'start'
+        ? [Math.min(nudgeYear(yearScale, start, steps), end - 1), end]
+        : [start, Math.max(nudgeYear(yearScale, end, steps), start + 1)];
+    } else if (e.key === 'Home') {
+      next = which === 'start' ? [TIMELINE.START, end] : [start, start + 1];
+    } else if (e.key === 'End') {
+      next = which === 'start' ? [end - 1, end] : [start, TIMELINE.END];
+    } else {
+      return;
+    }
+    e.preventDefault();
+    if (next[0] !== start || next[1] !== end) commit(next);
+  };
+
+  const left = toPercent(start);
+  const right = toPercent(end);
+
+  let lastLabel = -Infinity;
+  const markerLabels = timeMarkers.filter(marker => {
+    const position = toPercent(marker.year);
+    if (position - lastLabel < MIN_LABEL_GAP) return false;
+    lastLabel = position;
+    return true;
+  });
+
+  const handleClass = 'absolute top-0 bottom-0 w-2 -ml-1 rounded-sm bg-cyan-400 cursor-ew-resize focus:outline-none focus:ring-2 focus:ring-cyan-200 touch-none';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-[10px] font-mono text-cyan-300" aria-live="polite">
+          {isAllTime ? 'All time' : formatYearRange({ startYear: start, endYear: end })}
+        </span>
+        {range && (
+          <button
+            type="button"
+            onClick={() => commit(FULL_RANGE)}
+            className="text-[10px] text-neutral-500 hover:text-white"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div
+        ref={trackRef}
+        className="relative h-7 rounded bg-neutral-800 cursor-crosshair select-none touch-none"
+        onPointerDown={startDrag('create')}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {/* Station density */}
+        {stations.map(station => (
+          <span
+            key={station.id}
+            className="absolute bottom-1 w-px h-2 bg-cyan-700/70 pointer-events-none"
+            style={{ left: `${toPercent(station.year)}%` }}
+          />
+        ))}
+
+        {/* Axis markers */}
+        {timeMarkers.map(marker => (
+          <span
+            key={marker.year}
+            className="absolute top-0 w-px h-1.5 bg-neutral-600 pointer-events-none"
+            style={{ left: `${toPercent(marker.year)}%` }}
+          />
+        ))}
+
+        {/* Selection */}
+        {!isAllTime && (
+          <div
+            className="absolute top-0 bottom-0 bg-cyan-500/20 border-y border-cyan-500/60 cursor-grab active:cursor-grabbing"
+            style={{ left: `${left}%`, width: `${Math.max(right - left, 0.5)}%` }}
+            onPointerDown={startDrag('move')}
+          />
+        )}
+
+        {/* Handles */}
+        {[
+          { which: 'start', year: start, position: left, label: 'Range start' },
+          { which: 'end', year: end, position: right, label: 'Range end' }
+        ].map(({ which, year, position, label }) => (
+          <div
+            key={which}
+            role="slider"
+            tabIndex={0}
+            aria-label={label}
+            aria-valuemin={TIMELINE.START}
+            aria-valuemax={TIMELINE.END}
+            aria-valuenow={year}
+            aria-valuetext={formatYearLabel(year)}
+            className={handleClass}
+            style={{ left: `${position}%` }}
+            onPointerDown={startDrag(which)}
+            onKeyDown={handleKeyDown(which)}
+          />
+        ))}
+      </div>
+
+      <div className="relative h-3 mt-0.5" aria-hidden="true">
+        {markerLabels.map(marker => (
+          <span
+            key={marker.year}
+            className="absolute text-[8px] font-mono text-neutral-500 whitespace-nowrap -translate-x-1/2"
+            style={{ left: `${Math.min(90, Math.max(10, toPercent(marker.year)))}%` }}
+          >
+            {marker.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+export default TimelineBrush;
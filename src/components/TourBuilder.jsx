@@ -0,0 +1,356 @@
+/**
+ * TourBuilder Component
+ * Panel for playing, creating, editing and sharing guided tours
+ *
+ * - List view: play, present, edit or delete tours; import/export them as JSON;
+ *   narration settings
+ * - Edit view: title plus an ordered list of stops, each with a station,
+ *   a caption, a camera zoom and an optional autoplay dwell time.
+ *   Edits stay in a local draft until saved.
+ */
+
+import React, { memo, useMemo, useRef, useState } from 'react';
+import { X, Play, Plus, Pencil, Trash2, ArrowUp, ArrowDown, Download, FileUp, ListOrdered, MonitorPlay } from 'lucide-react';
+import {
+  createTour,
+  createTourStop,
+  addTourStop,
+  updateTourStop,
+  moveTourStop,
+  removeTourStop,
+  DEFAULT_STOP_ZOOM
+} from '../data/tours';
+import { DWELL_SECONDS } from '../utils/presentation';
+import NarratorSettings from './NarratorSettings';
+
+const inputClass = 'w-full px-1.5 py-1 bg-neutral-800 border border-cyan-900/50 rounded text-xs text-white focus:outline-none focus:border-cyan-500';
+const smallButtonClass = 'flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded bg-neutral-800 text-neutral-400 hover:text-white disabled:opacity-40 disabled:hover:text-neutral-400';
+const iconButtonClass = 'p-0.5 text-neutral-500 hover:text-white rounded disabled:opacity-30 disabled:hover:text-neutral-500';
+
+/**
+ * Stop editor row
+ */
+const TourStopEditor = memo(function TourStopEditor({
+  stop,
+  index,
+  stopCount,
+  sortedStations,
+  currentZoom,
+  onChange,
+  onMove,
+  onRemove
+}) {
+  return (
+    <li className="p-2 rounded bg-neutral-950/60 border border-neutral-800 space-y-1.5">
+      <div className="flex items-center gap-1">
+        <span className="w-4 text-[10px] font-mono text-cyan-500">{index + 1}</span>
+        <select
+          value={stop.stationId}
+          onChange={(e) => onChange(index, { stationId: e.target.value })}
+          className={`${inputClass} flex-1 min-w-0`}
+          aria-label={`Stop ${index + 1} station`}
+        >
+          {!sortedStations.some(s => s.id === stop.stationId) && (
+            <option value={stop.stationId}>{stop.stationId} (not on this map)</option>
+          )}
+          {sortedStations.map(station => (
+            <option key={station.id} value={station.id}>
+              {station.yearLabel} · {station.name}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => onMove(index, index - 1)} disabled={index === 0} className={iconButtonClass} aria-label={`Move stop ${index + 1} up`}>
+          <ArrowUp size={12} />
+        </button>
+        <button onClick={() => onMove(index, index + 1)} disabled={index === stopCount - 1} className={iconButtonClass} aria-label={`Move stop ${index + 1} down`}>
+          <ArrowDown size={12} />
+        </button>
+        <button onClick={() => onRemove(index)} className={iconButtonClass} aria-label={`Remove stop ${index + 1}`}>
+          <Trash2 size={12} />
+        </button>
+      </div>
+      <textarea
+        value={stop.caption}
+        onChange={(e) => onChange(index, { caption: e.target.value })}
+        rows={2}
+        placeholder="Caption shown at this stop"
+        className={`${inputClass} resize-none`}
+        aria-label={`Stop ${index + 1} caption`}
+      />
+      <div className="flex items-center gap-2">
+        <span className="text-[10px] uppercase tracking-widest text-neutral-500">Zoom</span>
+        <input
+          type="range"
+          min={0.5}
+          max={8}
+          step={0.5}
+          value={stop.zoom}
+          onChange={(e) => onChange(index, { zoom: Number(e.target.value) })}
+          className="flex-1 accent-cyan-500"
+          aria-label={`Stop ${index + 1} zoom`}
+        />
+        <span className="w-8 text-right text-[10px] font-mono text-neutral-300">{stop.zoom}×</span>
+        {currentZoom && (
+          <button
+            onClick={() => onChange(index, { zoom: Math.round(currentZoom * 10) / 10 })}
+            className="text-[10px] text-cyan-500 hover:text-cyan-300"
+            title="Use the current map zoom"
+          >
+            Current
+          </button>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <span className="text-[10px] uppercase tracking-widest text-neutral-500">Dwell</span>
+        <input
+          type="number"
+          min={DWELL_SECONDS.MIN}
+          max={DWELL_SECONDS.MAX}
+          value={stop.dwell ?? ''}
+          placeholder="Default"
+          onChange={(e) => onChange(index, { dwell: e.target.value === '' ? null : Number(e.target.value) })}
+          className={`${inputClass} w-20`}
+          aria-label={`Stop ${index + 1} autoplay seconds`}
+        />
+        <span className="text-[10px] text-neutral-500">seconds when presenting</span>
+      </div>
+    </li>
+  );
+});
+
+/**
+ * Tour builder panel
+ * @param {Array} tours - Tours (see data/tours.js)
+ * @param {string|null} activeTourId - Tour being played or last played
+ * @param {boolean} journeyMode - Whether a tour is playing
+ * @param {Array} stations - Stations that stops can visit
+ * @param {Object|null} selectedStation - Selected station (added first to new tours)
+ * @param {number} [currentZoom] - Map zoom, offered as a stop zoom
+ * @param {Function} onSaveTour - Called with a new or edited tour
+ * @param {Function} onDeleteTour - Called with a tour id
+ * @param {Function} onStartTour - Called with a tour id to play it
+ * @param {Function} [onPresentTour] - Called with a tour id to autoplay it
+ * @param {Function} onImportFile - Called with a File of tours JSON
+ * @param {Function} onExport - Exports all tours as JSON
+ * @param {Function} onClose - Closes the panel
+ * @param {Object} [narrator] - Narrator from useNarrator, for the narration settings
+ * @param {Function} [announce] - Screen reader announcement
+ */
+const TourBuilder = memo(function TourBuilder({
+  tours,
+  activeTourId,
+  journeyMode,
+  stations,
+  selectedStation,
+  currentZoom,
+  onSaveTour,
+  onDeleteTour,
+  onStartTour,
+  onPresentTour,
+  onImportFile,
+  onExport,
+  onClose,
+  narrator,
+  announce
+}) {
+  const fileInputRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+  const [newStopId, setNewStopId] = useState('');
+
+  // Chronological station list for the pickers
+  const sortedStations = useMemo(
+    () => [...stations].sort((a, b) => a.year - b.year),
+    [stations]
+  );
+
+  const startNewTour = () => {
+    const stops = selectedStation ? [createTourStop(selectedStation.id)] : [];
+    setDraft(createTour('New tour', stops, tours));
+  };
+
+  const handleSave = () => {
+    const title = draft.title.trim();
+    if (!title || draft.stops.length === 0) return;
+    onSaveTour({ ...draft, title });
+    announce?.(`Saved tour ${title}`);
+    setDraft(null);
+  };
+
+  const handleAddStop = () => {
+    const stationId = newStopId || selectedStation?.id || sortedStations[0]?.id;
+    if (!stationId) return;
+    setDraft(addTourStop(draft, createTourStop(stationId, { zoom: draft.stops[draft.stops.length - 1]?.zoom ?? DEFAULT_STOP_ZOOM })));
+    setNewStopId('');
+  };
+
+  const header = (
+    <div className="flex items-center justify-between mb-2">
+      <div className="flex items-center gap-2">
+        <ListOrdered size={14} className="text-cyan-300" />
+        <span className="text-xs font-bold text-white">{draft ? 'Edit Tour' : 'Tours'}</span>
+      </div>
+      <button onClick={onClose} className="text-cyan-400/60 hover:text-white" aria-label="Close tours">
+        <X size={14} />
+      </button>
+    </div>
+  );
+
+  if (draft) {
+    const canSave = draft.title.trim() && draft.stops.length > 0;
+    return (
+      <div className="bg-neutral-900/95 backdrop-blur-md border border-cyan-900/50 rounded-lg p-3 shadow-xl w-80 max-h-[70vh] overflow-y-auto">
+        {header}
+        <input
+          value={draft.title}
+          onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+          placeholder="Tour title"
+          className={`${inputClass} mb-2 text-sm`}
+          aria-label="Tour title"
+        />
+
+        {draft.stops.length === 0 && (
+          <p className="text-xs text-neutral-500 mb-2">Add the stations to visit, in order.</p>
+        )}
+        <ol className="space-y-1.5 mb-2">
+          {draft.stops.map((stop, idx) => (
+            <TourStopEditor
+              key={idx}
+              stop={stop}
+              index={idx}
+              stopCount={draft.stops.length}
+              sortedStations={sortedStations}
+              currentZoom={currentZoom}
+              onChange={(index, patch) => setDraft(updateTourStop(draft, index, patch))}
+              onMove={(from, to) => setDraft(moveTourStop(draft, from, to))}
+              onRemove={(index) => setDraft(removeTourStop(draft, index))}
+            />
+          ))}
+        </ol>
+
+        <div className="flex items-center gap-1 mb-3">
+          <select
+            value={newStopId}
+            onChange={(e) => setNewStopId(e.target.value)}
+            className={`${inputClass} flex-1 min-w-0`}
+            aria-label="Station for the new stop"
+          >
+            <option value="">{selectedStation ? `Selected: ${selectedStation.name}` : 'Choose station…'}</option>
+            {sortedStations.map(station => (
+              <option key={station.id} value={station.id}>
+                {station.yearLabel} · {station.name}
+              </option>
+            ))}
+          </select>
+          <button onClick={handleAddStop} className={smallButtonClass}>
+            <Plus size={12} /> Add stop
+          </button>
+        </div>
+
+        <div className="flex gap-1.5">
+          <button
+            onClick={handleSave}
+            disabled={!canSave}
+            className="flex-1 px-2 py-1 bg-cyan-600 hover:bg-cyan-500 disabled:opacity-40 disabled:hover:bg-cyan-600 rounded text-xs text-white"
+          >
+            Save tour
+          </button>
+          <button
+            onClick={() => setDraft(null)}
+            className="flex-1 px-2 py-1 bg-neutral-800 hover:bg-neutral-700 rounded text-xs text-white"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-neutral-900/95 backdrop-blur-md border border-cyan-900/50 rounded-lg p-3 shadow-xl w-72 max-h-[70vh] overflow-y-auto">
+      {header}
+
+      {tours.length === 0 && (
+        <p className="text-xs text-neutral-500 mb-2">No tours yet. Create one or import a tours file.</p>
+      )}
+      <ul className="space-y-1 mb-2">
+        {tours.map(tour => {
+          const isPlaying = journeyMode && tour.id === activeTourId;
+          return (
+            <li
+              key={tour.id}
+              className={`flex items-center gap-1 px-2 py-1.5 rounded border ${isPlaying ? 'border-cyan-500/50 bg-cyan-900/20' : 'border-neutral-800 bg-neutral-950/60'}`}
+            >
+              <div className="flex-1 min-w-0">
+                <div className="text-xs text-white truncate">{tour.title}</div>
+                <div className="text-[10px] text-neutral-500">
+                  {tour.stops.length} stop{tour.stops.length === 1 ? '' : 's'}{isPlaying ? ' · playing' : ''}
+                </div>
+              </div>
+              <button onClick={() => onStartTour(tour.id)} className={iconButtonClass} aria-label={`Play ${tour.title}`}>
+                <Play size={12} />
+              </button>
+              {onPresentTour && (
+                <button onClick={() => onPresentTour(tour.id)} className={iconButtonClass} aria-label={`Present ${tour.title}`} title="Present (autoplay)">
+                  <MonitorPlay size={12} />
+                </button>
+              )}
+              <button onClick={() => setDraft(tour)} className={iconButtonClass} aria-label={`Edit ${tour.title}`}>
+                <Pencil size={12} />
+              </button>
+              <button
+                onClick={() => {
+                  onDeleteTour(tour.id);
+                  announce?.(`Deleted tour ${tour.title}`);
+                }}
+                className={iconButtonClass}
+                aria-label={`Delete ${tour.title}`}
+              >
+                <Trash2 size={12} />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="flex flex-wrap gap-1">
+        <button onClick={startNewTour} className={smallButtonClass}>
+          <Plus size={12} /> New tour
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className={smallButtonClass}
+          aria-label="Import tours from a JSON file"
+        >
+          <FileUp size={12} /> Import
+        </button>
+        <button
+          onClick={onExport}
+          disabled={tours.length === 0}
+          className={smallButtonClass}
+          aria-label="Export tours as JSON"
+        >
+          <Download size={12} /> Export
+        </button>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          onImportFile(e.target.files?.[0]);
+          // Allow re-importing the same file
+          e.target.value = '';
+        }}
+      />
+
+      {narrator?.isSupported && (
+        <div className="mt-3 pt-2 border-t border-neutral-800">
+          <NarratorSettings narrator={narrator} />
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default TourBuilder;
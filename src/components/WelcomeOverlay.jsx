@@ -4,13 +4,18 @@
  * 
  * Separated from CivMap.jsx to maintain clean separation of concerns:
  * - Provides first-time user guidance
- * - Offers "Start Journey" or "Explore Freely" options
+ * - Offers "Start Journey" (with a tour picker) or "Explore Freely" options
  * - Explains navigation and features
+ * - Can be turned off for later visits ("Don't show this again")
  */
 
-import React, { memo } from 'react';
+import React, { memo, useState } from 'react';
 import { Move, Castle, Filter, Users, Play } from 'lucide-react';
 import AccessibleButton from './AccessibleButton';
+import { LINES } from '../constants/metroConfig';
+
+// Spelled-out counts for the "N Lines of History" feature title
+const COUNT_WORDS = ['No', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten'];
 
 /**
  * Feature Item Component
@@ -43,11 +48,15 @@ const FeatureItem = memo(function FeatureItem({
 const WelcomeOverlay = memo(function WelcomeOverlay({
   // State
   isVisible,
-  stations,
-  journeyStations,
+  lines = LINES,
+  tours = [],
+  activeTourId,
+  skipWelcome = false,
   
   // Actions
   actions,
+  onStartTour,
+  onSkipWelcomeChange,
   
   // Accessibility hooks
   saveFocus,
@@ -59,16 +68,20 @@ const WelcomeOverlay = memo(function WelcomeOverlay({
   showError,
   info
 }) {
+  const [pickedTourId, setPickedTourId] = useState(null);
+
   if (!isVisible) return null;
 
+  const tourId = tours.some(tour => tour.id === pickedTourId) ? pickedTourId : (activeTourId ?? tours[0]?.id);
+  const tour = tours.find(t => t.id === tourId);
+
   // Handle starting the guided journey
   const handleStartJourney = () => {
     try {
       saveFocus();
-      const firstStation = stations.find(s => s.id === journeyStations[0]);
+      const firstStation = tour ? onStartTour(tour.id) : null;
       if (firstStation) {
-        actions.startJourney(firstStation);
-        announce(`Starting journey at ${firstStation.name}`);
+        announce(`Starting ${tour.title} at ${firstStation.name}`);
         success('Journey mode activated');
       }
       restoreFocus();
@@ -86,6 +99,7 @@ const WelcomeOverlay = memo(function WelcomeOverlay({
   };
 
   // Feature list configuration
+  const lineNames = Object.keys(lines);
   const features = [
     {
       icon: Move,
@@ -99,7 +113,7 @@ const WelcomeOverlay = memo(function WelcomeOverlay({
       iconBgClass: 'bg-purple-900/30',
       iconColorClass: 'text-purple-400',
       title: 'Explore Stations',
-      description: 'Click any station to learn about pivotal moments in human civilization'
+      description: 'Click any station to learn about pivotal moments in human civilization • Shift-click up to four to compare them'
     },
     {
       icon: Filter,
@@ -112,8 +126,8 @@ const WelcomeOverlay = memo(function WelcomeOverlay({
       icon: Users,
       iconBgClass: 'bg-green-900/30',
       iconColorClass: 'text-green-400',
-      title: 'Five Lines of History',
-      description: 'Tech (Blue) • Population (Green) • War (Red) • Empire (Purple) • Philosophy (Orange)'
+      title: `${COUNT_WORDS[lineNames.length] || lineNames.length} Line${lineNames.length === 1 ? '' : 's'} of History`,
+      description: lineNames.join(' • ')
     }
   ];
 
@@ -149,6 +163,24 @@ const WelcomeOverlay = memo(function WelcomeOverlay({
           ))}
         </div>
         
+        {/* Tour Picker */}
+        {tours.length > 1 && (
+          <label className="flex items-center gap-3 mb-4">
+            <span className="text-sm text-neutral-400">Tour</span>
+            <select
+              value={tourId}
+              onChange={(e) => setPickedTourId(e.target.value)}
+              className="flex-1 px-3 py-2 bg-neutral-800 border border-cyan-900/50 rounded-lg text-sm text-white focus:outline-none focus:border-cyan-500"
+            >
+              {tours.map(t => (
+                <option key={t.id} value={t.id}>
+                  {t.title} ({t.stops.length} stop{t.stops.length === 1 ? '' : 's'})
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        
         {/* Action Buttons */}
         <div className="flex gap-4">
           <AccessibleButton
@@ -156,7 +188,8 @@ const WelcomeOverlay = memo(function WelcomeOverlay({
             variant="primary"
             size="lg"
             className="flex-1 bg-gradient-to-r from-cyan-500 to-purple-500 hover:from-cyan-400 hover:to-purple-400"
-            ariaLabel="Start guided journey through key historical moments"
+            ariaLabel={tour ? `Start guided journey: ${tour.title}` : 'Start guided journey'}
+            disabled={!tour}
           >
             <Play className="w-5 h-5 inline mr-2" aria-hidden="true" />
             Start Journey
@@ -171,6 +204,18 @@ const WelcomeOverlay = memo(function WelcomeOverlay({
             Explore Freely
           </AccessibleButton>
         </div>
+
+        {onSkipWelcomeChange && (
+          <label className="flex items-center justify-center gap-2 mt-4 text-xs text-neutral-500 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={skipWelcome}
+              onChange={(e) => onSkipWelcomeChange(e.target.checked)}
+              className="w-3 h-3 rounded border-cyan-900/50 bg-neutral-800 text-cyan-500"
+            />
+            Don't show this again (the guide stays available from the map)
+          </label>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,129 @@
+/**
+ * CursorCrosshair Component
+ * Vertical hairline under the mouse with a readout of the year at that X position
+ *
+ * Tracks the mouse itself (rAF-throttled, local state) so hovering does not
+ * re-render the whole map.
+ */
+
+import React, { memo, useCallback, useEffect, useRef, useState } from 'react';
+import { xToYear as piecewiseXToYear } from '../../utils/coordinates';
+import { formatYearLabel } from '../../utils/years';
+
+// Readout size in screen pixels; converted to SVG units at the current zoom
+const FONT_PX = 13;
+const PADDING_PX = 6;
+const OFFSET_PX = 12;
+
+/**
+ * Year readout crosshair
+ * @param {Object} svgRef - Ref to the map SVG the crosshair is drawn in
+ * @param {Function} screenToSVG - Client-to-SVG point conversion from useMapController
+ * @param {Function} xToYear - Inverse of the active time scale
+ * @param {Object} viewBox - Current viewBox (the hairline spans its height)
+ * @param {boolean} isPanning - Hide the crosshair while the map is dragged
+ */
+const CursorCrosshair = memo(function CursorCrosshair({ svgRef, screenToSVG, xToYear = piecewiseXToYear, viewBox, isPanning }) {
+  const [cursor, setCursor] = useState(null);
+  // Last mouse position in client coordinates, or null while the mouse is off the map
+  const clientRef = useRef(null);
+
+  const measure = useCallback(() => {
+    const svg = svgRef.current;
+    const client = clientRef.current;
+    if (!svg || !client) return;
+    const point = screenToSVG(client.x, client.y);
+    const ctm = svg.getScreenCTM();
+    if (point && ctm) setCursor({ x: point.x, unit: 1 / ctm.a });
+  }, [svgRef, screenToSVG]);
+
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+
+    let frame = null;
+
+    const handleMove = (e) => {
+      clientRef.current = { x: e.clientX, y: e.clientY };
+      if (!frame) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          measure();
+        });
+      }
+    };
+
+    const handleLeave = () => {
+      if (frame) cancelAnimationFrame(frame);
+      frame = null;
+      clientRef.current = null;
+      setCursor(null);
+    };
+
+    svg.addEventListener('mousemove', handleMove);
+    svg.addEventListener('mouseleave', handleLeave);
+    return () => {
+      if (frame) cancelAnimationFrame(frame);
+      svg.removeEventListener('mousemove', handleMove);
+      svg.removeEventListener('mouseleave', handleLeave);
+    };
+  }, [svgRef, measure]);
+
+  // Zooming with the wheel moves the map under a still mouse
+  useEffect(() => {
+    measure();
+  }, [viewBox, measure]);
+
+  if (!cursor || isPanning) return null;
+
+  const { x, unit } = cursor;
+  const label = formatYearLabel(xToYear(x));
+  const fontSize = FONT_PX * unit;
+  const padding = PADDING_PX * unit;
+  // Monospace glyphs are ~0.6em wide
+  const labelWidth = label.length * fontSize * 0.6 + padding * 2;
+  const labelHeight = fontSize + padding * 2;
+  const labelY = viewBox.y + OFFSET_PX * unit;
+  // Keep the readout inside the view near the right edge
+  const flip = x + OFFSET_PX * unit + labelWidth > viewBox.x + viewBox.width;
+  const labelX = flip ? x - OFFSET_PX * unit - labelWidth : x + OFFSET_PX * unit;
+
+  return (
+    <g className="cursor-crosshair pointer-events-none select-none" aria-hidden="true">
+      <line
+        x1={x}
+        y1={viewBox.y}
+        x2={x}
+        y2={viewBox.y + viewBox.height}
+        stroke="#22d3ee"
+        strokeOpacity={0.5}
+        strokeWidth={unit}
+        strokeDasharray={`${4 * unit},${4 * unit}`}
+      />
+      <rect
+        x={labelX}
+        y={labelY}
+        width={labelWidth}
+        height={labelHeight}
+        rx={3 * unit}
+        fill="#0a0a0a"
+        fillOpacity={0.85}
+        stroke="#22d3ee"
+        strokeOpacity={0.5}
+        strokeWidth={unit}
+      />
+      <text
+        x={labelX + padding}
+        y={labelY + padding + fontSize * 0.8}
+        fill="#22d3ee"
+        fontSize={fontSize}
+        fontFamily="'JetBrains Mono', monospace"
+        fontWeight="600"
+      >
+        {label}
+      </text>
+    </g>
+  );
+});
+
+export default CursorCrosshair;
@@ -46,6 +46,7 @@ const MetroLine = memo(function MetroLine({
     <g 
       className={lineClass} 
       data-line={id}
+      data-visible={isVisible}
       style={{ 
         '--base-width': `${PATH_STROKE.main}px`, 
         color: colorGlow,
@@ -137,6 +138,7 @@ export const BraidedMetroLine = memo(function BraidedMetroLine({
     <g 
       className={lineClass}
       data-line={id}
+      data-visible={isVisible}
       style={{ 
         '--base-width': `${PATH_STROKE.main}px`,
         color: colorGlow,
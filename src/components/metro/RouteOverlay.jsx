@@ -0,0 +1,148 @@
+/**
+ * RouteOverlay Component
+ * Draws a planned route on top of the metro lines
+ *
+ * VISUAL LAYERS (bottom to top):
+ * 1. White casing - Separates the route from the dimmed network
+ * 2. Leg strokes - Line legs in the line color, causal legs dashed
+ * 3. Transfer connectors - Vertical hops between corridors at interchanges
+ * 4. Endpoint rings - Origin and destination markers
+ */
+
+import React, { memo, useMemo } from 'react';
+import { PATH_STROKE } from '../../constants/metroConfig';
+import { generateSmoothPath } from '../../utils/pathGenerator';
+import { CAUSAL_LINK } from '../../utils/routePlanner';
+
+const CAUSAL_COLOR = '#e5e5e5';
+
+/**
+ * Route geometry: one path per leg and the transfers between corridors
+ * Also used by the canvas renderer.
+ * @param {Object} route - Route from planRoute
+ * @param {Object} lines - Active line configuration
+ * @param {Object} lineYPositions - Corridor Y per line name
+ * @returns {{legs: Array<{d: string, isCausal: boolean, color: string, start: Object, end: Object}>,
+ *   transfers: Array<{x: number, y1: number, y2: number}>}} Segments
+ */
+export function getRouteSegments(route, lines, lineYPositions) {
+  // Y where a station sits on a leg: the leg's corridor, or the station's primary corridor for causal links
+  const yOn = (station, via) => (
+    via === CAUSAL_LINK
+      ? lineYPositions[station.lines[0]] ?? station.coords.y
+      : lineYPositions[via] ?? station.coords.y
+  );
+
+  const legs = route.legs.map(leg => {
+    const points = leg.stations.map(station => ({ x: station.coords.x, y: yOn(station, leg.via) }));
+    const isCausal = leg.via === CAUSAL_LINK;
+
+    // Causal legs use the same Bézier arcs as the causal link layer
+    const d = isCausal
+      ? points.slice(1).map((to, i) => {
+        const from = points[i];
+        const offset = Math.abs(to.x - from.x) * 0.3;
+        return `M ${from.x} ${from.y} C ${from.x + offset} ${from.y}, ${to.x - offset} ${to.y}, ${to.x} ${to.y}`;
+      }).join(' ')
+      : generateSmoothPath(points);
+
+    return {
+      d,
+      isCausal,
+      color: isCausal ? CAUSAL_COLOR : lines[leg.via]?.color ?? CAUSAL_COLOR,
+      start: points[0],
+      end: points[points.length - 1]
+    };
+  });
+
+  // Changing legs at an interchange moves between corridors
+  const transfers = legs.slice(1)
+    .map((leg, i) => ({ x: leg.start.x, y1: legs[i].end.y, y2: leg.start.y }))
+    .filter(t => Math.abs(t.y1 - t.y2) >= 1);
+
+  return { legs, transfers };
+}
+
+/**
+ * Planned route highlight
+ * @param {Object} route - Route from planRoute
+ * @param {Object} lines - Active line configuration
+ * @param {Object} lineYPositions - Corridor Y per line name
+ */
+const RouteOverlay = memo(function RouteOverlay({ route, lines, lineYPositions }) {
+  const segments = useMemo(
+    () => getRouteSegments(route, lines, lineYPositions),
+    [route, lines, lineYPositions]
+  );
+
+  const origin = route.stations[0];
+  const destination = route.stations[route.stations.length - 1];
+  const firstPoint = segments.legs[0]?.start ?? { x: origin.coords.x, y: lineYPositions[origin.lines[0]] ?? origin.coords.y };
+  const lastPoint = segments.legs[segments.legs.length - 1]?.end ?? firstPoint;
+
+  return (
+    <g className="route-overlay pointer-events-none" data-route-mode={route.mode}>
+      {/* Layer 1: Casing */}
+      {segments.legs.map((leg, idx) => (
+        <path
+          key={`casing-${idx}`}
+          d={leg.d}
+          fill="none"
+          stroke="#ffffff"
+          strokeOpacity={0.85}
+          strokeWidth={PATH_STROKE.main + 10}
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        />
+      ))}
+
+      {/* Layer 2: Legs */}
+      {segments.legs.map((leg, idx) => (
+        <path
+          key={`leg-${idx}`}
+          d={leg.d}
+          fill="none"
+          stroke={leg.color}
+          strokeWidth={PATH_STROKE.main + 4}
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeDasharray={leg.isCausal ? '16,10' : undefined}
+        />
+      ))}
+
+      {/* Layer 3: Transfers */}
+      {segments.transfers.map((t, idx) => (
+        <line
+          key={`transfer-${idx}`}
+          x1={t.x}
+          y1={t.y1}
+          x2={t.x}
+          y2={t.y2}
+          stroke="#ffffff"
+          strokeWidth={6}
+          strokeDasharray="10,6"
+          strokeLinecap="round"
+        />
+      ))}
+
+      {/* Layer 4: Endpoints */}
+      {[
+        { key: 'origin', point: firstPoint, station: origin },
+        { key: 'destination', point: lastPoint, station: destination }
+      ].map(({ key, point, station }) => (
+        <circle
+          key={key}
+          cx={point.x}
+          cy={point.y}
+          r={28}
+          fill="none"
+          stroke="#ffffff"
+          strokeWidth={6}
+          data-station-id={station.id}
+        />
+      ))}
+    </g>
+  );
+});
+
+export default RouteOverlay;
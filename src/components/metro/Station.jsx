@@ -16,6 +16,8 @@
 
 import React, { memo, useCallback } from 'react';
 import { STATION_SIZE, LINE_COLORS } from '../../constants/metroConfig';
+import { getLineId, isLineVisible } from '../../utils/lineConfig';
+import { DEFAULT_LOD_THRESHOLDS, getLodPolicy, shouldDrawStation } from '../../utils/levelOfDetail';
 
 /**
  * Get scale factor based on station significance
@@ -37,6 +39,7 @@ function getSignificanceScale(significance) {
 const Station = memo(function Station({
   station,
   zoomLevel = 1, // New: passed from CivMap parent based on viewBox
+  lodThresholds = DEFAULT_LOD_THRESHOLDS,
   isHovered,
   isSelected,
   isInJourney,
@@ -48,8 +51,7 @@ const Station = memo(function Station({
 }) {
   // Determine if station should be visible based on line filters
   const isVisible = station.lines.some(line => {
-    const lineKey = line.toLowerCase();
-    return visibleLines[lineKey] !== false;
+    return isLineVisible(visibleLines, getLineId(line));
   });
 
   if (!isVisible && !isSearchMatch) return null;
@@ -57,12 +59,13 @@ const Station = memo(function Station({
   const { x, y } = station.coords;
   const primaryColor = station.color;
 
-  // 1. Level of Detail (LOD) Logic
-  // At low zoom (< 0.2), only render major Hubs or Crisis points
-  // At medium zoom (< 0.6), hide labels for minor stations
-  const isTooSmall = zoomLevel < 0.2;
-  const isDetailView = zoomLevel > 0.6;
-  const shouldRender = !isTooSmall || station.significance === 'hub' || station.significance === 'crisis' || isInJourney;
+  // 1. Level of Detail (LOD) Logic - shared policy (see utils/levelOfDetail)
+  // Far out, only render major Hubs or Crisis points
+  // Below the detail tier, hide labels for minor stations
+  const lodPolicy = getLodPolicy(zoomLevel, lodThresholds);
+  const isTooSmall = lodPolicy.markerScale < 1;
+  const isDetailView = lodPolicy.innerDot;
+  const shouldRender = shouldDrawStation(lodPolicy, station, isInJourney);
   
   if (!shouldRender) return null;
 
@@ -162,7 +165,7 @@ const Station = memo(function Station({
           </text>
           
           {/* Year Label - Only show if very zoomed in or active */}
-          {(isActive || zoomLevel > 1.2) && (
+          {(isActive || lodPolicy.years) && (
             <text
               y={radius + 28}
               textAnchor="middle"
@@ -0,0 +1,87 @@
+/**
+ * StationSpans Component
+ * Draws the period a station spans (startYear..endYear) along its line corridors
+ *
+ * VISUAL LAYERS (bottom to top):
+ * 1. Band - A thick translucent segment over the line between the span ends
+ * 2. Brackets - End ticks across the corridor, dashed when the dates are circa
+ */
+
+import React, { memo } from 'react';
+import { PATH_STROKE } from '../../constants/metroConfig';
+import { isLineVisible } from '../../utils/lineConfig';
+
+const BAND_WIDTH = PATH_STROKE.main + 16;
+const BRACKET_HEIGHT = BAND_WIDTH + 12;
+
+/**
+ * Station span brackets
+ * @param {Array} stations - Stations to draw spans for (only those with a `span` are drawn)
+ * @param {Object} lines - Active line configuration
+ * @param {Object} visibleLines - Line visibility keyed by line id
+ * @param {Object} lineYPositions - Corridor Y per line name
+ * @param {string|null} hoveredStation - Hovered station id
+ * @param {Object|null} selectedStation - Selected station
+ * @param {Set<string>|null} [filterMatchIds] - Stations passing the filter expression; others are dimmed
+ */
+const StationSpans = memo(function StationSpans({
+  stations,
+  lines,
+  visibleLines,
+  lineYPositions,
+  hoveredStation,
+  selectedStation,
+  filterMatchIds = null
+}) {
+  return (
+    <g className="station-spans pointer-events-none">
+      {stations.map(s => {
+        if (!s.span) return null;
+        const { startX, endX, circa } = s.span;
+        const isActive = hoveredStation === s.id || selectedStation?.id === s.id;
+        const isFilteredOut = filterMatchIds !== null && !filterMatchIds.has(s.id);
+        const opacity = (isActive ? 0.9 : 0.45) * (isFilteredOut ? 0.25 : 1);
+        const dash = circa ? '6,6' : undefined;
+
+        return s.lines
+          .filter(line => lines[line] && isLineVisible(visibleLines, lines[line].id))
+          .map(line => {
+            const y = lineYPositions[line];
+            const color = lines[line].color;
+            return (
+              <g key={`${s.id}-${line}`} data-station-id={s.id} opacity={opacity}>
+                {/* Layer 1: Band */}
+                <line
+                  x1={startX}
+                  y1={y}
+                  x2={endX}
+                  y2={y}
+                  stroke={color}
+                  strokeOpacity={0.35}
+                  strokeWidth={BAND_WIDTH}
+                  strokeLinecap="butt"
+                />
+
+                {/* Layer 2: Brackets */}
+                {[startX, endX].map((x, idx) => (
+                  <line
+                    key={idx}
+                    x1={x}
+                    y1={y - BRACKET_HEIGHT / 2}
+                    x2={x}
+                    y2={y + BRACKET_HEIGHT / 2}
+                    stroke={color}
+                    strokeWidth={4}
+                    strokeDasharray={dash}
+                    strokeLinecap="round"
+                  />
+                ))}
+              </g>
+            );
+          });
+      })}
+    </g>
+  );
+});
+
+export default StationSpans;
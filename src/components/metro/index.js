@@ -5,4 +5,7 @@
 export { default as MetroLine, BraidedMetroLine } from './MetroLine';
 export { default as Station } from './Station';
 export { default as StationDetails } from './StationDetails';
+export { default as RouteOverlay, getRouteSegments } from './RouteOverlay';
+export { default as StationSpans } from './StationSpans';
 
+export { default as CursorCrosshair } from './CursorCrosshair';
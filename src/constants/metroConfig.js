@@ -24,8 +24,20 @@ export const TIMELINE = {
   get RANGE() { return this.END - this.START; }
 };
 
+// Automatic time layout (see utils/timeAnchors.js)
+// - BAND_COUNT: horizontal bands holding roughly equal numbers of stations
+// - MIN_BAND_SHARE: minimum share of the width any band gets, even an empty era
+export const TIME_LAYOUT = {
+  BAND_COUNT: 12,
+  MIN_BAND_SHARE: 0.03
+};
+
 // Line Configuration - Each metro line's visual identity
 // Y positions use golden ratio spacing for visual harmony
+// These are the built-in lines; datasets may declare their own (see utils/lineConfig.js)
+// - convergenceOffset: px below the convergence point where this line ends
+// - style: 'solid' or 'braided' (parallel strands)
+// - alwaysCrisis: always render with the crisis glow, regardless of stations
 export const LINES = {
   Tech: {
     id: 'tech',
@@ -35,6 +47,9 @@ export const LINES = {
     colorMid: '#0891b2',
     colorGlow: '#67e8f9',  // Lighter cyan for glow
     yPosition: 0.18,       // Top tier - Innovation rises
+    convergenceOffset: 0,  // Lead line - Technology drives us forward
+    style: 'solid',
+    alwaysCrisis: false,
     description: 'Innovations that shaped human capability'
   },
   War: {
@@ -45,6 +60,9 @@ export const LINES = {
     colorMid: '#dc2626',
     colorGlow: '#fca5a5',  // Lighter red for glow
     yPosition: 0.36,       // Upper middle
+    convergenceOffset: 60, // Mid-pack
+    style: 'solid',
+    alwaysCrisis: true,    // War line always glows for visual impact
     description: 'Wars and conflicts that altered history'
   },
   Population: {
@@ -55,6 +73,9 @@ export const LINES = {
     colorMid: '#16a34a',
     colorGlow: '#86efac',  // Lighter green for glow
     yPosition: 0.50,       // Dead center - Foundation of civilization
+    convergenceOffset: 30, // Tight follow
+    style: 'braided',
+    alwaysCrisis: false,
     description: 'The growth and movement of humanity'
   },
   Philosophy: {
@@ -65,6 +86,9 @@ export const LINES = {
     colorMid: '#f59e0b',
     colorGlow: '#fde68a',  // Lighter amber for glow
     yPosition: 0.64,       // Lower middle
+    convergenceOffset: 120, // Trailing - Ideas synthesize all others
+    style: 'solid',
+    alwaysCrisis: false,
     description: 'Philosophy, religion, and transformative ideas'
   },
   Empire: {
@@ -75,6 +99,9 @@ export const LINES = {
     colorMid: '#7c3aed',
     colorGlow: '#d8b4fe',  // Lighter purple for glow
     yPosition: 0.82,       // Bottom tier - Empires rise and fall
+    convergenceOffset: 90, // Lower tier
+    style: 'solid',
+    alwaysCrisis: false,
     description: 'Rise and fall of civilizations'
   }
 };
@@ -95,27 +122,12 @@ export const CONVERGENCE = {
   yPosition: 0.15
 };
 
-// Offsets for the final convergence bundle to prevent collision
+// Offsets for the final convergence bundle to prevent collision, keyed by line id
 // Using explicit 30px increments for clean parallel lines at the singularity
 // Creates a visual "cable bundle" effect rather than a tangled knot
-export const CONVERGENCE_OFFSETS = {
-  tech: 0,          // Lead line - Technology drives us forward
-  population: 30,   // Tight follow (30px gap)
-  war: 60,          // Mid-pack (60px from top)
-  empire: 90,       // Lower tier (90px from top)
-  philosophy: 120   // Trailing - Ideas synthesize all others (120px from top)
-};
-
-// Journey Mode - Key stations for guided tour
-export const JOURNEY_STATIONS = [
-  'neolithic',
-  'uruk',
-  'classical',
-  'columbian',
-  'industrial',
-  'crisis',
-  'singularity'
-];
+export const CONVERGENCE_OFFSETS = Object.fromEntries(
+  Object.values(LINES).map(config => [config.id, config.convergenceOffset])
+);
 
 // Era Definitions for quick filtering
 export const ERAS = {
@@ -0,0 +1,183 @@
+/**
+ * Station Dataset Loader
+ * Loads alternative station datasets (JSON objects, files or URLs) and runs them
+ * through the same processing pipeline as the built-in STATION_DATA
+ */
+
+import { processStations, STATION_DATA } from './stations';
+import { validateStations } from './stationSchema';
+import { resolveLines } from '../utils/lineConfig';
+import { createPiecewiseScale } from '../utils/coordinates';
+import { computeTimeAnchors } from '../utils/timeAnchors';
+import { LINES } from '../constants/metroConfig';
+
+/**
+ * Identifier for the dataset compiled into the app
+ */
+export const BUILT_IN_DATASET_ID = 'built-in';
+
+/**
+ * URL query parameter used to pick a dataset on load (e.g. ?dataset=/timelines/alt.json)
+ */
+export const DATASET_QUERY_PARAM = 'dataset';
+
+const REQUIRED_FIELDS = ['id', 'name', 'year', 'lines'];
+
+/**
+ * Normalize raw dataset JSON into { name, stations, lines }
+ * Accepts either a bare array of stations or an object with a `stations` array
+ * and an optional `lines` declaration (see utils/lineConfig.js).
+ * Only checks the minimal shape needed for processing - full schema checks live elsewhere.
+ * @param {Array|Object} json - Parsed dataset JSON
+ * @param {string} [fallbackName] - Name to use when the dataset does not declare one
+ * @returns {{name: string, stations: Array, lines: Object}} Normalized dataset with resolved lines
+ * @throws {Error} If the dataset does not have the expected shape
+ */
+export function normalizeDataset(json, fallbackName = 'Custom dataset') {
+  const stations = Array.isArray(json) ? json : json?.stations;
+
+  if (!Array.isArray(stations)) {
+    throw new Error('Dataset must be an array of stations or an object with a "stations" array');
+  }
+  if (stations.length === 0) {
+    throw new Error('Dataset contains no stations');
+  }
+
+  stations.forEach((station, index) => {
+    const missing = REQUIRED_FIELDS.filter(field => station?.[field] === undefined || station?.[field] === null);
+    if (missing.length > 0) {
+      throw new Error(`Station at index ${index} is missing required field(s): ${missing.join(', ')}`);
+    }
+    if (!Array.isArray(station.lines) || station.lines.length === 0) {
+      throw new Error(`Station "${station.id}" must belong to at least one line`);
+    }
+    if (typeof station.year !== 'number' || Number.isNaN(station.year)) {
+      throw new Error(`Station "${station.id}" has a non-numeric year`);
+    }
+  });
+
+  return {
+    name: (!Array.isArray(json) && json.name) || fallbackName,
+    stations,
+    lines: resolveLines(Array.isArray(json) ? undefined : json.lines)
+  };
+}
+
+/**
+ * Fetch and parse a dataset from a URL
+ * @param {string} url - Dataset URL (relative URLs resolve against the app origin)
+ * @param {Object} [options]
+ * @param {Function} [options.fetchImpl=fetch] - Fetch implementation (injectable for tests)
+ * @param {AbortSignal} [options.signal] - Abort signal to cancel the request
+ * @returns {Promise<Array|Object>} Parsed JSON
+ */
+export async function fetchDatasetJson(url, { fetchImpl = globalThis.fetch, signal } = {}) {
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('Fetching datasets is not supported in this environment');
+  }
+
+  const response = await fetchImpl(url, { signal, headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch dataset from ${url} (HTTP ${response.status})`);
+  }
+
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new Error(`Dataset at ${url} is not valid JSON`);
+  }
+}
+
+/**
+ * Read and parse a dataset from a File (e.g. from an <input type="file">)
+ * @param {File|Blob} file - File containing dataset JSON
+ * @returns {Promise<Array|Object>} Parsed JSON
+ */
+export async function readDatasetFile(file) {
+  const text = await file.text();
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file.name || 'Dataset file'} is not valid JSON`);
+  }
+}
+
+/**
+ * Create the piecewise time scale for a dataset from its station years
+ * @param {Array} rawStations - Raw station definitions
+ * @returns {Object} Piecewise time scale (see utils/coordinates.js)
+ */
+export function createDatasetTimeScale(rawStations) {
+  return createPiecewiseScale(computeTimeAnchors(rawStations.map(station => station.year)));
+}
+
+// The built-in dataset is recreated on reset; share its scale so processed stations stay cached
+let builtInTimeScale = null;
+
+/**
+ * Load a station dataset from any supported source and process it
+ * @param {string|File|Blob|Array|Object} source - URL, file, or already-parsed JSON
+ * @param {Object} [options] - Passed through to fetchDatasetJson
+ * @returns {Promise<{id: string, name: string, lines: Object, timeScale: Object, rawStations: Array, stations: Array, validation: Object}>}
+ *   Dataset with its line configuration, the piecewise time scale computed from its years,
+ *   raw definitions, processed stations (coords, colors, flattened narrative) and the
+ *   schema validation report for the raw definitions
+ */
+export async function loadStationDataset(source, options = {}) {
+  let json;
+  let id;
+
+  if (typeof source === 'string') {
+    json = await fetchDatasetJson(source, options);
+    id = source;
+  } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    json = await readDatasetFile(source);
+    id = source.name || 'file';
+  } else {
+    json = source;
+    id = 'inline';
+  }
+
+  // Fall back to the file name (without extension) when the JSON has no name
+  const sourceName = typeof source === 'string' ? source.split(/[?#]/)[0].split('/').pop() : source?.name;
+  const fallbackName = sourceName ? sourceName.replace(/\.json$/i, '') : undefined;
+  const { name, stations: rawStations, lines } = normalizeDataset(json, fallbackName);
+  const timeScale = createDatasetTimeScale(rawStations);
+
+  return {
+    id,
+    name,
+    lines,
+    timeScale,
+    rawStations,
+    stations: processStations(rawStations, lines, timeScale),
+    validation: validateStations(rawStations, { lineNames: Object.keys(lines) })
+  };
+}
+
+/**
+ * The dataset compiled into the app, in the same shape loadStationDataset returns
+ * @returns {{id: string, name: string, lines: Object, timeScale: Object, rawStations: Array, stations: Array, validation: Object}}
+ */
+export function getBuiltInDataset() {
+  builtInTimeScale = builtInTimeScale || createDatasetTimeScale(STATION_DATA);
+  return {
+    id: BUILT_IN_DATASET_ID,
+    name: 'Civilization (built-in)',
+    lines: LINES,
+    timeScale: builtInTimeScale,
+    rawStations: STATION_DATA,
+    stations: processStations(STATION_DATA, LINES, builtInTimeScale),
+    validation: validateStations(STATION_DATA)
+  };
+}
+
+/**
+ * Read the dataset URL requested via the page's query string, if any
+ * @param {string} [search=window.location.search] - Query string to inspect
+ * @returns {string|null} Dataset URL or null
+ */
+export function getDatasetUrlFromLocation(search = typeof window !== 'undefined' ? window.location.search : '') {
+  const value = new URLSearchParams(search).get(DATASET_QUERY_PARAM);
+  return value && value.trim() ? value.trim() : null;
+}
@@ -0,0 +1,281 @@
+/**
+ * Unit Tests for Station Dataset Loader
+ * Tests dataset normalization, fetching, file reading, processing, and declared lines
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  normalizeDataset,
+  fetchDatasetJson,
+  readDatasetFile,
+  loadStationDataset,
+  getBuiltInDataset,
+  getDatasetUrlFromLocation,
+  BUILT_IN_DATASET_ID
+} from './datasetLoader';
+import { processStations, groupStationsByLine, STATION_DATA } from './stations';
+import { yearToX, getTimeScale, TIME_SCALES } from '../utils/coordinates';
+import { LINES, VIEWBOX } from '../constants/metroConfig';
+
+// Minimal valid station factory
+const createRawStation = (overrides = {}) => ({
+  id: 'alt-station',
+  name: 'Alternate Station',
+  year: 1500,
+  yearLabel: '1500 CE',
+  lines: ['Tech'],
+  significance: 'major',
+  iconType: 'settings',
+  narrative: { visual: 'v', atmosphere: 'a', insight: 'i' },
+  details: 'Details',
+  ...overrides
+});
+
+// Fake fetch response factory
+const createResponse = (body, { ok = true, status = 200 } = {}) => ({
+  ok,
+  status,
+  json: vi.fn().mockImplementation(async () => {
+    if (body instanceof Error) throw body;
+    return body;
+  })
+});
+
+describe('normalizeDataset', () => {
+  it('should accept a bare array of stations', () => {
+    const stations = [createRawStation()];
+    const result = normalizeDataset(stations, 'fallback');
+
+    expect(result.stations).toBe(stations);
+    expect(result.name).toBe('fallback');
+  });
+
+  it('should accept an object with a stations array and name', () => {
+    const json = { name: 'Alt Timeline', stations: [createRawStation()] };
+    const result = normalizeDataset(json);
+
+    expect(result.name).toBe('Alt Timeline');
+    expect(result.stations).toHaveLength(1);
+  });
+
+  it('should reject non-array datasets', () => {
+    expect(() => normalizeDataset({ foo: 'bar' })).toThrow(/stations/);
+    expect(() => normalizeDataset(null)).toThrow(/stations/);
+  });
+
+  it('should reject empty datasets', () => {
+    expect(() => normalizeDataset([])).toThrow(/no stations/);
+  });
+
+  it('should report missing required fields with the station index', () => {
+    const stations = [createRawStation(), { id: 'broken', name: 'Broken' }];
+    expect(() => normalizeDataset(stations)).toThrow(/index 1.*year, lines/);
+  });
+
+  it('should reject stations without lines', () => {
+    expect(() => normalizeDataset([createRawStation({ lines: [] })])).toThrow(/at least one line/);
+  });
+
+  it('should reject non-numeric years', () => {
+    expect(() => normalizeDataset([createRawStation({ year: '1500' })])).toThrow(/non-numeric year/);
+  });
+});
+
+describe('fetchDatasetJson', () => {
+  it('should return parsed JSON for successful responses', async () => {
+    const body = [createRawStation()];
+    const fetchImpl = vi.fn().mockResolvedValue(createResponse(body));
+
+    await expect(fetchDatasetJson('/data/alt.json', { fetchImpl })).resolves.toBe(body);
+    expect(fetchImpl).toHaveBeenCalledWith('/data/alt.json', expect.objectContaining({ signal: undefined }));
+  });
+
+  it('should throw with the HTTP status for failed responses', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(createResponse(null, { ok: false, status: 404 }));
+
+    await expect(fetchDatasetJson('/missing.json', { fetchImpl })).rejects.toThrow(/HTTP 404/);
+  });
+
+  it('should throw a readable error for invalid JSON', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(createResponse(new SyntaxError('Unexpected token')));
+
+    await expect(fetchDatasetJson('/bad.json', { fetchImpl })).rejects.toThrow(/not valid JSON/);
+  });
+});
+
+describe('readDatasetFile', () => {
+  it('should parse JSON from a file', async () => {
+    const file = new File([JSON.stringify([createRawStation()])], 'alt.json', { type: 'application/json' });
+    const json = await readDatasetFile(file);
+
+    expect(json).toHaveLength(1);
+  });
+
+  it('should name the file in parse errors', async () => {
+    const file = new File(['{ not json'], 'broken.json', { type: 'application/json' });
+
+    await expect(readDatasetFile(file)).rejects.toThrow(/broken\.json is not valid JSON/);
+  });
+});
+
+describe('loadStationDataset', () => {
+  it('should process inline datasets through processStations', async () => {
+    const dataset = await loadStationDataset({ name: 'Inline', stations: [createRawStation()] });
+
+    expect(dataset.name).toBe('Inline');
+    expect(dataset.stations).toHaveLength(1);
+    expect(dataset.stations[0].coords).toBeDefined();
+    expect(dataset.stations[0].insight).toBe('i');
+    expect(dataset.stations[0].coords.x).toBeCloseTo(dataset.timeScale.yearToX(1500), 0);
+  });
+
+  it('should lay out each dataset on anchors computed from its own years', async () => {
+    const dataset = await loadStationDataset([
+      createRawStation({ id: 'a', year: 1800 }),
+      createRawStation({ id: 'b', year: 1900 })
+    ]);
+
+    expect(dataset.timeScale.mode).toBe(TIME_SCALES.PIECEWISE);
+    expect(dataset.timeScale.anchors.map(a => a.year)).toContain(1800);
+    // The two centuries holding every station get most of the width
+    expect(dataset.timeScale.yearToX(1900) - dataset.timeScale.yearToX(1800)).toBeGreaterThan(VIEWBOX.WIDTH / 2);
+  });
+
+  it('should fetch URL sources and name them after the file', async () => {
+    const fetchImpl = vi.fn().mockResolvedValue(createResponse([createRawStation()]));
+    const dataset = await loadStationDataset('/timelines/alt-history.json?v=2', { fetchImpl });
+
+    expect(dataset.id).toBe('/timelines/alt-history.json?v=2');
+    expect(dataset.name).toBe('alt-history');
+  });
+
+  it('should load File sources', async () => {
+    const file = new File([JSON.stringify({ stations: [createRawStation()] })], 'mine.json');
+    const dataset = await loadStationDataset(file);
+
+    expect(dataset.name).toBe('mine');
+    expect(dataset.stations).toHaveLength(1);
+  });
+
+  it('should use dataset-declared lines for coordinates, colors and validation', async () => {
+    const dataset = await loadStationDataset({
+      name: 'Trade',
+      lines: { Trade: { color: '#14b8a6', yPosition: 0.4 } },
+      stations: [createRawStation({ lines: ['Trade'] })]
+    });
+
+    expect(Object.keys(dataset.lines)).toEqual(['Trade']);
+    expect(dataset.stations[0].color).toBe('#14b8a6');
+    expect(dataset.stations[0].coords.y).toBeCloseTo(0.4 * VIEWBOX.HEIGHT);
+    expect(dataset.validation.valid).toBe(true);
+  });
+
+  it('should flag stations on lines the dataset does not declare', async () => {
+    const dataset = await loadStationDataset({
+      lines: { Trade: {} },
+      stations: [createRawStation({ lines: ['Tech'] })]
+    });
+
+    expect(dataset.validation.errors[0]).toMatchObject({ code: 'UNKNOWN_LINE' });
+  });
+
+  it('should reject malformed line declarations', async () => {
+    await expect(loadStationDataset({ lines: ['Trade'], stations: [createRawStation()] }))
+      .rejects.toThrow(/object keyed by line name/);
+  });
+
+  it('should resolve collisions within a loaded dataset', async () => {
+    const dataset = await loadStationDataset([
+      createRawStation({ id: 'a', year: 1500 }),
+      createRawStation({ id: 'b', year: 1501 })
+    ]);
+    const [a, b] = dataset.stations;
+
+    expect(Math.abs(b.coords.x - a.coords.x)).toBeGreaterThanOrEqual(149);
+  });
+
+  it('should place span ends at their true time positions', async () => {
+    const dataset = await loadStationDataset([
+      createRawStation({ id: 'a', year: 1500, startYear: 1450, endYear: 1600, circa: true }),
+      createRawStation({ id: 'b', year: 1501 })
+    ]);
+    const [a, b] = dataset.stations;
+    const { yearToX: toX } = dataset.timeScale;
+
+    expect(a.span).toEqual({ startYear: 1450, endYear: 1600, circa: true, startX: toX(1450), endX: toX(1600) });
+    expect(b.span).toBeUndefined();
+  });
+});
+
+describe('processStations caching', () => {
+  it('should memoize per raw data array', () => {
+    const raw = [createRawStation()];
+
+    expect(processStations(raw)).toBe(processStations(raw));
+    expect(processStations(raw)).not.toBe(processStations());
+  });
+
+  it('should default to the built-in station data', () => {
+    expect(processStations()).toBe(processStations(STATION_DATA));
+  });
+
+  it('should cache separately per line configuration', () => {
+    const raw = [createRawStation()];
+    const lines = { Tech: { ...LINES.Tech, yPosition: 0.3 } };
+
+    expect(processStations(raw, lines)).toBe(processStations(raw, lines));
+    expect(processStations(raw, lines)).not.toBe(processStations(raw));
+    expect(processStations(raw, lines)[0].coords.y).toBeCloseTo(0.3 * VIEWBOX.HEIGHT);
+  });
+
+  it('should cache separately per time scale', () => {
+    const raw = [createRawStation()];
+    const linear = getTimeScale(TIME_SCALES.LINEAR);
+
+    expect(processStations(raw, LINES, linear)).toBe(processStations(raw, LINES, linear));
+    expect(processStations(raw, LINES, linear)).not.toBe(processStations(raw));
+    expect(processStations(raw, LINES, getTimeScale(TIME_SCALES.PIECEWISE))).toBe(processStations(raw));
+  });
+});
+
+describe('groupStationsByLine', () => {
+  it('should create one group per configured line in declaration order', () => {
+    const lines = { Trade: { id: 'trade' }, Faith: { id: 'faith' } };
+    const stations = [
+      { id: 'b', year: 1600, lines: ['Trade', 'Faith'] },
+      { id: 'a', year: 1500, lines: ['Trade'] },
+      { id: 'x', year: 1700, lines: ['Tech'] }
+    ];
+    const groups = groupStationsByLine(stations, lines);
+
+    expect(Object.keys(groups)).toEqual(['Trade', 'Faith']);
+    expect(groups.Trade.map(s => s.id)).toEqual(['a', 'b']);
+    expect(groups.Faith.map(s => s.id)).toEqual(['b']);
+  });
+});
+
+describe('getBuiltInDataset', () => {
+  it('should wrap the built-in station data', () => {
+    const dataset = getBuiltInDataset();
+
+    expect(dataset.id).toBe(BUILT_IN_DATASET_ID);
+    expect(dataset.rawStations).toBe(STATION_DATA);
+    expect(dataset.stations).toHaveLength(STATION_DATA.length);
+  });
+
+  it('should reuse the built-in time scale so processed stations stay cached', () => {
+    expect(getBuiltInDataset().timeScale).toBe(getBuiltInDataset().timeScale);
+    expect(getBuiltInDataset().stations).toBe(getBuiltInDataset().stations);
+  });
+});
+
+describe('getDatasetUrlFromLocation', () => {
+  it('should read the dataset query parameter', () => {
+    expect(getDatasetUrlFromLocation('?dataset=/alt.json')).toBe('/alt.json');
+  });
+
+  it('should return null when absent or blank', () => {
+    expect(getDatasetUrlFromLocation('')).toBeNull();
+    expect(getDatasetUrlFromLocation('?dataset=%20')).toBeNull();
+  });
+});
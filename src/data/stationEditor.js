@@ -0,0 +1,192 @@
+/**
+ * Station Editor
+ * Pure edit operations on raw station definitions (STATION_DATA shape) for authoring mode
+ *
+ * Every operation returns a new array and leaves its input untouched, so the
+ * result can go straight back through processStations/validateStations.
+ */
+
+import { LINES, TIMELINE } from '../constants/metroConfig';
+import { ICON_TYPES } from './stations';
+import { parseYearLabel } from './stationSchema';
+import { formatYearLabel } from '../utils/years';
+
+/**
+ * Narrative fields a new station starts with
+ */
+const EMPTY_NARRATIVE = { visual: '', atmosphere: '', insight: '' };
+
+/**
+ * Clamp and round a year onto the timeline
+ * @param {number} year - Year, possibly fractional or out of range
+ * @returns {number} Whole year within TIMELINE.START..TIMELINE.END
+ */
+export function clampYear(year) {
+  return Math.min(TIMELINE.END, Math.max(TIMELINE.START, Math.round(year)));
+}
+
+/**
+ * Create a station id from a name that is not used yet
+ * @param {string} name - Station name
+ * @param {Iterable<string>} existingIds - Ids already taken
+ * @returns {string} Slug id, suffixed with -2, -3, ... when needed
+ */
+export function createStationId(name, existingIds) {
+  const taken = new Set(existingIds);
+  const base = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'station';
+
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+}
+
+/**
+ * Find the line corridor closest to a Y coordinate
+ * @param {number} y - Y coordinate in viewbox space
+ * @param {Object} lines - Active line configuration
+ * @param {number} viewboxHeight - Height the yPositions are relative to
+ * @param {number} [tolerance=60] - Maximum distance from the corridor
+ * @returns {string|null} Line name, or null if no corridor is within tolerance
+ */
+export function findLineAtY(y, lines, viewboxHeight, tolerance = 60) {
+  let closest = null;
+  let closestDistance = tolerance;
+
+  Object.entries(lines).forEach(([name, config]) => {
+    const distance = Math.abs(config.yPosition * viewboxHeight - y);
+    if (distance <= closestDistance) {
+      closest = name;
+      closestDistance = distance;
+    }
+  });
+  return closest;
+}
+
+/**
+ * Create a new station definition with valid defaults
+ * @param {Array} rawStations - Existing raw stations (for a unique id)
+ * @param {Object} options
+ * @param {number} options.year - Year the station sits at
+ * @param {string} options.line - Line the station belongs to
+ * @param {string} [options.name='New Station'] - Station name
+ * @returns {Object} Raw station definition
+ */
+export function createStationDraft(rawStations, { year, line, name = 'New Station' }) {
+  const stationYear = clampYear(year);
+  return {
+    id: createStationId(name, rawStations.map(s => s.id)),
+    name,
+    year: stationYear,
+    yearLabel: formatYearLabel(stationYear),
+    lines: [line],
+    significance: 'minor',
+    iconType: ICON_TYPES.GLOBE,
+    narrative: { ...EMPTY_NARRATIVE },
+    details: '',
+    connections: []
+  };
+}
+
+/**
+ * Insert a station, keeping the list in chronological order
+ * @param {Array} rawStations - Raw stations
+ * @param {Object} station - Station to add
+ * @returns {Array} New station list
+ */
+export function addStation(rawStations, station) {
+  const index = rawStations.findIndex(s => s.year > station.year);
+  const next = [...rawStations];
+  next.splice(index === -1 ? next.length : index, 0, station);
+  return next;
+}
+
+/**
+ * Apply changes to one station
+ * - Renaming the id rewrites connections that point at it
+ * - Changing the year also updates a year label that described the old year
+ * @param {Array} rawStations - Raw stations
+ * @param {string} id - Id of the station to change
+ * @param {Object} patch - Fields to replace (narrative is merged)
+ * @returns {Array} New station list (the input if the id is unknown)
+ */
+export function updateStation(rawStations, id, patch) {
+  const current = rawStations.find(s => s.id === id);
+  if (!current) return rawStations;
+
+  const updated = { ...current, ...patch };
+  if (patch.narrative) {
+    updated.narrative = { ...current.narrative, ...patch.narrative };
+  }
+  if (patch.year !== undefined && patch.yearLabel === undefined &&
+      parseYearLabel(current.yearLabel) === current.year) {
+    updated.yearLabel = formatYearLabel(patch.year);
+  }
+
+  const renamed = patch.id !== undefined && patch.id !== id;
+  return rawStations.map(station => {
+    if (station === current) return updated;
+    if (!renamed || !station.connections?.some(conn => conn.targetId === id)) return station;
+    return {
+      ...station,
+      connections: station.connections.map(conn => (
+        conn.targetId === id ? { ...conn, targetId: patch.id } : conn
+      ))
+    };
+  });
+}
+
+/**
+ * Move a station along the timeline
+ * A span moves with the station, clamped to the timeline.
+ * @param {Array} rawStations - Raw stations
+ * @param {string} id - Station id
+ * @param {number} year - New year (rounded and clamped to the timeline)
+ * @returns {Array} New station list
+ */
+export function moveStation(rawStations, id, year) {
+  const current = rawStations.find(s => s.id === id);
+  const stationYear = clampYear(year);
+  if (!current || current.year === stationYear) return rawStations;
+
+  const delta = stationYear - current.year;
+  const patch = { year: stationYear };
+  ['startYear', 'endYear'].forEach(field => {
+    if (typeof current[field] === 'number') patch[field] = clampYear(current[field] + delta);
+  });
+  return updateStation(rawStations, id, patch);
+}
+
+/**
+ * Remove a station and every connection pointing at it
+ * @param {Array} rawStations - Raw stations
+ * @param {string} id - Station id
+ * @returns {Array} New station list
+ */
+export function removeStation(rawStations, id) {
+  return rawStations
+    .filter(station => station.id !== id)
+    .map(station => (
+      station.connections?.some(conn => conn.targetId === id)
+        ? { ...station, connections: station.connections.filter(conn => conn.targetId !== id) }
+        : station
+    ));
+}
+
+/**
+ * Serialize an edited dataset as JSON that loadStationDataset accepts
+ * Line declarations are only written for datasets that do not use the built-in lines.
+ * @param {Object} dataset
+ * @param {string} dataset.name - Dataset name
+ * @param {Array} dataset.stations - Raw station definitions
+ * @param {Object} [dataset.lines=LINES] - Line configuration
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeDataset({ name, stations, lines = LINES }) {
+  const json = { name, ...(lines !== LINES && { lines }), stations };
+  return `${JSON.stringify(json, null, 2)}\n`;
+}
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for the Station Editor
+ * Tests authoring operations on raw stations and the exported dataset JSON
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  clampYear,
+  createStationId,
+  findLineAtY,
+  createStationDraft,
+  addStation,
+  updateStation,
+  moveStation,
+  removeStation,
+  serializeDataset
+} from './stationEditor';
+import { STATION_DATA } from './stations';
+import { validateStations } from './stationSchema';
+import { loadStationDataset } from './datasetLoader';
+import { LINES } from '../constants/metroConfig';
+import { resolveLines } from '../utils/lineConfig';
+import { formatYearLabel } from '../utils/years';
+
+const createStation = (id, year, overrides = {}) => ({
+  id,
+  name: id,
+  year,
+  yearLabel: formatYearLabel(year),
+  lines: ['Tech'],
+  significance: 'minor',
+  ...overrides
+});
+
+const stations = [
+  createStation('a', -3000, { connections: [{ targetId: 'b', type: 'causal' }] }),
+  createStation('b', 1000),
+  createStation('c', 1900, { yearLabel: '1914–1945' })
+];
+
+describe('clampYear', () => {
+  it('should round and clamp to the timeline', () => {
+    expect(clampYear(1500.4)).toBe(1500);
+    expect(clampYear(-20000)).toBe(-10000);
+    expect(clampYear(3000)).toBe(2025);
+  });
+});
+
+describe('createStationId', () => {
+  it('should slug the name and avoid taken ids', () => {
+    expect(createStationId('Black Death!', [])).toBe('black-death');
+    expect(createStationId('New Station', ['new-station', 'new-station-2'])).toBe('new-station-3');
+    expect(createStationId('', [])).toBe('station');
+  });
+});
+
+describe('findLineAtY', () => {
+  it('should pick the nearest corridor within tolerance', () => {
+    const height = 4000;
+    const techY = LINES.Tech.yPosition * height;
+
+    expect(findLineAtY(techY + 20, LINES, height)).toBe('Tech');
+    expect(findLineAtY(techY + 500, LINES, height, 60)).toBeNull();
+  });
+});
+
+describe('createStationDraft', () => {
+  it('should create a valid station on the clicked line', () => {
+    const draft = createStationDraft(stations, { year: 1347.8, line: 'War' });
+
+    expect(draft).toMatchObject({ id: 'new-station', year: 1348, yearLabel: '1348 CE', lines: ['War'] });
+    expect(validateStations([...stations, draft]).errors).toEqual([]);
+  });
+});
+
+describe('addStation', () => {
+  it('should insert in chronological order', () => {
+    const next = addStation(stations, createStation('x', 0));
+    expect(next.map(s => s.id)).toEqual(['a', 'x', 'b', 'c']);
+    expect(stations).toHaveLength(3);
+  });
+});
+
+describe('updateStation', () => {
+  it('should merge narrative fields', () => {
+    const withNarrative = updateStation(stations, 'b', { narrative: { visual: 'v' } });
+    const next = updateStation(withNarrative, 'b', { narrative: { insight: 'i' } });
+    expect(next[1].narrative).toEqual({ visual: 'v', insight: 'i' });
+  });
+
+  it('should rewrite connections when an id is renamed', () => {
+    const next = updateStation(stations, 'b', { id: 'bronze' });
+
+    expect(next[1].id).toBe('bronze');
+    expect(next[0].connections).toEqual([{ targetId: 'bronze', type: 'causal' }]);
+    expect(stations[0].connections[0].targetId).toBe('b');
+  });
+
+  it('should update the label of a moved station only if it described the old year', () => {
+    expect(updateStation(stations, 'b', { year: 1100 })[1].yearLabel).toBe('1100 CE');
+    expect(updateStation(stations, 'c', { year: 1920 })[2].yearLabel).toBe('1914–1945');
+  });
+
+  it('should ignore unknown ids', () => {
+    expect(updateStation(stations, 'ghost', { name: 'x' })).toBe(stations);
+  });
+});
+
+describe('moveStation', () => {
+  it('should clamp and round the new year', () => {
+    const next = moveStation(stations, 'b', 5000.2);
+    expect(next[1].year).toBe(2025);
+    expect(next[1].yearLabel).toBe('2025 CE');
+  });
+
+  it('should move a span with the station, clamped to the timeline', () => {
+    const spanned = updateStation(stations, 'b', { startYear: 900, endYear: 1100 });
+    expect(moveStation(spanned, 'b', 1050)[1]).toMatchObject({ year: 1050, startYear: 950, endYear: 1150 });
+    expect(moveStation(spanned, 'b', 2000)[1]).toMatchObject({ year: 2000, startYear: 1900, endYear: 2025 });
+  });
+
+  it('should return the same list when the year does not change', () => {
+    expect(moveStation(stations, 'b', 1000.3)).toBe(stations);
+  });
+});
+
+describe('removeStation', () => {
+  it('should drop the station and connections to it', () => {
+    const next = removeStation(stations, 'b');
+
+    expect(next.map(s => s.id)).toEqual(['a', 'c']);
+    expect(next[0].connections).toEqual([]);
+  });
+});
+
+describe('serializeDataset', () => {
+  it('should round-trip the built-in data through the loader without errors', async () => {
+    const edited = addStation(STATION_DATA, createStationDraft(STATION_DATA, { year: 1348, line: 'War' }));
+    const json = JSON.parse(serializeDataset({ name: 'Edited', stations: edited }));
+
+    expect(json).not.toHaveProperty('lines');
+    const loaded = await loadStationDataset(json);
+    expect(loaded.name).toBe('Edited');
+    expect(loaded.stations).toHaveLength(STATION_DATA.length + 1);
+    expect(loaded.validation.errors).toEqual([]);
+  });
+
+  it('should keep custom line declarations', async () => {
+    const lines = resolveLines({ Trade: { color: '#f59e0b' } });
+    const json = JSON.parse(serializeDataset({
+      name: 'Trade',
+      lines,
+      stations: [createStation('port', 1500, { lines: ['Trade'] })]
+    }));
+
+    const loaded = await loadStationDataset(json);
+    expect(loaded.lines.Trade.color).toBe('#f59e0b');
+    expect(loaded.validation.errors).toEqual([]);
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Station Schema & Validation
+ * Declares the shape of a raw station definition and lints datasets against it
+ *
+ * Validation never throws - it returns a structured report so callers can decide
+ * whether to block (tests, exports) or just warn (dev-mode toast).
+ */
+
+import { LINES, TIMELINE } from '../constants/metroConfig';
+import { ICON_TYPES } from './stations';
+import { getYearSpan } from '../utils/years';
+
+/**
+ * Allowed significance levels, in rough order of visual weight
+ */
+export const SIGNIFICANCE_LEVELS = ['minor', 'major', 'hub', 'crisis', 'current'];
+
+/**
+ * Allowed connection types between stations
+ */
+export const CONNECTION_TYPES = ['causal'];
+
+/**
+ * Field declarations for a raw station definition
+ * - type: expected JS type ('string' | 'number' | 'boolean' | 'array' | 'object')
+ * - required: missing field is an error
+ * - enum: allowed values; `enumSeverity` controls whether a mismatch is an error or warning
+ */
+export const STATION_SCHEMA = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  year: { type: 'number', required: true },
+  yearLabel: { type: 'string', required: true },
+  // Optional period the event spans; either end defaults to `year`
+  startYear: { type: 'number' },
+  endYear: { type: 'number' },
+  // The dates are approximate
+  circa: { type: 'boolean' },
+  lines: { type: 'array', required: true },
+  significance: { type: 'string', required: true, enum: SIGNIFICANCE_LEVELS, enumSeverity: 'error' },
+  // Unknown icons fall back to a default icon, so they only warrant a warning
+  iconType: { type: 'string', enum: Object.values(ICON_TYPES), enumSeverity: 'warning' },
+  iconSize: { type: 'string', enum: ['normal', 'large'], enumSeverity: 'warning' },
+  narrative: { type: 'object' },
+  details: { type: 'string' },
+  population: { type: 'string' },
+  connections: { type: 'array' }
+};
+
+/**
+ * Narrative fields shown in the sidebar - missing ones leave empty sections
+ */
+const NARRATIVE_FIELDS = ['visual', 'atmosphere', 'insight'];
+
+/**
+ * Get the schema type name of a value
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Parse a human year label into a numeric year
+ * Supports '10,000 BCE', '1500 CE', 'c. 500 BCE', and ranges like '1914–1945' (start year)
+ * @param {string} label - Year label
+ * @returns {number|null} Parsed year (negative for BCE) or null if unparseable
+ */
+export function parseYearLabel(label) {
+  if (typeof label !== 'string') return null;
+  const match = label.match(/(\d[\d,]*)\s*(BCE|BC|CE|AD)?/i);
+  if (!match) return null;
+
+  const value = parseInt(match[1].replace(/,/g, ''), 10);
+  if (Number.isNaN(value)) return null;
+
+  const era = (match[2] || '').toUpperCase();
+  return era === 'BCE' || era === 'BC' ? -value : value;
+}
+
+/**
+ * Check whether a year label describes the numeric year
+ * Year 0 has no calendar label, so '1 CE' / '1 BCE' are accepted for it
+ */
+function isYearLabelConsistent(year, label) {
+  const parsed = parseYearLabel(label);
+  if (parsed === null) return null;
+  if (parsed === year) return true;
+  return year === 0 && Math.abs(parsed) === 1;
+}
+
+/**
+ * Validate a list of raw station definitions
+ * @param {Array} stations - Raw station definitions (STATION_DATA shape)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.lineNames] - Known line names (defaults to keys of LINES)
+ * @param {{START: number, END: number}} [options.timeline] - Allowed year range (defaults to TIMELINE)
+ * @returns {{valid: boolean, errors: Array, warnings: Array}} Structured lint report.
+ *   Each issue is { severity, code, stationId, index, field, message }.
+ */
+export function validateStations(stations, {
+  lineNames = Object.keys(LINES),
+  timeline = TIMELINE
+} = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const report = (severity, code, station, index, field, message) => {
+    const issue = { severity, code, stationId: station?.id ?? null, index, field, message };
+    (severity === 'error' ? errors : warnings).push(issue);
+  };
+
+  if (!Array.isArray(stations)) {
+    report('error', 'NOT_AN_ARRAY', null, null, null, 'Station data must be an array');
+    return { valid: false, errors, warnings };
+  }
+
+  const knownLines = new Set(lineNames);
+  const stationsById = new Map();
+
+  // Pass 1: per-station field checks and id registry
+  stations.forEach((station, index) => {
+    const label = station?.id ? `"${station.id}"` : `at index ${index}`;
+
+    if (typeOf(station) !== 'object') {
+      report('error', 'INVALID_STATION', null, index, null, `Station ${label} is not an object`);
+      return;
+    }
+
+    // Declared fields: presence, type, enum
+    Object.entries(STATION_SCHEMA).forEach(([field, rule]) => {
+      const value = station[field];
+      if (value === undefined || value === null) {
+        if (rule.required) {
+          report('error', 'MISSING_FIELD', station, index, field, `Station ${label} is missing required field "${field}"`);
+        }
+        return;
+      }
+      if (typeOf(value) !== rule.type) {
+        report('error', 'INVALID_TYPE', station, index, field, `Station ${label} field "${field}" should be ${rule.type}, got ${typeOf(value)}`);
+        return;
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        report(rule.enumSeverity || 'error', 'UNKNOWN_VALUE', station, index, field, `Station ${label} has unknown ${field} "${value}"`);
+      }
+    });
+
+    // Undeclared fields are usually typos (e.g. "conections")
+    Object.keys(station).forEach(field => {
+      if (!(field in STATION_SCHEMA)) {
+        report('warning', 'UNKNOWN_FIELD', station, index, field, `Station ${label} has undeclared field "${field}"`);
+      }
+    });
+
+    // Unique ids
+    if (typeof station.id === 'string') {
+      if (stationsById.has(station.id)) {
+        report('error', 'DUPLICATE_ID', station, index, 'id', `Station id "${station.id}" is used more than once`);
+      } else {
+        stationsById.set(station.id, station);
+      }
+    }
+
+    // Lines must exist in the line configuration
+    if (Array.isArray(station.lines)) {
+      if (station.lines.length === 0) {
+        report('error', 'NO_LINES', station, index, 'lines', `Station ${label} does not belong to any line`);
+      }
+      station.lines.forEach(line => {
+        if (!knownLines.has(line)) {
+          report('error', 'UNKNOWN_LINE', station, index, 'lines', `Station ${label} references unknown line "${line}"`);
+        }
+      });
+      if (new Set(station.lines).size !== station.lines.length) {
+        report('warning', 'DUPLICATE_LINE', station, index, 'lines', `Station ${label} lists the same line more than once`);
+      }
+    }
+
+    // Years must fall on the timeline and match their label
+    if (typeof station.year === 'number') {
+      if (station.year < timeline.START || station.year > timeline.END) {
+        report('error', 'YEAR_OUT_OF_RANGE', station, index, 'year', `Station ${label} year ${station.year} is outside ${timeline.START}..${timeline.END}`);
+      }
+      if (typeof station.yearLabel === 'string') {
+        const consistent = isYearLabelConsistent(station.year, station.yearLabel);
+        if (consistent === null) {
+          report('warning', 'UNPARSEABLE_YEAR_LABEL', station, index, 'yearLabel', `Station ${label} year label "${station.yearLabel}" could not be parsed`);
+        } else if (!consistent) {
+          report('warning', 'YEAR_LABEL_MISMATCH', station, index, 'yearLabel', `Station ${label} year label "${station.yearLabel}" does not match year ${station.year}`);
+        }
+      }
+    }
+
+    // Spans must fall on the timeline and contain the station year
+    ['startYear', 'endYear'].forEach(field => {
+      const value = station[field];
+      if (typeof value === 'number' && (value < timeline.START || value > timeline.END)) {
+        report('error', 'YEAR_OUT_OF_RANGE', station, index, field, `Station ${label} ${field} ${value} is outside ${timeline.START}..${timeline.END}`);
+      }
+    });
+    const span = typeof station.year === 'number' ? getYearSpan(station) : null;
+    if (span) {
+      if (span.startYear > span.endYear) {
+        report('error', 'INVALID_SPAN', station, index, 'endYear', `Station ${label} span ends (${span.endYear}) before it starts (${span.startYear})`);
+      } else if (station.year < span.startYear || station.year > span.endYear) {
+        report('warning', 'YEAR_OUTSIDE_SPAN', station, index, 'year', `Station ${label} year ${station.year} is outside its span ${span.startYear}..${span.endYear}`);
+      }
+    }
+
+    // Narrative sections render empty when missing
+    if (typeOf(station.narrative) === 'object') {
+      NARRATIVE_FIELDS.forEach(field => {
+        if (typeof station.narrative[field] !== 'string' || !station.narrative[field].trim()) {
+          report('warning', 'MISSING_NARRATIVE', station, index, `narrative.${field}`, `Station ${label} has no narrative ${field}`);
+        }
+      });
+    }
+  });
+
+  // Pass 2: connections need every id registered first
+  stations.forEach((station, index) => {
+    if (typeOf(station) !== 'object' || !Array.isArray(station.connections)) return;
+    const label = `"${station.id}"`;
+
+    station.connections.forEach((conn, connIndex) => {
+      const field = `connections[${connIndex}]`;
+      if (typeOf(conn) !== 'object' || typeof conn.targetId !== 'string') {
+        report('error', 'INVALID_CONNECTION', station, index, field, `Station ${label} has a connection without a targetId`);
+        return;
+      }
+      if (conn.type !== undefined && !CONNECTION_TYPES.includes(conn.type)) {
+        report('warning', 'UNKNOWN_CONNECTION_TYPE', station, index, field, `Station ${label} connection to "${conn.targetId}" has unknown type "${conn.type}"`);
+      }
+      if (conn.targetId === station.id) {
+        report('error', 'SELF_CONNECTION', station, index, field, `Station ${label} connects to itself`);
+        return;
+      }
+
+      const target = stationsById.get(conn.targetId);
+      if (!target) {
+        report('error', 'UNKNOWN_CONNECTION_TARGET', station, index, field, `Station ${label} connects to missing station "${conn.targetId}"`);
+        return;
+      }
+      // Drawn fine, but usually a typo in the year or the target
+      if (typeof station.year === 'number' && typeof target.year === 'number' && target.year <= station.year) {
+        report('warning', 'BACKWARD_CONNECTION', station, index, field, `Station ${label} (${station.year}) connects to "${target.id}" (${target.year}), which is not later in time`);
+      }
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Summarize a validation report in one line (for toasts and logs)
+ * @param {{errors: Array, warnings: Array}} report - Result of validateStations
+ * @returns {string} Summary, empty when there are no issues
+ */
+export function summarizeValidationReport({ errors, warnings }) {
+  if (errors.length === 0 && warnings.length === 0) return '';
+
+  const counts = [
+    errors.length > 0 && `${errors.length} error${errors.length === 1 ? '' : 's'}`,
+    warnings.length > 0 && `${warnings.length} warning${warnings.length === 1 ? '' : 's'}`
+  ].filter(Boolean).join(', ');
+  const first = errors[0] || warnings[0];
+
+  return `Station data: ${counts}. ${first.message}`;
+}
@@ -0,0 +1,263 @@
+/**
+ * Unit Tests for Station Schema Validation
+ * Tests field checks, line/connection integrity, timeline bounds, and the built-in data
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateStations,
+  parseYearLabel,
+  summarizeValidationReport,
+  STATION_SCHEMA
+} from './stationSchema';
+import { STATION_DATA } from './stations';
+
+// Minimal valid station factory
+const createRawStation = (overrides = {}) => ({
+  id: 'station-a',
+  name: 'Station A',
+  year: 1500,
+  yearLabel: '1500 CE',
+  lines: ['Tech'],
+  significance: 'major',
+  iconType: 'settings',
+  narrative: { visual: 'v', atmosphere: 'a', insight: 'i' },
+  details: 'Details',
+  ...overrides
+});
+
+const codesOf = (issues) => issues.map(issue => issue.code);
+
+describe('validateStations - built-in data', () => {
+  it('should report no errors for STATION_DATA', () => {
+    const report = validateStations(STATION_DATA);
+
+    expect(report.errors).toEqual([]);
+    expect(report.valid).toBe(true);
+  });
+
+  it('should only warn about the known backward links in STATION_DATA', () => {
+    // Content as shipped: left for an editorial fix rather than changed by the validator
+    const { warnings } = validateStations(STATION_DATA);
+    expect(warnings.map(w => [w.code, w.stationId, w.field])).toEqual([
+      ['BACKWARD_CONNECTION', 'gunpowder', 'connections[0]'],
+      ['BACKWARD_CONNECTION', 'gutenberg', 'connections[0]']
+    ]);
+  });
+});
+
+describe('validateStations - fields', () => {
+  it('should accept a minimal valid station', () => {
+    expect(validateStations([createRawStation()]).valid).toBe(true);
+  });
+
+  it('should reject non-array input', () => {
+    const report = validateStations({});
+    expect(report.valid).toBe(false);
+    expect(codesOf(report.errors)).toContain('NOT_AN_ARRAY');
+  });
+
+  it('should report every missing required field', () => {
+    const report = validateStations([{ id: 'bare' }]);
+    const missingFields = report.errors
+      .filter(issue => issue.code === 'MISSING_FIELD')
+      .map(issue => issue.field);
+
+    const required = Object.entries(STATION_SCHEMA)
+      .filter(([, rule]) => rule.required)
+      .map(([field]) => field)
+      .filter(field => field !== 'id');
+    expect(missingFields).toEqual(required);
+  });
+
+  it('should report wrong field types', () => {
+    const report = validateStations([createRawStation({ year: '1500' })]);
+    expect(report.errors[0]).toMatchObject({ code: 'INVALID_TYPE', field: 'year', stationId: 'station-a', index: 0 });
+  });
+
+  it('should treat unknown significance as an error', () => {
+    const report = validateStations([createRawStation({ significance: 'crisys' })]);
+    expect(report.errors[0]).toMatchObject({ code: 'UNKNOWN_VALUE', field: 'significance' });
+  });
+
+  it('should treat unknown icon types as warnings (icon falls back to default)', () => {
+    const report = validateStations([createRawStation({ iconType: 'rocket' })]);
+    expect(report.valid).toBe(true);
+    expect(report.warnings[0]).toMatchObject({ code: 'UNKNOWN_VALUE', field: 'iconType' });
+  });
+
+  it('should warn about undeclared (likely misspelled) fields', () => {
+    const report = validateStations([createRawStation({ conections: [] })]);
+    expect(report.warnings[0]).toMatchObject({ code: 'UNKNOWN_FIELD', field: 'conections' });
+  });
+
+  it('should warn about missing narrative sections', () => {
+    const report = validateStations([createRawStation({ narrative: { visual: 'v' } })]);
+    expect(report.warnings.map(issue => issue.field)).toEqual(['narrative.atmosphere', 'narrative.insight']);
+  });
+});
+
+describe('validateStations - ids and lines', () => {
+  it('should reject duplicate ids', () => {
+    const report = validateStations([createRawStation(), createRawStation()]);
+    expect(report.errors).toHaveLength(1);
+    expect(report.errors[0]).toMatchObject({ code: 'DUPLICATE_ID', index: 1 });
+  });
+
+  it('should reject lines missing from the line configuration', () => {
+    const report = validateStations([createRawStation({ lines: ['Tech', 'Tehc'] })]);
+    expect(report.errors[0]).toMatchObject({ code: 'UNKNOWN_LINE' });
+    expect(report.errors[0].message).toContain('Tehc');
+  });
+
+  it('should accept custom line names', () => {
+    const report = validateStations([createRawStation({ lines: ['Trade'] })], { lineNames: ['Trade'] });
+    expect(report.valid).toBe(true);
+  });
+
+  it('should reject stations with no lines', () => {
+    expect(codesOf(validateStations([createRawStation({ lines: [] })]).errors)).toContain('NO_LINES');
+  });
+
+  it('should warn about duplicate lines on a station', () => {
+    expect(codesOf(validateStations([createRawStation({ lines: ['Tech', 'Tech'] })]).warnings)).toContain('DUPLICATE_LINE');
+  });
+});
+
+describe('validateStations - years', () => {
+  it('should reject years outside the timeline', () => {
+    const report = validateStations([createRawStation({ year: 2100, yearLabel: '2100 CE' })]);
+    expect(codesOf(report.errors)).toEqual(['YEAR_OUT_OF_RANGE']);
+  });
+
+  it('should respect a custom timeline', () => {
+    const report = validateStations(
+      [createRawStation({ year: 2100, yearLabel: '2100 CE' })],
+      { timeline: { START: 0, END: 3000 } }
+    );
+    expect(report.valid).toBe(true);
+  });
+
+  it('should warn when the year label disagrees with the year', () => {
+    const report = validateStations([createRawStation({ yearLabel: '1600 CE' })]);
+    expect(codesOf(report.warnings)).toEqual(['YEAR_LABEL_MISMATCH']);
+  });
+
+  it('should warn when the year label cannot be parsed', () => {
+    const report = validateStations([createRawStation({ yearLabel: 'Long ago' })]);
+    expect(codesOf(report.warnings)).toEqual(['UNPARSEABLE_YEAR_LABEL']);
+  });
+
+  it('should accept "1 CE" for year 0', () => {
+    expect(validateStations([createRawStation({ year: 0, yearLabel: '1 CE' })]).warnings).toEqual([]);
+  });
+});
+
+describe('validateStations - spans', () => {
+  it('should accept spans around the station year', () => {
+    const report = validateStations([
+      createRawStation({ startYear: 1450, endYear: 1600, circa: true }),
+      createRawStation({ id: 'station-b', endYear: 1550 })
+    ]);
+    expect(report.errors).toEqual([]);
+    expect(report.warnings).toEqual([]);
+  });
+
+  it('should reject spans that end before they start', () => {
+    const report = validateStations([createRawStation({ startYear: 1600, endYear: 1400 })]);
+    expect(codesOf(report.errors)).toEqual(['INVALID_SPAN']);
+  });
+
+  it('should reject span ends outside the timeline', () => {
+    const report = validateStations([createRawStation({ endYear: 2500 })]);
+    expect(report.errors.map(issue => [issue.code, issue.field])).toEqual([['YEAR_OUT_OF_RANGE', 'endYear']]);
+  });
+
+  it('should warn when the station year is outside its span', () => {
+    const report = validateStations([createRawStation({ startYear: 1300, endYear: 1400 })]);
+    expect(codesOf(report.warnings)).toEqual(['YEAR_OUTSIDE_SPAN']);
+  });
+
+  it('should require circa to be a boolean', () => {
+    const report = validateStations([createRawStation({ circa: 'yes' })]);
+    expect(codesOf(report.errors)).toEqual(['INVALID_TYPE']);
+  });
+});
+
+describe('validateStations - connections', () => {
+  const later = createRawStation({ id: 'station-b', year: 1600, yearLabel: '1600 CE' });
+
+  it('should accept forward connections to existing stations', () => {
+    const report = validateStations([
+      createRawStation({ connections: [{ targetId: 'station-b', type: 'causal' }] }),
+      later
+    ]);
+    expect(report.valid).toBe(true);
+  });
+
+  it('should reject connections to missing stations', () => {
+    const report = validateStations([createRawStation({ connections: [{ targetId: 'nowhere', type: 'causal' }] })]);
+    expect(report.errors[0]).toMatchObject({ code: 'UNKNOWN_CONNECTION_TARGET', field: 'connections[0]' });
+  });
+
+  it('should warn about connections that point backward in time', () => {
+    const report = validateStations([
+      createRawStation(),
+      { ...later, connections: [{ targetId: 'station-a', type: 'causal' }] }
+    ]);
+    expect(report.valid).toBe(true);
+    expect(report.warnings[0]).toMatchObject({ code: 'BACKWARD_CONNECTION', stationId: 'station-b' });
+  });
+
+  it('should reject self connections', () => {
+    const report = validateStations([createRawStation({ connections: [{ targetId: 'station-a' }] })]);
+    expect(codesOf(report.errors)).toEqual(['SELF_CONNECTION']);
+  });
+
+  it('should reject connections without a targetId', () => {
+    const report = validateStations([createRawStation({ connections: [{ type: 'causal' }] })]);
+    expect(codesOf(report.errors)).toEqual(['INVALID_CONNECTION']);
+  });
+
+  it('should warn about unknown connection types', () => {
+    const report = validateStations([
+      createRawStation({ connections: [{ targetId: 'station-b', type: 'inspired' }] }),
+      later
+    ]);
+    expect(codesOf(report.warnings)).toEqual(['UNKNOWN_CONNECTION_TYPE']);
+  });
+});
+
+describe('parseYearLabel', () => {
+  it('should parse BCE and CE labels with thousands separators', () => {
+    expect(parseYearLabel('10,000 BCE')).toBe(-10000);
+    expect(parseYearLabel('1500 CE')).toBe(1500);
+    expect(parseYearLabel('c. 500 BC')).toBe(-500);
+  });
+
+  it('should use the start of a range', () => {
+    expect(parseYearLabel('1914–1945')).toBe(1914);
+  });
+
+  it('should return null for unparseable labels', () => {
+    expect(parseYearLabel('Prehistory')).toBeNull();
+    expect(parseYearLabel(undefined)).toBeNull();
+  });
+});
+
+describe('summarizeValidationReport', () => {
+  it('should return an empty string for clean reports', () => {
+    expect(summarizeValidationReport({ errors: [], warnings: [] })).toBe('');
+  });
+
+  it('should count issues and lead with the first error', () => {
+    const report = validateStations([
+      createRawStation({ iconType: 'rocket' }),
+      createRawStation()
+    ]);
+    const summary = summarizeValidationReport(report);
+
+    expect(summary).toMatch(/^Station data: 1 error, 1 warning\./);
+    expect(summary).toContain('used more than once');
+  });
+});
@@ -4,8 +4,9 @@
  * Separated from component for maintainability and potential future API integration
  */
 
-import { LINE_Y_POSITIONS, VIEWBOX } from '../constants/metroConfig';
-import { yearToX } from '../utils/coordinates';
+import { LINES, VIEWBOX } from '../constants/metroConfig';
+import { getTimeScale, TIME_SCALES } from '../utils/coordinates';
+import { getYearSpan } from '../utils/years';
 
 /**
  * Icon type identifiers mapped to station characteristics
@@ -413,6 +414,8 @@ const STATION_DATA = [
     name: 'Pax Romana',
     year: 117,
     yearLabel: '117 CE', 
+    startYear: -27,
+    endYear: 180,
     lines: ['Empire', 'Tech'],
     significance: 'major',
     iconType: ICON_TYPES.CASTLE,
@@ -461,6 +464,8 @@ const STATION_DATA = [
     name: 'Tang Dynasty',
     year: 618,
     yearLabel: '618 CE',
+    startYear: 618,
+    endYear: 907,
     lines: ['Empire', 'Philosophy'],
     significance: 'major',
     iconType: ICON_TYPES.CASTLE,
@@ -477,6 +482,8 @@ const STATION_DATA = [
     name: 'Viking Age',
     year: 793,
     yearLabel: '793 CE',
+    startYear: 793,
+    endYear: 1066,
     lines: ['War', 'Tech'],
     significance: 'major',
     iconType: ICON_TYPES.SKULL,
@@ -493,6 +500,9 @@ const STATION_DATA = [
     name: 'Islamic Golden Age',
     year: 800,
     yearLabel: '800 CE',
+    startYear: 750,
+    endYear: 1258,
+    circa: true,
     lines: ['Tech', 'Philosophy'],
     significance: 'major',
     iconType: ICON_TYPES.BOOK,
@@ -528,6 +538,8 @@ const STATION_DATA = [
     name: 'The Crusades',
     year: 1095,
     yearLabel: '1095 CE',
+    startYear: 1095,
+    endYear: 1291,
     lines: ['War', 'Philosophy', 'Empire'],
     significance: 'major',
     iconType: ICON_TYPES.CROSSHAIR,
@@ -544,6 +556,8 @@ const STATION_DATA = [
     name: 'Mongol Empire',
     year: 1206,
     yearLabel: '1206 CE',
+    startYear: 1206,
+    endYear: 1368,
     lines: ['Empire', 'War'],
     significance: 'major',
     iconType: ICON_TYPES.CASTLE,
@@ -592,6 +606,8 @@ const STATION_DATA = [
     name: 'Black Death',
     year: 1347,
     yearLabel: '1347 CE',
+    startYear: 1346,
+    endYear: 1353,
     lines: ['Population', 'War'],
     significance: 'crisis',
     iconType: ICON_TYPES.SKULL,
@@ -915,6 +931,8 @@ const STATION_DATA = [
     name: 'World War I',
     year: 1914,
     yearLabel: '1914 CE',
+    startYear: 1914,
+    endYear: 1918,
     lines: ['War', 'Tech'],
     significance: 'crisis',
     iconType: ICON_TYPES.SKULL,
@@ -1212,17 +1230,6 @@ const STATION_DATA = [
   }
 ];
 
-/**
- * Line color mapping
- */
-const LINE_COLOR_MAP = {
-  'Tech': '#22d3ee',
-  'War': '#dc2626',
-  'Population': '#22c55e',
-  'Philosophy': '#fbbf24',
-  'Empire': '#a855f7'
-};
-
 /**
  * Minimum X distance between station CENTERS on the same line.
  * Station markers are ~30-40px diameter. With hover effects and labels,
@@ -1237,21 +1244,23 @@ const LINE_COLOR_MAP = {
 const MIN_STATION_GAP = 150; // Minimum pixels between station centers on same line
 
 // MEDIUM: Memoize processed stations to avoid recalculating collisions on every render
+// Keyed by the raw data array, then line configuration, then time scale, so external datasets
+// and each scale get their own cache entry
 // Cache is automatically invalidated on hot module reload during development
-let memoizedStations = null;
+let memoizedStations = new WeakMap();
 
 /**
  * Clear the memoized stations cache
  * Call this if station data or coordinate system changes
  */
 export function clearStationCache() {
-  memoizedStations = null;
+  memoizedStations = new WeakMap();
 }
 
 // Auto-clear cache on hot reload for development
 if (import.meta.hot) {
   import.meta.hot.accept(() => {
-    memoizedStations = null;
+    memoizedStations = new WeakMap();
   });
 }
 
@@ -1261,26 +1270,41 @@ if (import.meta.hot) {
  * and resolves overlapping station positions using HORIZONTAL offsets
  * to keep stations on their respective metro lines
  * * MEDIUM PRIORITY: Memoized to avoid expensive collision detection on every render
- * @returns {Array} Processed station array with computed coordinates, colors, and flattened narrative
+ * @param {Array} [stationData=STATION_DATA] - Raw station definitions (built-in data or a loaded dataset)
+ * @param {Object} [lines=LINES] - Line configuration the stations are drawn on
+ * @param {Object} [timeScale] - Time scale from utils/coordinates (defaults to the piecewise scale)
+ * @returns {Array} Processed station array with computed coordinates, colors, and flattened narrative.
+ *   Stations with a startYear/endYear also get `span` ({ startYear, endYear, circa, startX, endX });
+ *   span ends sit at their true time positions and are not moved by collision offsets.
  */
-export function processStations() {
-  // Return memoized result if available (stations data is static)
-  if (memoizedStations !== null) {
-    return memoizedStations;
+export function processStations(stationData = STATION_DATA, lines = LINES, timeScale = getTimeScale(TIME_SCALES.PIECEWISE)) {
+  // Return memoized result if available (raw data arrays are treated as immutable)
+  let cacheByLines = memoizedStations.get(stationData);
+  const cached = cacheByLines?.get(lines)?.get(timeScale);
+  if (cached) {
+    return cached;
   }
   
   // First pass: compute initial coordinates
-  const stationsWithCoords = STATION_DATA.map(station => {
+  const stationsWithCoords = stationData.map(station => {
     const primaryLine = station.lines[0];
-    const yPosition = LINE_Y_POSITIONS[primaryLine] || 0.5;
+    const yPosition = lines[primaryLine]?.yPosition ?? 0.5;
+    const span = getYearSpan(station);
     
     return {
       ...station,
-      color: station.significance === 'current' ? '#fff' : (LINE_COLOR_MAP[primaryLine] || '#ffffff'),
+      color: station.significance === 'current' ? '#fff' : (lines[primaryLine]?.color || '#ffffff'),
       coords: {
-        x: yearToX(station.year),
+        x: timeScale.yearToX(station.year),
         y: yPosition * VIEWBOX.HEIGHT
       },
+      ...(span && {
+        span: {
+          ...span,
+          startX: timeScale.yearToX(span.startYear),
+          endX: timeScale.yearToX(span.endYear)
+        }
+      }),
       visual: station.narrative?.visual,
       atmosphere: station.narrative?.atmosphere,
       insight: station.narrative?.insight
@@ -1288,10 +1312,19 @@ export function processStations() {
   });
 
   // Second pass: detect and resolve collisions with HORIZONTAL offsets
-  const resolvedStations = resolveStationCollisions(stationsWithCoords);
+  const resolvedStations = resolveStationCollisions(stationsWithCoords, lines);
   
   // Cache the result
-  memoizedStations = resolvedStations;
+  if (!cacheByLines) {
+    cacheByLines = new WeakMap();
+    memoizedStations.set(stationData, cacheByLines);
+  }
+  let cacheByScale = cacheByLines.get(lines);
+  if (!cacheByScale) {
+    cacheByScale = new WeakMap();
+    cacheByLines.set(lines, cacheByScale);
+  }
+  cacheByScale.set(timeScale, resolvedStations);
   
   return resolvedStations;
 }
@@ -1306,9 +1339,10 @@ export function processStations() {
  * 3. Multi-pass convergence - handles multi-line station cascading
  * 
  * @param {Array} stations - Array of stations with initial coordinates
+ * @param {Object} lines - Line configuration (each line is spaced independently)
  * @returns {Array} Stations with adjusted X coordinates to prevent overlap
  */
-function resolveStationCollisions(stations) {
+function resolveStationCollisions(stations, lines) {
   // Boundary margins - leave room for station graphics and labels
   const LEFT_MARGIN = 100;
   const RIGHT_MARGIN = 200; // More margin on right for labels
@@ -1326,13 +1360,13 @@ function resolveStationCollisions(stations) {
   const stationById = {};
   mutableStations.forEach(s => { stationById[s.id] = s; });
   
-  const lines = ['Tech', 'War', 'Population', 'Philosophy', 'Empire'];
+  const lineNames = Object.keys(lines);
   
   // Multiple global passes to handle multi-line station cascading
   for (let globalPass = 0; globalPass < 15; globalPass++) {
     let anyChanged = false;
     
-    lines.forEach(line => {
+    lineNames.forEach(line => {
       // Get all stations on this line, sorted by current adjustedX
       const lineStations = mutableStations
         .filter(s => s.lines.includes(line))
@@ -1406,16 +1440,11 @@ function resolveStationCollisions(stations) {
 /**
  * Group stations by their lines
  * @param {Array} stations - Processed station array
+ * @param {Object} [lines=LINES] - Line configuration (one group per line, in declaration order)
  * @returns {Object} Stations grouped by line name
  */
-export function groupStationsByLine(stations) {
-  const groups = {
-    Tech: [],
-    War: [],
-    Population: [],
-    Philosophy: [],
-    Empire: []
-  };
+export function groupStationsByLine(stations, lines = LINES) {
+  const groups = Object.fromEntries(Object.keys(lines).map(line => [line, []]));
   
   stations.forEach(station => {
     station.lines.forEach(line => {
@@ -1446,5 +1475,5 @@ export function getJourneyStations(stations, journeyIds) {
 }
 
 // Export raw data for direct access if needed
-export { STATION_DATA, ICON_TYPES, LINE_COLOR_MAP };
+export { STATION_DATA, ICON_TYPES };
 export default STATION_DATA;
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * Guided Tours
+ * Tours are plain data: a title and an ordered list of stops. Each stop names a
+ * station, a caption shown while it is on screen, and the camera zoom to frame it at
+ * (same scale as the map's zoom level, VIEWBOX.WIDTH / viewBox.width). A stop may also
+ * set `dwell`, the seconds it stays on screen when the tour autoplays.
+ *
+ * All helpers are pure and return new tours, so the list can live in the reducer.
+ */
+
+import { VIEWBOX } from '../constants/metroConfig';
+import { createStationId } from './stationEditor';
+import { clampDwell } from '../utils/presentation';
+
+/**
+ * Version written to exported tour files
+ */
+export const TOURS_FILE_VERSION = 1;
+
+/**
+ * Zoom used for stops that do not set one
+ */
+export const DEFAULT_STOP_ZOOM = 2;
+
+/**
+ * Tour shipped with the app (the former fixed journey)
+ */
+export const DEFAULT_TOURS = [
+  {
+    id: 'key-moments',
+    title: 'Key Moments',
+    stops: [
+      { stationId: 'neolithic', caption: 'Farming begins and every line of history departs from here.', zoom: 2 },
+      { stationId: 'uruk', caption: 'The first cities: writing, bureaucracy and walls.', zoom: 2 },
+      { stationId: 'classical', caption: 'Philosophy, empire and religion branch out across Eurasia.', zoom: 1.5 },
+      { stationId: 'columbian', caption: 'Two hemispheres connect, for better and for worse.', zoom: 2 },
+      { stationId: 'industrial', caption: 'Machines multiply human effort and the lines start to climb.', zoom: 2.5 },
+      { stationId: 'crisis', caption: 'Every line converges on a century of war and upheaval.', zoom: 3 },
+      { stationId: 'singularity', caption: 'The present day, where all lines meet.', zoom: 3 }
+    ]
+  }
+];
+
+/**
+ * Clamp a stop zoom to what the map can show
+ * @param {number} zoom - Requested zoom
+ * @returns {number} Zoom within VIEWBOX.MIN_ZOOM..VIEWBOX.MAX_ZOOM (DEFAULT_STOP_ZOOM if not a number)
+ */
+export function clampStopZoom(zoom) {
+  if (typeof zoom !== 'number' || Number.isNaN(zoom)) return DEFAULT_STOP_ZOOM;
+  return Math.min(VIEWBOX.MAX_ZOOM, Math.max(VIEWBOX.MIN_ZOOM, zoom));
+}
+
+/**
+ * Create a tour stop
+ * @param {string} stationId - Station to visit
+ * @param {Object} [options]
+ * @param {string} [options.caption=''] - Caption shown at the stop
+ * @param {number} [options.zoom=DEFAULT_STOP_ZOOM] - Camera zoom
+ * @param {number} [options.dwell] - Autoplay seconds (omitted: the presentation default)
+ * @returns {{stationId: string, caption: string, zoom: number, dwell?: number}} Stop
+ */
+export function createTourStop(stationId, { caption = '', zoom = DEFAULT_STOP_ZOOM, dwell } = {}) {
+  const stop = { stationId, caption, zoom: clampStopZoom(zoom) };
+  return typeof dwell === 'number' ? { ...stop, dwell: clampDwell(dwell) } : stop;
+}
+
+/**
+ * Create a tour with an id that is not used yet
+ * @param {string} title - Tour title
+ * @param {Array} [stops=[]] - Stops
+ * @param {Array} [tours=[]] - Existing tours (their ids are taken)
+ * @returns {{id: string, title: string, stops: Array}} Tour
+ */
+export function createTour(title, stops = [], tours = []) {
+  return { id: createStationId(title, tours.map(tour => tour.id)), title, stops };
+}
+
+/**
+ * Append a stop to a tour
+ * @param {Object} tour - Tour
+ * @param {Object} stop - Stop to add
+ * @returns {Object} New tour
+ */
+export function addTourStop(tour, stop) {
+  return { ...tour, stops: [...tour.stops, stop] };
+}
+
+/**
+ * Change one stop of a tour
+ * @param {Object} tour - Tour
+ * @param {number} index - Stop index
+ * @param {Object} patch - Fields to replace (zoom and dwell are clamped; a null dwell is removed)
+ * @returns {Object} New tour
+ */
+export function updateTourStop(tour, index, patch) {
+  return {
+    ...tour,
+    stops: tour.stops.map((stop, idx) => {
+      if (idx !== index) return stop;
+      const { dwell, ...rest } = { ...stop, ...patch };
+      return createTourStop(rest.stationId, { ...rest, dwell: dwell ?? undefined });
+    })
+  };
+}
+
+/**
+ * Move a stop to another position
+ * @param {Object} tour - Tour
+ * @param {number} from - Current stop index
+ * @param {number} to - New stop index (clamped to the stop list)
+ * @returns {Object} New tour (the same tour when nothing moves)
+ */
+export function moveTourStop(tour, from, to) {
+  const target = Math.max(0, Math.min(tour.stops.length - 1, to));
+  if (from === target || !tour.stops[from]) return tour;
+  const stops = [...tour.stops];
+  const [stop] = stops.splice(from, 1);
+  stops.splice(target, 0, stop);
+  return { ...tour, stops };
+}
+
+/**
+ * Remove a stop from a tour
+ * @param {Object} tour - Tour
+ * @param {number} index - Stop index
+ * @returns {Object} New tour
+ */
+export function removeTourStop(tour, index) {
+  return { ...tour, stops: tour.stops.filter((_, idx) => idx !== index) };
+}
+
+/**
+ * Add a tour to a list, or replace the tour with the same id
+ * @param {Array} tours - Tours
+ * @param {Object} tour - Tour to save
+ * @returns {Array} New list
+ */
+export function saveTour(tours, tour) {
+  return tours.some(t => t.id === tour.id)
+    ? tours.map(t => (t.id === tour.id ? tour : t))
+    : [...tours, tour];
+}
+
+/**
+ * Merge imported tours into a list (imported tours replace those with the same id)
+ * @param {Array} tours - Current tours
+ * @param {Array} imported - Imported tours
+ * @returns {Array} New list
+ */
+export function mergeTours(tours, imported) {
+  return imported.reduce(saveTour, tours);
+}
+
+/**
+ * Resolve a tour's stops to stations
+ * @param {Object|null} tour - Tour
+ * @param {Array} stations - Stations to look the stops up in
+ * @returns {Array<{stop: Object, station: Object|null}>} Stops with their station (null when missing)
+ */
+export function getTourStops(tour, stations) {
+  if (!tour) return [];
+  return tour.stops.map(stop => ({ stop, station: stations.find(s => s.id === stop.stationId) || null }));
+}
+
+/**
+ * Normalize tours JSON (from an import) into valid tours
+ * Accepts a bare array of tours or an object with a `tours` array (what serializeTours writes).
+ * Stops for unknown stations are dropped and reported rather than failing the whole import.
+ * @param {Array|Object} json - Parsed JSON
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.stationIds] - Known station ids; stops for others are dropped
+ * @returns {{tours: Array, issues: Array<string>}} Tours and what was dropped or fixed
+ * @throws {Error} If the JSON does not contain a list of tours
+ */
+export function normalizeTours(json, { stationIds } = {}) {
+  const list = Array.isArray(json) ? json : json?.tours;
+  if (!Array.isArray(list)) {
+    throw new Error('Tours file must be an array of tours or an object with a "tours" array');
+  }
+
+  const known = stationIds ? new Set(stationIds) : null;
+  const issues = [];
+  const tours = [];
+
+  list.forEach((raw, index) => {
+    const title = typeof raw?.title === 'string' && raw.title.trim() ? raw.title.trim() : null;
+    if (!title || !Array.isArray(raw.stops)) {
+      issues.push(`Skipped tour at index ${index}: it needs a title and a "stops" array`);
+      return;
+    }
+
+    const stops = [];
+    raw.stops.forEach(stop => {
+      if (typeof stop?.stationId !== 'string') {
+        issues.push(`Skipped a stop without a station in "${title}"`);
+      } else if (known && !known.has(stop.stationId)) {
+        issues.push(`Skipped unknown station "${stop.stationId}" in "${title}"`);
+      } else {
+        stops.push(createTourStop(stop.stationId, {
+          caption: typeof stop.caption === 'string' ? stop.caption : '',
+          zoom: stop.zoom,
+          dwell: stop.dwell
+        }));
+      }
+    });
+
+    if (stops.length === 0) {
+      issues.push(`Skipped "${title}": none of its stops are on this map`);
+      return;
+    }
+
+    const id = typeof raw.id === 'string' && raw.id && !tours.some(t => t.id === raw.id)
+      ? raw.id
+      : createTour(title, [], tours).id;
+    tours.push({ id, title, stops });
+  });
+
+  return { tours, issues };
+}
+
+/**
+ * Serialize tours as JSON that normalizeTours accepts
+ * @param {Array} tours - Tours
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeTours(tours) {
+  return `${JSON.stringify({ version: TOURS_FILE_VERSION, tours }, null, 2)}\n`;
+}
@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for Guided Tours
+ * Tests the built-in tour, stop editing, tour lists and JSON import/export
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TOURS,
+  DEFAULT_STOP_ZOOM,
+  clampStopZoom,
+  createTourStop,
+  createTour,
+  addTourStop,
+  updateTourStop,
+  moveTourStop,
+  removeTourStop,
+  saveTour,
+  mergeTours,
+  getTourStops,
+  normalizeTours,
+  serializeTours
+} from './tours';
+import { STATION_DATA } from './stations';
+import { VIEWBOX } from '../constants/metroConfig';
+
+const tour = {
+  id: 'rivals',
+  title: 'Rivals',
+  stops: [createTourStop('rome'), createTourStop('han'), createTourStop('mongol')]
+};
+const stopIds = (t) => t.stops.map(stop => stop.stationId);
+
+describe('DEFAULT_TOURS', () => {
+  it('should only visit stations of the built-in data', () => {
+    const ids = new Set(STATION_DATA.map(s => s.id));
+    DEFAULT_TOURS.forEach(t => {
+      expect(t.stops.length).toBeGreaterThan(0);
+      t.stops.forEach(stop => expect(ids.has(stop.stationId)).toBe(true));
+    });
+  });
+});
+
+describe('tour stops', () => {
+  it('should create stops with a default zoom and clamp zooms to the map limits', () => {
+    expect(createTourStop('rome')).toEqual({ stationId: 'rome', caption: '', zoom: DEFAULT_STOP_ZOOM });
+    expect(clampStopZoom(1000)).toBe(VIEWBOX.MAX_ZOOM);
+    expect(clampStopZoom(0)).toBe(VIEWBOX.MIN_ZOOM);
+    expect(clampStopZoom('near')).toBe(DEFAULT_STOP_ZOOM);
+  });
+
+  it('should add, update and remove stops without mutating', () => {
+    const added = addTourStop(tour, createTourStop('ww1'));
+    expect(stopIds(added)).toEqual(['rome', 'han', 'mongol', 'ww1']);
+
+    const updated = updateTourStop(tour, 1, { caption: 'Han at its height', zoom: 99 });
+    expect(updated.stops[1]).toEqual({ stationId: 'han', caption: 'Han at its height', zoom: VIEWBOX.MAX_ZOOM });
+    expect(tour.stops[1].caption).toBe('');
+
+    expect(stopIds(removeTourStop(tour, 0))).toEqual(['han', 'mongol']);
+  });
+
+  it('should set, clamp and clear autoplay dwell times', () => {
+    const timed = updateTourStop(tour, 0, { dwell: 1 });
+    expect(timed.stops[0].dwell).toBe(3);
+    expect(updateTourStop(timed, 0, { dwell: null }).stops[0]).toEqual(createTourStop('rome'));
+  });
+
+  it('should reorder stops', () => {
+    expect(stopIds(moveTourStop(tour, 0, 2))).toEqual(['han', 'mongol', 'rome']);
+    expect(stopIds(moveTourStop(tour, 2, -5))).toEqual(['mongol', 'rome', 'han']);
+    expect(moveTourStop(tour, 1, 1)).toBe(tour);
+  });
+
+  it('should resolve stops to stations', () => {
+    const stops = getTourStops(addTourStop(tour, createTourStop('atlantis')), STATION_DATA);
+    expect(stops.map(({ station }) => station?.id ?? null)).toEqual(['rome', 'han', 'mongol', null]);
+    expect(getTourStops(null, STATION_DATA)).toEqual([]);
+  });
+});
+
+describe('tour lists', () => {
+  it('should create tours with unused ids', () => {
+    expect(createTour('Rivals', [], [tour]).id).toBe('rivals-2');
+    expect(createTour('Silk & Steel!').id).toBe('silk-steel');
+  });
+
+  it('should replace tours with the same id and append new ones', () => {
+    const renamed = { ...tour, title: 'Old rivals' };
+    expect(saveTour([tour], renamed)).toEqual([renamed]);
+    expect(saveTour([tour], DEFAULT_TOURS[0]).map(t => t.id)).toEqual(['rivals', 'key-moments']);
+    expect(mergeTours([tour, DEFAULT_TOURS[0]], [renamed]).map(t => t.title)).toEqual(['Old rivals', 'Key Moments']);
+  });
+});
+
+describe('normalizeTours / serializeTours', () => {
+  const stationIds = STATION_DATA.map(s => s.id);
+
+  it('should round-trip exported tours', () => {
+    const json = JSON.parse(serializeTours([tour, ...DEFAULT_TOURS]));
+    expect(json.version).toBe(1);
+    expect(normalizeTours(json, { stationIds })).toEqual({ tours: [tour, ...DEFAULT_TOURS], issues: [] });
+  });
+
+  it('should drop unknown stations and empty tours with issues', () => {
+    const { tours, issues } = normalizeTours([
+      { title: 'Mixed', stops: [{ stationId: 'rome', zoom: 3, dwell: 20 }, { stationId: 'atlantis' }] },
+      { title: 'Lost', stops: [{ stationId: 'atlantis' }] },
+      { stops: [] }
+    ], { stationIds });
+
+    expect(tours).toEqual([{ id: 'mixed', title: 'Mixed', stops: [{ stationId: 'rome', caption: '', zoom: 3, dwell: 20 }] }]);
+    expect(issues).toEqual([
+      'Skipped unknown station "atlantis" in "Mixed"',
+      'Skipped unknown station "atlantis" in "Lost"',
+      'Skipped "Lost": none of its stops are on this map',
+      'Skipped tour at index 2: it needs a title and a "stops" array'
+    ]);
+  });
+
+  it('should give duplicate ids a fresh one', () => {
+    const { tours } = normalizeTours({ tours: [tour, tour] });
+    expect(tours.map(t => t.id)).toEqual(['rivals', 'rivals-2']);
+  });
+
+  it('should reject files without tours', () => {
+    expect(() => normalizeTours({ stations: [] })).toThrow(/array of tours/);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Bookmark Sync Hook
+ * Writes bookmarks and notes to storage as they change (see utils/bookmarks.js)
+ */
+
+import { useEffect } from 'react';
+import { saveBookmarks } from '../utils/bookmarks';
+import { getPreferenceStorage } from '../utils/preferences';
+
+// Wait for note typing to settle before writing
+const WRITE_DELAY = 500;
+
+/**
+ * Custom hook for saving bookmarks across reloads
+ * @param {Object} options
+ * @param {Object} options.bookmarks - Current bookmarks ({stationIds, notes})
+ * @param {Storage|null} [options.storage] - Storage to write (defaults to localStorage)
+ */
+export function useBookmarkStorage({ bookmarks, storage = getPreferenceStorage() }) {
+  useEffect(() => {
+    if (!storage) return undefined;
+
+    const timer = setTimeout(() => saveBookmarks(storage, bookmarks), WRITE_DELAY);
+    return () => clearTimeout(timer);
+  }, [storage, bookmarks]);
+}
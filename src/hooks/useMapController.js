@@ -18,6 +18,9 @@ const VIEWBOX_HEIGHT = VIEWBOX.HEIGHT;
 const MIN_ZOOM = VIEWBOX.MIN_ZOOM;
 const MAX_ZOOM = VIEWBOX.MAX_ZOOM;
 
+// A press that moves less than this many pixels is a click, not a pan
+const CLICK_TOLERANCE = 4;
+
 /**
  * Custom hook for map interaction controls (pan, zoom, touch)
  * @param {Object} params - Configuration object
@@ -28,6 +31,7 @@ const MAX_ZOOM = VIEWBOX.MAX_ZOOM;
  * @param {Function} params.endPan - Function to end panning
  * @param {Object} params.containerRef - Ref to container element
  * @param {Object} params.svgRef - Ref to SVG element
+ * @param {Function} [params.onMapClick] - Called with the SVG point when the empty map is clicked without panning
  * @returns {Object} Map controller handlers and state
  */
 export function useMapController({
@@ -37,7 +41,8 @@ export function useMapController({
   startPan,
   endPan,
   containerRef,
-  svgRef
+  svgRef,
+  onMapClick
 }) {
   // === REFS FOR INTERNAL STATE (avoids stale closures) ===
   const isPanningRef = useRef(false);
@@ -58,6 +63,10 @@ export function useMapController({
   // Zoom animation ref
   const zoomAnimationRef = useRef(null);
 
+  // Latest click callback, so handlers don't need to be recreated when it changes
+  const onMapClickRef = useRef(onMapClick);
+  onMapClickRef.current = onMapClick;
+
   // Keep viewBoxRef in sync with prop
   useEffect(() => {
     viewBoxRef.current = viewBox;
@@ -90,19 +99,16 @@ export function useMapController({
   }, []);
 
   /**
-   * Convert screen coordinates to SVG coordinates
+   * Convert screen (client) coordinates to SVG coordinates
+   * getScreenCTM already maps to client coordinates, so no container offset is applied
    */
   const screenToSVG = useCallback((screenX, screenY) => {
     if (!svgRef.current || !containerRef.current) return null;
     
     try {
-      const rect = containerRef.current.getBoundingClientRect();
-      const mouseX = screenX - rect.left;
-      const mouseY = screenY - rect.top;
-      
       const svgPoint = svgRef.current.createSVGPoint();
-      svgPoint.x = mouseX;
-      svgPoint.y = mouseY;
+      svgPoint.x = screenX;
+      svgPoint.y = screenY;
       
       const ctm = svgRef.current.getScreenCTM();
       if (!ctm) return null;
@@ -260,8 +266,15 @@ export function useMapController({
     isPanningRef.current = false;
     endPan();
     
+    // A press released in place is a click on the empty map
+    if (e?.type === 'mouseup' && onMapClickRef.current) {
+      const distance = Math.hypot(e.clientX - panStartRef.current.x, e.clientY - panStartRef.current.y);
+      const svgPoint = distance < CLICK_TOLERANCE ? screenToSVG(e.clientX, e.clientY) : null;
+      if (svgPoint) onMapClickRef.current({ x: svgPoint.x, y: svgPoint.y });
+    }
+    
     e?.preventDefault();
-  }, [setViewBox, endPan]);
+  }, [setViewBox, endPan, screenToSVG]);
 
   // === WHEEL ZOOM HANDLER ===
 
@@ -611,6 +624,7 @@ export function useMapController({
     handleMouseDown,
     handleMouseMove,
     handleMouseUp,
+    screenToSVG,
     // Note: handleWheel is attached via useEffect, not returned
     // Touch handlers are attached via useEffect, not returned
   };
@@ -4,8 +4,24 @@
  */
 
 import { useReducer, useCallback, useMemo } from 'react';
-import { VIEWBOX, JOURNEY_STATIONS } from '../constants/metroConfig';
-import { constrainViewBox, centerViewBoxOn } from '../utils/coordinates';
+import { VIEWBOX, LINES } from '../constants/metroConfig';
+import { constrainViewBox, centerViewBoxOn, fitViewBoxToXRange } from '../utils/coordinates';
+import { createVisibleLines, isLineVisible } from '../utils/lineConfig';
+import { ROUTE_MODES } from '../utils/routePlanner';
+import { createSearchIndex, searchStations } from '../utils/stationSearch';
+import { toggleComparedStation } from '../utils/stationComparison';
+import { DEFAULT_TOURS, saveTour } from '../data/tours';
+import { getFilterMatchIds } from '../utils/stationFilter';
+import { createBookmarks, toggleBookmark, setStationNote } from '../utils/bookmarks';
+import {
+  createHistory,
+  captureNavigation,
+  isSameNavigation,
+  recordNavigation,
+  endBurst,
+  stepBack,
+  stepForward
+} from '../utils/navigationHistory';
 
 // Action Types - Single source of truth for all state transitions
 const ActionTypes = {
@@ -15,11 +31,15 @@ const ActionTypes = {
   ZOOM_OUT: 'ZOOM_OUT',
   RESET_VIEW: 'RESET_VIEW',
   CENTER_ON_STATION: 'CENTER_ON_STATION',
+  CENTER_ON_X: 'CENTER_ON_X',
+  ZOOM_TO_X_RANGE: 'ZOOM_TO_X_RANGE',
   
   // Station interaction
   HOVER_STATION: 'HOVER_STATION',
   SELECT_STATION: 'SELECT_STATION',
   CLEAR_SELECTION: 'CLEAR_SELECTION',
+  TOGGLE_COMPARE_STATION: 'TOGGLE_COMPARE_STATION',
+  CLEAR_COMPARISON: 'CLEAR_COMPARISON',
   
   // Line visibility
   TOGGLE_LINE: 'TOGGLE_LINE',
@@ -28,13 +48,20 @@ const ActionTypes = {
   // UI panels
   TOGGLE_FILTERS: 'TOGGLE_FILTERS',
   TOGGLE_MINIMAP: 'TOGGLE_MINIMAP',
+  TOGGLE_EXPORT: 'TOGGLE_EXPORT',
+  TOGGLE_EDITOR: 'TOGGLE_EDITOR',
+  TOGGLE_TOURS: 'TOGGLE_TOURS',
+  TOGGLE_BOOKMARKS: 'TOGGLE_BOOKMARKS',
   TOGGLE_LABELS: 'TOGGLE_LABELS',
   TOGGLE_UI: 'TOGGLE_UI',
+  SET_UI: 'SET_UI',
   SET_WELCOME: 'SET_WELCOME',
+  RESET_PREFERENCES: 'RESET_PREFERENCES',
   
   // Search
   SET_SEARCH_QUERY: 'SET_SEARCH_QUERY',
   SET_ERA_FILTER: 'SET_ERA_FILTER',
+  SET_FILTER_EXPRESSION: 'SET_FILTER_EXPRESSION',
   
   // Journey mode
   START_JOURNEY: 'START_JOURNEY',
@@ -43,18 +70,76 @@ const ActionTypes = {
   JOURNEY_PREV: 'JOURNEY_PREV',
   JOURNEY_GO_TO: 'JOURNEY_GO_TO',
   
+  // Tours
+  SET_TOURS: 'SET_TOURS',
+  SAVE_TOUR: 'SAVE_TOUR',
+  DELETE_TOUR: 'DELETE_TOUR',
+  
+  // Bookmarks and notes
+  TOGGLE_BOOKMARK: 'TOGGLE_BOOKMARK',
+  SET_STATION_NOTE: 'SET_STATION_NOTE',
+  SET_BOOKMARKS: 'SET_BOOKMARKS',
+  
+  // Route planner
+  TOGGLE_ROUTE_PLANNER: 'TOGGLE_ROUTE_PLANNER',
+  SET_ROUTE_ORIGIN: 'SET_ROUTE_ORIGIN',
+  SET_ROUTE_DESTINATION: 'SET_ROUTE_DESTINATION',
+  SET_ROUTE_MODE: 'SET_ROUTE_MODE',
+  SWAP_ROUTE: 'SWAP_ROUTE',
+  CLEAR_ROUTE: 'CLEAR_ROUTE',
+  
   // Loading/Animation
   SET_LOADING: 'SET_LOADING',
   SET_ANIMATION_PROGRESS: 'SET_ANIMATION_PROGRESS',
   SET_ERROR: 'SET_ERROR',
   
+  // Restoring a saved or shared view (e.g. from the URL)
+  APPLY_VIEW_STATE: 'APPLY_VIEW_STATE',
+  
   // Pan
   START_PAN: 'START_PAN',
-  END_PAN: 'END_PAN'
+  END_PAN: 'END_PAN',
+  
+  // Navigation history
+  HISTORY_BACK: 'HISTORY_BACK',
+  HISTORY_FORWARD: 'HISTORY_FORWARD',
+  CLEAR_HISTORY: 'CLEAR_HISTORY'
+};
+
+// Actions that move the visitor somewhere, recorded in the navigation history.
+// Continuous ones (pans, zooms) are coalesced into one entry per burst.
+const NAVIGATION_ACTIONS = {
+  [ActionTypes.SET_VIEW_BOX]: { continuous: true },
+  [ActionTypes.ZOOM_IN]: { continuous: true },
+  [ActionTypes.ZOOM_OUT]: { continuous: true },
+  [ActionTypes.RESET_VIEW]: { continuous: false },
+  [ActionTypes.CENTER_ON_STATION]: { continuous: false },
+  [ActionTypes.CENTER_ON_X]: { continuous: false },
+  [ActionTypes.ZOOM_TO_X_RANGE]: { continuous: false },
+  [ActionTypes.SELECT_STATION]: { continuous: false },
+  [ActionTypes.CLEAR_SELECTION]: { continuous: false },
+  [ActionTypes.SET_ERA_FILTER]: { continuous: false },
+  [ActionTypes.START_JOURNEY]: { continuous: false },
+  [ActionTypes.END_JOURNEY]: { continuous: false },
+  [ActionTypes.JOURNEY_NEXT]: { continuous: false },
+  [ActionTypes.JOURNEY_PREV]: { continuous: false },
+  [ActionTypes.JOURNEY_GO_TO]: { continuous: false }
 };
 
-// Initial state factory
-function createInitialState() {
+// Initial state factory - overrides (e.g. saved preferences) replace the defaults;
+// visibleLines overrides are merged so lines missing from them stay visible
+function createInitialState(overrides = {}) {
+  const { viewBox, visibleLines, ...rest } = overrides;
+  const defaults = createDefaultState();
+  return {
+    ...defaults,
+    ...rest,
+    visibleLines: { ...defaults.visibleLines, ...visibleLines },
+    viewBox: viewBox ? constrainViewBox(viewBox) : defaults.viewBox
+  };
+}
+
+function createDefaultState() {
   return {
     // View state
     viewBox: {
@@ -68,30 +153,44 @@ function createInitialState() {
     // Station state
     hoveredStationId: null,
     selectedStation: null,
+    comparedStationIds: [], // Shift-click multi-select for the comparison panel
     
-    // Line visibility
-    visibleLines: {
-      tech: true,
-      population: true,
-      war: true,
-      empire: true,
-      philosophy: true
-    },
+    // Line visibility (keyed by line id; lines missing from the map are visible)
+    visibleLines: createVisibleLines(),
     
     // UI state
     showWelcome: true,
     showFilters: false,
     showMinimap: true,
+    showExport: false,
+    editorMode: false, // Authoring mode: add, edit and drag stations
+    showTours: false,
+    showBookmarks: false,
     showAllLabels: false,
     showUI: true, // Toggle for hiding all UI elements for max map visibility
     
     // Search state
     searchQuery: '',
     focusedEra: null,
+    filterExpression: null, // Structured filter (see utils/stationFilter); non-matching stations are dimmed
     
-    // Journey state
+    // Journey state (a journey plays one of the tours, see data/tours.js)
     journeyMode: false,
     journeyIndex: 0,
+    tours: DEFAULT_TOURS,
+    activeTourId: DEFAULT_TOURS[0].id,
+    
+    // Starred stations and personal notes (see utils/bookmarks)
+    bookmarks: createBookmarks(),
+    
+    // Route planner state (station ids; the route itself is derived)
+    showRoutePlanner: false,
+    routeOriginId: null,
+    routeDestinationId: null,
+    routeMode: ROUTE_MODES.FEWEST_TRANSFERS,
+    
+    // Navigation history (see utils/navigationHistory)
+    history: createHistory(),
     
     // Loading state
     isLoading: true,
@@ -100,6 +199,11 @@ function createInitialState() {
   };
 }
 
+// Tour being played (or picked to play next)
+function getActiveTour(state) {
+  return state.tours.find(tour => tour.id === state.activeTourId) || null;
+}
+
 // Reducer - Pure function for state transitions
 function mapReducer(state, action) {
   switch (action.type) {
@@ -160,6 +264,21 @@ function mapReducer(state, action) {
         selectedStation: station
       };
     }
+
+    case ActionTypes.CENTER_ON_X: {
+      // Keep the vertical position, move x (e.g. a year on the active time scale) to the center
+      const { viewBox } = state;
+      return {
+        ...state,
+        viewBox: centerViewBoxOn(viewBox, { x: action.payload, y: viewBox.y + viewBox.height / 2 })
+      };
+    }
+
+    case ActionTypes.ZOOM_TO_X_RANGE: {
+      // Frame a horizontal range (e.g. a year range on the active time scale)
+      const { x0, x1 } = action.payload;
+      return { ...state, viewBox: fitViewBoxToXRange(state.viewBox, x0, x1) };
+    }
     
     // Station interaction
     case ActionTypes.HOVER_STATION:
@@ -170,6 +289,20 @@ function mapReducer(state, action) {
       
     case ActionTypes.CLEAR_SELECTION:
       return { ...state, selectedStation: null };
+
+    case ActionTypes.TOGGLE_COMPARE_STATION: {
+      // The first shift-click compares against the station already selected
+      const stationId = action.payload;
+      const { selectedStation, comparedStationIds } = state;
+      const current = comparedStationIds.length === 0 && selectedStation && selectedStation.id !== stationId
+        ? [selectedStation.id]
+        : comparedStationIds;
+      const next = toggleComparedStation(current, stationId);
+      return next === comparedStationIds ? state : { ...state, comparedStationIds: next };
+    }
+
+    case ActionTypes.CLEAR_COMPARISON:
+      return { ...state, comparedStationIds: [] };
     
     // Line visibility
     case ActionTypes.TOGGLE_LINE:
@@ -177,20 +310,16 @@ function mapReducer(state, action) {
         ...state,
         visibleLines: {
           ...state.visibleLines,
-          [action.payload]: !state.visibleLines[action.payload]
+          [action.payload]: !isLineVisible(state.visibleLines, action.payload)
         }
       };
       
     case ActionTypes.SET_ALL_LINES_VISIBLE:
       return {
         ...state,
-        visibleLines: {
-          tech: true,
-          population: true,
-          war: true,
-          empire: true,
-          philosophy: true
-        }
+        visibleLines: Object.fromEntries(
+          Object.keys(state.visibleLines).map(lineId => [lineId, true])
+        )
       };
     
     // UI panels
@@ -200,14 +329,35 @@ function mapReducer(state, action) {
     case ActionTypes.TOGGLE_MINIMAP:
       return { ...state, showMinimap: !state.showMinimap };
       
+    case ActionTypes.TOGGLE_EXPORT:
+      return { ...state, showExport: !state.showExport };
+      
+    case ActionTypes.TOGGLE_EDITOR:
+      return { ...state, editorMode: !state.editorMode };
+      
+    case ActionTypes.TOGGLE_TOURS:
+      return { ...state, showTours: !state.showTours };
+      
+    case ActionTypes.TOGGLE_BOOKMARKS:
+      return { ...state, showBookmarks: !state.showBookmarks };
+      
     case ActionTypes.TOGGLE_LABELS:
       return { ...state, showAllLabels: !state.showAllLabels };
     
     case ActionTypes.TOGGLE_UI:
       return { ...state, showUI: !state.showUI };
+
+    case ActionTypes.SET_UI:
+      return { ...state, showUI: action.payload };
       
     case ActionTypes.SET_WELCOME:
       return { ...state, showWelcome: action.payload };
+
+    // Back to the default display settings and view (see utils/preferences)
+    case ActionTypes.RESET_PREFERENCES: {
+      const { visibleLines, showMinimap, showAllLabels, showUI, viewBox } = createDefaultState();
+      return { ...state, visibleLines, showMinimap, showAllLabels, showUI, viewBox };
+    }
     
     // Search
     case ActionTypes.SET_SEARCH_QUERY:
@@ -215,6 +365,9 @@ function mapReducer(state, action) {
       
     case ActionTypes.SET_ERA_FILTER:
       return { ...state, focusedEra: action.payload };
+      
+    case ActionTypes.SET_FILTER_EXPRESSION:
+      return { ...state, filterExpression: action.payload };
     
     // Journey mode
     case ActionTypes.START_JOURNEY:
@@ -222,27 +375,28 @@ function mapReducer(state, action) {
         ...state,
         journeyMode: true,
         journeyIndex: 0,
+        activeTourId: action.payload.tourId,
         showWelcome: false,
-        selectedStation: action.payload // First station
+        selectedStation: action.payload.station // First stop
       };
       
     case ActionTypes.END_JOURNEY:
       return { ...state, journeyMode: false };
       
     case ActionTypes.JOURNEY_NEXT: {
-      const nextIndex = (state.journeyIndex + 1) % JOURNEY_STATIONS.length;
+      const stopCount = getActiveTour(state)?.stops.length || 1;
       return {
         ...state,
-        journeyIndex: nextIndex,
+        journeyIndex: (state.journeyIndex + 1) % stopCount,
         selectedStation: action.payload // Station at next index
       };
     }
     
     case ActionTypes.JOURNEY_PREV: {
-      const prevIndex = (state.journeyIndex - 1 + JOURNEY_STATIONS.length) % JOURNEY_STATIONS.length;
+      const stopCount = getActiveTour(state)?.stops.length || 1;
       return {
         ...state,
-        journeyIndex: prevIndex,
+        journeyIndex: (state.journeyIndex - 1 + stopCount) % stopCount,
         selectedStation: action.payload
       };
     }
@@ -254,6 +408,59 @@ function mapReducer(state, action) {
         selectedStation: action.payload.station
       };
     
+    // Tours
+    case ActionTypes.SET_TOURS:
+      return { ...state, tours: action.payload };
+      
+    case ActionTypes.SAVE_TOUR: {
+      // Editing the tour being played restarts it, since its stops may have moved
+      const isPlaying = state.journeyMode && state.activeTourId === action.payload.id;
+      return {
+        ...state,
+        tours: saveTour(state.tours, action.payload),
+        journeyMode: isPlaying ? false : state.journeyMode
+      };
+    }
+    
+    case ActionTypes.DELETE_TOUR: {
+      const tours = state.tours.filter(tour => tour.id !== action.payload);
+      if (state.activeTourId !== action.payload) return { ...state, tours };
+      return { ...state, tours, activeTourId: tours[0]?.id ?? null, journeyMode: false, journeyIndex: 0 };
+    }
+    
+    // Bookmarks and notes
+    case ActionTypes.TOGGLE_BOOKMARK:
+      return { ...state, bookmarks: toggleBookmark(state.bookmarks, action.payload) };
+      
+    case ActionTypes.SET_STATION_NOTE:
+      return { ...state, bookmarks: setStationNote(state.bookmarks, action.payload.stationId, action.payload.text) };
+      
+    case ActionTypes.SET_BOOKMARKS:
+      return { ...state, bookmarks: action.payload };
+    
+    // Route planner
+    case ActionTypes.TOGGLE_ROUTE_PLANNER:
+      return { ...state, showRoutePlanner: !state.showRoutePlanner };
+      
+    case ActionTypes.SET_ROUTE_ORIGIN:
+      return { ...state, routeOriginId: action.payload, showRoutePlanner: true };
+      
+    case ActionTypes.SET_ROUTE_DESTINATION:
+      return { ...state, routeDestinationId: action.payload, showRoutePlanner: true };
+      
+    case ActionTypes.SET_ROUTE_MODE:
+      return { ...state, routeMode: action.payload };
+      
+    case ActionTypes.SWAP_ROUTE:
+      return {
+        ...state,
+        routeOriginId: state.routeDestinationId,
+        routeDestinationId: state.routeOriginId
+      };
+      
+    case ActionTypes.CLEAR_ROUTE:
+      return { ...state, routeOriginId: null, routeDestinationId: null };
+    
     // Loading
     case ActionTypes.SET_LOADING:
       return { ...state, isLoading: action.payload };
@@ -264,6 +471,16 @@ function mapReducer(state, action) {
     case ActionTypes.SET_ERROR:
       return { ...state, error: action.payload, isLoading: false };
     
+    // Restore view state - payload is a partial state; viewBox is constrained like any other move
+    case ActionTypes.APPLY_VIEW_STATE: {
+      const { viewBox, ...rest } = action.payload;
+      return {
+        ...state,
+        ...rest,
+        viewBox: viewBox ? constrainViewBox(viewBox) : state.viewBox
+      };
+    }
+    
     // Pan
     case ActionTypes.START_PAN:
       return { ...state, isPanning: true };
@@ -276,26 +493,89 @@ function mapReducer(state, action) {
   }
 }
 
+// Show a history entry; a journey whose tour has since been deleted is not resumed
+function applyNavigation(state, entry, history) {
+  const tourExists = state.tours.some(tour => tour.id === entry.activeTourId);
+  return {
+    ...state,
+    viewBox: entry.viewBox,
+    selectedStation: entry.selectedStation,
+    focusedEra: entry.focusedEra,
+    journeyMode: entry.journeyMode && tourExists,
+    journeyIndex: entry.journeyIndex,
+    activeTourId: tourExists ? entry.activeTourId : state.activeTourId,
+    history
+  };
+}
+
+// Map reducer plus the navigation history: records the state that navigation actions
+// leave, and steps back and forward through it
+function navigationReducer(state, action) {
+  switch (action.type) {
+    case ActionTypes.HISTORY_BACK:
+    case ActionTypes.HISTORY_FORWARD: {
+      const step = action.type === ActionTypes.HISTORY_BACK ? stepBack : stepForward;
+      const result = step(state.history, captureNavigation(state));
+      return result ? applyNavigation(state, result.entry, result.history) : state;
+    }
+    
+    case ActionTypes.CLEAR_HISTORY:
+      return { ...state, history: createHistory() };
+    
+    // Each drag is its own burst
+    case ActionTypes.START_PAN:
+      return { ...mapReducer(state, action), history: endBurst(state.history) };
+    
+    default:
+      break;
+  }
+
+  const next = mapReducer(state, action);
+  const navigation = NAVIGATION_ACTIONS[action.type];
+  // Camera animations follow a step that is already recorded
+  if (!navigation || next === state || action.meta?.animated) return next;
+
+  const before = captureNavigation(state);
+  if (isSameNavigation(before, captureNavigation(next))) return next;
+  return {
+    ...next,
+    history: recordNavigation(state.history, before, { continuous: navigation.continuous, at: action.meta?.at })
+  };
+}
+
 /**
  * Custom hook for map state management
  * Provides both state and action creators
+ * @param {Array} [stations=[]] - Processed stations
+ * @param {Object} [options]
+ * @param {Object} [options.lines=LINES] - Active line configuration (line names are searchable)
+ * @param {Object} [options.initialState] - Partial state to start from (e.g. saved preferences)
  */
-export function useMapState(stations = []) {
-  const [state, dispatch] = useReducer(mapReducer, undefined, createInitialState);
+export function useMapState(stations = [], { lines = LINES, initialState } = {}) {
+  const [state, dispatch] = useReducer(navigationReducer, initialState, createInitialState);
   
   // Memoized action creators
   const actions = useMemo(() => ({
     // View navigation
-    setViewBox: (viewBox) => dispatch({ type: ActionTypes.SET_VIEW_BOX, payload: viewBox }),
-    zoomIn: () => dispatch({ type: ActionTypes.ZOOM_IN }),
-    zoomOut: () => dispatch({ type: ActionTypes.ZOOM_OUT }),
+    // Pass { animated: true } for camera animation frames, which are not recorded in the history
+    setViewBox: (viewBox, { animated = false } = {}) => dispatch({
+      type: ActionTypes.SET_VIEW_BOX,
+      payload: viewBox,
+      meta: { at: Date.now(), animated }
+    }),
+    zoomIn: () => dispatch({ type: ActionTypes.ZOOM_IN, meta: { at: Date.now() } }),
+    zoomOut: () => dispatch({ type: ActionTypes.ZOOM_OUT, meta: { at: Date.now() } }),
     resetView: () => dispatch({ type: ActionTypes.RESET_VIEW }),
     centerOnStation: (station) => dispatch({ type: ActionTypes.CENTER_ON_STATION, payload: station }),
+    centerOnX: (x) => dispatch({ type: ActionTypes.CENTER_ON_X, payload: x }),
+    zoomToXRange: (x0, x1) => dispatch({ type: ActionTypes.ZOOM_TO_X_RANGE, payload: { x0, x1 } }),
     
     // Station interaction  
     hoverStation: (stationId) => dispatch({ type: ActionTypes.HOVER_STATION, payload: stationId }),
     selectStation: (station) => dispatch({ type: ActionTypes.SELECT_STATION, payload: station }),
     clearSelection: () => dispatch({ type: ActionTypes.CLEAR_SELECTION }),
+    toggleCompareStation: (stationId) => dispatch({ type: ActionTypes.TOGGLE_COMPARE_STATION, payload: stationId }),
+    clearComparison: () => dispatch({ type: ActionTypes.CLEAR_COMPARISON }),
     
     // Line visibility
     toggleLine: (lineId) => dispatch({ type: ActionTypes.TOGGLE_LINE, payload: lineId }),
@@ -304,80 +584,130 @@ export function useMapState(stations = []) {
     // UI panels
     toggleFilters: () => dispatch({ type: ActionTypes.TOGGLE_FILTERS }),
     toggleMinimap: () => dispatch({ type: ActionTypes.TOGGLE_MINIMAP }),
+    toggleExport: () => dispatch({ type: ActionTypes.TOGGLE_EXPORT }),
+    toggleEditor: () => dispatch({ type: ActionTypes.TOGGLE_EDITOR }),
+    toggleTours: () => dispatch({ type: ActionTypes.TOGGLE_TOURS }),
+    toggleBookmarks: () => dispatch({ type: ActionTypes.TOGGLE_BOOKMARKS }),
     toggleLabels: () => dispatch({ type: ActionTypes.TOGGLE_LABELS }),
     toggleUI: () => dispatch({ type: ActionTypes.TOGGLE_UI }),
+    setUI: (show) => dispatch({ type: ActionTypes.SET_UI, payload: show }),
     setWelcome: (show) => dispatch({ type: ActionTypes.SET_WELCOME, payload: show }),
+    resetPreferences: () => dispatch({ type: ActionTypes.RESET_PREFERENCES }),
     
     // Search
     setSearchQuery: (query) => dispatch({ type: ActionTypes.SET_SEARCH_QUERY, payload: query }),
     setEraFilter: (era) => dispatch({ type: ActionTypes.SET_ERA_FILTER, payload: era }),
+    setFilterExpression: (expression) => dispatch({ type: ActionTypes.SET_FILTER_EXPRESSION, payload: expression }),
     
     // Journey mode
-    startJourney: (firstStation) => dispatch({ type: ActionTypes.START_JOURNEY, payload: firstStation }),
+    startJourney: (tourId, firstStation) => dispatch({ type: ActionTypes.START_JOURNEY, payload: { tourId, station: firstStation } }),
     endJourney: () => dispatch({ type: ActionTypes.END_JOURNEY }),
     journeyNext: (nextStation) => dispatch({ type: ActionTypes.JOURNEY_NEXT, payload: nextStation }),
     journeyPrev: (prevStation) => dispatch({ type: ActionTypes.JOURNEY_PREV, payload: prevStation }),
     journeyGoTo: (index, station) => dispatch({ type: ActionTypes.JOURNEY_GO_TO, payload: { index, station } }),
     
+    // Tours
+    setTours: (tours) => dispatch({ type: ActionTypes.SET_TOURS, payload: tours }),
+    saveTour: (tour) => dispatch({ type: ActionTypes.SAVE_TOUR, payload: tour }),
+    deleteTour: (tourId) => dispatch({ type: ActionTypes.DELETE_TOUR, payload: tourId }),
+    
+    // Bookmarks and notes
+    toggleBookmark: (stationId) => dispatch({ type: ActionTypes.TOGGLE_BOOKMARK, payload: stationId }),
+    setStationNote: (stationId, text) => dispatch({ type: ActionTypes.SET_STATION_NOTE, payload: { stationId, text } }),
+    setBookmarks: (bookmarks) => dispatch({ type: ActionTypes.SET_BOOKMARKS, payload: bookmarks }),
+    
+    // Route planner
+    toggleRoutePlanner: () => dispatch({ type: ActionTypes.TOGGLE_ROUTE_PLANNER }),
+    setRouteOrigin: (stationId) => dispatch({ type: ActionTypes.SET_ROUTE_ORIGIN, payload: stationId }),
+    setRouteDestination: (stationId) => dispatch({ type: ActionTypes.SET_ROUTE_DESTINATION, payload: stationId }),
+    setRouteMode: (mode) => dispatch({ type: ActionTypes.SET_ROUTE_MODE, payload: mode }),
+    swapRoute: () => dispatch({ type: ActionTypes.SWAP_ROUTE }),
+    clearRoute: () => dispatch({ type: ActionTypes.CLEAR_ROUTE }),
+    
     // Loading
     setLoading: (loading) => dispatch({ type: ActionTypes.SET_LOADING, payload: loading }),
     setAnimationProgress: (progress) => dispatch({ type: ActionTypes.SET_ANIMATION_PROGRESS, payload: progress }),
     setError: (error) => dispatch({ type: ActionTypes.SET_ERROR, payload: error }),
     
+    // Restore
+    applyViewState: (viewState) => dispatch({ type: ActionTypes.APPLY_VIEW_STATE, payload: viewState }),
+    
     // Pan
     startPan: () => dispatch({ type: ActionTypes.START_PAN }),
-    endPan: () => dispatch({ type: ActionTypes.END_PAN })
+    endPan: () => dispatch({ type: ActionTypes.END_PAN }),
+    
+    // Navigation history
+    goBack: () => dispatch({ type: ActionTypes.HISTORY_BACK }),
+    goForward: () => dispatch({ type: ActionTypes.HISTORY_FORWARD }),
+    clearHistory: () => dispatch({ type: ActionTypes.CLEAR_HISTORY })
   }), []);
   
+  // Tour being played (or picked to play next)
+  const activeTour = useMemo(() => getActiveTour(state), [state.tours, state.activeTourId]);
+
   // Journey navigation helper
   const navigateJourney = useCallback((direction) => {
-    if (!stations.length) return;
-    
-    const journeyStationIds = JOURNEY_STATIONS;
-    
-    if (direction === 'next') {
-      const nextIndex = (state.journeyIndex + 1) % journeyStationIds.length;
-      const nextStation = stations.find(s => s.id === journeyStationIds[nextIndex]);
-      if (nextStation) {
-        actions.journeyNext(nextStation);
-        actions.centerOnStation(nextStation);
-      }
-    } else {
-      const prevIndex = (state.journeyIndex - 1 + journeyStationIds.length) % journeyStationIds.length;
-      const prevStation = stations.find(s => s.id === journeyStationIds[prevIndex]);
-      if (prevStation) {
-        actions.journeyPrev(prevStation);
-        actions.centerOnStation(prevStation);
-      }
-    }
-  }, [state.journeyIndex, stations, actions]);
-  
-  // Filtered stations based on search and era
-  const filteredStations = useMemo(() => {
-    let filtered = stations;
-    
-    if (state.searchQuery) {
-      const query = state.searchQuery.toLowerCase();
-      filtered = filtered.filter(s =>
-        s.name.toLowerCase().includes(query) ||
-        s.yearLabel.toLowerCase().includes(query) ||
-        s.details?.toLowerCase().includes(query)
-      );
-    }
+    if (!stations.length || !activeTour?.stops.length) return;
     
-    if (state.focusedEra) {
-      const [start, end] = state.focusedEra;
-      filtered = filtered.filter(s => s.year >= start && s.year <= end);
-    }
+    const { stops } = activeTour;
+    const index = direction === 'next'
+      ? (state.journeyIndex + 1) % stops.length
+      : (state.journeyIndex - 1 + stops.length) % stops.length;
+    const station = stations.find(s => s.id === stops[index].stationId);
+    if (!station) return;
     
-    return filtered;
-  }, [stations, state.searchQuery, state.focusedEra]);
+    if (direction === 'next') actions.journeyNext(station);
+    else actions.journeyPrev(station);
+    actions.centerOnStation(station);
+  }, [state.journeyIndex, activeTour, stations, actions]);
+  
+  const searchIndex = useMemo(() => createSearchIndex(stations, lines), [stations, lines]);
+
+  // Ids of stations passing the filter expression (null when no filter is set)
+  const filterMatchIds = useMemo(() => (
+    getFilterMatchIds(stations, state.filterExpression)
+  ), [stations, state.filterExpression]);
+
+  // Ranked search results (see utils/stationSearch), limited to the focused era and the filter
+  const searchResults = useMemo(() => {
+    if (!state.searchQuery) return [];
+    let results = searchStations(searchIndex, state.searchQuery);
+    if (filterMatchIds) {
+      results = results.filter(({ station }) => filterMatchIds.has(station.id));
+    }
+    if (!state.focusedEra) return results;
+    const [start, end] = state.focusedEra;
+    return results.filter(({ station }) => station.year >= start && station.year <= end);
+  }, [searchIndex, state.searchQuery, state.focusedEra, filterMatchIds]);
+
+  // Ids of matching stations, for highlighting them on the map
+  const searchMatchIds = useMemo(() => (
+    state.searchQuery ? new Set(searchResults.map(({ station }) => station.id)) : null
+  ), [state.searchQuery, searchResults]);
+
+  // Filtered stations based on search (best match first) and era
+  const filteredStations = useMemo(() => {
+    if (state.searchQuery) return searchResults.map(({ station }) => station);
+    if (!state.focusedEra) return stations;
+    const [start, end] = state.focusedEra;
+    return stations.filter(s => s.year >= start && s.year <= end);
+  }, [stations, state.searchQuery, state.focusedEra, searchResults]);
+
+  // Compared stations in click order (ids no longer in the dataset are dropped)
+  const comparedStations = useMemo(() => (
+    state.comparedStationIds.map(id => stations.find(s => s.id === id)).filter(Boolean)
+  ), [stations, state.comparedStationIds]);
   
   return {
     state,
     actions,
     navigateJourney,
-    filteredStations
+    activeTour,
+    filteredStations,
+    searchResults,
+    searchMatchIds,
+    filterMatchIds,
+    comparedStations
   };
 }
 
@@ -0,0 +1,89 @@
+/**
+ * Narrator Hook
+ * Narration settings, the voice list and the current subtitle on top of utils/narrator.js
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { createNarrator, getNarrationSegments, clampRate, DEFAULT_NARRATOR_SETTINGS } from '../utils/narrator';
+
+/**
+ * Custom hook for reading stations aloud
+ * @param {Object} [options]
+ * @param {Object} [options.engine] - Speech engine for createNarrator (defaults to the browser's)
+ * @param {Object} [options.initialSettings=DEFAULT_NARRATOR_SETTINGS] - Settings to start with (e.g. saved ones)
+ * @returns {Object} isSupported, settings, voices, subtitle ({label, text, index, count} or null),
+ *   isSpeaking, and narrate/pause/resume/cancel/updateSettings
+ */
+export function useNarrator({ engine, initialSettings = DEFAULT_NARRATOR_SETTINGS } = {}) {
+  const narratorRef = useRef(null);
+  if (!narratorRef.current) narratorRef.current = createNarrator(engine);
+  const narrator = narratorRef.current;
+
+  const [settings, setSettings] = useState(initialSettings);
+  const [voices, setVoices] = useState(() => narrator.getVoices());
+  const [subtitle, setSubtitle] = useState(null);
+  const [isSpeaking, setIsSpeaking] = useState(false);
+
+  // Browsers fill the voice list asynchronously
+  useEffect(() => narrator.onVoicesChanged(() => setVoices(narrator.getVoices())), [narrator]);
+
+  const cancel = useCallback(() => {
+    narrator.cancel();
+    setSubtitle(null);
+    setIsSpeaking(false);
+  }, [narrator]);
+
+  /**
+   * Read a station aloud (replacing any narration in progress)
+   * @param {Object} station - Station to narrate
+   * @returns {Promise<boolean>} True when the whole station was read, false if narration is
+   *   off, unsupported or was interrupted
+   */
+  const narrate = useCallback(async (station) => {
+    if (!settings.enabled || !narrator.isSupported) return false;
+
+    const segments = getNarrationSegments(station);
+    if (segments.length === 0) return false;
+    setIsSpeaking(true);
+    const completed = await narrator.speak(segments, {
+      voiceURI: settings.voiceURI,
+      rate: settings.rate,
+      onSegment: (segment, index) => setSubtitle({ label: segment.label, text: segment.text, index, count: segments.length })
+    });
+    // An interrupted narration leaves the state to whatever replaced it
+    if (completed) {
+      setSubtitle(null);
+      setIsSpeaking(false);
+    }
+    return completed;
+  }, [narrator, settings]);
+
+  /**
+   * Change narration settings (turning narration off stops it)
+   * @param {Object} patch - Any of enabled, voiceURI, rate, subtitles
+   */
+  const updateSettings = useCallback((patch) => {
+    if (patch.enabled === false) cancel();
+    setSettings(prev => ({
+      ...prev,
+      ...patch,
+      rate: 'rate' in patch ? clampRate(patch.rate) : prev.rate
+    }));
+  }, [cancel]);
+
+  // Stop talking when the map goes away
+  useEffect(() => () => narrator.cancel(), [narrator]);
+
+  return useMemo(() => ({
+    isSupported: narrator.isSupported,
+    settings,
+    voices,
+    subtitle,
+    isSpeaking,
+    narrate,
+    pause: narrator.pause,
+    resume: narrator.resume,
+    cancel,
+    updateSettings
+  }), [narrator, settings, voices, subtitle, isSpeaking, narrate, cancel, updateSettings]);
+}
@@ -0,0 +1,29 @@
+/**
+ * Preference Sync Hook
+ * Writes display preferences and the last view to storage as they change (see utils/preferences.js)
+ */
+
+import { useEffect } from 'react';
+import { savePreferences, getPreferenceStorage } from '../utils/preferences';
+
+// Wait for pans, zooms and slider drags to settle before writing
+const WRITE_DELAY = 500;
+
+/**
+ * Custom hook for saving preferences across reloads
+ * @param {Object} options
+ * @param {Object} options.preferences - Current preferences (see DEFAULT_PREFERENCES); memoize it
+ * @param {Object} options.viewBox - Current viewBox, saved as the last view
+ * @param {boolean} [options.enabled=true] - Set false while the state is temporary (loading, presenting)
+ * @param {Storage|null} [options.storage] - Storage to write (defaults to localStorage)
+ */
+export function usePreferences({ preferences, viewBox, enabled = true, storage = getPreferenceStorage() }) {
+  useEffect(() => {
+    if (!enabled || !storage) return undefined;
+
+    const timer = setTimeout(() => {
+      savePreferences(storage, { preferences, view: { viewBox } });
+    }, WRITE_DELAY);
+    return () => clearTimeout(timer);
+  }, [enabled, storage, preferences, viewBox]);
+}
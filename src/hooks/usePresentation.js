@@ -0,0 +1,177 @@
+/**
+ * Presentation Mode Hook
+ * Auto-advances the playing tour after each stop's dwell time (see utils/presentation.js)
+ *
+ * With narration synced, a stop instead lasts until its narration ends (reported through
+ * markNarrationEnd), plus NARRATION_GAP_MS.
+ *
+ * Any pointer, wheel or key interaction with the page pauses the presentation; it resumes
+ * by itself after RESUME_AFTER_MS without interaction. A pause chosen with the controls
+ * lasts until the presenter resumes.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { DWELL_SECONDS, RESUME_AFTER_MS, getStopDwell, getPresentationStep } from '../utils/presentation';
+import { NARRATION_GAP_MS } from '../utils/narrator';
+
+const INTERACTION_EVENTS = ['pointerdown', 'wheel', 'keydown', 'touchstart'];
+
+// Marks the presentation controls, whose own clicks must not pause the presentation
+export const PRESENTATION_CONTROLS_ATTRIBUTE = 'data-presentation-controls';
+
+const PAUSE_REASONS = {
+  USER: 'user',
+  INTERACTION: 'interaction'
+};
+
+/**
+ * Custom hook for running a tour as an autoplaying presentation
+ * @param {Object} options
+ * @param {boolean} options.journeyMode - Whether a tour is playing
+ * @param {number} options.journeyIndex - Current stop index
+ * @param {Object|null} options.activeTour - Tour being played
+ * @param {Function} options.navigateJourney - Advances the tour ('next')
+ * @param {Function} [options.onComplete] - Called when a non-looping presentation passes its last stop
+ * @param {boolean} [options.narrationSync=false] - Advance when each stop's narration ends instead of after its dwell time
+ * @returns {Object} Presentation state (isPresenting, isPaused, pauseReason, loop, stopDuration;
+ *   stopDuration is null while waiting for narration) and controls (start, stop, pause, resume, markNarrationEnd)
+ */
+export function usePresentation({
+  journeyMode,
+  journeyIndex,
+  activeTour,
+  navigateJourney,
+  onComplete,
+  narrationSync = false
+}) {
+  const [isPresenting, setIsPresenting] = useState(false);
+  const [pauseReason, setPauseReason] = useState(null);
+  const [settings, setSettings] = useState({ dwell: DWELL_SECONDS.DEFAULT, loop: false });
+
+  // Stop index whose narration has finished
+  const [narratedIndex, setNarratedIndex] = useState(null);
+
+  const stops = activeTour?.stops ?? [];
+  const stopDuration = narrationSync ? NARRATION_GAP_MS : getStopDwell(stops[journeyIndex], settings.dwell);
+  const isWaitingForNarration = narrationSync && narratedIndex !== journeyIndex;
+  const isPaused = pauseReason !== null;
+
+  // Time left on the current stop, kept across pauses
+  const remainingRef = useRef(stopDuration);
+  const resumeTimerRef = useRef(null);
+
+  // Latest values for the timer callback, without restarting the timer every render
+  const latestRef = useRef();
+  latestRef.current = { journeyIndex, stopCount: stops.length, loop: settings.loop, navigateJourney, onComplete };
+
+  const clearResumeTimer = () => {
+    clearTimeout(resumeTimerRef.current);
+    resumeTimerRef.current = null;
+  };
+
+  /**
+   * Start presenting the playing tour
+   * @param {Object} [options]
+   * @param {number} [options.dwell] - Default seconds per stop
+   * @param {boolean} [options.loop] - Start over after the last stop instead of completing
+   */
+  const start = useCallback(({ dwell = DWELL_SECONDS.DEFAULT, loop = false } = {}) => {
+    clearResumeTimer();
+    setSettings({ dwell, loop });
+    setPauseReason(null);
+    setIsPresenting(true);
+  }, []);
+
+  const stop = useCallback(() => {
+    clearResumeTimer();
+    setPauseReason(null);
+    setIsPresenting(false);
+  }, []);
+
+  const pause = useCallback(() => {
+    clearResumeTimer();
+    setPauseReason(PAUSE_REASONS.USER);
+  }, []);
+
+  const resume = useCallback(() => {
+    clearResumeTimer();
+    setPauseReason(null);
+  }, []);
+
+  /**
+   * Report that a stop's narration has been read to the end
+   * @param {number} index - Stop index
+   */
+  const markNarrationEnd = useCallback((index) => setNarratedIndex(index), []);
+
+  // A new stop gets its full dwell time (and, when synced, its own narration)
+  useEffect(() => {
+    remainingRef.current = stopDuration;
+    setNarratedIndex(null);
+  }, [isPresenting, journeyIndex, activeTour, stopDuration]);
+
+  // Advance when the stop's time is up
+  useEffect(() => {
+    if (!isPresenting || isPaused || isWaitingForNarration) return undefined;
+
+    const startedAt = Date.now();
+    const timer = setTimeout(() => {
+      const { journeyIndex: index, stopCount, loop, navigateJourney: navigate, onComplete: complete } = latestRef.current;
+      const step = getPresentationStep(index, stopCount, loop);
+      if (step.type === 'advance') {
+        // The tour wraps around, so 'next' from the last stop also loops
+        navigate('next');
+      } else {
+        setIsPresenting(false);
+        complete?.();
+      }
+    }, remainingRef.current);
+
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current = Math.max(0, remainingRef.current - (Date.now() - startedAt));
+    };
+  }, [isPresenting, isPaused, isWaitingForNarration, journeyIndex, activeTour, stopDuration]);
+
+  // Interacting with the map pauses; idling resumes
+  useEffect(() => {
+    if (!isPresenting || pauseReason === PAUSE_REASONS.USER) return undefined;
+
+    const handleInteraction = (event) => {
+      if (event.target?.closest?.(`[${PRESENTATION_CONTROLS_ATTRIBUTE}]`)) return;
+      setPauseReason(PAUSE_REASONS.INTERACTION);
+      clearTimeout(resumeTimerRef.current);
+      resumeTimerRef.current = setTimeout(() => {
+        resumeTimerRef.current = null;
+        setPauseReason(null);
+      }, RESUME_AFTER_MS);
+    };
+
+    // Capture phase: the map stops wheel and drag events from bubbling
+    INTERACTION_EVENTS.forEach(type => window.addEventListener(type, handleInteraction, { capture: true, passive: true }));
+    return () => {
+      INTERACTION_EVENTS.forEach(type => window.removeEventListener(type, handleInteraction, { capture: true }));
+    };
+  }, [isPresenting, pauseReason]);
+
+  // Ending the tour (e.g. from the journey controls) ends the presentation
+  useEffect(() => {
+    if (isPresenting && !journeyMode) stop();
+  }, [isPresenting, journeyMode, stop]);
+
+  // Cancel a pending auto-resume on unmount
+  useEffect(() => clearResumeTimer, []);
+
+  return {
+    isPresenting,
+    isPaused,
+    pauseReason,
+    loop: settings.loop,
+    stopDuration: isWaitingForNarration ? null : stopDuration,
+    start,
+    stop,
+    pause,
+    resume,
+    markNarrationEnd
+  };
+}
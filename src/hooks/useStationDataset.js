@@ -0,0 +1,102 @@
+/**
+ * Station Dataset Hook
+ * Owns which station dataset the map is showing and swaps datasets at runtime
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  loadStationDataset,
+  getBuiltInDataset,
+  getDatasetUrlFromLocation
+} from '../data/datasetLoader';
+import { processStations } from '../data/stations';
+import { validateStations } from '../data/stationSchema';
+
+/**
+ * Custom hook for loading and swapping station datasets
+ * Starts with the built-in data, or the dataset named by the ?dataset= URL parameter
+ * @param {Object} [options]
+ * @param {string|null} [options.initialSource] - Dataset to load on mount (defaults to the URL parameter)
+ * @returns {Object} { dataset, isLoading, error, loadDataset, resetDataset, editDataset }
+ */
+export function useStationDataset({ initialSource = getDatasetUrlFromLocation() } = {}) {
+  const [dataset, setDataset] = useState(getBuiltInDataset);
+  const [isLoading, setIsLoading] = useState(Boolean(initialSource));
+  const [error, setError] = useState(null);
+
+  // Only the source at mount is loaded; later URL changes go through loadDataset
+  const initialSourceRef = useRef(initialSource);
+
+  // Only the most recent request may commit its result
+  const requestIdRef = useRef(0);
+  const abortRef = useRef(null);
+
+  const loadDataset = useCallback(async (source) => {
+    const requestId = ++requestIdRef.current;
+    abortRef.current?.abort();
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    abortRef.current = controller;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const loaded = await loadStationDataset(source, { signal: controller?.signal });
+      if (requestId !== requestIdRef.current) return null;
+      setDataset(loaded);
+      return loaded;
+    } catch (err) {
+      if (requestId !== requestIdRef.current || err?.name === 'AbortError') return null;
+      console.error('Dataset load error:', err);
+      setError(err);
+      return null;
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false);
+        abortRef.current = null;
+      }
+    }
+  }, []);
+
+  const resetDataset = useCallback(() => {
+    requestIdRef.current++;
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setDataset(getBuiltInDataset());
+    setError(null);
+    setIsLoading(false);
+  }, []);
+
+  // Apply an edit to the raw stations (authoring mode). The dataset keeps its id and
+  // time scale, so selection, view and layout survive; `isEdited` marks unsaved changes.
+  const editDataset = useCallback((updateStations) => {
+    setDataset(current => {
+      const rawStations = updateStations(current.rawStations);
+      if (rawStations === current.rawStations) return current;
+      return {
+        ...current,
+        isEdited: true,
+        rawStations,
+        stations: processStations(rawStations, current.lines, current.timeScale),
+        validation: validateStations(rawStations, { lineNames: Object.keys(current.lines) })
+      };
+    });
+  }, []);
+
+  // Load the initial dataset once on mount
+  useEffect(() => {
+    if (initialSourceRef.current) {
+      loadDataset(initialSourceRef.current);
+    }
+    return () => abortRef.current?.abort();
+  }, [loadDataset]);
+
+  return {
+    dataset,
+    isLoading,
+    error,
+    loadDataset,
+    resetDataset,
+    editDataset
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Station Editor Hook
+ * Authoring mode: create stations by clicking a line corridor, edit them in the
+ * sidebar, drag them along the timeline and export the result as dataset JSON
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { VIEWBOX } from '../constants/metroConfig';
+import { buildExportFilename, downloadBlob } from '../utils/mapExport';
+import {
+  findLineAtY,
+  createStationDraft,
+  addStation,
+  updateStation,
+  moveStation,
+  removeStation,
+  serializeDataset
+} from '../data/stationEditor';
+
+/**
+ * Custom hook for editing the active station dataset
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether authoring mode is on
+ * @param {Object} options.dataset - Active dataset from useStationDataset
+ * @param {Function} options.editDataset - Raw-station updater from useStationDataset
+ * @param {Array} options.stations - Processed stations as rendered (used to keep the selection fresh)
+ * @param {Object|null} options.selectedStation - Currently selected station
+ * @param {Object} options.actions - Actions from useMapState
+ * @param {Function} options.screenToSVG - Screen-to-SVG conversion from useMapController
+ * @param {Object} options.timeScale - Active time scale (clicked X positions are read back as years)
+ * @returns {Object} { editingStation, createStationAt, updateSelectedStation, renameSelectedStation,
+ *   deleteSelectedStation, startStationDrag, exportDataset }
+ */
+export function useStationEditor({
+  enabled,
+  dataset,
+  editDataset,
+  stations,
+  selectedStation,
+  actions,
+  screenToSVG,
+  timeScale
+}) {
+  // Station to select once the edited dataset has been processed (new or renamed stations)
+  const pendingSelectIdRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const editingStation = enabled && selectedStation
+    ? dataset.rawStations.find(s => s.id === selectedStation.id) || null
+    : null;
+
+  // Edits produce new station objects - keep the selection pointing at the current one
+  useEffect(() => {
+    const id = pendingSelectIdRef.current || selectedStation?.id;
+    if (!id || !dataset.isEdited) return;
+
+    const fresh = stations.find(s => s.id === id);
+    if (fresh) {
+      pendingSelectIdRef.current = null;
+      if (fresh !== selectedStation) actions.selectStation(fresh);
+    } else if (!pendingSelectIdRef.current) {
+      actions.clearSelection();
+    }
+  }, [stations, selectedStation, dataset.isEdited, actions]);
+
+  /**
+   * Create a station where the map was clicked
+   * @param {{x: number, y: number}} point - SVG point
+   * @returns {Object|null} The new raw station, or null if the point is not on a line
+   */
+  const createStationAt = useCallback((point) => {
+    const line = findLineAtY(point.y, dataset.lines, VIEWBOX.HEIGHT);
+    if (!line) return null;
+
+    const draft = createStationDraft(dataset.rawStations, { year: timeScale.xToYear(point.x), line });
+    pendingSelectIdRef.current = draft.id;
+    editDataset(raw => addStation(raw, draft));
+    return draft;
+  }, [dataset.lines, dataset.rawStations, editDataset, timeScale]);
+
+  const updateSelectedStation = useCallback((patch) => {
+    if (!selectedStation) return;
+    editDataset(raw => updateStation(raw, selectedStation.id, patch));
+  }, [selectedStation, editDataset]);
+
+  /**
+   * Change the selected station's id
+   * @returns {string|null} Error message, or null if the id was applied
+   */
+  const renameSelectedStation = useCallback((newId) => {
+    if (!selectedStation || newId === selectedStation.id) return null;
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(newId)) {
+      return 'Use lowercase letters, digits and single dashes';
+    }
+    if (dataset.rawStations.some(s => s.id === newId)) {
+      return `"${newId}" is already used by another station`;
+    }
+    pendingSelectIdRef.current = newId;
+    editDataset(raw => updateStation(raw, selectedStation.id, { id: newId }));
+    return null;
+  }, [selectedStation, dataset.rawStations, editDataset]);
+
+  const deleteSelectedStation = useCallback(() => {
+    if (!selectedStation) return;
+    const { id } = selectedStation;
+    actions.clearSelection();
+    editDataset(raw => removeStation(raw, id));
+  }, [selectedStation, actions, editDataset]);
+
+  /**
+   * Start dragging a station along the timeline (from a station mousedown)
+   */
+  const startStationDrag = useCallback((station, event) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+    actions.selectStation(station);
+
+    dragRef.current = { id: station.id, frame: null, clientX: event.clientX, clientY: event.clientY };
+
+    const applyDrag = () => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      drag.frame = null;
+      const point = screenToSVG(drag.clientX, drag.clientY);
+      if (point) editDataset(raw => moveStation(raw, drag.id, timeScale.xToYear(point.x)));
+    };
+
+    const handleMove = (e) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      drag.clientX = e.clientX;
+      drag.clientY = e.clientY;
+      if (!drag.frame) drag.frame = requestAnimationFrame(applyDrag);
+    };
+
+    const handleUp = () => {
+      const drag = dragRef.current;
+      if (drag?.frame) {
+        cancelAnimationFrame(drag.frame);
+        applyDrag();
+      }
+      dragRef.current = null;
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+
+    dragRef.current.stop = handleUp;
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  }, [actions, screenToSVG, editDataset, timeScale]);
+
+  // Stop a drag in progress if authoring mode is switched off
+  useEffect(() => {
+    if (!enabled) dragRef.current?.stop();
+  }, [enabled]);
+
+  /**
+   * Download the edited dataset as JSON
+   * @returns {{exported: boolean, validation: Object, filename?: string}} Export is refused
+   *   while the dataset has validation errors
+   */
+  const exportDataset = useCallback(() => {
+    const { validation } = dataset;
+    if (!validation.valid) return { exported: false, validation };
+
+    const filename = buildExportFilename(dataset.name, 'json');
+    const json = serializeDataset({ name: dataset.name, stations: dataset.rawStations, lines: dataset.lines });
+    downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+    return { exported: true, validation, filename };
+  }, [dataset]);
+
+  return {
+    editingStation,
+    createStationAt,
+    updateSelectedStation,
+    renameSelectedStation,
+    deleteSelectedStation,
+    startStationDrag,
+    exportDataset
+  };
+}
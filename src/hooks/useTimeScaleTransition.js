@@ -0,0 +1,45 @@
+/**
+ * Time Scale Transition Hook
+ * Animates between time scales so stations, paths, axis markers and the minimap
+ * re-flow together instead of jumping
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { blendTimeScales } from '../utils/coordinates';
+import { animateValue, easeInOutCubic } from '../utils/transitions';
+
+/**
+ * Custom hook that eases from the previous time scale to the current one
+ * Switching again mid-transition starts from the scale currently on screen.
+ * @param {Object} timeScale - Target time scale (from getTimeScale)
+ * @param {Object} [options]
+ * @param {number} [options.duration=800] - Transition length in milliseconds
+ * @returns {Object} { from, to, progress, scale } - progress is eased (0..1);
+ *   scale is the blended scale to draw with
+ */
+export function useTimeScaleTransition(timeScale, { duration = 800 } = {}) {
+  const [transition, setTransition] = useState({ from: timeScale, to: timeScale, progress: 1 });
+  const transitionRef = useRef(transition);
+  transitionRef.current = transition;
+
+  useEffect(() => {
+    const current = transitionRef.current;
+    if (current.to === timeScale) return undefined;
+
+    const from = blendTimeScales(current.from, current.to, current.progress);
+    setTransition({ from, to: timeScale, progress: 0 });
+
+    return animateValue(
+      0,
+      1,
+      duration,
+      easeInOutCubic,
+      (progress) => setTransition({ from, to: timeScale, progress })
+    );
+  }, [timeScale, duration]);
+
+  return useMemo(() => ({
+    ...transition,
+    scale: blendTimeScales(transition.from, transition.to, transition.progress)
+  }), [transition]);
+}
@@ -0,0 +1,107 @@
+/**
+ * URL State Sync Hook
+ * Mirrors the shareable map state into the address bar, restores it when the map
+ * loads, and follows browser back/forward navigation via the History API
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { serializeMapState, parseMapState, hasMapState, URL_PARAMS } from '../utils/urlState';
+
+// Wait for pans, zooms and typing to settle before touching history
+const WRITE_DELAY = 300;
+
+// Changes to these get their own history entry; view and search changes replace the current one
+const HISTORY_PARAMS = [URL_PARAMS.STATION, URL_PARAMS.LINES, URL_PARAMS.ERA, URL_PARAMS.TOUR, URL_PARAMS.JOURNEY];
+
+const hasHistory = () => typeof window !== 'undefined' && Boolean(window.history?.replaceState);
+
+/**
+ * Custom hook for syncing map state with the URL
+ * @param {Object} options
+ * @param {Object} options.state - Map state from useMapState (its tours resolve journey links)
+ * @param {Object} options.actions - Actions from useMapState (uses applyViewState)
+ * @param {Array} options.stations - Processed stations, used to resolve station ids
+ * @param {Object} options.lines - Active line configuration
+ * @param {boolean} [options.enabled=true] - Set false while the map or dataset is still loading
+ * @param {Function} [options.onIssues] - Called with notes about ignored URL parameters
+ */
+export function useUrlState({
+  state,
+  actions,
+  stations,
+  lines,
+  enabled = true,
+  onIssues
+}) {
+  const restoredRef = useRef(false);
+  // The next write follows a restore, so it must not add a history entry of its own
+  const replaceNextRef = useRef(false);
+
+  // Latest lookup data for the popstate listener, without re-subscribing every render
+  const contextRef = useRef();
+  contextRef.current = { stations, lines, tours: state.tours, onIssues };
+
+  // Reads the lookup data through contextRef, so it only changes with actions
+  const restoreFromLocation = useCallback((extraState = {}) => {
+    const context = contextRef.current;
+    const { state: viewState, issues } = parseMapState(window.location.search, context);
+    replaceNextRef.current = true;
+    actions.applyViewState({ ...viewState, ...extraState });
+    if (issues.length > 0) {
+      console.warn('[URL state]', issues);
+      context.onIssues?.(issues);
+    }
+  }, [actions]);
+
+  // Restore the linked view once the map (and any linked dataset) is ready,
+  // before the intro animation starts
+  useEffect(() => {
+    if (!enabled || restoredRef.current || !hasHistory()) return;
+    restoredRef.current = true;
+
+    // A shared link goes straight to the view instead of the welcome screen
+    if (hasMapState(window.location.search)) {
+      restoreFromLocation({ showWelcome: false });
+    }
+  }, [enabled, restoreFromLocation]);
+
+  // Browser back/forward
+  useEffect(() => {
+    if (!enabled || !hasHistory()) return undefined;
+
+    const handlePopState = () => restoreFromLocation();
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [enabled, restoreFromLocation]);
+
+  // Write state changes to the URL
+  const { viewBox, selectedStation, visibleLines, searchQuery, focusedEra, journeyMode, journeyIndex, activeTourId } = state;
+  useEffect(() => {
+    if (!enabled || !restoredRef.current || !hasHistory()) return undefined;
+
+    const timer = setTimeout(() => {
+      const current = window.location.search;
+      const next = serializeMapState(
+        { viewBox, selectedStation, visibleLines, searchQuery, focusedEra, journeyMode, journeyIndex, activeTourId },
+        { lines, baseSearch: current }
+      );
+      const replaceOnly = replaceNextRef.current;
+      replaceNextRef.current = false;
+      if (next === current) return;
+
+      const currentParams = new URLSearchParams(current);
+      const nextParams = new URLSearchParams(next);
+      const isNewEntry = !replaceOnly &&
+        HISTORY_PARAMS.some(name => currentParams.get(name) !== nextParams.get(name));
+
+      const url = `${window.location.pathname}${next}${window.location.hash}`;
+      if (isNewEntry) {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(window.history.state, '', url);
+      }
+    }, WRITE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [enabled, lines, viewBox, selectedStation, visibleLines, searchQuery, focusedEra, journeyMode, journeyIndex, activeTourId]);
+}
@@ -0,0 +1,54 @@
+/**
+ * Component Tests for CivMap.jsx
+ * Tests restoring the last view saved in preferences when the map mounts
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, waitFor } from '@testing-library/react';
+import CivMap from '../../CivMap';
+import { VIEWBOX } from '../constants/metroConfig';
+import {
+  PREFERENCES_STORAGE_KEY,
+  PREFERENCES_VERSION,
+  DEFAULT_PREFERENCES,
+  loadPreferences
+} from '../utils/preferences';
+
+const savedViewBox = { x: 1234, y: 456, width: 2000, height: 1000 };
+
+// The main map is the only SVG drawn in map coordinates
+const getMapViewBox = container => [...container.querySelectorAll('svg')]
+  .map(svg => svg.getAttribute('viewBox'))
+  .find(value => value && value !== '0 0 24 24' && value !== `0 0 ${VIEWBOX.WIDTH} ${VIEWBOX.HEIGHT}`);
+
+describe('CivMap saved view', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('should keep the saved last view after mounting and loading', async () => {
+    localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify({
+      version: PREFERENCES_VERSION,
+      preferences: DEFAULT_PREFERENCES,
+      view: { viewBox: savedViewBox }
+    }));
+
+    const { container } = render(<CivMap />);
+    expect(getMapViewBox(container)).toBe('1234 456 2000 1000');
+
+    // Past the loading delay and the preference write that follows it
+    await waitFor(() => expect(container.querySelector('[aria-label="Loading Civilization Map..."]')).toBeNull());
+    await new Promise(resolve => setTimeout(resolve, 700));
+
+    expect(getMapViewBox(container)).toBe('1234 456 2000 1000');
+    expect(loadPreferences().view).toEqual({ viewBox: savedViewBox });
+  });
+
+  it('should open on the default view when none was saved', () => {
+    const { container } = render(<CivMap />);
+    expect(getMapViewBox(container)).toBe(
+      `${VIEWBOX.WIDTH * 0.1} ${VIEWBOX.HEIGHT * 0.15} ${VIEWBOX.WIDTH * 0.8} ${VIEWBOX.HEIGHT * 0.7}`
+    );
+  });
+});
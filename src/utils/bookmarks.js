@@ -0,0 +1,176 @@
+/**
+ * Bookmarks and Notes
+ * Starred stations and personal notes, kept in localStorage and shareable as JSON
+ *
+ * Shape: { stationIds, notes } - stationIds lists starred stations in the order they
+ * were starred; notes maps a station id to free text. A station can have a note without
+ * being starred. Ids of stations missing from the current dataset are kept, so switching
+ * datasets does not lose anything.
+ *
+ * All helpers are pure and return new bookmarks, so they can live in the reducer.
+ */
+
+import { getPreferenceStorage } from './preferences';
+
+/**
+ * localStorage key for bookmarks and notes
+ */
+export const BOOKMARKS_STORAGE_KEY = 'civmap:bookmarks';
+
+/**
+ * Version written to stored and exported bookmarks
+ */
+export const BOOKMARKS_FILE_VERSION = 1;
+
+/**
+ * Longest note kept (characters)
+ */
+export const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * Empty bookmarks
+ * @returns {{stationIds: Array<string>, notes: Object}} Bookmarks
+ */
+export function createBookmarks() {
+  return { stationIds: [], notes: {} };
+}
+
+/**
+ * Star a station, or unstar it if it is starred
+ * @param {Object} bookmarks - Bookmarks
+ * @param {string} stationId - Station id
+ * @returns {Object} New bookmarks
+ */
+export function toggleBookmark(bookmarks, stationId) {
+  const stationIds = bookmarks.stationIds.includes(stationId)
+    ? bookmarks.stationIds.filter(id => id !== stationId)
+    : [...bookmarks.stationIds, stationId];
+  return { ...bookmarks, stationIds };
+}
+
+/**
+ * Set a station's note
+ * @param {Object} bookmarks - Bookmarks
+ * @param {string} stationId - Station id
+ * @param {string} text - Note (blank removes it; longer than MAX_NOTE_LENGTH is cut)
+ * @returns {Object} New bookmarks
+ */
+export function setStationNote(bookmarks, stationId, text) {
+  const { [stationId]: _, ...notes } = bookmarks.notes;
+  if (typeof text !== 'string' || !text.trim()) return { ...bookmarks, notes };
+  return { ...bookmarks, notes: { ...notes, [stationId]: text.slice(0, MAX_NOTE_LENGTH) } };
+}
+
+/**
+ * Resolve bookmarks to stations, for the bookmarks list
+ * @param {Object} bookmarks - Bookmarks
+ * @param {Array} stations - Stations of the current dataset
+ * @returns {Array<{station: Object, note: string, isStarred: boolean}>} Starred stations in starring
+ *   order, then other stations with a note in timeline order; stations not on the map are left out
+ */
+export function getBookmarkedStations(bookmarks, stations) {
+  const byId = new Map(stations.map(station => [station.id, station]));
+  const starred = bookmarks.stationIds
+    .filter(id => byId.has(id))
+    .map(id => ({ station: byId.get(id), note: bookmarks.notes[id] ?? '', isStarred: true }));
+  const noted = stations
+    .filter(station => bookmarks.notes[station.id] && !bookmarks.stationIds.includes(station.id))
+    .sort((a, b) => a.year - b.year)
+    .map(station => ({ station, note: bookmarks.notes[station.id], isStarred: false }));
+  return [...starred, ...noted];
+}
+
+/**
+ * Merge imported bookmarks (imported notes replace those for the same station)
+ * @param {Object} bookmarks - Current bookmarks
+ * @param {Object} imported - Imported bookmarks
+ * @returns {Object} New bookmarks
+ */
+export function mergeBookmarks(bookmarks, imported) {
+  return {
+    stationIds: [...bookmarks.stationIds, ...imported.stationIds.filter(id => !bookmarks.stationIds.includes(id))],
+    notes: { ...bookmarks.notes, ...imported.notes }
+  };
+}
+
+/**
+ * Normalize bookmarks JSON (from an import or storage) into valid bookmarks
+ * Entries that are not usable are dropped and reported rather than failing the whole import.
+ * @param {Object} json - Parsed JSON ({stationIds, notes}, what serializeBookmarks writes)
+ * @returns {{bookmarks: Object, issues: Array<string>}} Bookmarks and what was dropped
+ * @throws {Error} If the JSON is not a bookmarks object
+ */
+export function normalizeBookmarks(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Bookmarks file must be an object with "stationIds" and "notes"');
+  }
+
+  const issues = [];
+  let bookmarks = createBookmarks();
+
+  const ids = Array.isArray(json.stationIds) ? json.stationIds : [];
+  ids.forEach((id, index) => {
+    if (typeof id !== 'string' || !id) {
+      issues.push(`Skipped bookmark at index ${index}: it is not a station id`);
+    } else if (!bookmarks.stationIds.includes(id)) {
+      bookmarks = toggleBookmark(bookmarks, id);
+    }
+  });
+
+  const notes = json.notes && typeof json.notes === 'object' ? json.notes : {};
+  Object.entries(notes).forEach(([id, text]) => {
+    if (typeof text !== 'string') {
+      issues.push(`Skipped the note for "${id}": it is not text`);
+    } else {
+      bookmarks = setStationNote(bookmarks, id, text);
+    }
+  });
+
+  return { bookmarks, issues };
+}
+
+/**
+ * Serialize bookmarks as JSON that normalizeBookmarks accepts
+ * @param {Object} bookmarks - Bookmarks
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeBookmarks(bookmarks) {
+  const { stationIds, notes } = bookmarks;
+  return `${JSON.stringify({ version: BOOKMARKS_FILE_VERSION, stationIds, notes }, null, 2)}\n`;
+}
+
+/**
+ * Read saved bookmarks
+ * @param {Storage|null} [storage=getPreferenceStorage()] - Storage to read
+ * @returns {Object} Bookmarks (empty if nothing usable is saved)
+ */
+export function loadBookmarks(storage = getPreferenceStorage()) {
+  try {
+    const text = storage?.getItem(BOOKMARKS_STORAGE_KEY);
+    if (!text) return createBookmarks();
+    const data = JSON.parse(text);
+    // Written by a newer version of the app
+    if (data?.version > BOOKMARKS_FILE_VERSION) return createBookmarks();
+    return normalizeBookmarks(data).bookmarks;
+  } catch (err) {
+    console.warn('[Bookmarks] Ignoring unreadable saved bookmarks:', err);
+    return createBookmarks();
+  }
+}
+
+/**
+ * Save bookmarks
+ * @param {Storage|null} storage - Storage to write
+ * @param {Object} bookmarks - Bookmarks
+ * @returns {boolean} Whether the data was written (false without storage or when it is full)
+ */
+export function saveBookmarks(storage, bookmarks) {
+  if (!storage) return false;
+  try {
+    storage.setItem(BOOKMARKS_STORAGE_KEY, serializeBookmarks(bookmarks));
+    return true;
+  } catch (err) {
+    console.warn('[Bookmarks] Could not save bookmarks:', err);
+    return false;
+  }
+}
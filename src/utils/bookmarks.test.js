@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Bookmarks and Notes
+ * Tests starring, notes, the bookmarks list, JSON import/export and storage
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  BOOKMARKS_STORAGE_KEY,
+  MAX_NOTE_LENGTH,
+  createBookmarks,
+  toggleBookmark,
+  setStationNote,
+  getBookmarkedStations,
+  mergeBookmarks,
+  normalizeBookmarks,
+  serializeBookmarks,
+  loadBookmarks,
+  saveBookmarks
+} from './bookmarks';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const stations = [
+  { id: 'rome', name: 'Rome', year: -27 },
+  { id: 'han', name: 'Han', year: -202 },
+  { id: 'uruk', name: 'Uruk', year: -4000 }
+];
+
+describe('toggleBookmark / setStationNote', () => {
+  it('should star and unstar stations in starring order', () => {
+    let bookmarks = toggleBookmark(createBookmarks(), 'rome');
+    bookmarks = toggleBookmark(bookmarks, 'han');
+    expect(bookmarks.stationIds).toEqual(['rome', 'han']);
+    expect(toggleBookmark(bookmarks, 'rome').stationIds).toEqual(['han']);
+  });
+
+  it('should set, trim to length and remove notes', () => {
+    let bookmarks = setStationNote(createBookmarks(), 'rome', 'Visit the forum');
+    expect(bookmarks.notes).toEqual({ rome: 'Visit the forum' });
+    expect(setStationNote(bookmarks, 'rome', 'x'.repeat(MAX_NOTE_LENGTH + 5)).notes.rome).toHaveLength(MAX_NOTE_LENGTH);
+    expect(setStationNote(bookmarks, 'rome', '   ').notes).toEqual({});
+  });
+});
+
+describe('getBookmarkedStations', () => {
+  it('should list starred stations, then noted ones by year, skipping stations not on the map', () => {
+    let bookmarks = toggleBookmark(toggleBookmark(createBookmarks(), 'rome'), 'atlantis');
+    bookmarks = setStationNote(bookmarks, 'rome', 'Forum');
+    bookmarks = setStationNote(bookmarks, 'han', 'Silk road');
+    bookmarks = setStationNote(bookmarks, 'uruk', 'Writing');
+
+    expect(getBookmarkedStations(bookmarks, stations)).toEqual([
+      { station: stations[0], note: 'Forum', isStarred: true },
+      { station: stations[2], note: 'Writing', isStarred: false },
+      { station: stations[1], note: 'Silk road', isStarred: false }
+    ]);
+  });
+});
+
+describe('JSON import/export', () => {
+  it('should round-trip through serializeBookmarks', () => {
+    const bookmarks = setStationNote(toggleBookmark(createBookmarks(), 'rome'), 'han', 'Silk road');
+    expect(normalizeBookmarks(JSON.parse(serializeBookmarks(bookmarks)))).toEqual({ bookmarks, issues: [] });
+  });
+
+  it('should drop and report unusable entries', () => {
+    const { bookmarks, issues } = normalizeBookmarks({
+      stationIds: ['rome', 42, 'rome'],
+      notes: { han: 'Silk road', uruk: { text: 'nope' } }
+    });
+    expect(bookmarks).toEqual({ stationIds: ['rome'], notes: { han: 'Silk road' } });
+    expect(issues).toHaveLength(2);
+  });
+
+  it('should reject files that are not bookmarks', () => {
+    expect(() => normalizeBookmarks(['rome'])).toThrow(/stationIds/);
+    expect(() => normalizeBookmarks(null)).toThrow();
+  });
+
+  it('should merge imports, letting imported notes win', () => {
+    const current = { stationIds: ['rome'], notes: { rome: 'Mine', han: 'Keep' } };
+    const imported = { stationIds: ['han', 'rome'], notes: { rome: 'Theirs' } };
+    expect(mergeBookmarks(current, imported)).toEqual({
+      stationIds: ['rome', 'han'],
+      notes: { rome: 'Theirs', han: 'Keep' }
+    });
+  });
+});
+
+describe('loadBookmarks / saveBookmarks', () => {
+  it('should round-trip through storage', () => {
+    const storage = createStorage();
+    const bookmarks = setStationNote(toggleBookmark(createBookmarks(), 'rome'), 'rome', 'Forum');
+    expect(saveBookmarks(storage, bookmarks)).toBe(true);
+    expect(loadBookmarks(storage)).toEqual(bookmarks);
+  });
+
+  it('should fall back to empty bookmarks for missing, corrupt or newer data', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(loadBookmarks(createStorage())).toEqual(createBookmarks());
+    expect(loadBookmarks(null)).toEqual(createBookmarks());
+    expect(loadBookmarks(createStorage({ [BOOKMARKS_STORAGE_KEY]: '{oops' }))).toEqual(createBookmarks());
+    expect(loadBookmarks(createStorage({
+      [BOOKMARKS_STORAGE_KEY]: JSON.stringify({ version: 99, stationIds: ['rome'], notes: {} })
+    }))).toEqual(createBookmarks());
+    warn.mockRestore();
+  });
+
+  it('should report storage that cannot be written', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const full = { setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(saveBookmarks(full, createBookmarks())).toBe(false);
+    expect(saveBookmarks(null, createBookmarks())).toBe(false);
+    warn.mockRestore();
+  });
+});
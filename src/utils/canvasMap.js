@@ -0,0 +1,140 @@
+/**
+ * Canvas Map Helpers
+ * Renderer choice, view transform, marker layout and hit-testing for the Canvas 2D renderer
+ *
+ * The canvas renderer draws the same map as MapRenderer's SVG, so these helpers
+ * mirror how the SVG lays stations out: one marker per visible line at the line's
+ * corridor Y, following the level-of-detail policy for which stations are drawn.
+ */
+
+import { isLineVisible } from './lineConfig';
+import { shouldDrawStation } from './levelOfDetail';
+
+/**
+ * Renderer settings
+ */
+export const RENDERERS = {
+  AUTO: 'auto',
+  SVG: 'svg',
+  CANVAS: 'canvas'
+};
+
+/**
+ * Above this many stations, RENDERERS.AUTO switches to the canvas
+ */
+export const CANVAS_STATION_THRESHOLD = 400;
+
+export const RENDERER_LABELS = {
+  [RENDERERS.AUTO]: 'Auto',
+  [RENDERERS.SVG]: 'SVG',
+  [RENDERERS.CANVAS]: 'Canvas'
+};
+
+export const RENDERER_DESCRIPTIONS = {
+  [RENDERERS.AUTO]: `SVG, or Canvas for datasets over ${CANVAS_STATION_THRESHOLD} stations`,
+  [RENDERERS.SVG]: 'Full visual effects; best for small and medium datasets',
+  [RENDERERS.CANVAS]: 'Fastest for very large datasets, without glow effects'
+};
+
+
+/**
+ * Marker ring radius (SVG units), before the level-of-detail scale
+ */
+export const MARKER_RADIUS = 15;
+
+/**
+ * Smallest hit target, in screen pixels, so markers stay clickable when zoomed out
+ */
+export const MIN_HIT_PIXELS = 10;
+
+/**
+ * Renderer to use
+ * @param {string} setting - One of RENDERERS
+ * @param {number} stationCount - Stations in the dataset
+ * @param {number} [threshold=CANVAS_STATION_THRESHOLD] - Station count above which AUTO picks the canvas
+ * @returns {string} RENDERERS.SVG or RENDERERS.CANVAS
+ */
+export function resolveRenderer(setting, stationCount, threshold = CANVAS_STATION_THRESHOLD) {
+  if (setting === RENDERERS.SVG || setting === RENDERERS.CANVAS) return setting;
+  return stationCount > threshold ? RENDERERS.CANVAS : RENDERERS.SVG;
+}
+
+/**
+ * Map-to-screen transform for a viewBox shown in a box of the given size,
+ * fitted like preserveAspectRatio="xMidYMid meet"
+ * @param {Object} viewBox - Current viewBox
+ * @param {number} width - Box width (pixels)
+ * @param {number} height - Box height (pixels)
+ * @returns {{scale: number, x: number, y: number}} screen = (x, y) + map * scale
+ */
+export function getViewTransform(viewBox, width, height) {
+  const scale = Math.min(width / viewBox.width, height / viewBox.height);
+  return {
+    scale,
+    x: (width - viewBox.width * scale) / 2 - viewBox.x * scale,
+    y: (height - viewBox.height * scale) / 2 - viewBox.y * scale
+  };
+}
+
+/**
+ * Map point under a screen point
+ * @param {Object} transform - From getViewTransform
+ * @param {number} px - X relative to the box (pixels)
+ * @param {number} py - Y relative to the box (pixels)
+ * @returns {{x: number, y: number}} Map point
+ */
+export function screenToMapPoint(transform, px, py) {
+  return { x: (px - transform.x) / transform.scale, y: (py - transform.y) / transform.scale };
+}
+
+/**
+ * Marker positions of the stations to draw
+ * @param {Array} stations - Stations to draw (e.g. the filtered stations)
+ * @param {Object} options
+ * @param {Object} options.lines - Active line configuration
+ * @param {Object} options.visibleLines - Line visibility keyed by line id
+ * @param {Object} options.lineYPositions - Corridor Y per line name
+ * @param {Object} options.lodPolicy - Level-of-detail policy (from getLodPolicy)
+ * @param {Set<string>} [options.highlightedIds] - Stations drawn whatever the tier
+ *   (selection, journey stop, search matches, bookmarks...)
+ * @returns {Array<{station: Object, markers: Array<{line: string, x: number, y: number, color: string}>, radius: number}>}
+ *   Stations with a marker on each visible line, in the given order
+ */
+export function layoutStationMarkers(stations, { lines, visibleLines, lineYPositions, lodPolicy, highlightedIds }) {
+  const radius = MARKER_RADIUS * lodPolicy.markerScale;
+
+  return stations.flatMap(station => {
+    if (!shouldDrawStation(lodPolicy, station, highlightedIds?.has(station.id))) return [];
+
+    const markers = station.lines
+      .filter(line => lines[line] && isLineVisible(visibleLines, lines[line].id))
+      .map(line => ({ line, x: station.coords.x, y: lineYPositions[line], color: lines[line].color }));
+    return markers.length > 0 ? [{ station, markers, radius }] : [];
+  });
+}
+
+/**
+ * Station whose marker is under a map point
+ * @param {Array} candidates - Laid-out stations near the point (from layoutStationMarkers)
+ * @param {{x: number, y: number}} point - Map point
+ * @param {number} [minRadius=0] - Smallest hit radius in map units (e.g. MIN_HIT_PIXELS / scale)
+ * @returns {Object|null} The station with the nearest marker within reach (later ones win ties,
+ *   as they are drawn on top), or null
+ */
+export function hitTestStations(candidates, point, minRadius = 0) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach(({ station, markers, radius }) => {
+    const reach = Math.max(radius, minRadius);
+    markers.forEach(marker => {
+      const distance = Math.hypot(marker.x - point.x, marker.y - point.y);
+      if (distance <= reach && distance <= bestDistance) {
+        best = station;
+        bestDistance = distance;
+      }
+    });
+  });
+
+  return best;
+}
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Canvas Map Helpers
+ * Tests the renderer choice, the view transform, marker layout and hit-testing
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  RENDERERS,
+  CANVAS_STATION_THRESHOLD,
+  MARKER_RADIUS,
+  resolveRenderer,
+  getViewTransform,
+  screenToMapPoint,
+  layoutStationMarkers,
+  hitTestStations
+} from './canvasMap';
+import { getLodPolicy } from './levelOfDetail';
+
+const lines = {
+  Tech: { id: 'tech', color: '#00f' },
+  War: { id: 'war', color: '#f00' }
+};
+const lineYPositions = { Tech: 1000, War: 2000 };
+
+const station = (id, x, overrides = {}) => ({
+  id,
+  lines: ['Tech'],
+  significance: 'normal',
+  coords: { x, y: 0 },
+  ...overrides
+});
+
+const layout = (stations, overrides = {}) => layoutStationMarkers(stations, {
+  lines,
+  visibleLines: {},
+  lineYPositions,
+  lodPolicy: getLodPolicy(1),
+  ...overrides
+});
+
+describe('resolveRenderer', () => {
+  it('should honour an explicit choice', () => {
+    expect(resolveRenderer(RENDERERS.SVG, 100000)).toBe(RENDERERS.SVG);
+    expect(resolveRenderer(RENDERERS.CANVAS, 10)).toBe(RENDERERS.CANVAS);
+  });
+
+  it('should switch to the canvas above the threshold when automatic', () => {
+    expect(resolveRenderer(RENDERERS.AUTO, CANVAS_STATION_THRESHOLD)).toBe(RENDERERS.SVG);
+    expect(resolveRenderer(RENDERERS.AUTO, CANVAS_STATION_THRESHOLD + 1)).toBe(RENDERERS.CANVAS);
+    expect(resolveRenderer(undefined, 50, 10)).toBe(RENDERERS.CANVAS);
+  });
+});
+
+describe('view transform', () => {
+  it('should fit the viewBox and center it like xMidYMid meet', () => {
+    // A 2:1 viewBox in a square box: fitted to the width, centered vertically
+    const transform = getViewTransform({ x: 1000, y: 0, width: 2000, height: 1000 }, 400, 400);
+    expect(transform.scale).toBe(0.2);
+    expect(screenToMapPoint(transform, 0, 100)).toEqual({ x: 1000, y: 0 });
+    expect(screenToMapPoint(transform, 400, 300)).toEqual({ x: 3000, y: 1000 });
+  });
+
+  it('should map screen points back to where they were drawn', () => {
+    const transform = getViewTransform({ x: -250, y: 400, width: 800, height: 600 }, 1280, 720);
+    const point = { x: 130, y: 725 };
+    const screen = { x: transform.x + point.x * transform.scale, y: transform.y + point.y * transform.scale };
+    const back = screenToMapPoint(transform, screen.x, screen.y);
+    expect(back.x).toBeCloseTo(point.x);
+    expect(back.y).toBeCloseTo(point.y);
+  });
+});
+
+describe('layoutStationMarkers', () => {
+  it('should place a marker on each visible line', () => {
+    const [entry] = layout([station('rome', 500, { lines: ['Tech', 'War'] })]);
+    expect(entry.markers).toEqual([
+      { line: 'Tech', x: 500, y: 1000, color: '#00f' },
+      { line: 'War', x: 500, y: 2000, color: '#f00' }
+    ]);
+    expect(entry.radius).toBe(MARKER_RADIUS);
+
+    const [onlyTech] = layout([station('rome', 500, { lines: ['Tech', 'War'] })], { visibleLines: { war: false } });
+    expect(onlyTech.markers.map(m => m.line)).toEqual(['Tech']);
+  });
+
+  it('should skip stations with no visible or known line', () => {
+    expect(layout([station('a', 0)], { visibleLines: { tech: false } })).toEqual([]);
+    expect(layout([station('b', 0, { lines: ['Art'] })])).toEqual([]);
+  });
+
+  it('should keep only major and highlighted stations when zoomed far out', () => {
+    const stations = [
+      station('minor', 0),
+      station('hub', 10, { significance: 'hub' }),
+      station('crisis', 20, { significance: 'crisis' }),
+      station('found', 30)
+    ];
+    const entries = layout(stations, { lodPolicy: getLodPolicy(0.1), highlightedIds: new Set(['found']) });
+    expect(entries.map(e => e.station.id)).toEqual(['hub', 'crisis', 'found']);
+    expect(entries[0].radius).toBe(MARKER_RADIUS / 2);
+  });
+});
+
+describe('hitTestStations', () => {
+  const entries = layout([
+    station('a', 100),
+    station('b', 120),
+    station('c', 500, { lines: ['War'] })
+  ]);
+
+  it('should find the station with the nearest marker', () => {
+    expect(hitTestStations(entries, { x: 104, y: 1000 }).id).toBe('a');
+    expect(hitTestStations(entries, { x: 118, y: 1005 }).id).toBe('b');
+    expect(hitTestStations(entries, { x: 500, y: 2010 }).id).toBe('c');
+  });
+
+  it('should prefer the later station on a tie, as it is drawn on top', () => {
+    expect(hitTestStations(entries, { x: 110, y: 1000 }).id).toBe('b');
+  });
+
+  it('should miss empty space unless the minimum reach covers it', () => {
+    expect(hitTestStations(entries, { x: 300, y: 1000 })).toBeNull();
+    expect(hitTestStations(entries, { x: 500, y: 2040 })).toBeNull();
+    expect(hitTestStations(entries, { x: 500, y: 2040 }, 50).id).toBe('c');
+  });
+});
@@ -3,25 +3,17 @@
  * Handles all year-to-pixel and position calculations
  */
 
-import { VIEWBOX, TIMELINE, LINE_Y_POSITIONS, CONVERGENCE } from '../constants/metroConfig';
+import { VIEWBOX, TIMELINE, LINES, CONVERGENCE } from '../constants/metroConfig';
 
 /**
- * Time Anchors for Piecewise Scaling
+ * Fallback anchors for the piecewise scale
  * key: The year in history
- * position: The percentage (0.0 to 1.0) of the screen width this year should occupy
- * 
- * DENSITY-AWARE DISTRIBUTION:
- * Allocates screen space based on NUMBER OF STATIONS, not just time span.
- * The 1900-2025 period has ~20 stations (highest density) and needs more space.
- * Ancient periods have fewer stations and can be compressed.
- * 
- * Station counts by era:
- * - Ancient (-10000 to -1000): ~12 stations → 20% of space
- * - Classical (-1000 to 500): ~15 stations → 18% of space  
- * - Medieval (500 to 1500): ~10 stations → 12% of space
- * - Early Modern (1500-1800): ~8 stations → 12% of space
- * - Industrial (1800-1900): ~10 stations → 12% of space
- * - Contemporary (1900-2025): ~20 stations → 26% of space (MOST DENSE)
+ * position: The fraction (0.0 to 1.0) of the width at which this year sits
+ *
+ * Datasets, the built-in one included, draw with anchors computed from their own
+ * station years (see utils/timeAnchors.js and createDatasetTimeScale). These only
+ * back the dataset-free helpers: the default yearToX/xToYear and
+ * getTimeScale(TIME_SCALES.PIECEWISE).
  */
 const TIME_ANCHORS = [
   { year: -10000, position: 0.0 },   // Start: Left edge
@@ -41,25 +33,55 @@ const TIME_ANCHORS = [
 ];
 
 /**
- * Convert a historical year to X coordinate using Piecewise Linear Interpolation
- * This ensures even spacing of events regardless of the actual time difference.
+ * Time scale modes
+ * - piecewise: more width for eras with more stations (default); each dataset computes its own anchors
+ * - linear: every year gets the same width
+ * - log: log of the distance from the present, so recent centuries spread out
+ */
+export const TIME_SCALES = {
+  PIECEWISE: 'piecewise',
+  LINEAR: 'linear',
+  LOG: 'log'
+};
+
+export const TIME_SCALE_LABELS = {
+  [TIME_SCALES.PIECEWISE]: 'Piecewise',
+  [TIME_SCALES.LINEAR]: 'Linear',
+  [TIME_SCALES.LOG]: 'Log'
+};
+
+export const TIME_SCALE_DESCRIPTIONS = {
+  [TIME_SCALES.PIECEWISE]: 'More space for eras with more stations',
+  [TIME_SCALES.LINEAR]: 'Every century gets the same width',
+  [TIME_SCALES.LOG]: 'Width shrinks with distance from the present'
+};
+
+/**
+ * Years added to the distance from the present in log mode
+ * Without it the last year before TIMELINE.END would take a huge share of the width.
+ */
+const LOG_SCALE_OFFSET = 10;
+
+/**
+ * Map a year onto piecewise anchors
  * @param {number} year - Historical year (negative for BCE)
+ * @param {Array<{year: number, position: number}>} anchors - Ascending anchors spanning the timeline
  * @returns {number} X coordinate in viewbox space
  */
-export function yearToX(year) {
+function piecewiseYearToX(year, anchors) {
   // Clamp year to timeline bounds
   if (year < TIMELINE.START) return 0;
   if (year > TIMELINE.END) return VIEWBOX.WIDTH;
   
   // Find the segment this year belongs to
-  const anchorIndex = TIME_ANCHORS.findIndex(a => year <= a.year);
+  const anchorIndex = anchors.findIndex(a => year <= a.year);
   
   // Handle edge cases
   if (anchorIndex === 0) return 0;
   if (anchorIndex === -1) return VIEWBOX.WIDTH;
   
-  const startAnchor = TIME_ANCHORS[anchorIndex - 1];
-  const endAnchor = TIME_ANCHORS[anchorIndex];
+  const startAnchor = anchors[anchorIndex - 1];
+  const endAnchor = anchors[anchorIndex];
   
   // Calculate percentage within this specific segment
   const segmentDuration = endAnchor.year - startAnchor.year;
@@ -72,26 +94,211 @@ export function yearToX(year) {
   return viewboxProgress * VIEWBOX.WIDTH;
 }
 
+/**
+ * Map an X coordinate back onto piecewise anchors (inverse of piecewiseYearToX)
+ * @param {number} x - X coordinate in viewbox space
+ * @param {Array<{year: number, position: number}>} anchors - Ascending anchors spanning the timeline
+ * @returns {number} Year (fractional), clamped to the timeline
+ */
+function piecewiseXToYear(x, anchors) {
+  const position = x / VIEWBOX.WIDTH;
+  if (!(position > 0)) return TIMELINE.START;
+  if (position >= 1) return TIMELINE.END;
+
+  const anchorIndex = anchors.findIndex(a => position <= a.position);
+  const startAnchor = anchors[anchorIndex - 1];
+  const endAnchor = anchors[anchorIndex];
+
+  const positionProgress = (position - startAnchor.position) / (endAnchor.position - startAnchor.position);
+  return startAnchor.year + positionProgress * (endAnchor.year - startAnchor.year);
+}
+
+/**
+ * Clamp a year to the timeline
+ */
+function clampToTimeline(year) {
+  return Math.min(TIMELINE.END, Math.max(TIMELINE.START, year));
+}
+
+/**
+ * Create a piecewise time scale
+ * @param {Array<{year: number, position: number}>} [anchors=TIME_ANCHORS] - Ascending anchors
+ *   from TIMELINE.START (position 0) to TIMELINE.END (position 1)
+ * @returns {{mode: string, anchors: Array, yearToX: Function, xToYear: Function}} Time scale
+ */
+export function createPiecewiseScale(anchors = TIME_ANCHORS) {
+  return {
+    mode: TIME_SCALES.PIECEWISE,
+    anchors,
+    yearToX: (year) => piecewiseYearToX(year, anchors),
+    xToYear: (x) => piecewiseXToYear(x, anchors)
+  };
+}
+
+/**
+ * Create a linear time scale
+ * @returns {{mode: string, yearToX: Function, xToYear: Function}} Time scale
+ */
+export function createLinearScale() {
+  return {
+    mode: TIME_SCALES.LINEAR,
+    yearToX: (year) => ((clampToTimeline(year) - TIMELINE.START) / TIMELINE.RANGE) * VIEWBOX.WIDTH,
+    xToYear: (x) => clampToTimeline(TIMELINE.START + (x / VIEWBOX.WIDTH) * TIMELINE.RANGE)
+  };
+}
+
+/**
+ * Create a log-distance-from-present time scale
+ * Position falls with log(years before TIMELINE.END + offset), normalized so the
+ * timeline still spans the full width.
+ * @param {number} [offset=LOG_SCALE_OFFSET] - Years added to the distance from the present
+ * @returns {{mode: string, yearToX: Function, xToYear: Function}} Time scale
+ */
+export function createLogScale(offset = LOG_SCALE_OFFSET) {
+  const span = Math.log((TIMELINE.RANGE + offset) / offset);
+  return {
+    mode: TIME_SCALES.LOG,
+    yearToX: (year) => {
+      const distance = TIMELINE.END - clampToTimeline(year) + offset;
+      return (1 - Math.log(distance / offset) / span) * VIEWBOX.WIDTH;
+    },
+    xToYear: (x) => {
+      const position = Math.min(1, Math.max(0, x / VIEWBOX.WIDTH));
+      const distance = offset * Math.exp((1 - position) * span);
+      return clampToTimeline(TIMELINE.END + offset - distance);
+    }
+  };
+}
+
+// Built-in scales are shared so processed station layouts can be cached per scale
+const BUILT_IN_SCALES = {
+  [TIME_SCALES.PIECEWISE]: createPiecewiseScale(),
+  [TIME_SCALES.LINEAR]: createLinearScale(),
+  [TIME_SCALES.LOG]: createLogScale()
+};
+
+/**
+ * Get the shared built-in scale for a mode
+ * @param {string} mode - One of TIME_SCALES (unknown modes fall back to piecewise)
+ * @returns {{mode: string, yearToX: Function, xToYear: Function}} Time scale
+ */
+export function getTimeScale(mode) {
+  return BUILT_IN_SCALES[mode] || BUILT_IN_SCALES[TIME_SCALES.PIECEWISE];
+}
+
+/**
+ * Blend two time scales for an animated transition
+ * The blend of two increasing mappings is increasing, so xToYear can bisect it.
+ * @param {Object} from - Scale at t = 0
+ * @param {Object} to - Scale at t = 1
+ * @param {number} t - Progress (0..1)
+ * @returns {{mode: string, yearToX: Function, xToYear: Function}} Blended time scale
+ */
+export function blendTimeScales(from, to, t) {
+  if (t <= 0) return from;
+  if (t >= 1 || from === to) return to;
+
+  const yearToXBlend = (year) => from.yearToX(year) + (to.yearToX(year) - from.yearToX(year)) * t;
+  return {
+    mode: to.mode,
+    yearToX: yearToXBlend,
+    xToYear: (x) => {
+      let low = TIMELINE.START;
+      let high = TIMELINE.END;
+      for (let i = 0; i < 50 && high - low > 1e-6; i++) {
+        const mid = (low + high) / 2;
+        if (yearToXBlend(mid) < x) low = mid;
+        else high = mid;
+      }
+      return (low + high) / 2;
+    }
+  };
+}
+
+/**
+ * Interpolate station X positions between two layouts of the same stations
+ * A time scale only moves stations horizontally; stations missing from the start layout appear at their target position.
+ * @param {Array} fromStations - Processed stations at t = 0
+ * @param {Array} toStations - Processed stations at t = 1
+ * @param {number} t - Progress (0..1)
+ * @returns {Array} Stations from toStations with interpolated coords (and span ends)
+ */
+export function blendStationLayouts(fromStations, toStations, t) {
+  if (t >= 1 || fromStations === toStations) return toStations;
+
+  const fromById = new Map(fromStations.map(s => [s.id, s]));
+  return toStations.map(station => {
+    const from = fromById.get(station.id);
+    if (!from) return station;
+    const lerp = (a, b) => a + (b - a) * t;
+    return {
+      ...station,
+      coords: { ...station.coords, x: lerp(from.coords.x, station.coords.x) },
+      ...(station.span && from.span && {
+        span: {
+          ...station.span,
+          startX: lerp(from.span.startX, station.span.startX),
+          endX: lerp(from.span.endX, station.span.endX)
+        }
+      })
+    };
+  });
+}
+
+const DEFAULT_SCALE = BUILT_IN_SCALES[TIME_SCALES.PIECEWISE];
+
+/**
+ * Convert a historical year to X coordinate using Piecewise Linear Interpolation
+ * This ensures even spacing of events regardless of the actual time difference.
+ * Other scales are available through getTimeScale().
+ * @param {number} year - Historical year (negative for BCE)
+ * @returns {number} X coordinate in viewbox space
+ */
+export function yearToX(year) {
+  return DEFAULT_SCALE.yearToX(year);
+}
+
+/**
+ * Convert an X coordinate back to a historical year (inverse of yearToX)
+ * Walks the same piecewise anchors, so yearToX(xToYear(x)) === x within the timeline.
+ * @param {number} x - X coordinate in viewbox space
+ * @returns {number} Year (fractional; negative for BCE), clamped to the timeline
+ */
+export function xToYear(x) {
+  return DEFAULT_SCALE.xToYear(x);
+}
+
 /**
  * Get the Y coordinate for a specific line's horizontal corridor
  * @param {string} lineName - Name of the line ('Tech', 'War', etc.)
+ * @param {Object} [lines=LINES] - Line configuration to look the corridor up in
  * @returns {number} Y coordinate in viewbox space
  */
-export function getLineY(lineName) {
-  const yPercent = LINE_Y_POSITIONS[lineName] || 0.50;
+export function getLineY(lineName, lines = LINES) {
+  const yPercent = lines[lineName]?.yPosition || 0.50;
   return yPercent * VIEWBOX.HEIGHT;
 }
 
+/**
+ * Corridor Y of every line
+ * @param {Object} [lines=LINES] - Line configuration
+ * @returns {Object} Y coordinate in viewbox space, keyed by line name
+ */
+export function getLineYPositions(lines = LINES) {
+  return Object.fromEntries(Object.keys(lines).map(name => [name, getLineY(name, lines)]));
+}
+
 /**
  * Create a coordinate object for a station
  * @param {number} year - Historical year
  * @param {string} primaryLine - Primary line this station belongs to
+ * @param {Object} [lines=LINES] - Line configuration
  * @returns {{x: number, y: number}} Coordinate object
  */
-export function createStationCoord(year, primaryLine) {
+export function createStationCoord(year, primaryLine, lines = LINES) {
   return {
     x: yearToX(year),
-    y: getLineY(primaryLine)
+    y: getLineY(primaryLine, lines)
   };
 }
 
@@ -144,6 +351,61 @@ export function centerViewBoxOn(currentViewBox, point) {
   });
 }
 
+/**
+ * Center the viewBox on a point at a given zoom level, keeping the current aspect ratio
+ * @param {Object} currentViewBox - Current viewBox state
+ * @param {{x: number, y: number}} point - Point to center on
+ * @param {number} zoom - Zoom level (VIEWBOX.WIDTH / width, as used for LOD)
+ * @returns {Object} New viewBox
+ */
+export function zoomViewBoxOn(currentViewBox, point, zoom) {
+  const width = VIEWBOX.WIDTH / zoom;
+  return centerViewBoxOn(
+    { width, height: width * (currentViewBox.height / currentViewBox.width) },
+    point
+  );
+}
+
+/**
+ * Fit the viewBox to a horizontal range, keeping its vertical center and aspect ratio
+ * @param {Object} currentViewBox - Current viewBox state
+ * @param {number} x0 - Left edge of the range
+ * @param {number} x1 - Right edge of the range
+ * @param {number} [padding=0.05] - Margin on each side, as a share of the range width
+ * @returns {Object} New viewBox showing the range
+ */
+export function fitViewBoxToXRange(currentViewBox, x0, x1, padding = 0.05) {
+  const left = Math.min(x0, x1);
+  const rangeWidth = Math.max(Math.abs(x1 - x0), 1);
+  const width = rangeWidth * (1 + padding * 2);
+  const height = width * (currentViewBox.height / currentViewBox.width);
+  const centerY = currentViewBox.y + currentViewBox.height / 2;
+
+  return constrainViewBox({
+    x: left - rangeWidth * padding,
+    y: centerY - height / 2,
+    width,
+    height
+  });
+}
+
+/**
+ * Move a year by a number of steps measured along a time scale
+ * A step is a share of the map width, so nudging feels the same in every era;
+ * the year always changes by at least one while it can.
+ * @param {Object} timeScale - Time scale ({ yearToX, xToYear })
+ * @param {number} year - Starting year
+ * @param {number} steps - Steps to move (negative moves back in time)
+ * @param {number} [stepShare=0.005] - Width of one step as a share of VIEWBOX.WIDTH
+ * @returns {number} Whole year on the timeline
+ */
+export function nudgeYear(timeScale, year, steps, stepShare = 0.005) {
+  const x = timeScale.yearToX(year) + steps * stepShare * VIEWBOX.WIDTH;
+  let next = Math.round(clampToTimeline(timeScale.xToYear(Math.max(0, Math.min(VIEWBOX.WIDTH, x)))));
+  if (next === year && steps !== 0) next = year + Math.sign(steps);
+  return Math.round(clampToTimeline(next));
+}
+
 /**
  * Calculate zoom transform centered on a point
  * @param {Object} viewBox - Current viewBox
@@ -6,14 +6,24 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import {
   yearToX,
+  xToYear,
   getLineY,
+  getLineYPositions,
   createStationCoord,
   getConvergencePoint,
   constrainViewBox,
   centerViewBoxOn,
-  zoomToPoint
+  zoomToPoint,
+  TIME_SCALES,
+  getTimeScale,
+  createPiecewiseScale,
+  blendTimeScales,
+  blendStationLayouts,
+  fitViewBoxToXRange,
+  zoomViewBoxOn,
+  nudgeYear
 } from './coordinates';
-import { VIEWBOX, LINE_Y_POSITIONS, CONVERGENCE } from '../constants/metroConfig';
+import { VIEWBOX, LINE_Y_POSITIONS, CONVERGENCE, TIMELINE } from '../constants/metroConfig';
 
 describe('yearToX - Piecewise Linear Time-to-Pixel Conversion', () => {
   describe('boundary conditions', () => {
@@ -84,6 +94,131 @@ describe('yearToX - Piecewise Linear Time-to-Pixel Conversion', () => {
   });
 });
 
+describe('xToYear - Pixel-to-Time Conversion', () => {
+  it('should invert yearToX at the anchors', () => {
+    expect(xToYear(VIEWBOX.WIDTH * 0.5)).toBeCloseTo(1500, 6);
+    expect(xToYear(yearToX(-3000))).toBeCloseTo(-3000, 6);
+  });
+
+  it('should invert yearToX inside segments', () => {
+    expect(xToYear(yearToX(1348))).toBeCloseTo(1348, 6);
+    expect(xToYear(yearToX(250))).toBeCloseTo(250, 6);
+  });
+
+  it('should clamp X outside the canvas to the timeline bounds', () => {
+    expect(xToYear(-100)).toBe(-10000);
+    expect(xToYear(VIEWBOX.WIDTH + 100)).toBe(2025);
+  });
+
+  it('should round-trip every year on the timeline', () => {
+    for (let year = -10000; year <= 2025; year += 7) {
+      expect(Math.abs(xToYear(yearToX(year)) - year)).toBeLessThan(1e-6);
+    }
+  });
+
+  it('should round-trip X positions across the canvas', () => {
+    for (let x = 0; x <= VIEWBOX.WIDTH; x += VIEWBOX.WIDTH / 500) {
+      expect(Math.abs(yearToX(xToYear(x)) - x)).toBeLessThan(1e-6);
+    }
+  });
+});
+
+describe('Time Scales', () => {
+  const modes = Object.values(TIME_SCALES);
+
+  it('should span the full width for every mode', () => {
+    modes.forEach(mode => {
+      const scale = getTimeScale(mode);
+      expect(scale.mode).toBe(mode);
+      expect(scale.yearToX(TIMELINE.START)).toBeCloseTo(0, 6);
+      expect(scale.yearToX(TIMELINE.END)).toBeCloseTo(VIEWBOX.WIDTH, 6);
+      expect(scale.yearToX(-20000)).toBeCloseTo(0, 6);
+      expect(scale.yearToX(3000)).toBeCloseTo(VIEWBOX.WIDTH, 6);
+    });
+  });
+
+  it('should be strictly increasing and invertible for every mode', () => {
+    modes.forEach(mode => {
+      const scale = getTimeScale(mode);
+      let previousX = -Infinity;
+      for (let year = -10000; year <= 2025; year += 25) {
+        const x = scale.yearToX(year);
+        expect(x).toBeGreaterThan(previousX);
+        expect(scale.xToYear(x)).toBeCloseTo(year, 4);
+        previousX = x;
+      }
+    });
+  });
+
+  it('should keep the default piecewise scale behind yearToX', () => {
+    expect(getTimeScale(TIME_SCALES.PIECEWISE).yearToX(1348)).toBe(yearToX(1348));
+    expect(getTimeScale('unknown')).toBe(getTimeScale(TIME_SCALES.PIECEWISE));
+  });
+
+  it('should place years proportionally on the linear scale', () => {
+    const linear = getTimeScale(TIME_SCALES.LINEAR);
+    expect(linear.yearToX(TIMELINE.START + TIMELINE.RANGE / 2)).toBeCloseTo(VIEWBOX.WIDTH / 2, 6);
+  });
+
+  it('should give recent history more room on the log scale', () => {
+    const log = getTimeScale(TIME_SCALES.LOG);
+    const linear = getTimeScale(TIME_SCALES.LINEAR);
+    const width = (scale) => scale.yearToX(2025) - scale.yearToX(1900);
+    expect(width(log)).toBeGreaterThan(width(linear) * 10);
+  });
+
+  it('should accept custom piecewise anchors', () => {
+    const scale = createPiecewiseScale([
+      { year: TIMELINE.START, position: 0 },
+      { year: 0, position: 0.5 },
+      { year: TIMELINE.END, position: 1 }
+    ]);
+    expect(scale.yearToX(0)).toBe(VIEWBOX.WIDTH / 2);
+    expect(scale.xToYear(VIEWBOX.WIDTH / 2)).toBe(0);
+  });
+});
+
+describe('blendTimeScales - Animated Scale Transitions', () => {
+  const piecewise = getTimeScale(TIME_SCALES.PIECEWISE);
+  const linear = getTimeScale(TIME_SCALES.LINEAR);
+
+  it('should return the end scales at t = 0 and t = 1', () => {
+    expect(blendTimeScales(piecewise, linear, 0)).toBe(piecewise);
+    expect(blendTimeScales(piecewise, linear, 1)).toBe(linear);
+  });
+
+  it('should interpolate positions and invert the blend', () => {
+    const half = blendTimeScales(piecewise, linear, 0.5);
+    const expected = (piecewise.yearToX(1348) + linear.yearToX(1348)) / 2;
+
+    expect(half.mode).toBe(TIME_SCALES.LINEAR);
+    expect(half.yearToX(1348)).toBeCloseTo(expected, 6);
+    expect(half.xToYear(expected)).toBeCloseTo(1348, 3);
+  });
+});
+
+describe('blendStationLayouts - Animated Station Re-flow', () => {
+  const from = [{ id: 'a', coords: { x: 100, y: 50 } }, { id: 'b', coords: { x: 200, y: 50 } }];
+  const to = [{ id: 'a', coords: { x: 300, y: 50 } }, { id: 'c', coords: { x: 400, y: 80 } }];
+
+  it('should interpolate X for stations in both layouts', () => {
+    const blended = blendStationLayouts(from, to, 0.25);
+    expect(blended[0].coords).toEqual({ x: 150, y: 50 });
+    expect(blended[1]).toBe(to[1]);
+  });
+
+  it('should interpolate span ends with the station', () => {
+    const withSpan = (x, startX, endX) => ({ id: 'a', coords: { x, y: 50 }, span: { startYear: 0, endYear: 100, startX, endX } });
+    const [blended] = blendStationLayouts([withSpan(100, 50, 150)], [withSpan(300, 250, 450)], 0.5);
+
+    expect(blended.span).toMatchObject({ startX: 150, endX: 300 });
+  });
+
+  it('should return the target layout once finished', () => {
+    expect(blendStationLayouts(from, to, 1)).toBe(to);
+  });
+});
+
 describe('getLineY - Line Corridor Positioning', () => {
   it('should return correct Y positions for all defined lines', () => {
     Object.entries(LINE_Y_POSITIONS).forEach(([lineName, expectedRatio]) => {
@@ -105,6 +240,14 @@ describe('getLineY - Line Corridor Positioning', () => {
     expect(techY).toBeLessThan(warY);
     expect(warY).toBeLessThan(empireY);
   });
+
+  it('should list the corridor of every line', () => {
+    const positions = getLineYPositions();
+    Object.entries(LINE_Y_POSITIONS).forEach(([lineName, expectedRatio]) => {
+      expect(positions[lineName]).toBe(expectedRatio * VIEWBOX.HEIGHT);
+    });
+    expect(getLineYPositions({ Art: { yPosition: 0.25 } })).toEqual({ Art: 0.25 * VIEWBOX.HEIGHT });
+  });
 });
 
 describe('createStationCoord - Station Coordinate Factory', () => {
@@ -248,6 +391,68 @@ describe('centerViewBoxOn - Center on Point', () => {
   });
 });
 
+describe('zoomViewBoxOn - Tour Stop Camera', () => {
+  it('should center on the point at the zoom level with the current aspect ratio', () => {
+    const zoomed = zoomViewBoxOn({ x: 0, y: 0, width: 4000, height: 1000 }, { x: 4000, y: 2000 }, 4);
+
+    expect(zoomed.width).toBe(VIEWBOX.WIDTH / 4);
+    expect(zoomed.height).toBe(500);
+    expect(zoomed.x + zoomed.width / 2).toBe(4000);
+    expect(zoomed.y + zoomed.height / 2).toBe(2000);
+  });
+
+  it('should keep the view on the map near its edges', () => {
+    const zoomed = zoomViewBoxOn({ x: 0, y: 0, width: 4000, height: 2000 }, { x: 0, y: 0 }, 2);
+    expect(zoomed).toEqual({ x: 0, y: 0, width: 4000, height: 2000 });
+  });
+});
+
+describe('fitViewBoxToXRange - Zoom to a Year Range', () => {
+  const viewBox = { x: 0, y: 1000, width: 4000, height: 2000 };
+
+  it('should frame the range with padding and keep the aspect ratio and vertical center', () => {
+    const fitted = fitViewBoxToXRange(viewBox, 3000, 4000, 0.1);
+
+    expect(fitted.x).toBeCloseTo(2900);
+    expect(fitted.width).toBeCloseTo(1200);
+    expect(fitted.height).toBeCloseTo(600);
+    expect(fitted.y + fitted.height / 2).toBeCloseTo(2000);
+  });
+
+  it('should accept reversed ranges and stay within bounds', () => {
+    const fitted = fitViewBoxToXRange(viewBox, VIEWBOX.WIDTH, 0);
+
+    expect(fitted.x).toBe(0);
+    expect(fitted.y).toBeGreaterThanOrEqual(0);
+    expect(fitted.width).toBeCloseTo(VIEWBOX.WIDTH * 1.1);
+  });
+});
+
+describe('nudgeYear - Keyboard Steps Along a Scale', () => {
+  const piecewise = createPiecewiseScale();
+
+  it('should step by a share of the map width', () => {
+    const linear = getTimeScale(TIME_SCALES.LINEAR);
+    // 0.5% of 12,025 years is ~60 years on the linear scale
+    expect(nudgeYear(linear, 1000, 1)).toBe(1060);
+    expect(nudgeYear(linear, 1000, -10)).toBe(399);
+  });
+
+  it('should take smaller year steps where the piecewise scale is stretched', () => {
+    const ancientStep = -10000 - nudgeYear(piecewise, -10000 + 1000, -1) + 1000;
+    const modernStep = nudgeYear(piecewise, 1950, 1) - 1950;
+    expect(modernStep).toBeLessThan(Math.abs(ancientStep));
+  });
+
+  it('should always move at least one year and clamp to the timeline', () => {
+    // One year spans the whole map around 1500
+    const steep = { yearToX: (year) => (year - 1500) * VIEWBOX.WIDTH + VIEWBOX.WIDTH / 2, xToYear: (x) => 1500 + (x - VIEWBOX.WIDTH / 2) / VIEWBOX.WIDTH };
+    expect(nudgeYear(steep, 1500, 1)).toBe(1501);
+    expect(nudgeYear(piecewise, TIMELINE.END, 5)).toBe(TIMELINE.END);
+    expect(nudgeYear(piecewise, TIMELINE.START, -5)).toBe(TIMELINE.START);
+  });
+});
+
 describe('zoomToPoint - Zoom Centered on Point', () => {
   const baseViewBox = { 
     x: 1000, 
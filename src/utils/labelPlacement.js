@@ -0,0 +1,312 @@
+/**
+ * Label Placement
+ * Places station labels so they stay clear of line corridors and of each other
+ *
+ * Each label is a block of text lines (name, then year and insight when shown)
+ * measured to a box. Labels are placed one at a time, most important first
+ * (selected, active, then by significance). Each tries candidate positions next to
+ * its station - above, below, then the four diagonals - and, when those are taken,
+ * the same positions pushed further out, which get a leader line back to the
+ * station. The first candidate clear of corridors and placed labels wins; when
+ * none is, the one with the least overlap does.
+ *
+ * Placed boxes are kept in a grid so each candidate is only checked against its
+ * neighbours. Ties are broken by position and id, so the same input always gives
+ * the same layout.
+ */
+
+import { PATH_STROKE } from '../constants/metroConfig';
+
+/**
+ * Candidate positions, in order of preference
+ */
+export const LABEL_POSITIONS = {
+  ABOVE: 'above',
+  BELOW: 'below',
+  ABOVE_RIGHT: 'above-right',
+  ABOVE_LEFT: 'above-left',
+  BELOW_RIGHT: 'below-right',
+  BELOW_LEFT: 'below-left'
+};
+
+/**
+ * Text lines of a label block: font sizes (SVG units) and where each line's baseline
+ * sits below the one before
+ */
+export const LABEL_TEXT = {
+  fontFamily: "'JetBrains Mono', monospace",
+  nameSize: 24,
+  activeNameSize: 28,
+  yearSize: 20,
+  yearStep: 24,
+  insightSize: 18,
+  insightStep: 22
+};
+
+/**
+ * Room between a station's center and its label (marker ring plus a gap)
+ */
+export const MARKER_CLEARANCE = 24;
+
+/**
+ * Half the height kept clear around each line corridor (its widest stroke plus a gap)
+ */
+export const CORRIDOR_HALF_WIDTH = PATH_STROKE.background / 2 + 4;
+
+/**
+ * Gap between a label and the next ring of candidates, and how many rings to try
+ */
+export const LABEL_GAP = 8;
+export const MAX_DISPLACEMENT = 3;
+
+/**
+ * Label importance by station significance (selection and activity come first)
+ */
+export const SIGNIFICANCE_PRIORITY = {
+  hub: 3,
+  current: 3,
+  crisis: 2,
+  normal: 1,
+  minor: 0
+};
+
+const GRID_CELL_SIZE = 256;
+
+// Monospace glyphs are about 0.6em wide
+const CHAR_WIDTH = 0.6;
+
+/**
+ * Width of a text without a canvas to measure it (monospace estimate)
+ * @param {string} text - Text
+ * @param {number} fontSize - Font size
+ * @returns {number} Width
+ */
+export function estimateTextWidth(text, fontSize) {
+  return text.length * fontSize * CHAR_WIDTH;
+}
+
+/**
+ * Text measurer backed by a 2D canvas, falling back to estimateTextWidth where
+ * canvases cannot measure (server rendering, tests)
+ * @param {string} [fontFamily=LABEL_TEXT.fontFamily] - Font family
+ * @returns {Function} (text, fontSize, fontWeight) => width
+ */
+export function createTextMeasurer(fontFamily = LABEL_TEXT.fontFamily) {
+  let ctx = null;
+  try {
+    ctx = typeof document !== 'undefined' ? document.createElement('canvas').getContext('2d') : null;
+  } catch (err) {
+    ctx = null;
+  }
+  const cache = new Map();
+
+  return (text, fontSize, fontWeight = 400) => {
+    if (!ctx?.measureText) return estimateTextWidth(text, fontSize);
+    const key = `${fontWeight} ${fontSize} ${text}`;
+    if (!cache.has(key)) {
+      ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
+      cache.set(key, ctx.measureText(text).width);
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Importance of a label; higher is placed first
+ * @param {Object} label
+ * @param {boolean} [label.isSelected] - Station is selected
+ * @param {boolean} [label.isActive] - Station is hovered or the journey stop
+ * @param {string} [label.significance] - Station significance
+ * @returns {number} Priority
+ */
+export function getLabelPriority({ isSelected, isActive, significance }) {
+  return (isSelected ? 100 : 0) + (isActive ? 50 : 0) + (SIGNIFICANCE_PRIORITY[significance] ?? 1);
+}
+
+/**
+ * Size of a label block and where its lines sit
+ * @param {Object} label - Label (see placeLabels)
+ * @param {Function} measureText - From createTextMeasurer
+ * @returns {{width: number, height: number, ascent: number}} Block size, and the distance
+ *   from its top to the name baseline
+ */
+export function measureLabel(label, measureText) {
+  const insightLines = label.insightLines || [];
+  const widths = [measureText(label.text, label.fontSize, 700)];
+  let baseline = 0;
+  let lastSize = label.fontSize;
+
+  if (label.yearText) {
+    widths.push(measureText(label.yearText, LABEL_TEXT.yearSize, 600));
+    baseline += LABEL_TEXT.yearStep;
+    lastSize = LABEL_TEXT.yearSize;
+  }
+  insightLines.forEach(line => {
+    widths.push(measureText(line, LABEL_TEXT.insightSize, 400));
+    baseline += LABEL_TEXT.insightStep;
+    lastSize = LABEL_TEXT.insightSize;
+  });
+
+  const ascent = label.fontSize * 0.8;
+  return { width: Math.max(...widths), height: ascent + baseline + lastSize * 0.25, ascent };
+}
+
+// Candidate boxes around a station, nearest ring first
+function getCandidates(label, size) {
+  const { x, topY, bottomY } = label;
+  const { width, height } = size;
+  const diagonal = MARKER_CLEARANCE * 0.75;
+  const candidates = [];
+
+  for (let ring = 0; ring <= MAX_DISPLACEMENT; ring++) {
+    const push = ring * (height + LABEL_GAP);
+    const aboveTop = topY - MARKER_CLEARANCE - height - push;
+    const belowTop = bottomY + MARKER_CLEARANCE + push;
+    const diagonalAboveTop = topY - diagonal - height - push;
+    const diagonalBelowTop = bottomY + diagonal + push;
+
+    candidates.push(
+      { position: LABEL_POSITIONS.ABOVE, ring, left: x - width / 2, top: aboveTop, markerY: topY },
+      { position: LABEL_POSITIONS.BELOW, ring, left: x - width / 2, top: belowTop, markerY: bottomY },
+      { position: LABEL_POSITIONS.ABOVE_RIGHT, ring, left: x + diagonal, top: diagonalAboveTop, markerY: topY },
+      { position: LABEL_POSITIONS.ABOVE_LEFT, ring, left: x - diagonal - width, top: diagonalAboveTop, markerY: topY },
+      { position: LABEL_POSITIONS.BELOW_RIGHT, ring, left: x + diagonal, top: diagonalBelowTop, markerY: bottomY },
+      { position: LABEL_POSITIONS.BELOW_LEFT, ring, left: x - diagonal - width, top: diagonalBelowTop, markerY: bottomY }
+    );
+  }
+
+  return candidates.map((candidate, order) => ({
+    ...candidate,
+    order,
+    box: {
+      minX: candidate.left,
+      maxX: candidate.left + width,
+      minY: candidate.top,
+      maxY: candidate.top + height
+    }
+  }));
+}
+
+function overlapArea(a, b) {
+  const w = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const h = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+  return w > 0 && h > 0 ? w * h : 0;
+}
+
+// Grid of placed boxes, bucketed by x
+function createBoxGrid() {
+  const cells = new Map();
+  const cellRange = box => [Math.floor(box.minX / GRID_CELL_SIZE), Math.floor(box.maxX / GRID_CELL_SIZE)];
+
+  return {
+    add(box) {
+      const [first, last] = cellRange(box);
+      for (let cell = first; cell <= last; cell++) {
+        if (!cells.has(cell)) cells.set(cell, []);
+        cells.get(cell).push(box);
+      }
+    },
+    overlap(box) {
+      const [first, last] = cellRange(box);
+      const seen = new Set();
+      let total = 0;
+      for (let cell = first; cell <= last; cell++) {
+        (cells.get(cell) || []).forEach(other => {
+          if (seen.has(other)) return;
+          seen.add(other);
+          total += overlapArea(box, other);
+        });
+      }
+      return total;
+    }
+  };
+}
+
+function corridorOverlap(box, corridors) {
+  return corridors.reduce((total, y) => {
+    const h = Math.min(box.maxY, y + CORRIDOR_HALF_WIDTH) - Math.max(box.minY, y - CORRIDOR_HALF_WIDTH);
+    return h > 0 ? total + h * (box.maxX - box.minX) : total;
+  }, 0);
+}
+
+// Where the name is drawn from, for the box and the side it sits on
+function getTextAnchor(candidate, size, x) {
+  const { position, box } = candidate;
+  if (position === LABEL_POSITIONS.ABOVE_RIGHT || position === LABEL_POSITIONS.BELOW_RIGHT) {
+    return { x: box.minX, textAnchor: 'start' };
+  }
+  if (position === LABEL_POSITIONS.ABOVE_LEFT || position === LABEL_POSITIONS.BELOW_LEFT) {
+    return { x: box.maxX, textAnchor: 'end' };
+  }
+  return { x, textAnchor: 'middle' };
+}
+
+// Line from the marker's edge to the nearest point of a displaced label's box
+function getLeader(candidate, x) {
+  const { box, markerY } = candidate;
+  const x2 = Math.min(Math.max(x, box.minX), box.maxX);
+  const y2 = Math.min(Math.max(markerY, box.minY), box.maxY);
+  const length = Math.hypot(x2 - x, y2 - markerY);
+  if (length <= MARKER_CLEARANCE) return null;
+  const start = (MARKER_CLEARANCE * 0.6) / length;
+  return { x1: x + (x2 - x) * start, y1: markerY + (y2 - markerY) * start, x2, y2 };
+}
+
+/**
+ * Place labels
+ * @param {Array<Object>} labels - Labels to place
+ * @param {string} labels[].id - Station id
+ * @param {string} labels[].text - Name as drawn
+ * @param {number} labels[].fontSize - Name font size
+ * @param {string} [labels[].yearText] - Year line, when shown
+ * @param {Array<string>} [labels[].insightLines] - Insight lines, when shown
+ * @param {number} labels[].x - Station X
+ * @param {number} labels[].topY - Y of the station's topmost marker
+ * @param {number} labels[].bottomY - Y of its lowest marker
+ * @param {number} labels[].priority - From getLabelPriority
+ * @param {Object} [options]
+ * @param {Array<number>} [options.corridors=[]] - Corridor Y of each line, kept clear
+ * @param {Function} [options.measureText=estimateTextWidth] - Text measurer (see createTextMeasurer)
+ * @returns {Object} Placement per station id: { x, y, textAnchor, position, box, leader } where
+ *   (x, y) is the name's anchor and baseline, and leader is null unless the label was pushed away
+ */
+export function placeLabels(labels, { corridors = [], measureText = estimateTextWidth } = {}) {
+  const grid = createBoxGrid();
+  const placements = {};
+
+  const ordered = [...labels].sort((a, b) => (
+    b.priority - a.priority || a.x - b.x || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+  ));
+
+  ordered.forEach(label => {
+    const size = measureLabel(label, measureText);
+    let best = null;
+    let bestCost = Infinity;
+
+    for (const candidate of getCandidates(label, size)) {
+      const labelCost = grid.overlap(candidate.box);
+      const corridorCost = corridorOverlap(candidate.box, corridors);
+      // Clear candidates win in order; otherwise overlapping labels is worse than covering lines
+      if (labelCost === 0 && corridorCost === 0) {
+        best = candidate;
+        break;
+      }
+      const cost = labelCost * 10 + corridorCost + candidate.order;
+      if (cost < bestCost) {
+        best = candidate;
+        bestCost = cost;
+      }
+    }
+
+    grid.add(best.box);
+    placements[label.id] = {
+      ...getTextAnchor(best, size, label.x),
+      y: best.box.minY + size.ascent,
+      position: best.position,
+      box: best.box,
+      leader: best.ring > 0 ? getLeader(best, label.x) : null
+    };
+  });
+
+  return placements;
+}
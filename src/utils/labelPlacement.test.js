@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for Label Placement
+ * Tests measuring, priorities, candidate positions, corridor and label avoidance,
+ * leader lines and determinism
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  LABEL_POSITIONS,
+  LABEL_TEXT,
+  CORRIDOR_HALF_WIDTH,
+  estimateTextWidth,
+  createTextMeasurer,
+  getLabelPriority,
+  measureLabel,
+  placeLabels
+} from './labelPlacement';
+
+const label = (id, x, overrides = {}) => ({
+  id,
+  text: `Station ${id}`,
+  fontSize: LABEL_TEXT.nameSize,
+  x,
+  topY: 1000,
+  bottomY: 1000,
+  priority: 1,
+  ...overrides
+});
+
+const overlaps = (a, b) => a.minX < b.maxX && a.maxX > b.minX && a.minY < b.maxY && a.maxY > b.minY;
+const crossesCorridor = (box, y) => box.minY < y + CORRIDOR_HALF_WIDTH && box.maxY > y - CORRIDOR_HALF_WIDTH;
+
+describe('measuring', () => {
+  it('should estimate monospace widths', () => {
+    expect(estimateTextWidth('abcd', 20)).toBe(48);
+  });
+
+  it('should fall back to the estimate where a canvas cannot measure', () => {
+    const measure = createTextMeasurer();
+    expect(measure('Rome', 24)).toBeGreaterThan(0);
+  });
+
+  it('should size the block to its widest line and stack year and insight lines', () => {
+    const name = measureLabel(label('a', 0, { text: 'Rome' }), estimateTextWidth);
+    const full = measureLabel(label('a', 0, {
+      text: 'Rome',
+      yearText: '753 BCE',
+      insightLines: ['A republic becomes an empire']
+    }), estimateTextWidth);
+
+    expect(name.width).toBe(estimateTextWidth('Rome', LABEL_TEXT.nameSize));
+    expect(full.width).toBe(estimateTextWidth('A republic becomes an empire', LABEL_TEXT.insightSize));
+    expect(full.height - name.height).toBeGreaterThan(LABEL_TEXT.yearStep);
+    expect(full.ascent).toBe(name.ascent);
+  });
+});
+
+describe('getLabelPriority', () => {
+  it('should rank selection, then activity, then significance', () => {
+    const selected = getLabelPriority({ isSelected: true, significance: 'minor' });
+    const active = getLabelPriority({ isActive: true, significance: 'minor' });
+    const hub = getLabelPriority({ significance: 'hub' });
+    const normal = getLabelPriority({ significance: 'normal' });
+    expect(selected).toBeGreaterThan(active);
+    expect(active).toBeGreaterThan(hub);
+    expect(hub).toBeGreaterThan(normal);
+  });
+});
+
+describe('placeLabels', () => {
+  it('should put a lone label centered above its station, clear of its marker', () => {
+    const { a } = placeLabels([label('a', 500)], { corridors: [1000] });
+    expect(a.position).toBe(LABEL_POSITIONS.ABOVE);
+    expect(a.textAnchor).toBe('middle');
+    expect(a.x).toBe(500);
+    expect(a.box.maxY).toBeLessThan(1000 - CORRIDOR_HALF_WIDTH);
+    expect(a.leader).toBeNull();
+  });
+
+  it('should keep neighbouring labels apart', () => {
+    const labels = [label('a', 500), label('b', 540), label('c', 580), label('d', 620)];
+    const placements = placeLabels(labels, { corridors: [1000, 1560] });
+    const boxes = Object.values(placements).map(p => p.box);
+
+    boxes.forEach((box, i) => boxes.slice(i + 1).forEach(other => expect(overlaps(box, other)).toBe(false)));
+    boxes.forEach(box => [1000, 1560].forEach(y => expect(crossesCorridor(box, y)).toBe(false)));
+  });
+
+  it('should move off another line corridor', () => {
+    // A corridor just above the station leaves no room for the label above it
+    const { a } = placeLabels([label('a', 500)], { corridors: [1000, 960] });
+    expect(crossesCorridor(a.box, 960)).toBe(false);
+    expect(a.position).toBe(LABEL_POSITIONS.BELOW);
+  });
+
+  it('should anchor diagonal labels on the side facing the station', () => {
+    // A more important neighbour takes the room above, a corridor the room below
+    const placements = placeLabels(
+      [label('a', 500), label('n', 400, { priority: 3 })],
+      { corridors: [1000, 1040] }
+    );
+    expect(placements.n.position).toBe(LABEL_POSITIONS.ABOVE);
+    expect(placements.a.position).toBe(LABEL_POSITIONS.ABOVE_RIGHT);
+    expect(placements.a.textAnchor).toBe('start');
+    expect(placements.a.x).toBe(placements.a.box.minX);
+    expect(placements.a.x).toBeGreaterThan(500);
+  });
+
+  it('should push labels further out with a leader line when the near ring is full', () => {
+    const labels = Array.from({ length: 8 }, (_, i) => label(`s${i}`, 500 + i));
+    const placements = placeLabels(labels, { corridors: [1000] });
+    const displaced = Object.values(placements).filter(p => p.leader);
+
+    expect(displaced.length).toBeGreaterThan(0);
+    displaced.forEach(({ leader, box }) => {
+      // The leader ends on the label's box and starts near the station
+      expect(leader.x2).toBeGreaterThanOrEqual(box.minX);
+      expect(leader.x2).toBeLessThanOrEqual(box.maxX);
+      expect(leader.y2 === box.minY || leader.y2 === box.maxY).toBe(true);
+      expect(Math.abs(leader.y1 - 1000)).toBeLessThan(Math.abs(leader.y2 - 1000));
+    });
+  });
+
+  it('should give the best spot to the most important label', () => {
+    const labels = [label('minor', 500), label('selected', 500, { priority: getLabelPriority({ isSelected: true }) })];
+    const placements = placeLabels(labels, { corridors: [1000] });
+    expect(placements.selected.position).toBe(LABEL_POSITIONS.ABOVE);
+    expect(placements.minor.position).not.toBe(LABEL_POSITIONS.ABOVE);
+  });
+
+  it('should be deterministic whatever the input order', () => {
+    const labels = Array.from({ length: 30 }, (_, i) => label(`s${i}`, (i % 10) * 50, {
+      topY: i % 2 ? 1000 : 1560,
+      bottomY: i % 2 ? 1000 : 1560
+    }));
+    const forward = placeLabels(labels, { corridors: [1000, 1560] });
+    const reversed = placeLabels([...labels].reverse(), { corridors: [1000, 1560] });
+    expect(reversed).toEqual(forward);
+  });
+
+  it('benchmark: should place thousands of labels quickly', () => {
+    const labels = Array.from({ length: 5000 }, (_, i) => label(`s${i}`, i * 15, {
+      topY: 720 + (i % 5) * 560,
+      bottomY: 720 + (i % 5) * 560
+    }));
+    const start = performance.now();
+    const placements = placeLabels(labels, { corridors: [720, 1280, 1840, 2400, 2960] });
+    expect(Object.keys(placements)).toHaveLength(5000);
+    expect(performance.now() - start).toBeLessThan(2000);
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * Level of Detail
+ * Semantic zoom policy shared by every map renderer
+ *
+ * The map zoom (VIEWBOX.WIDTH / viewBox.width) falls into one of four tiers:
+ * - overview: era bands and major stations (hubs and crises) only, no labels
+ * - era: major stations with short labels
+ * - detail: every station, with full labels and years
+ * - close-up: detail plus the station's insight text next to its label
+ *
+ * Stations the tier hides are aggregated into cluster markers ("+7 stations") per
+ * line, which zoom in to show their stations when clicked. Stations the user is
+ * working with (selected, searched, bookmarked, on the route...) are always drawn.
+ */
+
+import { VIEWBOX } from '../constants/metroConfig';
+import { fitViewBoxToXRange, zoomViewBoxOn } from './coordinates';
+import { isLineVisible } from './lineConfig';
+
+/**
+ * Tiers, from farthest to closest
+ */
+export const LOD_TIERS = {
+  OVERVIEW: 'overview',
+  ERA: 'era',
+  DETAIL: 'detail',
+  CLOSE_UP: 'close-up'
+};
+
+/**
+ * Zoom at which each tier starts (overview is everything below era)
+ */
+export const DEFAULT_LOD_THRESHOLDS = {
+  era: 0.2,
+  detail: 0.6,
+  closeUp: 3
+};
+
+/**
+ * What each tier draws
+ * - majorsOnly: draw only hubs, crises and highlighted stations (the rest are clustered)
+ * - markerScale: marker ring radius multiplier
+ * - innerDot: draw the colored dot inside markers
+ * - labelMajors: label major stations without being asked
+ * - labelRequested: label stations when asked (all labels on, search match, route...)
+ * - labelMaxChars: longest label before it is shortened
+ * - years / insight: add the year, and the insight text, under a label
+ * - eraBands: draw the era bands behind the map
+ */
+export const LOD_POLICIES = {
+  [LOD_TIERS.OVERVIEW]: {
+    tier: LOD_TIERS.OVERVIEW,
+    majorsOnly: true,
+    markerScale: 0.5,
+    innerDot: false,
+    labelMajors: false,
+    labelRequested: false,
+    labelMaxChars: 14,
+    years: false,
+    insight: false,
+    eraBands: true
+  },
+  [LOD_TIERS.ERA]: {
+    tier: LOD_TIERS.ERA,
+    majorsOnly: true,
+    markerScale: 1,
+    innerDot: false,
+    labelMajors: true,
+    labelRequested: true,
+    labelMaxChars: 14,
+    years: false,
+    insight: false,
+    eraBands: false
+  },
+  [LOD_TIERS.DETAIL]: {
+    tier: LOD_TIERS.DETAIL,
+    majorsOnly: false,
+    markerScale: 1,
+    innerDot: true,
+    labelMajors: false,
+    labelRequested: true,
+    labelMaxChars: 25,
+    years: true,
+    insight: false,
+    eraBands: false
+  },
+  [LOD_TIERS.CLOSE_UP]: {
+    tier: LOD_TIERS.CLOSE_UP,
+    majorsOnly: false,
+    markerScale: 1,
+    innerDot: true,
+    labelMajors: false,
+    labelRequested: true,
+    labelMaxChars: 25,
+    years: true,
+    insight: true,
+    eraBands: false
+  }
+};
+
+/**
+ * Longest label for an active (hovered, selected, journey) station, whatever the tier
+ */
+export const ACTIVE_LABEL_MAX_CHARS = 25;
+
+/**
+ * Insight text wrapping at close-up
+ */
+export const INSIGHT_WRAP = { maxChars: 36, maxLines: 3 };
+
+/**
+ * Cluster markers: columns across the view, and marker size as a share of the
+ * view width (so they keep their size on screen)
+ */
+export const CLUSTER_COLUMNS = 20;
+export const CLUSTER_SIZE_SHARE = 0.008;
+
+/**
+ * Tier for a zoom level
+ * @param {number} zoom - Map zoom
+ * @param {Object} [thresholds=DEFAULT_LOD_THRESHOLDS] - Zoom at which each tier starts
+ * @returns {string} One of LOD_TIERS
+ */
+export function getLodTier(zoom, thresholds = DEFAULT_LOD_THRESHOLDS) {
+  if (zoom >= thresholds.closeUp) return LOD_TIERS.CLOSE_UP;
+  if (zoom >= thresholds.detail) return LOD_TIERS.DETAIL;
+  if (zoom >= thresholds.era) return LOD_TIERS.ERA;
+  return LOD_TIERS.OVERVIEW;
+}
+
+/**
+ * Policy for a zoom level
+ * The same object is returned for every zoom in a tier, so it is safe as a memo dependency.
+ * @param {number} zoom - Map zoom
+ * @param {Object} [thresholds=DEFAULT_LOD_THRESHOLDS] - Zoom at which each tier starts
+ * @returns {Object} One of LOD_POLICIES
+ */
+export function getLodPolicy(zoom, thresholds = DEFAULT_LOD_THRESHOLDS) {
+  return LOD_POLICIES[getLodTier(zoom, thresholds)];
+}
+
+/**
+ * Whether a station is a hub or a crisis
+ * @param {Object} station - Station
+ * @returns {boolean} True for major stations
+ */
+export function isMajorStation(station) {
+  return station.significance === 'hub' || station.significance === 'crisis';
+}
+
+/**
+ * Whether a station is drawn at a tier
+ * @param {Object} policy - From getLodPolicy
+ * @param {Object} station - Station
+ * @param {boolean} [isHighlighted=false] - Whether the user is working with it (selected, searched...)
+ * @returns {boolean} True when drawn
+ */
+export function shouldDrawStation(policy, station, isHighlighted = false) {
+  return !policy.majorsOnly || isHighlighted || isMajorStation(station);
+}
+
+/**
+ * Stations drawn whatever the tier: those the user is working with
+ * @param {...(Set<string>|Array<string>|string|null)} groups - Ids, or sets and lists of ids
+ *   (selection, journey stop, search matches, bookmarks, route, comparison)
+ * @returns {Set<string>} Station ids
+ */
+export function collectHighlightedIds(...groups) {
+  const ids = new Set();
+  groups.forEach(group => {
+    if (typeof group === 'string') ids.add(group);
+    else group?.forEach(id => ids.add(id));
+  });
+  return ids;
+}
+
+/**
+ * Shorten a label to a length, at a word boundary when there is one
+ * @param {string} text - Label
+ * @param {number} maxChars - Longest label, ellipsis included
+ * @returns {string} The label, or its shortened form ending in "…"
+ */
+export function shortenLabel(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Wrap text into lines at word boundaries
+ * @param {string} text - Text to wrap
+ * @param {Object} [options=INSIGHT_WRAP]
+ * @param {number} options.maxChars - Longest line
+ * @param {number} options.maxLines - Most lines; the last one ends in "…" when text is left over
+ * @returns {Array<string>} Lines
+ */
+export function wrapText(text, { maxChars, maxLines } = INSIGHT_WRAP) {
+  const lines = [];
+  (text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+
+  const shown = lines.slice(0, maxLines).map(line => shortenLabel(line, maxChars));
+  if (lines.length > maxLines && !shown[maxLines - 1].endsWith('…')) {
+    shown[maxLines - 1] = shortenLabel(`${shown[maxLines - 1]}…`, maxChars);
+  }
+  return shown;
+}
+
+/**
+ * Label of a station at a tier
+ * @param {Object} policy - From getLodPolicy
+ * @param {Object} station - Station
+ * @param {Object} state
+ * @param {boolean} state.isActive - Hovered, selected or the journey stop
+ * @param {boolean} state.isRequested - Labelled on request (all labels on, search match, route, comparison)
+ * @returns {{text: string, showYear: boolean, insightLines: Array<string>}|null} Label, or null for none
+ */
+export function getStationLabel(policy, station, { isActive, isRequested }) {
+  const isShown = isActive
+    || (policy.labelRequested && isRequested)
+    || (policy.labelMajors && isMajorStation(station));
+  if (!isShown) return null;
+
+  return {
+    text: shortenLabel(station.name, isActive ? ACTIVE_LABEL_MAX_CHARS : policy.labelMaxChars),
+    showYear: isActive || policy.years,
+    insightLines: policy.insight && station.insight ? wrapText(station.insight) : []
+  };
+}
+
+/**
+ * Cluster marker size for a view (SVG units)
+ * @param {Object} viewBox - Current viewBox
+ * @returns {number} Font size of cluster markers
+ */
+export function getClusterSize(viewBox) {
+  return viewBox.width * CLUSTER_SIZE_SHARE;
+}
+
+/**
+ * Badge drawn for a cluster: a pill centered on the cluster's position
+ * @param {Object} cluster - From clusterHiddenStations
+ * @param {number} size - From getClusterSize
+ * @returns {{label: string, x: number, y: number, width: number, height: number}} Label and
+ *   top-left corner and size of the pill
+ */
+export function getClusterBadge(cluster, size) {
+  const label = `+${cluster.count} station${cluster.count === 1 ? '' : 's'}`;
+  // Monospace glyphs are about 0.6em wide
+  const width = label.length * size * 0.6 + size;
+  const height = size * 1.6;
+  return { label, x: cluster.x - width / 2, y: cluster.y - height / 2, width, height };
+}
+
+/**
+ * Cluster whose badge is under a map point
+ * @param {Array} clusters - From clusterHiddenStations
+ * @param {{x: number, y: number}} point - Map point
+ * @param {number} size - From getClusterSize
+ * @returns {Object|null} The topmost cluster under the point, or null
+ */
+export function findClusterAt(clusters, point, size) {
+  for (let i = clusters.length - 1; i >= 0; i--) {
+    const badge = getClusterBadge(clusters[i], size);
+    const isInside = point.x >= badge.x && point.x <= badge.x + badge.width
+      && point.y >= badge.y && point.y <= badge.y + badge.height;
+    if (isInside) return clusters[i];
+  }
+  return null;
+}
+
+/**
+ * Aggregate the stations a tier hides into cluster markers
+ * Stations are grouped by their first visible line into columns across the view.
+ * Column width snaps to powers of two so clusters stay put while zooming within an octave.
+ * @param {Array} stations - Stations to draw (e.g. the filtered stations)
+ * @param {Object} options
+ * @param {Object} options.policy - From getLodPolicy
+ * @param {Object} options.lines - Active line configuration
+ * @param {Object} options.visibleLines - Line visibility keyed by line id
+ * @param {Object} options.lineYPositions - Corridor Y per line name
+ * @param {Object} options.viewBox - Current viewBox
+ * @param {Set<string>} [options.highlightedIds] - Stations drawn whatever the tier
+ * @returns {Array<{key: string, line: string, color: string, x: number, y: number, count: number,
+ *   stationIds: Array<string>, minX: number, maxX: number}>} Clusters, by line then time
+ */
+export function clusterHiddenStations(stations, { policy, lines, visibleLines, lineYPositions, viewBox, highlightedIds }) {
+  if (!policy.majorsOnly) return [];
+
+  const cellSize = 2 ** Math.round(Math.log2(viewBox.width / CLUSTER_COLUMNS));
+  const groups = new Map();
+
+  stations.forEach(station => {
+    if (shouldDrawStation(policy, station, highlightedIds?.has(station.id))) return;
+    const line = station.lines.find(name => lines[name] && isLineVisible(visibleLines, lines[name].id));
+    if (!line) return;
+
+    const key = `${line}:${Math.floor(station.coords.x / cellSize)}`;
+    if (!groups.has(key)) groups.set(key, { key, line, members: [] });
+    groups.get(key).members.push(station);
+  });
+
+  const lineOrder = Object.keys(lines);
+  // Every hidden station is counted somewhere, so a lone one gets a "+1 station" marker
+  return [...groups.values()]
+    .map(({ key, line, members }) => {
+      const xs = members.map(s => s.coords.x);
+      return {
+        key,
+        line,
+        color: lines[line].color,
+        x: xs.reduce((sum, x) => sum + x, 0) / xs.length,
+        y: lineYPositions[line],
+        count: members.length,
+        stationIds: members.map(s => s.id),
+        minX: Math.min(...xs),
+        maxX: Math.max(...xs)
+      };
+    })
+    .sort((a, b) => lineOrder.indexOf(a.line) - lineOrder.indexOf(b.line) || a.x - b.x);
+}
+
+/**
+ * View that expands a cluster: its stations, zoomed in at least to the detail tier
+ * @param {Object} viewBox - Current viewBox
+ * @param {Object} cluster - From clusterHiddenStations
+ * @param {Object} [thresholds=DEFAULT_LOD_THRESHOLDS] - Zoom at which each tier starts
+ * @returns {Object} New viewBox
+ */
+export function getClusterViewBox(viewBox, cluster, thresholds = DEFAULT_LOD_THRESHOLDS) {
+  const onLine = { ...viewBox, y: cluster.y - viewBox.height / 2 };
+  const fitted = fitViewBoxToXRange(onLine, cluster.minX, cluster.maxX, 0.15);
+  if (VIEWBOX.WIDTH / fitted.width >= thresholds.detail) return fitted;
+  return zoomViewBoxOn(onLine, { x: (cluster.minX + cluster.maxX) / 2, y: cluster.y }, thresholds.detail);
+}
@@ -0,0 +1,182 @@
+/**
+ * Unit Tests for Level of Detail
+ * Tests tiers, what each tier draws and labels, and cluster markers
+ */
+
+import { describe, it, expect } from 'vitest';
+import { VIEWBOX } from '../constants/metroConfig';
+import {
+  LOD_TIERS,
+  LOD_POLICIES,
+  DEFAULT_LOD_THRESHOLDS,
+  getLodTier,
+  getLodPolicy,
+  shouldDrawStation,
+  shortenLabel,
+  wrapText,
+  getStationLabel,
+  clusterHiddenStations,
+  getClusterBadge,
+  findClusterAt,
+  getClusterViewBox
+} from './levelOfDetail';
+
+const lines = {
+  Tech: { id: 'tech', color: '#00f' },
+  War: { id: 'war', color: '#f00' }
+};
+const lineYPositions = { Tech: 1000, War: 2000 };
+
+const station = (id, x, overrides = {}) => ({
+  id,
+  name: `Station ${id}`,
+  lines: ['Tech'],
+  significance: 'normal',
+  coords: { x, y: 0 },
+  ...overrides
+});
+
+const zoomedView = zoom => ({ x: 0, y: 0, width: VIEWBOX.WIDTH / zoom, height: VIEWBOX.HEIGHT / zoom });
+
+describe('tiers', () => {
+  it('should pick the tier for a zoom level', () => {
+    expect(getLodTier(0.1)).toBe(LOD_TIERS.OVERVIEW);
+    expect(getLodTier(DEFAULT_LOD_THRESHOLDS.era)).toBe(LOD_TIERS.ERA);
+    expect(getLodTier(1)).toBe(LOD_TIERS.DETAIL);
+    expect(getLodTier(5)).toBe(LOD_TIERS.CLOSE_UP);
+  });
+
+  it('should accept custom thresholds', () => {
+    const thresholds = { era: 1, detail: 2, closeUp: 4 };
+    expect(getLodTier(0.8, thresholds)).toBe(LOD_TIERS.OVERVIEW);
+    expect(getLodTier(3, thresholds)).toBe(LOD_TIERS.DETAIL);
+  });
+
+  it('should return the same policy object across a tier', () => {
+    expect(getLodPolicy(0.7)).toBe(getLodPolicy(1.5));
+    expect(getLodPolicy(0.05)).toBe(LOD_POLICIES[LOD_TIERS.OVERVIEW]);
+  });
+});
+
+describe('shouldDrawStation', () => {
+  const minor = station('a', 0);
+  const hub = station('b', 0, { significance: 'hub' });
+
+  it('should keep only major and highlighted stations when far out', () => {
+    const policy = getLodPolicy(0.3);
+    expect(shouldDrawStation(policy, minor)).toBe(false);
+    expect(shouldDrawStation(policy, minor, true)).toBe(true);
+    expect(shouldDrawStation(policy, hub)).toBe(true);
+  });
+
+  it('should draw everything at detail zoom', () => {
+    expect(shouldDrawStation(getLodPolicy(1), minor)).toBe(true);
+  });
+});
+
+describe('labels', () => {
+  it('should shorten at a word boundary when possible', () => {
+    expect(shortenLabel('Rome', 14)).toBe('Rome');
+    expect(shortenLabel('Printing Press Revolution', 14)).toBe('Printing…');
+    expect(shortenLabel('Supercalifragilistic', 10)).toBe('Supercali…');
+  });
+
+  it('should wrap text into a few lines', () => {
+    expect(wrapText('one two three four', { maxChars: 9, maxLines: 3 })).toEqual(['one two', 'three', 'four']);
+    expect(wrapText('one two three four five', { maxChars: 9, maxLines: 2 })).toEqual(['one two', 'three…']);
+    expect(wrapText('', { maxChars: 9, maxLines: 2 })).toEqual([]);
+  });
+
+  it('should follow the tier', () => {
+    const hub = station('h', 0, { name: 'Agricultural Revolution', significance: 'hub', insight: 'Food surplus' });
+    const idle = { isActive: false, isRequested: false };
+
+    expect(getStationLabel(getLodPolicy(0.1), hub, idle)).toBeNull();
+    expect(getStationLabel(getLodPolicy(0.1), hub, { isActive: false, isRequested: true })).toBeNull();
+    expect(getStationLabel(getLodPolicy(0.3), hub, idle)).toEqual({
+      text: 'Agricultural…', showYear: false, insightLines: []
+    });
+    expect(getStationLabel(getLodPolicy(1), hub, idle)).toBeNull();
+    expect(getStationLabel(getLodPolicy(1), hub, { isActive: false, isRequested: true })).toEqual({
+      text: 'Agricultural Revolution', showYear: true, insightLines: []
+    });
+    expect(getStationLabel(getLodPolicy(5), hub, { isActive: false, isRequested: true }).insightLines)
+      .toEqual(['Food surplus']);
+  });
+
+  it('should always label active stations in full', () => {
+    const label = getStationLabel(getLodPolicy(0.1), station('a', 0, { name: 'Agricultural Revolution' }), {
+      isActive: true, isRequested: false
+    });
+    expect(label).toEqual({ text: 'Agricultural Revolution', showYear: true, insightLines: [] });
+  });
+});
+
+describe('clusterHiddenStations', () => {
+  const cluster = (stations, zoom, overrides = {}) => clusterHiddenStations(stations, {
+    policy: getLodPolicy(zoom),
+    lines,
+    visibleLines: {},
+    lineYPositions,
+    viewBox: zoomedView(zoom),
+    ...overrides
+  });
+
+  const stations = [
+    station('a', 100),
+    station('b', 150),
+    station('c', 160, { lines: ['War', 'Tech'] }),
+    station('d', 170, { lines: ['War'] }),
+    station('hub', 120, { significance: 'hub' }),
+    station('lonely', 7000)
+  ];
+
+  it('should group hidden stations by line and column', () => {
+    expect(cluster(stations, 0.3)).toEqual([
+      {
+        key: expect.any(String), line: 'Tech', color: '#00f', x: 125, y: 1000,
+        count: 2, stationIds: ['a', 'b'], minX: 100, maxX: 150
+      },
+      {
+        key: expect.any(String), line: 'Tech', color: '#00f', x: 7000, y: 1000,
+        count: 1, stationIds: ['lonely'], minX: 7000, maxX: 7000
+      },
+      {
+        key: expect.any(String), line: 'War', color: '#f00', x: 165, y: 2000,
+        count: 2, stationIds: ['c', 'd'], minX: 160, maxX: 170
+      }
+    ]);
+  });
+
+  it('should keep an isolated minor station as a one-station cluster', () => {
+    const clusters = cluster([station('hub', 100, { significance: 'hub' }), station('lonely', 7000)], 0.3);
+    expect(clusters.map(c => c.stationIds)).toEqual([['lonely']]);
+    expect(getClusterBadge(clusters[0], 40).label).toBe('+1 station');
+  });
+
+  it('should leave out highlighted stations and hidden lines', () => {
+    const clusters = cluster(stations, 0.3, { highlightedIds: new Set(['a']), visibleLines: { war: false } });
+    expect(clusters.map(c => c.stationIds)).toEqual([['b', 'c'], ['lonely']]);
+  });
+
+  it('should not cluster when every station is drawn', () => {
+    expect(cluster(stations, 1)).toEqual([]);
+  });
+
+  it('should hit-test cluster badges', () => {
+    const clusters = cluster(stations, 0.3);
+    const badge = getClusterBadge(clusters[0], 40);
+    expect(badge.label).toBe('+2 stations');
+    expect(findClusterAt(clusters, { x: 125, y: 1000 }, 40)).toBe(clusters[0]);
+    expect(findClusterAt(clusters, { x: badge.x + badge.width + 1, y: 1000 }, 40)).toBeNull();
+    expect(findClusterAt(clusters, { x: 125, y: 1500 }, 40)).toBeNull();
+  });
+
+  it('should zoom a cluster in to where its stations are drawn', () => {
+    const [first] = cluster(stations, 0.3);
+    const view = getClusterViewBox(zoomedView(0.3), first);
+    expect(getLodPolicy(VIEWBOX.WIDTH / view.width).majorsOnly).toBe(false);
+    expect(view.x).toBeLessThanOrEqual(first.minX);
+    expect(view.x + view.width).toBeGreaterThanOrEqual(first.maxX);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Line Configuration Utilities
+ * Resolves the set of metro lines a dataset draws with, and helpers for
+ * looking up line ids, colors and visibility from that configuration.
+ *
+ * A dataset may declare its own `lines` object (keyed by the line name stations
+ * reference). Declaration order is the order lines appear in filters and legends.
+ * Entries named like a built-in line inherit its settings; new lines get a palette
+ * color, an evenly spaced corridor and a convergence offset from their position.
+ */
+
+import { LINES } from '../constants/metroConfig';
+
+/**
+ * Fallback colors for declared lines that don't specify one
+ */
+export const LINE_PALETTE = [
+  '#22d3ee', '#ef4444', '#22c55e', '#fbbf24', '#a855f7',
+  '#f97316', '#ec4899', '#14b8a6', '#84cc16', '#6366f1'
+];
+
+// Corridor band used when distributing lines without an explicit yPosition
+const AUTO_Y_RANGE = { START: 0.18, END: 0.82 };
+
+// Gap between lines in the convergence bundle (matches the built-in 30px spacing)
+const AUTO_CONVERGENCE_GAP = 30;
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Ids a line cannot take: generateMetroPaths keys line paths by id next to these
+ */
+export const RESERVED_LINE_IDS = ['connections'];
+
+/**
+ * Parse a #rgb or #rrggbb color into channels
+ * @param {string} hex - Hex color
+ * @returns {{r: number, g: number, b: number}|null} Channels, or null if not a hex color
+ */
+function parseHex(hex) {
+  if (typeof hex !== 'string' || !HEX_COLOR.test(hex)) return null;
+  let digits = hex.slice(1);
+  if (digits.length === 3) {
+    digits = digits.split('').map(d => d + d).join('');
+  }
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16)
+  };
+}
+
+/**
+ * Blend a hex color toward another
+ * @param {string} hex - Base color
+ * @param {string} target - Color to blend toward
+ * @param {number} amount - 0 = base, 1 = target
+ * @returns {string} Blended #rrggbb color
+ */
+export function mixHex(hex, target, amount) {
+  const from = parseHex(hex);
+  const to = parseHex(target);
+  if (!from || !to) return hex;
+
+  const channel = (a, b) => Math.round(a + (b - a) * amount).toString(16).padStart(2, '0');
+  return `#${channel(from.r, to.r)}${channel(from.g, to.g)}${channel(from.b, to.b)}`;
+}
+
+/**
+ * Convert a hex color to an rgba() string
+ * @param {string} hex - Hex color
+ * @param {number} alpha - Opacity (0-1)
+ * @returns {string} rgba() color, or the input unchanged if not a hex color
+ */
+export function withAlpha(hex, alpha) {
+  const rgb = parseHex(hex);
+  if (!rgb) return hex;
+  return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${alpha})`;
+}
+
+/**
+ * Derive a line id (used for visibility filters and path keys) from its name
+ */
+function toLineId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'line';
+}
+
+/**
+ * Resolve a dataset's declared lines into full line configurations
+ * @param {Object} [declaredLines] - Map of line name → partial config (or `true` for defaults).
+ *   When omitted, the built-in LINES are used.
+ * @returns {Object} Map of line name → { id, name, color, colorDark, colorMid, colorGlow,
+ *   yPosition, convergenceOffset, style, alwaysCrisis, description }
+ * @throws {Error} If the declaration has the wrong shape, or ids are duplicated or reserved
+ */
+export function resolveLines(declaredLines) {
+  if (declaredLines === undefined || declaredLines === null) return LINES;
+
+  if (typeof declaredLines !== 'object' || Array.isArray(declaredLines)) {
+    throw new Error('Dataset "lines" must be an object keyed by line name');
+  }
+
+  const entries = Object.entries(declaredLines);
+  if (entries.length === 0) {
+    throw new Error('Dataset "lines" must declare at least one line');
+  }
+
+  const autoYStep = entries.length > 1
+    ? (AUTO_Y_RANGE.END - AUTO_Y_RANGE.START) / (entries.length - 1)
+    : 0;
+  const seenIds = new Set();
+
+  const resolved = entries.map(([key, declared], index) => {
+    if (declared !== true && (typeof declared !== 'object' || declared === null || Array.isArray(declared))) {
+      throw new Error(`Line "${key}" must be an object (or true to use defaults)`);
+    }
+
+    const base = LINES[key] || {};
+    const overrides = declared === true ? {} : declared;
+
+    if (overrides.color !== undefined && !parseHex(overrides.color)) {
+      throw new Error(`Line "${key}" color must be a hex color like #22d3ee`);
+    }
+    if (overrides.yPosition !== undefined &&
+        (typeof overrides.yPosition !== 'number' || overrides.yPosition < 0 || overrides.yPosition > 1)) {
+      throw new Error(`Line "${key}" yPosition must be a number between 0 and 1`);
+    }
+
+    // Shades inherited from a built-in line only make sense if its color is kept
+    const inheritsShades = !overrides.color || overrides.color === base.color;
+    const color = overrides.color || base.color || LINE_PALETTE[index % LINE_PALETTE.length];
+
+    const id = overrides.id || base.id || toLineId(key);
+    if (seenIds.has(id)) {
+      throw new Error(`Line "${key}" has duplicate id "${id}"`);
+    }
+    if (RESERVED_LINE_IDS.includes(id)) {
+      throw new Error(`Line "${key}" cannot use the reserved id "${id}"`);
+    }
+    seenIds.add(id);
+
+    return [key, {
+      ...base,
+      ...overrides,
+      id,
+      name: overrides.name || base.name || key,
+      description: overrides.description ?? base.description ?? '',
+      color,
+      colorDark: overrides.colorDark || (inheritsShades && base.colorDark) || mixHex(color, '#000000', 0.6),
+      colorMid: overrides.colorMid || (inheritsShades && base.colorMid) || mixHex(color, '#000000', 0.15),
+      colorGlow: overrides.colorGlow || (inheritsShades && base.colorGlow) || mixHex(color, '#ffffff', 0.4),
+      yPosition: overrides.yPosition ?? base.yPosition ?? AUTO_Y_RANGE.START + index * autoYStep,
+      convergenceOffset: overrides.convergenceOffset ?? base.convergenceOffset ?? index * AUTO_CONVERGENCE_GAP,
+      style: overrides.style || base.style || 'solid',
+      alwaysCrisis: overrides.alwaysCrisis ?? base.alwaysCrisis ?? false
+    }];
+  });
+
+  return Object.fromEntries(resolved);
+}
+
+/**
+ * Look up a line's configuration by the name stations reference
+ * @param {string} lineName - Line name ('Tech', 'War', ...)
+ * @param {Object} [lines=LINES] - Active line configuration
+ * @returns {Object|undefined} Line config
+ */
+export function getLineConfig(lineName, lines = LINES) {
+  return lines[lineName];
+}
+
+/**
+ * Get the id of a line (falls back to the lowercased name for undeclared lines)
+ * @param {string} lineName - Line name
+ * @param {Object} [lines=LINES] - Active line configuration
+ * @returns {string} Line id
+ */
+export function getLineId(lineName, lines = LINES) {
+  return lines[lineName]?.id ?? toLineId(lineName);
+}
+
+/**
+ * Get the color of a line
+ * @param {string} lineName - Line name
+ * @param {Object} [lines=LINES] - Active line configuration
+ * @returns {string} Hex color (neutral gray for undeclared lines)
+ */
+export function getLineColor(lineName, lines = LINES) {
+  return lines[lineName]?.color ?? '#9ca3af';
+}
+
+/**
+ * Check whether a line is visible under the current filters
+ * Lines missing from visibleLines count as visible, so newly loaded lines show up.
+ * @param {Object} visibleLines - Map of line id → boolean
+ * @param {string} lineId - Line id
+ * @returns {boolean} Whether the line is shown
+ */
+export function isLineVisible(visibleLines, lineId) {
+  return visibleLines?.[lineId] !== false;
+}
+
+/**
+ * Build a visibility map with every line shown
+ * @param {Object} [lines=LINES] - Active line configuration
+ * @returns {Object} Map of line id → true
+ */
+export function createVisibleLines(lines = LINES) {
+  return Object.fromEntries(Object.values(lines).map(config => [config.id, true]));
+}
+
+/**
+ * Inline styles for a line badge (tinted background, border and text)
+ * @param {Object} config - Line config
+ * @returns {Object} Style object
+ */
+export function getLineBadgeStyle(config) {
+  return {
+    backgroundColor: withAlpha(config.colorDark, 0.3),
+    borderColor: withAlpha(config.colorMid, 0.5),
+    color: config.colorGlow
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for Line Configuration Utilities
+ * Tests dataset line resolution, color helpers, and visibility helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  resolveLines,
+  getLineId,
+  getLineColor,
+  isLineVisible,
+  createVisibleLines,
+  getLineBadgeStyle,
+  mixHex,
+  withAlpha,
+  LINE_PALETTE
+} from './lineConfig';
+import { LINES, CONVERGENCE_OFFSETS } from '../constants/metroConfig';
+
+describe('resolveLines - defaults', () => {
+  it('should return the built-in LINES when nothing is declared', () => {
+    expect(resolveLines()).toBe(LINES);
+    expect(resolveLines(null)).toBe(LINES);
+  });
+
+  it('should derive CONVERGENCE_OFFSETS from the built-in lines', () => {
+    Object.values(LINES).forEach(config => {
+      expect(CONVERGENCE_OFFSETS[config.id]).toBe(config.convergenceOffset);
+    });
+  });
+});
+
+describe('resolveLines - declared lines', () => {
+  it('should keep declaration order', () => {
+    const lines = resolveLines({ Trade: {}, Faith: {}, Science: {} });
+    expect(Object.keys(lines)).toEqual(['Trade', 'Faith', 'Science']);
+  });
+
+  it('should inherit built-in settings for lines with a built-in name', () => {
+    const lines = resolveLines({ Tech: true, War: { yPosition: 0.7 } });
+
+    expect(lines.Tech).toEqual(LINES.Tech);
+    expect(lines.War.yPosition).toBe(0.7);
+    expect(lines.War.color).toBe(LINES.War.color);
+    expect(lines.War.alwaysCrisis).toBe(true);
+  });
+
+  it('should fill in ids, colors, corridors and convergence offsets for new lines', () => {
+    const lines = resolveLines({ Trade: {}, Faith: {}, 'Art & Culture': {} });
+
+    expect(lines.Trade.id).toBe('trade');
+    expect(lines['Art & Culture'].id).toBe('art-culture');
+    expect(lines.Trade.color).toBe(LINE_PALETTE[0]);
+    expect(lines.Faith.color).toBe(LINE_PALETTE[1]);
+    expect(lines.Trade.yPosition).toBeCloseTo(0.18);
+    expect(lines.Faith.yPosition).toBeCloseTo(0.5);
+    expect(lines['Art & Culture'].yPosition).toBeCloseTo(0.82);
+    expect(lines.Faith.convergenceOffset).toBe(30);
+    expect(lines.Trade.style).toBe('solid');
+    expect(lines.Trade.alwaysCrisis).toBe(false);
+  });
+
+  it('should derive shades from a declared color', () => {
+    const lines = resolveLines({ Trade: { color: '#ff0000' } });
+
+    expect(lines.Trade.colorDark).toBe(mixHex('#ff0000', '#000000', 0.6));
+    expect(lines.Trade.colorGlow).toBe(mixHex('#ff0000', '#ffffff', 0.4));
+  });
+
+  it('should not keep built-in shades when a built-in line is recolored', () => {
+    const lines = resolveLines({ Tech: { color: '#ff0000' } });
+    expect(lines.Tech.colorDark).not.toBe(LINES.Tech.colorDark);
+  });
+
+  it('should honor explicit overrides', () => {
+    const lines = resolveLines({
+      Trade: { name: 'Trade Routes', color: '#123456', colorGlow: '#abcdef', convergenceOffset: 15, style: 'braided' }
+    });
+
+    expect(lines.Trade).toMatchObject({
+      name: 'Trade Routes',
+      color: '#123456',
+      colorGlow: '#abcdef',
+      convergenceOffset: 15,
+      style: 'braided'
+    });
+  });
+});
+
+describe('resolveLines - invalid declarations', () => {
+  it('should reject non-object declarations', () => {
+    expect(() => resolveLines(['Tech'])).toThrow(/object keyed by line name/);
+    expect(() => resolveLines('Tech')).toThrow(/object keyed by line name/);
+  });
+
+  it('should reject empty declarations', () => {
+    expect(() => resolveLines({})).toThrow(/at least one line/);
+  });
+
+  it('should reject bad entries', () => {
+    expect(() => resolveLines({ Trade: 'red' })).toThrow(/Line "Trade" must be an object/);
+    expect(() => resolveLines({ Trade: { color: 'red' } })).toThrow(/hex color/);
+    expect(() => resolveLines({ Trade: { yPosition: 2 } })).toThrow(/between 0 and 1/);
+  });
+
+  it('should reject duplicate ids', () => {
+    expect(() => resolveLines({ 'Sea Trade': {}, 'Sea-Trade': {} })).toThrow(/duplicate id/);
+  });
+
+  it('should reject ids reserved for other map paths', () => {
+    expect(() => resolveLines({ Connections: {} })).toThrow(/reserved id "connections"/);
+    expect(() => resolveLines({ Links: { id: 'connections' } })).toThrow(/reserved id/);
+  });
+});
+
+describe('color helpers', () => {
+  it('should blend hex colors', () => {
+    expect(mixHex('#000000', '#ffffff', 0.5)).toBe('#808080');
+    expect(mixHex('#f00', '#000000', 0)).toBe('#ff0000');
+  });
+
+  it('should convert hex colors to rgba', () => {
+    expect(withAlpha('#22d3ee', 0.3)).toBe('rgba(34, 211, 238, 0.3)');
+    expect(withAlpha('cyan', 0.3)).toBe('cyan');
+  });
+
+  it('should build badge styles from a line config', () => {
+    const style = getLineBadgeStyle(LINES.Tech);
+    expect(style.color).toBe(LINES.Tech.colorGlow);
+    expect(style.backgroundColor).toMatch(/^rgba\(.*0\.3\)$/);
+  });
+});
+
+describe('line lookup and visibility helpers', () => {
+  it('should look up ids and colors with fallbacks', () => {
+    expect(getLineId('Tech')).toBe('tech');
+    expect(getLineId('Unknown Line')).toBe('unknown-line');
+    expect(getLineColor('War')).toBe(LINES.War.color);
+    expect(getLineColor('Unknown')).toBe('#9ca3af');
+  });
+
+  it('should treat lines missing from the visibility map as visible', () => {
+    expect(isLineVisible({ tech: false }, 'tech')).toBe(false);
+    expect(isLineVisible({ tech: false }, 'trade')).toBe(true);
+    expect(isLineVisible(undefined, 'tech')).toBe(true);
+  });
+
+  it('should create a visibility map for every line', () => {
+    expect(createVisibleLines()).toEqual({
+      tech: true, war: true, population: true, philosophy: true, empire: true
+    });
+    expect(createVisibleLines(resolveLines({ Trade: {} }))).toEqual({ trade: true });
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Map Export
+ * Turns the rendered map SVG into standalone files
+ *
+ * The live SVG depends on the page: stylesheet classes, web fonts and the
+ * container background. The export clone inlines all of that so the file
+ * renders the same in another browser, an editor or an <img> tag:
+ * - Hidden lines (MetroLine data-visible="false") are removed
+ * - Stylesheet-driven paint and font properties are copied onto each element
+ * - @font-face rules for fonts used in labels are embedded as data URLs
+ * - A background rect replaces the page background
+ *
+ * PNGs are rasterized from the same SVG through an offscreen canvas.
+ */
+
+import { VIEWBOX as VIEWBOX_CONFIG } from '../constants/metroConfig';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Export file formats
+ */
+export const EXPORT_FORMATS = {
+  SVG: 'svg',
+  PNG: 'png'
+};
+
+/**
+ * Export area: the current viewBox or the whole canvas
+ */
+export const EXPORT_SCOPES = {
+  VIEW: 'view',
+  FULL: 'full'
+};
+
+/**
+ * PNG output widths offered in the UI (height follows the aspect ratio)
+ */
+export const PNG_WIDTHS = [1920, 3840, 7680];
+
+// Browsers refuse canvases beyond roughly this size per side
+const MAX_CANVAS_SIDE = 16384;
+
+// CSSRule.FONT_FACE_RULE
+const FONT_FACE_RULE = 5;
+
+// Matches the map container (bg-neutral-950)
+const BACKGROUND_COLOR = '#0a0a0a';
+
+// Properties that stylesheets can set on map elements
+const INLINED_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-opacity',
+  'stroke-width',
+  'stroke-dasharray',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'color'
+];
+
+// Text inherits these from ancestors and descendant or attribute selectors, so they are
+// inlined on every text node, with a class or not
+const TEXT_PROPERTIES = ['fill', 'font-family', 'font-size', 'font-weight', 'font-style', 'letter-spacing'];
+
+/**
+ * Resolve the area to export
+ * @param {string} scope - EXPORT_SCOPES value
+ * @param {Object} viewBox - Current viewBox
+ * @returns {{x: number, y: number, width: number, height: number}} Export viewBox
+ */
+export function getExportViewBox(scope, viewBox) {
+  if (scope === EXPORT_SCOPES.FULL || !viewBox) {
+    return { x: 0, y: 0, width: VIEWBOX_CONFIG.WIDTH, height: VIEWBOX_CONFIG.HEIGHT };
+  }
+  return { x: viewBox.x, y: viewBox.y, width: viewBox.width, height: viewBox.height };
+}
+
+/**
+ * Pixel size of a PNG export
+ * @param {Object} exportViewBox - Area being exported
+ * @param {number} targetWidth - Requested width in pixels
+ * @returns {{width: number, height: number}} Size keeping the aspect ratio, within canvas limits
+ */
+export function getRasterSize(exportViewBox, targetWidth) {
+  const aspect = exportViewBox.height / exportViewBox.width;
+  let width = Math.max(1, Math.round(targetWidth));
+  let height = Math.max(1, Math.round(width * aspect));
+
+  const overflow = Math.max(width, height) / MAX_CANVAS_SIDE;
+  if (overflow > 1) {
+    width = Math.max(1, Math.floor(width / overflow));
+    height = Math.max(1, Math.floor(height / overflow));
+  }
+  return { width, height };
+}
+
+/**
+ * Build a file name for an export
+ * @param {string} datasetName - Active dataset name
+ * @param {string} format - EXPORT_FORMATS value
+ * @param {Date} [date=new Date()] - Export date
+ * @returns {string} e.g. "civilization-metro-map-2025-01-31.png"
+ */
+export function buildExportFilename(datasetName, format, date = new Date()) {
+  const slug = String(datasetName || 'map')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'map';
+  return `${slug}-${date.toISOString().slice(0, 10)}.${format}`;
+}
+
+/**
+ * Copy stylesheet-driven properties onto the clone, element by element
+ * Elements with a class get every INLINED_PROPERTIES value. Text and tspan
+ * elements also get their font and fill, which they may inherit from a styled
+ * ancestor; properties they set themselves as attributes are left alone.
+ */
+function inlineComputedStyles(source, clone) {
+  const view = source.ownerDocument?.defaultView;
+  if (!view?.getComputedStyle) return;
+
+  const sourceElements = [source, ...source.querySelectorAll('*')];
+  const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+  sourceElements.forEach((element, index) => {
+    const target = cloneElements[index];
+    if (!target) return;
+
+    const hasClass = Boolean(element.getAttribute('class'));
+    const isText = element.tagName.toLowerCase() === 'text' || element.tagName.toLowerCase() === 'tspan';
+    if (!hasClass && !isText) return;
+
+    const computed = view.getComputedStyle(element);
+    const properties = hasClass
+      ? [...new Set([...INLINED_PROPERTIES, ...(isText ? TEXT_PROPERTIES : [])])]
+      : TEXT_PROPERTIES.filter(property => !element.hasAttribute(property));
+    properties.forEach(property => {
+      const value = computed.getPropertyValue(property);
+      if (value && !target.style.getPropertyValue(property)) {
+        target.style.setProperty(property, value);
+      }
+    });
+    target.removeAttribute('class');
+  });
+}
+
+/**
+ * Create a self-contained copy of the map SVG
+ * @param {SVGSVGElement} svg - Rendered map SVG (MapRenderer's svgRef)
+ * @param {Object} options
+ * @param {string} [options.scope=EXPORT_SCOPES.VIEW] - Area to export
+ * @param {Object} [options.viewBox] - Current viewBox, used for EXPORT_SCOPES.VIEW
+ * @param {string} [options.background=BACKGROUND_COLOR] - Background fill, or null for transparent
+ * @returns {SVGSVGElement} Detached clone, sized to the export area
+ */
+export function cloneMapSvg(svg, { scope = EXPORT_SCOPES.VIEW, viewBox, background = BACKGROUND_COLOR } = {}) {
+  // Inline styles while the clone still mirrors the source element by element, then drop hidden lines
+  const clone = svg.cloneNode(true);
+  inlineComputedStyles(svg, clone);
+  clone.querySelectorAll('[data-visible="false"]').forEach(node => node.remove());
+
+  const area = getExportViewBox(scope, viewBox);
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('xmlns:xlink', XLINK_NS);
+  clone.setAttribute('viewBox', `${area.x} ${area.y} ${area.width} ${area.height}`);
+  clone.setAttribute('width', String(area.width));
+  clone.setAttribute('height', String(area.height));
+  clone.removeAttribute('class');
+  clone.style.removeProperty('width');
+  clone.style.removeProperty('height');
+
+  if (background) {
+    const rect = clone.ownerDocument.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('x', String(area.x));
+    rect.setAttribute('y', String(area.y));
+    rect.setAttribute('width', String(area.width));
+    rect.setAttribute('height', String(area.height));
+    rect.setAttribute('fill', background);
+    const defs = clone.querySelector('defs');
+    clone.insertBefore(rect, defs ? defs.nextSibling : clone.firstChild);
+  }
+
+  return clone;
+}
+
+/**
+ * Font family names used by text in an SVG
+ * @param {SVGSVGElement} svg - SVG (or export clone)
+ * @returns {Set<string>} Lower-case family names without quotes
+ */
+export function getUsedFontFamilies(svg) {
+  const families = new Set();
+  svg.querySelectorAll('text, tspan').forEach(node => {
+    const value = node.style.getPropertyValue('font-family') || node.getAttribute('font-family') || '';
+    value.split(',').forEach(name => {
+      const family = name.trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+      if (family) families.add(family);
+    });
+  });
+  return families;
+}
+
+/**
+ * Read a URL into a data URL
+ */
+async function toDataUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Embed the page's @font-face rules for fonts used in the SVG
+ * Cross-origin stylesheets and unreachable font files are skipped - the
+ * export then falls back to the generic family in the font stack.
+ * @param {SVGSVGElement} clone - Export clone from cloneMapSvg
+ * @returns {Promise<number>} Number of embedded font faces
+ */
+export async function embedFonts(clone) {
+  const doc = clone.ownerDocument;
+  const families = getUsedFontFamilies(clone);
+  const faceRules = [];
+
+  Array.from(doc.styleSheets || []).forEach(sheet => {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      return; // Cross-origin stylesheet
+    }
+    Array.from(rules || []).forEach(rule => {
+      if (rule.type !== FONT_FACE_RULE) return;
+      const family = rule.style.getPropertyValue('font-family').trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+      if (families.has(family)) faceRules.push({ rule, baseUrl: sheet.href || doc.baseURI });
+    });
+  });
+
+  const embedded = await Promise.all(faceRules.map(async ({ rule, baseUrl }) => {
+    let css = rule.cssText;
+    const urls = [...css.matchAll(/url\((['"]?)([^'")]+)\1\)/g)].map(match => match[2]);
+    try {
+      for (const url of urls) {
+        if (url.startsWith('data:')) continue;
+        css = css.split(url).join(await toDataUrl(new URL(url, baseUrl).href));
+      }
+      return css;
+    } catch (error) {
+      console.warn('[Export] Could not embed font', urls, error);
+      return null;
+    }
+  }));
+
+  const cssText = embedded.filter(Boolean).join('\n');
+  if (cssText) {
+    const style = doc.createElementNS(SVG_NS, 'style');
+    style.textContent = cssText;
+    let defs = clone.querySelector('defs');
+    if (!defs) {
+      defs = doc.createElementNS(SVG_NS, 'defs');
+      clone.insertBefore(defs, clone.firstChild);
+    }
+    defs.insertBefore(style, defs.firstChild);
+  }
+  return embedded.filter(Boolean).length;
+}
+
+/**
+ * Serialize an SVG element to a standalone document string
+ * @param {SVGSVGElement} svg - SVG to serialize
+ * @returns {string} SVG markup with XML declaration
+ */
+export function serializeSvg(svg) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+}
+
+/**
+ * Export the map as a standalone SVG
+ * @param {SVGSVGElement} svg - Rendered map SVG
+ * @param {Object} options - See cloneMapSvg
+ * @returns {Promise<Blob>} image/svg+xml blob
+ */
+export async function exportMapSvg(svg, options = {}) {
+  const clone = cloneMapSvg(svg, options);
+  await embedFonts(clone);
+  return new Blob([serializeSvg(clone)], { type: 'image/svg+xml;charset=utf-8' });
+}
+
+/**
+ * Export the map as a PNG
+ * @param {SVGSVGElement} svg - Rendered map SVG
+ * @param {Object} options - See cloneMapSvg, plus:
+ * @param {number} [options.width=PNG_WIDTHS[0]] - Output width in pixels
+ * @returns {Promise<Blob>} image/png blob
+ */
+export async function exportMapPng(svg, { width = PNG_WIDTHS[0], ...options } = {}) {
+  const clone = cloneMapSvg(svg, options);
+  await embedFonts(clone);
+
+  const area = getExportViewBox(options.scope, options.viewBox);
+  const size = getRasterSize(area, width);
+  clone.setAttribute('width', String(size.width));
+  clone.setAttribute('height', String(size.height));
+
+  const url = URL.createObjectURL(new Blob([serializeSvg(clone)], { type: 'image/svg+xml;charset=utf-8' }));
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('The map SVG could not be rasterized'));
+      img.src = url;
+    });
+
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(size.width, size.height)
+      : Object.assign(document.createElement('canvas'), { width: size.width, height: size.height });
+    canvas.getContext('2d').drawImage(image, 0, 0, size.width, size.height);
+
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Offer a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
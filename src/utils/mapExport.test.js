@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for Map Export
+ * Tests export area, raster sizing, file names and the standalone SVG clone
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  getExportViewBox,
+  getRasterSize,
+  buildExportFilename,
+  cloneMapSvg,
+  getUsedFontFamilies,
+  serializeSvg,
+  EXPORT_SCOPES
+} from './mapExport';
+import { VIEWBOX } from '../constants/metroConfig';
+
+const viewBox = { x: 3400, y: 1000, width: 1600, height: 800 };
+
+// Minimal stand-in for the MapRenderer output
+const createMapSvg = () => {
+  const container = document.createElement('div');
+  container.innerHTML = `
+    <svg class="w-full h-full" viewBox="0 0 100 50">
+      <defs><filter id="glow-blue"></filter></defs>
+      <g class="metro-line" data-line="tech" data-visible="true"><path d="M 0 0 L 10 0" stroke="#22d3ee"></path></g>
+      <g class="metro-line" data-line="war" data-visible="false"><path d="M 0 5 L 10 5" stroke="#ef4444"></path></g>
+      <text class="station-label" font-family="'JetBrains Mono', monospace">Uruk</text>
+    </svg>`;
+  document.body.appendChild(container);
+  return container.querySelector('svg');
+};
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('getExportViewBox', () => {
+  it('should use the current view for the view scope', () => {
+    expect(getExportViewBox(EXPORT_SCOPES.VIEW, viewBox)).toEqual(viewBox);
+  });
+
+  it('should use the whole canvas for the full scope', () => {
+    expect(getExportViewBox(EXPORT_SCOPES.FULL, viewBox)).toEqual({
+      x: 0, y: 0, width: VIEWBOX.WIDTH, height: VIEWBOX.HEIGHT
+    });
+  });
+});
+
+describe('getRasterSize', () => {
+  it('should keep the aspect ratio', () => {
+    expect(getRasterSize(viewBox, 1920)).toEqual({ width: 1920, height: 960 });
+  });
+
+  it('should shrink oversized requests to the canvas limit', () => {
+    const size = getRasterSize({ width: 100, height: 400 }, 7680);
+    expect(size.height).toBeLessThanOrEqual(16384);
+    expect(size.width / size.height).toBeCloseTo(0.25, 2);
+  });
+});
+
+describe('buildExportFilename', () => {
+  it('should slug the dataset name and add the date and extension', () => {
+    const date = new Date('2025-01-31T12:00:00Z');
+    expect(buildExportFilename('Civilization Metro Map', 'png', date)).toBe('civilization-metro-map-2025-01-31.png');
+    expect(buildExportFilename('', 'svg', date)).toBe('map-2025-01-31.svg');
+  });
+});
+
+describe('cloneMapSvg', () => {
+  it('should remove hidden lines and keep defs', () => {
+    const clone = cloneMapSvg(createMapSvg(), { viewBox });
+
+    expect(clone.querySelector('[data-line="war"]')).toBeNull();
+    expect(clone.querySelector('[data-line="tech"]')).not.toBeNull();
+    expect(clone.querySelector('defs filter#glow-blue')).not.toBeNull();
+  });
+
+  it('should size the clone to the current view', () => {
+    const clone = cloneMapSvg(createMapSvg(), { viewBox });
+
+    expect(clone.getAttribute('viewBox')).toBe('3400 1000 1600 800');
+    expect(clone.getAttribute('width')).toBe('1600');
+    expect(clone.getAttribute('xmlns')).toBe('http://www.w3.org/2000/svg');
+  });
+
+  it('should size the clone to the full canvas', () => {
+    const clone = cloneMapSvg(createMapSvg(), { scope: EXPORT_SCOPES.FULL, viewBox });
+    expect(clone.getAttribute('viewBox')).toBe(`0 0 ${VIEWBOX.WIDTH} ${VIEWBOX.HEIGHT}`);
+  });
+
+  it('should paint a background behind the map', () => {
+    const clone = cloneMapSvg(createMapSvg(), { viewBox });
+    const rect = clone.querySelector('defs + rect');
+
+    expect(rect.getAttribute('fill')).toBe('#0a0a0a');
+    expect(rect.getAttribute('x')).toBe('3400');
+    expect(cloneMapSvg(createMapSvg(), { viewBox, background: null }).querySelector('rect')).toBeNull();
+  });
+
+  it('should strip stylesheet classes', () => {
+    const clone = cloneMapSvg(createMapSvg(), { viewBox });
+    expect(clone.querySelector('[class]')).toBeNull();
+  });
+
+  it('should inline the font of unclassed text that inherits it from a styled group', () => {
+    const style = document.createElement('style');
+    style.textContent = '[data-layer="axis"] { font-family: Cinzel, serif; font-size: 30px; font-weight: 700; }';
+    document.body.appendChild(style);
+    const svg = createMapSvg();
+    svg.insertAdjacentHTML('beforeend', '<g data-layer="axis"><text>500 BCE<tspan>circa</tspan></text></g>');
+
+    const clone = cloneMapSvg(svg, { viewBox });
+    const text = clone.querySelector('[data-layer="axis"] text');
+    expect(text.style.getPropertyValue('font-family')).toBe('Cinzel, serif');
+    expect(text.style.getPropertyValue('font-size')).toBe('30px');
+    expect(text.style.getPropertyValue('font-weight')).toBe('700');
+    expect(text.querySelector('tspan').style.getPropertyValue('font-family')).toBe('Cinzel, serif');
+    expect(getUsedFontFamilies(clone)).toContain('cinzel');
+  });
+
+  it('should leave the live SVG untouched', () => {
+    const svg = createMapSvg();
+    cloneMapSvg(svg, { viewBox });
+
+    expect(svg.querySelector('[data-line="war"]')).not.toBeNull();
+    expect(svg.getAttribute('viewBox')).toBe('0 0 100 50');
+  });
+});
+
+describe('getUsedFontFamilies', () => {
+  it('should collect unquoted lower-case families from text', () => {
+    const families = getUsedFontFamilies(createMapSvg());
+    expect([...families]).toEqual(['jetbrains mono', 'monospace']);
+  });
+});
+
+describe('serializeSvg', () => {
+  it('should produce a standalone SVG document', () => {
+    const markup = serializeSvg(cloneMapSvg(createMapSvg(), { viewBox }));
+
+    expect(markup.startsWith('<?xml')).toBe(true);
+    expect(markup).toContain('<svg');
+    expect(markup).toContain('Uruk');
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Narrator
+ * Reads stations aloud during journeys through the Web Speech API
+ *
+ * A station is narrated as a few segments (its name, then the visual, atmosphere
+ * and insight texts), one utterance each, so subtitles can follow along.
+ * createNarrator takes the speech engine as an argument so tests can pass a fake
+ * instead of window.speechSynthesis.
+ */
+
+/**
+ * Station fields that are read aloud, in order, with their subtitle labels
+ */
+export const NARRATION_FIELDS = [
+  { field: 'visual', label: "What you're seeing" },
+  { field: 'atmosphere', label: 'The experience' },
+  { field: 'insight', label: 'Key insight' }
+];
+
+/**
+ * Speech rate limits and default (1 is the voice's normal speed)
+ */
+export const NARRATION_RATE = {
+  MIN: 0.5,
+  MAX: 2,
+  STEP: 0.1,
+  DEFAULT: 1
+};
+
+/**
+ * Narration settings used until the visitor changes them
+ */
+export const DEFAULT_NARRATOR_SETTINGS = {
+  enabled: false,
+  voiceURI: null,
+  rate: NARRATION_RATE.DEFAULT,
+  subtitles: true
+};
+
+/**
+ * Pause after a station's narration before an autoplaying tour moves on
+ */
+export const NARRATION_GAP_MS = 1500;
+
+// Rough speaking speed at rate 1, used to notice utterances whose end event never fires
+const CHARS_PER_SECOND = 14;
+
+/**
+ * Clamp a speech rate to the supported range
+ * @param {number} rate - Requested rate
+ * @returns {number} Rate within NARRATION_RATE.MIN..MAX (the default if not a number)
+ */
+export function clampRate(rate) {
+  if (typeof rate !== 'number' || !Number.isFinite(rate)) return NARRATION_RATE.DEFAULT;
+  return Math.min(NARRATION_RATE.MAX, Math.max(NARRATION_RATE.MIN, rate));
+}
+
+/**
+ * Estimate how long a text takes to speak
+ * @param {string} text - Text
+ * @param {number} [rate=NARRATION_RATE.DEFAULT] - Speech rate
+ * @returns {number} Milliseconds
+ */
+export function estimateSpeechMs(text, rate = NARRATION_RATE.DEFAULT) {
+  return Math.round((text.length / (CHARS_PER_SECOND * clampRate(rate))) * 1000);
+}
+
+/**
+ * Split a station into the segments read aloud
+ * @param {Object|null} station - Station
+ * @returns {Array<{field: string, label: string, text: string}>} Segments (empty fields are skipped)
+ */
+export function getNarrationSegments(station) {
+  if (!station) return [];
+  const title = station.yearLabel ? `${station.name}, ${station.yearLabel}.` : `${station.name}.`;
+  const segments = [{ field: 'name', label: station.name, text: title }];
+  NARRATION_FIELDS.forEach(({ field, label }) => {
+    const text = typeof station[field] === 'string' ? station[field].trim() : '';
+    if (text) segments.push({ field, label, text });
+  });
+  return segments;
+}
+
+const getDefaultEngine = () => ({
+  synth: typeof window !== 'undefined' ? window.speechSynthesis : undefined,
+  Utterance: typeof window !== 'undefined' ? window.SpeechSynthesisUtterance : undefined
+});
+
+/**
+ * Create a narrator on top of a speech engine
+ * Only one narration plays at a time: speaking again, or cancel(), ends the current one.
+ * @param {Object} [engine] - Defaults to the browser's speechSynthesis
+ * @param {Object} [engine.synth] - Object with the SpeechSynthesis interface
+ * @param {Function} [engine.Utterance] - SpeechSynthesisUtterance constructor
+ * @returns {Object} Narrator: isSupported, getVoices, onVoicesChanged, speak, pause, resume, cancel
+ */
+export function createNarrator({ synth, Utterance } = getDefaultEngine()) {
+  const isSupported = Boolean(synth && Utterance);
+  // Each narration gets a token; callbacks from an older narration are ignored
+  let token = 0;
+  let current = null;
+
+  const finish = (completed) => {
+    if (!current) return;
+    clearTimeout(current.watchdog);
+    const { resolve } = current;
+    current = null;
+    resolve(completed);
+  };
+
+  const armWatchdog = () => {
+    clearTimeout(current.watchdog);
+    const { text, rate, advance } = current;
+    // Some engines drop the end event; give up on the utterance well after it should have ended
+    current.watchdog = setTimeout(advance, estimateSpeechMs(text, rate) * 2 + 3000);
+  };
+
+  /**
+   * Voices the engine offers
+   * @returns {Array<{voiceURI: string, name: string, lang: string, default: boolean}>} Voices
+   */
+  const getVoices = () => (
+    isSupported
+      ? synth.getVoices().map(({ voiceURI, name, lang, default: isDefault }) => ({ voiceURI, name, lang, default: Boolean(isDefault) }))
+      : []
+  );
+
+  /**
+   * Listen for the voice list loading or changing (browsers load voices asynchronously)
+   * @param {Function} listener - Called without arguments
+   * @returns {Function} Unsubscribe function
+   */
+  const onVoicesChanged = (listener) => {
+    if (!isSupported || !synth.addEventListener) return () => {};
+    synth.addEventListener('voiceschanged', listener);
+    return () => synth.removeEventListener('voiceschanged', listener);
+  };
+
+  const cancel = () => {
+    token++;
+    if (!isSupported) return;
+    finish(false);
+    synth.cancel();
+  };
+
+  /**
+   * Speak segments one after another
+   * @param {Array<{text: string}>} segments - Segments (see getNarrationSegments)
+   * @param {Object} [options]
+   * @param {string|null} [options.voiceURI] - Voice to use (the engine default if missing)
+   * @param {number} [options.rate] - Speech rate
+   * @param {Function} [options.onSegment] - Called with (segment, index) as each segment starts
+   * @returns {Promise<boolean>} Resolves true when every segment was spoken, false if cancelled or unsupported
+   */
+  const speak = (segments, { voiceURI = null, rate = NARRATION_RATE.DEFAULT, onSegment } = {}) => {
+    cancel();
+    if (!isSupported || segments.length === 0) return Promise.resolve(false);
+
+    const narrationToken = ++token;
+    const voice = voiceURI ? synth.getVoices().find(v => v.voiceURI === voiceURI) : null;
+
+    return new Promise(resolve => {
+      current = { resolve, watchdog: null, text: '', rate, advance: null };
+
+      const speakSegment = (index) => {
+        if (narrationToken !== token) return;
+        if (index >= segments.length) {
+          finish(true);
+          return;
+        }
+
+        const segment = segments[index];
+        const utterance = new Utterance(segment.text);
+        utterance.rate = clampRate(rate);
+        if (voice) utterance.voice = voice;
+
+        let ended = false;
+        const advance = () => {
+          if (ended || narrationToken !== token) return;
+          ended = true;
+          speakSegment(index + 1);
+        };
+        utterance.onend = advance;
+        // Failed utterances are skipped; cancel() ends the narration through the token instead
+        utterance.onerror = advance;
+
+        current.text = segment.text;
+        current.advance = advance;
+        armWatchdog();
+        onSegment?.(segment, index);
+        synth.speak(utterance);
+      };
+
+      speakSegment(0);
+    });
+  };
+
+  const pause = () => {
+    if (!current) return;
+    clearTimeout(current.watchdog);
+    synth.pause();
+  };
+
+  const resume = () => {
+    if (!current) return;
+    synth.resume();
+    armWatchdog();
+  };
+
+  return { isSupported, getVoices, onVoicesChanged, speak, pause, resume, cancel };
+}
@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for the Narrator
+ * Tests narration segments and the speech wrapper against a fake speech engine
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  NARRATION_RATE,
+  clampRate,
+  estimateSpeechMs,
+  getNarrationSegments,
+  createNarrator
+} from './narrator';
+
+const station = {
+  name: 'Rome',
+  yearLabel: '27 BC',
+  visual: 'The Red Line thickens.',
+  atmosphere: '  Marble and dust.  ',
+  insight: ''
+};
+
+/**
+ * Fake speechSynthesis: utterances wait in `spoken` until the test ends them
+ */
+function createFakeEngine(voices = []) {
+  class Utterance {
+    constructor(text) {
+      this.text = text;
+    }
+  }
+  const synth = {
+    spoken: [],
+    getVoices: () => voices,
+    speak: vi.fn(utterance => synth.spoken.push(utterance)),
+    cancel: vi.fn(),
+    pause: vi.fn(),
+    resume: vi.fn(),
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn()
+  };
+  const endLatest = () => synth.spoken[synth.spoken.length - 1].onend();
+  return { engine: { synth, Utterance }, synth, endLatest };
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('narration helpers', () => {
+  it('should read the name and the non-empty texts in order', () => {
+    expect(getNarrationSegments(station)).toEqual([
+      { field: 'name', label: 'Rome', text: 'Rome, 27 BC.' },
+      { field: 'visual', label: "What you're seeing", text: 'The Red Line thickens.' },
+      { field: 'atmosphere', label: 'The experience', text: 'Marble and dust.' }
+    ]);
+    expect(getNarrationSegments(null)).toEqual([]);
+  });
+
+  it('should clamp rates and scale speech estimates with them', () => {
+    expect(clampRate(5)).toBe(NARRATION_RATE.MAX);
+    expect(clampRate('fast')).toBe(NARRATION_RATE.DEFAULT);
+    expect(estimateSpeechMs('x'.repeat(28))).toBe(2000);
+    expect(estimateSpeechMs('x'.repeat(28), 2)).toBe(1000);
+  });
+});
+
+describe('createNarrator', () => {
+  it('should speak segments one after another and resolve when done', async () => {
+    const { engine, synth, endLatest } = createFakeEngine();
+    const onSegment = vi.fn();
+    const narrator = createNarrator(engine);
+
+    const done = narrator.speak(getNarrationSegments(station), { rate: 1.5, onSegment });
+    expect(synth.spoken.map(u => u.text)).toEqual(['Rome, 27 BC.']);
+    expect(synth.spoken[0].rate).toBe(1.5);
+
+    endLatest();
+    endLatest();
+    endLatest();
+    await expect(done).resolves.toBe(true);
+    expect(synth.spoken).toHaveLength(3);
+    expect(onSegment.mock.calls.map(([segment, index]) => `${index}:${segment.field}`))
+      .toEqual(['0:name', '1:visual', '2:atmosphere']);
+  });
+
+  it('should use the chosen voice', () => {
+    const voices = [{ voiceURI: 'en-GB', name: 'Daniel', lang: 'en-GB', default: false }];
+    const { engine, synth } = createFakeEngine(voices);
+    const narrator = createNarrator(engine);
+
+    expect(narrator.getVoices()).toEqual(voices);
+    narrator.speak([{ text: 'Hello' }], { voiceURI: 'en-GB' });
+    expect(synth.spoken[0].voice).toBe(voices[0]);
+  });
+
+  it('should end the current narration when speaking again or cancelling', async () => {
+    const { engine, synth } = createFakeEngine();
+    const narrator = createNarrator(engine);
+
+    const first = narrator.speak([{ text: 'One' }, { text: 'Two' }]);
+    const second = narrator.speak([{ text: 'Three' }]);
+    await expect(first).resolves.toBe(false);
+
+    // A late end event from the first narration must not advance anything
+    synth.spoken[0].onend();
+    expect(synth.spoken.map(u => u.text)).toEqual(['One', 'Three']);
+
+    narrator.cancel();
+    await expect(second).resolves.toBe(false);
+    expect(synth.cancel).toHaveBeenCalled();
+  });
+
+  it('should move on when an utterance never reports its end', async () => {
+    vi.useFakeTimers();
+    const { engine, synth } = createFakeEngine();
+    const narrator = createNarrator(engine);
+
+    const done = narrator.speak([{ text: 'Lost' }]);
+    narrator.pause();
+    vi.advanceTimersByTime(60000);
+    expect(synth.pause).toHaveBeenCalled();
+
+    narrator.resume();
+    vi.advanceTimersByTime(estimateSpeechMs('Lost') * 2 + 3000);
+    await expect(done).resolves.toBe(true);
+  });
+
+  it('should do nothing without speech support', async () => {
+    const narrator = createNarrator({});
+    expect(narrator.isSupported).toBe(false);
+    expect(narrator.getVoices()).toEqual([]);
+    await expect(narrator.speak([{ text: 'Hello' }])).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Navigation History
+ * Bounded back/forward stacks of the places a visitor has looked at
+ *
+ * An entry is a snapshot of the navigation part of the map state: the view,
+ * the selected station, the era filter and the journey position. Steps such as
+ * selecting a station record the state they leave. Continuous changes (pans,
+ * wheel zooms) are coalesced: a burst of them records one entry, the state from
+ * before the burst, until the burst pauses for COALESCE_MS or a step intervenes.
+ *
+ * All helpers are pure so the history can live in the map reducer.
+ */
+
+/**
+ * Most entries kept on each stack; the oldest are dropped first
+ */
+export const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * Continuous changes closer together than this belong to the same burst (ms)
+ */
+export const COALESCE_MS = 1000;
+
+/**
+ * Empty history
+ * @returns {{past: Array, future: Array, burstAt: number|null}} History (burstAt: time of the
+ *   last change of an open burst of continuous changes)
+ */
+export function createHistory() {
+  return { past: [], future: [], burstAt: null };
+}
+
+/**
+ * Snapshot the navigation part of a map state
+ * @param {Object} state - Map state
+ * @returns {Object} Entry
+ */
+export function captureNavigation(state) {
+  return {
+    viewBox: state.viewBox,
+    selectedStation: state.selectedStation,
+    focusedEra: state.focusedEra,
+    journeyMode: state.journeyMode,
+    journeyIndex: state.journeyIndex,
+    activeTourId: state.activeTourId
+  };
+}
+
+const sameViewBox = (a, b) => (
+  a === b || (a && b && a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height)
+);
+
+const sameEra = (a, b) => (a === b || (a && b && a[0] === b[0] && a[1] === b[1]));
+
+/**
+ * Whether two entries show the same thing
+ * @param {Object} a - Entry
+ * @param {Object} b - Entry
+ * @returns {boolean} True when view, selection, era and journey position all match
+ */
+export function isSameNavigation(a, b) {
+  return Boolean(
+    sameViewBox(a.viewBox, b.viewBox) &&
+    (a.selectedStation?.id ?? null) === (b.selectedStation?.id ?? null) &&
+    sameEra(a.focusedEra, b.focusedEra) &&
+    a.journeyMode === b.journeyMode &&
+    a.journeyIndex === b.journeyIndex &&
+    a.activeTourId === b.activeTourId
+  );
+}
+
+/**
+ * Record the state a change is leaving
+ * @param {Object} history - History
+ * @param {Object} entry - Snapshot from before the change
+ * @param {Object} [options]
+ * @param {boolean} [options.continuous=false] - The change is a pan or zoom that may be coalesced
+ * @param {number} [options.at=0] - Time of the change (ms), used to tell bursts apart
+ * @param {number} [options.limit=MAX_HISTORY_ENTRIES] - Most entries to keep
+ * @returns {Object} New history (the same history when the change joins an open burst)
+ */
+export function recordNavigation(history, entry, { continuous = false, at = 0, limit = MAX_HISTORY_ENTRIES } = {}) {
+  if (continuous && history.burstAt !== null && at - history.burstAt <= COALESCE_MS) {
+    return at === history.burstAt ? history : { ...history, burstAt: at };
+  }
+  return {
+    past: [...history.past, entry].slice(-limit),
+    future: [],
+    burstAt: continuous ? at : null
+  };
+}
+
+/**
+ * Close any open burst, so the next continuous change records a new entry (e.g. a new drag)
+ * @param {Object} history - History
+ * @returns {Object} History
+ */
+export function endBurst(history) {
+  return history.burstAt === null ? history : { ...history, burstAt: null };
+}
+
+/**
+ * Go back one entry
+ * @param {Object} history - History
+ * @param {Object} current - Snapshot of the current state (becomes the first forward entry)
+ * @returns {{history: Object, entry: Object}|null} New history and the entry to show, or null at the start
+ */
+export function stepBack(history, current) {
+  if (history.past.length === 0) return null;
+  return {
+    entry: history.past[history.past.length - 1],
+    history: {
+      past: history.past.slice(0, -1),
+      future: [current, ...history.future].slice(0, MAX_HISTORY_ENTRIES),
+      burstAt: null
+    }
+  };
+}
+
+/**
+ * Go forward one entry
+ * @param {Object} history - History
+ * @param {Object} current - Snapshot of the current state (becomes the last back entry)
+ * @returns {{history: Object, entry: Object}|null} New history and the entry to show, or null at the end
+ */
+export function stepForward(history, current) {
+  if (history.future.length === 0) return null;
+  return {
+    entry: history.future[0],
+    history: {
+      past: [...history.past, current].slice(-MAX_HISTORY_ENTRIES),
+      future: history.future.slice(1),
+      burstAt: null
+    }
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for Navigation History
+ * Tests snapshots, coalescing of continuous changes, the size limit and back/forward
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  COALESCE_MS,
+  createHistory,
+  captureNavigation,
+  isSameNavigation,
+  recordNavigation,
+  endBurst,
+  stepBack,
+  stepForward
+} from './navigationHistory';
+
+const rome = { id: 'rome', name: 'Rome' };
+const han = { id: 'han', name: 'Han' };
+
+const view = (x) => ({ x, y: 0, width: 1000, height: 500 });
+const entry = (x, selectedStation = null) => captureNavigation({
+  viewBox: view(x),
+  selectedStation,
+  focusedEra: null,
+  journeyMode: false,
+  journeyIndex: 0,
+  activeTourId: 'key-moments',
+  searchQuery: 'ignored'
+});
+
+describe('snapshots', () => {
+  it('should only capture navigation state', () => {
+    expect(Object.keys(entry(0))).toEqual(['viewBox', 'selectedStation', 'focusedEra', 'journeyMode', 'journeyIndex', 'activeTourId']);
+  });
+
+  it('should compare views by value and stations by id', () => {
+    expect(isSameNavigation(entry(0, rome), entry(0, { ...rome }))).toBe(true);
+    expect(isSameNavigation(entry(0, rome), entry(0, han))).toBe(false);
+    expect(isSameNavigation(entry(0), entry(10))).toBe(false);
+    expect(isSameNavigation({ ...entry(0), focusedEra: [0, 100] }, { ...entry(0), focusedEra: [0, 100] })).toBe(true);
+  });
+});
+
+describe('recordNavigation', () => {
+  it('should record steps and clear the forward stack', () => {
+    let history = recordNavigation(createHistory(), entry(0));
+    history = { ...history, future: [entry(5)] };
+    history = recordNavigation(history, entry(1, rome));
+    expect(history.past).toEqual([entry(0), entry(1, rome)]);
+    expect(history.future).toEqual([]);
+  });
+
+  it('should coalesce a burst of continuous changes into one entry', () => {
+    let history = createHistory();
+    history = recordNavigation(history, entry(0), { continuous: true, at: 1000 });
+    history = recordNavigation(history, entry(10), { continuous: true, at: 1200 });
+    history = recordNavigation(history, entry(20), { continuous: true, at: 1200 + COALESCE_MS });
+    expect(history.past).toEqual([entry(0)]);
+
+    // A pause starts a new burst
+    history = recordNavigation(history, entry(30), { continuous: true, at: 5000 });
+    expect(history.past).toEqual([entry(0), entry(30)]);
+
+    // So does a new drag
+    history = recordNavigation(endBurst(history), entry(40), { continuous: true, at: 5100 });
+    expect(history.past).toHaveLength(3);
+  });
+
+  it('should end a burst at the next step', () => {
+    let history = recordNavigation(createHistory(), entry(0), { continuous: true, at: 0 });
+    history = recordNavigation(history, entry(10, rome), { at: 10 });
+    history = recordNavigation(history, entry(20, rome), { continuous: true, at: 20 });
+    expect(history.past).toEqual([entry(0), entry(10, rome), entry(20, rome)]);
+  });
+
+  it('should drop the oldest entries past the limit', () => {
+    let history = createHistory();
+    for (let x = 0; x < 5; x++) {
+      history = recordNavigation(history, entry(x), { limit: 3 });
+    }
+    expect(history.past.map(e => e.viewBox.x)).toEqual([2, 3, 4]);
+  });
+});
+
+describe('stepBack / stepForward', () => {
+  it('should move entries between the stacks', () => {
+    const history = recordNavigation(recordNavigation(createHistory(), entry(0)), entry(1, rome));
+
+    const back = stepBack(history, entry(2, han));
+    expect(back.entry).toEqual(entry(1, rome));
+    expect(back.history.past).toEqual([entry(0)]);
+    expect(back.history.future).toEqual([entry(2, han)]);
+
+    const forward = stepForward(back.history, entry(1, rome));
+    expect(forward.entry).toEqual(entry(2, han));
+    expect(forward.history.past).toEqual([entry(0), entry(1, rome)]);
+    expect(forward.history.future).toEqual([]);
+  });
+
+  it('should return null at either end', () => {
+    expect(stepBack(createHistory(), entry(0))).toBeNull();
+    expect(stepForward(createHistory(), entry(0))).toBeNull();
+  });
+});
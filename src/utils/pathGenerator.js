@@ -10,7 +10,7 @@
  * with smooth curves only where necessary.
  */
 
-import { CONVERGENCE_OFFSETS, LINE_Y_POSITIONS, CONVERGENCE } from '../constants/metroConfig';
+import { LINES, CONVERGENCE } from '../constants/metroConfig';
 
 /**
  * Generate smooth path with horizontal tangents
@@ -39,7 +39,7 @@ export function generateSmoothPath(points) {
 }
 
 /**
- * Generate braided path for Population line
+ * Generate braided path (used by lines with style 'braided', e.g. Population)
  */
 export function generateBraidedPath(points) {
   const main = generateSmoothPath(points);
@@ -55,14 +55,20 @@ export function generateBraidedPath(points) {
  * The station's X position comes from the data, but Y is the LINE's corridor Y.
  * 
  * This creates continuous horizontal lines with stations as stops along the way.
+ *
+ * @param {Function} yearToX - Year to X coordinate mapping
+ * @param {number} viewboxHeight - Height of the viewbox
+ * @param {Array} stations - Processed stations
+ * @param {Object} [lines=LINES] - Line configuration; one path is generated per line
+ * @returns {Object} Paths keyed by line id (braided lines return { main, braid1, braid2 }),
+ *   plus a `connections` map (so no line may take that id, see RESERVED_LINE_IDS)
  */
-export function generateMetroPaths(yearToX, viewboxHeight, stations) {
-  const CONVERGENCE_X = yearToX(2025);
+export function generateMetroPaths(yearToX, viewboxHeight, stations, lines = LINES) {
+  const CONVERGENCE_X = yearToX(CONVERGENCE.year);
   const CONVERGENCE_Y = CONVERGENCE.yPosition * viewboxHeight;
 
-  const buildPath = (lineKey) => {
-    const lineName = lineKey.charAt(0).toUpperCase() + lineKey.slice(1);
-    const corridorY = (LINE_Y_POSITIONS[lineName] || 0.5) * viewboxHeight;
+  const buildPath = (lineName, config) => {
+    const corridorY = (config.yPosition ?? 0.5) * viewboxHeight;
     
     // Get stations for this line, sorted by X
     const lineStations = stations
@@ -84,7 +90,7 @@ export function generateMetroPaths(yearToX, viewboxHeight, stations) {
     }
 
     // END: Curve to convergence point
-    const finalY = CONVERGENCE_Y + (CONVERGENCE_OFFSETS[lineKey] || 0);
+    const finalY = CONVERGENCE_Y + (config.convergenceOffset || 0);
     
     const lastX = lineStations.length > 0 
       ? lineStations[lineStations.length - 1].coords.x 
@@ -100,25 +106,21 @@ export function generateMetroPaths(yearToX, viewboxHeight, stations) {
     return points;
   };
 
-  return {
-    blue: generateSmoothPath(buildPath('tech')),
-    red: generateSmoothPath(buildPath('war')),
-    green: generateBraidedPath(buildPath('population')),
-    orange: generateSmoothPath(buildPath('philosophy')),
-    purple: generateSmoothPath(buildPath('empire')),
-    tech: generateSmoothPath(buildPath('tech')),
-    war: generateSmoothPath(buildPath('war')),
-    population: generateBraidedPath(buildPath('population')),
-    philosophy: generateSmoothPath(buildPath('philosophy')),
-    empire: generateSmoothPath(buildPath('empire')),
-    connections: {}
-  };
+  const paths = { connections: {} };
+  Object.entries(lines).forEach(([lineName, config]) => {
+    const points = buildPath(lineName, config);
+    paths[config.id] = config.style === 'braided'
+      ? generateBraidedPath(points)
+      : generateSmoothPath(points);
+  });
+
+  return paths;
 }
 
 /**
  * Get station Y position for a specific line
  * Used by station rendering to position stations on each line they belong to
  */
-export function getStationYForLine(lineName, viewboxHeight) {
-  return (LINE_Y_POSITIONS[lineName] || 0.5) * viewboxHeight;
+export function getStationYForLine(lineName, viewboxHeight, lines = LINES) {
+  return (lines[lineName]?.yPosition ?? 0.5) * viewboxHeight;
 }
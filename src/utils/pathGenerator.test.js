@@ -10,7 +10,7 @@ import {
   generateMetroPaths,
   getStationYForLine
 } from './pathGenerator';
-import { LINE_Y_POSITIONS, VIEWBOX, CONVERGENCE_OFFSETS } from '../constants/metroConfig';
+import { LINE_Y_POSITIONS, VIEWBOX, CONVERGENCE_OFFSETS, CONVERGENCE } from '../constants/metroConfig';
 
 describe('generateSmoothPath - SVG Path String Generation', () => {
   describe('edge cases', () => {
@@ -243,14 +243,38 @@ describe('generateMetroPaths - Full Metro Map Path Generation', () => {
     expect(paths.population).toHaveProperty('braid2');
   });
 
-  it('should include blue/red/green/etc aliases for backwards compatibility', () => {
+  it('should key paths by line id only (no color aliases)', () => {
     const paths = generateMetroPaths(mockYearToX, viewboxHeight, mockStations);
     
-    expect(paths.blue).toBe(paths.tech);
-    expect(paths.red).toBe(paths.war);
-    expect(paths.green).toEqual(paths.population);
-    expect(paths.orange).toBe(paths.philosophy);
-    expect(paths.purple).toBe(paths.empire);
+    expect(Object.keys(paths).sort()).toEqual(
+      ['connections', 'empire', 'philosophy', 'population', 'tech', 'war']
+    );
+  });
+
+  it('should generate paths for custom line configurations', () => {
+    const lines = {
+      Trade: { id: 'trade', yPosition: 0.3, convergenceOffset: 0, style: 'solid' },
+      Faith: { id: 'faith', yPosition: 0.7, convergenceOffset: 30, style: 'braided' }
+    };
+    const stations = [
+      { id: 'silk-road', lines: ['Trade'], coords: { x: 1000, y: 0 } },
+      { id: 'council', lines: ['Faith', 'Trade'], coords: { x: 2000, y: 0 } }
+    ];
+    const paths = generateMetroPaths(mockYearToX, viewboxHeight, stations, lines);
+    
+    expect(Object.keys(paths).sort()).toEqual(['connections', 'faith', 'trade']);
+    expect(paths.trade).toMatch(new RegExp(`^M 0 ${0.3 * viewboxHeight} L 1000`));
+    expect(paths.faith.main).toMatch(new RegExp(`^M 0 ${0.7 * viewboxHeight} L 2000`));
+  });
+
+  it('should end each line at its configured convergence offset', () => {
+    const lines = {
+      Trade: { id: 'trade', yPosition: 0.3, convergenceOffset: 45 }
+    };
+    const paths = generateMetroPaths(mockYearToX, viewboxHeight, [], lines);
+    const finalY = CONVERGENCE.yPosition * viewboxHeight + 45;
+    
+    expect(paths.trade).toMatch(new RegExp(`${finalY}$`));
   });
 
   it('should start all paths from left edge (x=0)', () => {
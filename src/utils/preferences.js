@@ -0,0 +1,181 @@
+/**
+ * Saved Preferences
+ * Keeps display preferences and the last view in localStorage across reloads
+ *
+ * Stored as { version, preferences, view }. Data from an older version is upgraded
+ * step by step through PREFERENCE_MIGRATIONS; data that cannot be read or upgraded
+ * (corrupt JSON, a newer version, a missing migration) falls back to the defaults
+ * instead of breaking the map. Every value is validated on the way in.
+ */
+
+import { TIME_SCALES } from './coordinates';
+import { DEFAULT_NARRATOR_SETTINGS, clampRate } from './narrator';
+import { RENDERERS } from './canvasMap';
+
+/**
+ * localStorage key for the saved preferences
+ */
+export const PREFERENCES_STORAGE_KEY = 'civmap:preferences';
+
+/**
+ * Version written with the saved preferences
+ */
+export const PREFERENCES_VERSION = 1;
+
+/**
+ * Upgrades from one stored version to the next, keyed by the version they upgrade from.
+ * Each receives the stored object and returns it in the next version's shape.
+ */
+export const PREFERENCE_MIGRATIONS = {};
+
+/**
+ * Preferences used when nothing is saved
+ * visibleLines maps line ids to visibility; lines missing from it (e.g. new in a dataset) stay visible.
+ */
+export const DEFAULT_PREFERENCES = {
+  visibleLines: {},
+  showMinimap: true,
+  showAllLabels: false,
+  showUI: true,
+  skipWelcome: false,
+  timeScaleMode: TIME_SCALES.PIECEWISE,
+  renderer: RENDERERS.AUTO,
+  narrator: DEFAULT_NARRATOR_SETTINGS
+};
+
+/**
+ * localStorage, or null where it is unavailable (server rendering, blocked storage)
+ * @returns {Storage|null} Storage
+ */
+export function getPreferenceStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (err) {
+    // Some browsers throw on access when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Upgrade stored data to the current version
+ * @param {Object} data - Parsed stored data
+ * @param {Object} [options]
+ * @param {number} [options.version=PREFERENCES_VERSION] - Version to upgrade to
+ * @param {Object} [options.migrations=PREFERENCE_MIGRATIONS] - Upgrades keyed by source version
+ * @returns {Object|null} Data in the current version, or null if it cannot be upgraded
+ */
+export function migratePreferences(data, { version = PREFERENCES_VERSION, migrations = PREFERENCE_MIGRATIONS } = {}) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) return null;
+  // Written by a newer version of the app
+  if (data.version > version) return null;
+
+  let current = data;
+  while (current.version < version) {
+    const migrate = migrations[current.version];
+    if (!migrate) return null;
+    current = { ...migrate(current), version: current.version + 1 };
+  }
+  return current;
+}
+
+const pickBoolean = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+/**
+ * Validate saved preferences, replacing anything invalid with its default
+ * @param {Object} [raw] - Stored preferences
+ * @returns {Object} Preferences with every DEFAULT_PREFERENCES field
+ */
+export function sanitizePreferences(raw = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const visibleLines = source.visibleLines && typeof source.visibleLines === 'object'
+    ? Object.fromEntries(Object.entries(source.visibleLines).filter(([, visible]) => typeof visible === 'boolean'))
+    : {};
+  const narrator = source.narrator && typeof source.narrator === 'object' ? source.narrator : {};
+
+  return {
+    visibleLines,
+    showMinimap: pickBoolean(source.showMinimap, DEFAULT_PREFERENCES.showMinimap),
+    showAllLabels: pickBoolean(source.showAllLabels, DEFAULT_PREFERENCES.showAllLabels),
+    showUI: pickBoolean(source.showUI, DEFAULT_PREFERENCES.showUI),
+    skipWelcome: pickBoolean(source.skipWelcome, DEFAULT_PREFERENCES.skipWelcome),
+    timeScaleMode: Object.values(TIME_SCALES).includes(source.timeScaleMode)
+      ? source.timeScaleMode
+      : DEFAULT_PREFERENCES.timeScaleMode,
+    renderer: Object.values(RENDERERS).includes(source.renderer) ? source.renderer : DEFAULT_PREFERENCES.renderer,
+    narrator: {
+      enabled: pickBoolean(narrator.enabled, DEFAULT_NARRATOR_SETTINGS.enabled),
+      voiceURI: typeof narrator.voiceURI === 'string' ? narrator.voiceURI : null,
+      rate: clampRate(narrator.rate),
+      subtitles: pickBoolean(narrator.subtitles, DEFAULT_NARRATOR_SETTINGS.subtitles)
+    }
+  };
+}
+
+/**
+ * Validate a saved viewBox
+ * @param {Object} [viewBox] - Stored viewBox
+ * @returns {Object|null} The viewBox, or null if any side is not a usable number
+ */
+export function sanitizeViewBox(viewBox) {
+  if (!viewBox || typeof viewBox !== 'object') return null;
+  const { x, y, width, height } = viewBox;
+  const isValid = [x, y, width, height].every(Number.isFinite) && width > 0 && height > 0;
+  return isValid ? { x, y, width, height } : null;
+}
+
+/**
+ * Read saved preferences
+ * @param {Storage|null} [storage=getPreferenceStorage()] - Storage to read
+ * @returns {{preferences: Object, view: {viewBox: Object}|null}} Preferences (defaults if nothing
+ *   usable is saved) and the last view
+ */
+export function loadPreferences(storage = getPreferenceStorage()) {
+  const defaults = { preferences: sanitizePreferences(), view: null };
+  try {
+    const text = storage?.getItem(PREFERENCES_STORAGE_KEY);
+    if (!text) return defaults;
+
+    const data = migratePreferences(JSON.parse(text));
+    if (!data) return defaults;
+
+    const viewBox = sanitizeViewBox(data.view?.viewBox);
+    return {
+      preferences: sanitizePreferences(data.preferences),
+      view: viewBox ? { viewBox } : null
+    };
+  } catch (err) {
+    console.warn('[Preferences] Ignoring unreadable saved preferences:', err);
+    return defaults;
+  }
+}
+
+/**
+ * Save preferences and the current view
+ * @param {Storage|null} storage - Storage to write
+ * @param {Object} data
+ * @param {Object} data.preferences - Preferences (see DEFAULT_PREFERENCES)
+ * @param {Object} [data.view] - Last view ({viewBox})
+ * @returns {boolean} Whether the data was written (false without storage or when it is full)
+ */
+export function savePreferences(storage, { preferences, view = null }) {
+  if (!storage) return false;
+  try {
+    storage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify({ version: PREFERENCES_VERSION, preferences, view }));
+    return true;
+  } catch (err) {
+    console.warn('[Preferences] Could not save preferences:', err);
+    return false;
+  }
+}
+
+/**
+ * Forget saved preferences
+ * @param {Storage|null} [storage=getPreferenceStorage()] - Storage to clear
+ */
+export function clearPreferences(storage = getPreferenceStorage()) {
+  try {
+    storage?.removeItem(PREFERENCES_STORAGE_KEY);
+  } catch (err) {
+    console.warn('[Preferences] Could not clear preferences:', err);
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Saved Preferences
+ * Tests validation, version migrations and reading/writing storage
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  PREFERENCES_STORAGE_KEY,
+  PREFERENCES_VERSION,
+  DEFAULT_PREFERENCES,
+  migratePreferences,
+  sanitizePreferences,
+  sanitizeViewBox,
+  loadPreferences,
+  savePreferences,
+  clearPreferences
+} from './preferences';
+import { TIME_SCALES } from './coordinates';
+import { RENDERERS } from './canvasMap';
+import { NARRATION_RATE } from './narrator';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const viewBox = { x: 100, y: 200, width: 4000, height: 2000 };
+
+describe('sanitizePreferences', () => {
+  it('should fill in defaults', () => {
+    expect(sanitizePreferences()).toEqual(DEFAULT_PREFERENCES);
+    expect(sanitizePreferences(null)).toEqual(DEFAULT_PREFERENCES);
+  });
+
+  it('should keep valid values and drop invalid ones', () => {
+    const preferences = sanitizePreferences({
+      visibleLines: { tech: false, war: 'no' },
+      showMinimap: false,
+      showUI: 'hidden',
+      timeScaleMode: TIME_SCALES.LOG,
+      narrator: { enabled: true, voiceURI: 7, rate: 9 }
+    });
+
+    expect(preferences.visibleLines).toEqual({ tech: false });
+    expect(preferences.showMinimap).toBe(false);
+    expect(preferences.showUI).toBe(true);
+    expect(preferences.timeScaleMode).toBe(TIME_SCALES.LOG);
+    expect(preferences.narrator).toEqual({ enabled: true, voiceURI: null, rate: NARRATION_RATE.MAX, subtitles: true });
+    expect(sanitizePreferences({ timeScaleMode: 'spiral' }).timeScaleMode).toBe(TIME_SCALES.PIECEWISE);
+    expect(sanitizePreferences({ renderer: RENDERERS.CANVAS }).renderer).toBe(RENDERERS.CANVAS);
+    expect(sanitizePreferences({ renderer: 'webgl' }).renderer).toBe(RENDERERS.AUTO);
+  });
+
+  it('should only accept complete view boxes', () => {
+    expect(sanitizeViewBox(viewBox)).toEqual(viewBox);
+    expect(sanitizeViewBox({ ...viewBox, width: 0 })).toBeNull();
+    expect(sanitizeViewBox({ ...viewBox, x: 'left' })).toBeNull();
+  });
+});
+
+describe('migratePreferences', () => {
+  const migrations = {
+    1: data => ({ ...data, preferences: { ...data.preferences, showUI: !data.preferences.hideUI } }),
+    2: data => ({ ...data, migratedTwice: true })
+  };
+
+  it('should upgrade old data one version at a time', () => {
+    expect(migratePreferences({ version: 1, preferences: { hideUI: true } }, { version: 3, migrations })).toEqual({
+      version: 3,
+      preferences: { hideUI: true, showUI: false },
+      migratedTwice: true
+    });
+  });
+
+  it('should reject data it cannot upgrade', () => {
+    expect(migratePreferences({ version: 0 }, { version: 3, migrations })).toBeNull();
+    expect(migratePreferences({ version: PREFERENCES_VERSION + 1 })).toBeNull();
+    expect(migratePreferences({ preferences: {} })).toBeNull();
+    expect(migratePreferences('prefs')).toBeNull();
+  });
+});
+
+describe('loadPreferences / savePreferences', () => {
+  it('should round-trip preferences and the last view', () => {
+    const storage = createStorage();
+    const preferences = { ...DEFAULT_PREFERENCES, showAllLabels: true, skipWelcome: true };
+
+    expect(savePreferences(storage, { preferences, view: { viewBox } })).toBe(true);
+    expect(JSON.parse(storage.getItem(PREFERENCES_STORAGE_KEY)).version).toBe(PREFERENCES_VERSION);
+    expect(loadPreferences(storage)).toEqual({ preferences, view: { viewBox } });
+  });
+
+  it('should fall back to defaults for missing, corrupt or future data', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const defaults = { preferences: DEFAULT_PREFERENCES, view: null };
+
+    expect(loadPreferences(createStorage())).toEqual(defaults);
+    expect(loadPreferences(null)).toEqual(defaults);
+    expect(loadPreferences(createStorage({ [PREFERENCES_STORAGE_KEY]: '{not json' }))).toEqual(defaults);
+    expect(loadPreferences(createStorage({
+      [PREFERENCES_STORAGE_KEY]: JSON.stringify({ version: PREFERENCES_VERSION + 1, preferences: { showUI: false } })
+    }))).toEqual(defaults);
+    warn.mockRestore();
+  });
+
+  it('should survive storage that refuses writes and clear saved data', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const full = { ...createStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(savePreferences(full, { preferences: DEFAULT_PREFERENCES })).toBe(false);
+    expect(savePreferences(null, { preferences: DEFAULT_PREFERENCES })).toBe(false);
+    warn.mockRestore();
+
+    const storage = createStorage();
+    savePreferences(storage, { preferences: DEFAULT_PREFERENCES });
+    clearPreferences(storage);
+    expect(storage.getItem(PREFERENCES_STORAGE_KEY)).toBeNull();
+  });
+});
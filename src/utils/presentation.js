@@ -0,0 +1,103 @@
+/**
+ * Presentation Mode
+ * Timing and URL options for auto-playing a tour, e.g. on a museum kiosk
+ *
+ * Each stop is shown for its own `dwell` (seconds, see data/tours.js) or the
+ * presentation's default, then the tour advances. At the last stop it either
+ * loops back to the first or completes.
+ *
+ * Example: ?present=key-moments&dwell=15&loop
+ */
+
+/**
+ * Query parameters that start a presentation on load
+ */
+export const PRESENTATION_PARAMS = {
+  PRESENT: 'present',
+  DWELL: 'dwell',
+  LOOP: 'loop'
+};
+
+/**
+ * Dwell time limits and default, in seconds
+ */
+export const DWELL_SECONDS = {
+  MIN: 3,
+  MAX: 600,
+  DEFAULT: 12
+};
+
+/**
+ * Idle time after an interaction before a paused presentation resumes by itself
+ */
+export const RESUME_AFTER_MS = 30000;
+
+/**
+ * Clamp a dwell time to the supported range
+ * @param {number} seconds - Requested dwell time
+ * @returns {number} Whole seconds within DWELL_SECONDS.MIN..MAX (the default if not a number)
+ */
+export function clampDwell(seconds) {
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds)) return DWELL_SECONDS.DEFAULT;
+  return Math.min(DWELL_SECONDS.MAX, Math.max(DWELL_SECONDS.MIN, Math.round(seconds)));
+}
+
+/**
+ * How long to show a stop
+ * @param {Object|null} stop - Tour stop (its own `dwell` wins)
+ * @param {number} [defaultDwell=DWELL_SECONDS.DEFAULT] - Presentation default, in seconds
+ * @returns {number} Dwell time in milliseconds
+ */
+export function getStopDwell(stop, defaultDwell = DWELL_SECONDS.DEFAULT) {
+  return clampDwell(typeof stop?.dwell === 'number' ? stop.dwell : defaultDwell) * 1000;
+}
+
+/**
+ * What happens when a stop's dwell time is up
+ * @param {number} index - Current stop index
+ * @param {number} stopCount - Number of stops in the tour
+ * @param {boolean} loop - Whether the presentation starts over after the last stop
+ * @returns {{type: 'advance', index: number}|{type: 'complete'}} Next step
+ */
+export function getPresentationStep(index, stopCount, loop) {
+  if (index + 1 < stopCount) return { type: 'advance', index: index + 1 };
+  return loop && stopCount > 1 ? { type: 'advance', index: 0 } : { type: 'complete' };
+}
+
+/**
+ * Read presentation options from a query string
+ * `present` names a tour (empty picks the first tour), `dwell` sets the default
+ * seconds per stop and a bare `loop` (or loop=1/true) loops the tour.
+ * @param {string} search - Query string (with or without the leading '?')
+ * @param {Object} options
+ * @param {Array} options.tours - Available tours
+ * @returns {{options: {tourId: string, dwell: number, loop: boolean}|null, issues: Array<string>}}
+ *   Options, or null when no presentation is requested or the tour is unknown
+ */
+export function parsePresentationParams(search, { tours }) {
+  const params = new URLSearchParams(search);
+  const issues = [];
+  if (!params.has(PRESENTATION_PARAMS.PRESENT)) return { options: null, issues };
+
+  const requested = params.get(PRESENTATION_PARAMS.PRESENT);
+  const tour = requested ? tours.find(t => t.id === requested) : tours[0];
+  if (!tour) {
+    issues.push(requested ? `Unknown tour "${requested}"` : 'There are no tours to present');
+    return { options: null, issues };
+  }
+
+  let dwell = DWELL_SECONDS.DEFAULT;
+  if (params.has(PRESENTATION_PARAMS.DWELL)) {
+    const value = Number(params.get(PRESENTATION_PARAMS.DWELL));
+    if (Number.isFinite(value) && value > 0) {
+      dwell = clampDwell(value);
+    } else {
+      issues.push(`Ignored dwell time "${params.get(PRESENTATION_PARAMS.DWELL)}"`);
+    }
+  }
+
+  const loopValue = params.get(PRESENTATION_PARAMS.LOOP);
+  const loop = loopValue !== null && !['0', 'false', 'no'].includes(loopValue.toLowerCase());
+
+  return { options: { tourId: tour.id, dwell, loop }, issues };
+}
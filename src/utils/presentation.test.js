@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for Presentation Mode
+ * Tests dwell times, end-of-tour behavior and the kiosk URL parameters
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DWELL_SECONDS,
+  clampDwell,
+  getStopDwell,
+  getPresentationStep,
+  parsePresentationParams
+} from './presentation';
+
+const tours = [
+  { id: 'key-moments', title: 'Key Moments', stops: [] },
+  { id: 'rivals', title: 'Rivals', stops: [] }
+];
+
+describe('dwell times', () => {
+  it('should clamp dwell times to whole seconds in range', () => {
+    expect(clampDwell(7.6)).toBe(8);
+    expect(clampDwell(0)).toBe(DWELL_SECONDS.MIN);
+    expect(clampDwell(1e6)).toBe(DWELL_SECONDS.MAX);
+    expect(clampDwell(NaN)).toBe(DWELL_SECONDS.DEFAULT);
+  });
+
+  it('should prefer the stop dwell over the presentation default', () => {
+    expect(getStopDwell({ stationId: 'rome', dwell: 20 }, 5)).toBe(20000);
+    expect(getStopDwell({ stationId: 'rome' }, 5)).toBe(5000);
+    expect(getStopDwell(null)).toBe(DWELL_SECONDS.DEFAULT * 1000);
+  });
+});
+
+describe('getPresentationStep', () => {
+  it('should advance through the stops', () => {
+    expect(getPresentationStep(0, 3, false)).toEqual({ type: 'advance', index: 1 });
+  });
+
+  it('should complete or loop after the last stop', () => {
+    expect(getPresentationStep(2, 3, false)).toEqual({ type: 'complete' });
+    expect(getPresentationStep(2, 3, true)).toEqual({ type: 'advance', index: 0 });
+    expect(getPresentationStep(0, 1, true)).toEqual({ type: 'complete' });
+  });
+});
+
+describe('parsePresentationParams', () => {
+  it('should ignore links without a presentation', () => {
+    expect(parsePresentationParams('?station=rome', { tours })).toEqual({ options: null, issues: [] });
+  });
+
+  it('should read the tour, dwell time and loop flag', () => {
+    expect(parsePresentationParams('?present=rivals&dwell=20&loop', { tours }).options)
+      .toEqual({ tourId: 'rivals', dwell: 20, loop: true });
+    expect(parsePresentationParams('?present&loop=0', { tours }).options)
+      .toEqual({ tourId: 'key-moments', dwell: DWELL_SECONDS.DEFAULT, loop: false });
+  });
+
+  it('should report unknown tours and bad dwell times', () => {
+    expect(parsePresentationParams('?present=atlantis', { tours })).toEqual({
+      options: null,
+      issues: ['Unknown tour "atlantis"']
+    });
+
+    const { options, issues } = parsePresentationParams('?present=rivals&dwell=soon', { tours });
+    expect(options.dwell).toBe(DWELL_SECONDS.DEFAULT);
+    expect(issues).toEqual(['Ignored dwell time "soon"']);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Route Planner
+ * Plans trips between two stations through the metro network
+ *
+ * The network is built from:
+ * - Line adjacency: consecutive stations on each line (from groupStationsByLine)
+ * - Interchanges: a multi-line station lets you change lines (costs one transfer)
+ * - Causal links: station `connections`, ridden like a line of their own
+ *
+ * Search runs Dijkstra over (station, line) states with a lexicographic cost,
+ * so "fewest transfers" breaks ties on stops and vice versa.
+ */
+
+import { LINES } from '../constants/metroConfig';
+import { groupStationsByLine } from '../data/stations';
+
+/**
+ * Available cost modes
+ */
+export const ROUTE_MODES = {
+  FEWEST_TRANSFERS: 'fewest-transfers',
+  FEWEST_STOPS: 'fewest-stops',
+  CAUSAL: 'causal'
+};
+
+/**
+ * Human-readable labels for the cost modes
+ */
+export const ROUTE_MODE_LABELS = {
+  [ROUTE_MODES.FEWEST_TRANSFERS]: 'Fewest transfers',
+  [ROUTE_MODES.FEWEST_STOPS]: 'Fewest stops',
+  [ROUTE_MODES.CAUSAL]: 'Follow causality'
+};
+
+/**
+ * Pseudo-line used for legs that follow causal connections
+ */
+export const CAUSAL_LINK = 'causal';
+
+/**
+ * Build the route network for a set of stations
+ * @param {Array} stations - Processed stations
+ * @param {Object} [lines=LINES] - Active line configuration
+ * @returns {{stationsById: Map, adjacency: Map}} Network; adjacency maps a station id to
+ *   its edges { to, via, forward } where `via` is a line name or CAUSAL_LINK and
+ *   `forward` is true when the edge runs forward in time
+ */
+export function buildRouteGraph(stations, lines = LINES) {
+  const stationsById = new Map(stations.map(station => [station.id, station]));
+  const adjacency = new Map(stations.map(station => [station.id, []]));
+
+  const addEdge = (from, to, via) => {
+    adjacency.get(from).push({ to, via, forward: true });
+    adjacency.get(to).push({ to: from, via, forward: false });
+  };
+
+  // Lines run both ways between consecutive stations
+  Object.entries(groupStationsByLine(stations, lines)).forEach(([lineName, lineStations]) => {
+    for (let i = 1; i < lineStations.length; i++) {
+      addEdge(lineStations[i - 1].id, lineStations[i].id, lineName);
+    }
+  });
+
+  // Causal links (dangling or self links are skipped - the schema validator reports them)
+  stations.forEach(station => {
+    (station.connections || []).forEach(conn => {
+      if (conn.targetId === station.id || !stationsById.has(conn.targetId)) return;
+      addEdge(station.id, conn.targetId, CAUSAL_LINK);
+    });
+  });
+
+  return { stationsById, adjacency };
+}
+
+/**
+ * Compare two [primary, secondary] costs
+ */
+function compareCost(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+/**
+ * Plan the best route between two stations
+ * @param {Object} graph - Network from buildRouteGraph
+ * @param {string} originId - Starting station id
+ * @param {string} destinationId - Destination station id
+ * @param {string} [mode=ROUTE_MODES.FEWEST_TRANSFERS] - Cost mode. CAUSAL only follows
+ *   causal links forward in time; the other modes ride lines and links in either direction.
+ * @returns {Object|null} Route { mode, originId, destinationId, stations, stationIds, legs,
+ *   stops, transfers } where each leg is { via, stations, stationIds } (boarding and
+ *   alighting stations included), or null if either station is unknown or unreachable
+ */
+export function planRoute(graph, originId, destinationId, mode = ROUTE_MODES.FEWEST_TRANSFERS) {
+  const { stationsById, adjacency } = graph;
+  if (!stationsById.has(originId) || !stationsById.has(destinationId)) return null;
+
+  const causalOnly = mode === ROUTE_MODES.CAUSAL;
+  const toCost = ({ stops, transfers }) => (
+    mode === ROUTE_MODES.FEWEST_STOPS || causalOnly ? [stops, transfers] : [transfers, stops]
+  );
+
+  // Search state is a station plus the line we arrived on (null at the origin)
+  const keyOf = (stationId, via) => `${stationId}\u0000${via ?? ''}`;
+  const start = { key: keyOf(originId, null), stationId: originId, via: null, stops: 0, transfers: 0, previous: null };
+  const best = new Map([[start.key, start]]);
+  const settled = new Set();
+  const frontier = [start];
+  let arrival = null;
+
+  while (frontier.length > 0) {
+    // Small graphs - a linear scan beats maintaining a heap
+    let minIndex = 0;
+    for (let i = 1; i < frontier.length; i++) {
+      if (compareCost(toCost(frontier[i]), toCost(frontier[minIndex])) < 0) minIndex = i;
+    }
+    const current = frontier.splice(minIndex, 1)[0];
+    if (settled.has(current.key)) continue;
+    settled.add(current.key);
+
+    if (current.stationId === destinationId) {
+      arrival = current;
+      break;
+    }
+
+    adjacency.get(current.stationId).forEach(edge => {
+      if (causalOnly && (edge.via !== CAUSAL_LINK || !edge.forward)) return;
+
+      const isTransfer = current.via !== null && current.via !== edge.via;
+      const next = {
+        key: keyOf(edge.to, edge.via),
+        stationId: edge.to,
+        via: edge.via,
+        stops: current.stops + 1,
+        transfers: current.transfers + (isTransfer ? 1 : 0),
+        previous: current
+      };
+      if (settled.has(next.key)) return;
+
+      const known = best.get(next.key);
+      if (!known || compareCost(toCost(next), toCost(known)) < 0) {
+        best.set(next.key, next);
+        frontier.push(next);
+      }
+    });
+  }
+
+  if (!arrival) return null;
+
+  // Walk back to the origin, then group consecutive hops on the same line into legs
+  const hops = [];
+  for (let node = arrival; node.previous; node = node.previous) {
+    hops.unshift({ from: node.previous.stationId, to: node.stationId, via: node.via });
+  }
+
+  const legs = [];
+  hops.forEach(hop => {
+    const leg = legs[legs.length - 1];
+    if (leg && leg.via === hop.via) {
+      leg.stationIds.push(hop.to);
+    } else {
+      legs.push({ via: hop.via, stationIds: [hop.from, hop.to] });
+    }
+  });
+  legs.forEach(leg => {
+    leg.stations = leg.stationIds.map(id => stationsById.get(id));
+  });
+
+  const stationIds = [originId, ...hops.map(hop => hop.to)];
+
+  return {
+    mode,
+    originId,
+    destinationId,
+    stationIds,
+    stations: stationIds.map(id => stationsById.get(id)),
+    legs,
+    stops: arrival.stops,
+    transfers: arrival.transfers
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for the Route Planner
+ * Tests network construction, cost modes, itinerary legs, and the built-in network
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildRouteGraph, planRoute, ROUTE_MODES, CAUSAL_LINK } from './routePlanner';
+import { processStations } from '../data/stations';
+
+const lines = {
+  Red: { id: 'red' },
+  Blue: { id: 'blue' },
+  Green: { id: 'green' }
+};
+
+// Red:   a - b - c - d - e
+// Blue:      b ------- d        (express between interchanges b and d)
+// Green:             d - f
+// Causal: a -> f
+const createStation = (id, year, stationLines, connections) => ({ id, year, lines: stationLines, connections });
+const stations = [
+  createStation('a', 100, ['Red'], [{ targetId: 'f', type: 'causal' }]),
+  createStation('b', 200, ['Red', 'Blue']),
+  createStation('c', 300, ['Red']),
+  createStation('d', 400, ['Red', 'Blue', 'Green']),
+  createStation('e', 500, ['Red']),
+  createStation('f', 600, ['Green'])
+];
+
+const graph = buildRouteGraph(stations, lines);
+const viaOf = (route) => route.legs.map(leg => leg.via);
+
+describe('buildRouteGraph', () => {
+  it('should link consecutive stations on each line in both directions', () => {
+    const edgesFromB = graph.adjacency.get('b');
+
+    expect(edgesFromB).toContainEqual({ to: 'a', via: 'Red', forward: false });
+    expect(edgesFromB).toContainEqual({ to: 'c', via: 'Red', forward: true });
+    expect(edgesFromB).toContainEqual({ to: 'd', via: 'Blue', forward: true });
+  });
+
+  it('should add causal links as edges', () => {
+    expect(graph.adjacency.get('a')).toContainEqual({ to: 'f', via: CAUSAL_LINK, forward: true });
+    expect(graph.adjacency.get('f')).toContainEqual({ to: 'a', via: CAUSAL_LINK, forward: false });
+  });
+
+  it('should skip connections to missing stations', () => {
+    const broken = buildRouteGraph([createStation('x', 1, ['Red'], [{ targetId: 'ghost' }])], lines);
+    expect(broken.adjacency.get('x')).toEqual([]);
+  });
+});
+
+describe('planRoute - cost modes', () => {
+  it('should stay on one line when minimizing transfers', () => {
+    const route = planRoute(graph, 'a', 'e', ROUTE_MODES.FEWEST_TRANSFERS);
+
+    expect(route.stationIds).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(route.transfers).toBe(0);
+    expect(route.stops).toBe(4);
+    expect(viaOf(route)).toEqual(['Red']);
+  });
+
+  it('should take the express when minimizing stops', () => {
+    const route = planRoute(graph, 'b', 'd', ROUTE_MODES.FEWEST_STOPS);
+
+    expect(route.stationIds).toEqual(['b', 'd']);
+    expect(route.stops).toBe(1);
+  });
+
+  it('should use causal links as shortcuts', () => {
+    // a->f directly via the causal link beats riding a-b-d-f
+    const route = planRoute(graph, 'a', 'f', ROUTE_MODES.FEWEST_STOPS);
+
+    expect(route.stationIds).toEqual(['a', 'f']);
+    expect(viaOf(route)).toEqual([CAUSAL_LINK]);
+  });
+
+  it('should count transfers between lines', () => {
+    const route = planRoute(graph, 'c', 'f', ROUTE_MODES.FEWEST_TRANSFERS);
+
+    expect(route.stationIds).toEqual(['c', 'd', 'f']);
+    expect(viaOf(route)).toEqual(['Red', 'Green']);
+    expect(route.transfers).toBe(1);
+  });
+
+  it('should only follow causal links forward in causal mode', () => {
+    expect(planRoute(graph, 'a', 'f', ROUTE_MODES.CAUSAL).stationIds).toEqual(['a', 'f']);
+    expect(planRoute(graph, 'f', 'a', ROUTE_MODES.CAUSAL)).toBeNull();
+    expect(planRoute(graph, 'a', 'b', ROUTE_MODES.CAUSAL)).toBeNull();
+  });
+
+  it('should default to fewest transfers', () => {
+    expect(planRoute(graph, 'a', 'e').mode).toBe(ROUTE_MODES.FEWEST_TRANSFERS);
+  });
+});
+
+describe('planRoute - legs and edge cases', () => {
+  it('should include boarding and alighting stations in each leg', () => {
+    const route = planRoute(graph, 'c', 'f');
+
+    expect(route.legs[0].stationIds).toEqual(['c', 'd']);
+    expect(route.legs[1].stationIds).toEqual(['d', 'f']);
+    expect(route.legs[1].stations.map(s => s.id)).toEqual(['d', 'f']);
+  });
+
+  it('should return an empty route when origin equals destination', () => {
+    const route = planRoute(graph, 'c', 'c');
+
+    expect(route.stationIds).toEqual(['c']);
+    expect(route.legs).toEqual([]);
+    expect(route.stops).toBe(0);
+  });
+
+  it('should return null for unknown stations', () => {
+    expect(planRoute(graph, 'a', 'nowhere')).toBeNull();
+  });
+
+  it('should return null when stations are not connected', () => {
+    const islands = buildRouteGraph([
+      createStation('x', 1, ['Red']),
+      createStation('y', 2, ['Blue'])
+    ], lines);
+    expect(planRoute(islands, 'x', 'y')).toBeNull();
+  });
+});
+
+describe('planRoute - built-in network', () => {
+  const builtIn = buildRouteGraph(processStations());
+
+  it('should connect the first and last stations', () => {
+    const route = planRoute(builtIn, 'neolithic', 'singularity');
+
+    expect(route).not.toBeNull();
+    expect(route.stationIds[0]).toBe('neolithic');
+    expect(route.stationIds[route.stationIds.length - 1]).toBe('singularity');
+  });
+
+  it('should never need more stops in fewest-stops mode than in fewest-transfers mode', () => {
+    const byStops = planRoute(builtIn, 'neolithic', 'singularity', ROUTE_MODES.FEWEST_STOPS);
+    const byTransfers = planRoute(builtIn, 'neolithic', 'singularity', ROUTE_MODES.FEWEST_TRANSFERS);
+
+    expect(byStops.stops).toBeLessThanOrEqual(byTransfers.stops);
+    expect(byTransfers.transfers).toBeLessThanOrEqual(byStops.transfers);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Station Comparison
+ * Lines up a handful of stations side by side for teaching contrasts (e.g. Rome vs Han)
+ *
+ * Stations are compared in chronological order so the gaps between them read
+ * forward in time, and causal paths are looked up from each earlier station to
+ * each later one on the route network.
+ */
+
+import { planRoute, ROUTE_MODES } from './routePlanner';
+
+/**
+ * Most stations that can be compared at once
+ */
+export const MAX_COMPARED_STATIONS = 4;
+
+/**
+ * Add or remove a station from the comparison
+ * @param {Array<string>} stationIds - Currently compared station ids
+ * @param {string} stationId - Station to toggle
+ * @param {number} [max=MAX_COMPARED_STATIONS] - Comparison size limit
+ * @returns {Array<string>} New id list; the same list when it is full and the station is not in it
+ */
+export function toggleComparedStation(stationIds, stationId, max = MAX_COMPARED_STATIONS) {
+  if (stationIds.includes(stationId)) return stationIds.filter(id => id !== stationId);
+  if (stationIds.length >= max) return stationIds;
+  return [...stationIds, stationId];
+}
+
+/**
+ * Build a comparison of stations
+ * @param {Array} stations - Stations to compare (any order)
+ * @param {Object} [graph] - Route network from buildRouteGraph; without it no causal paths are looked up
+ * @returns {Object} { stations, gaps, totalYears, sharedLines, causalPaths } where
+ *   - stations are sorted by year
+ *   - gaps are { from, to, years } between chronological neighbours
+ *   - totalYears is the distance from the earliest to the latest station
+ *   - sharedLines are the lines every station is on
+ *   - causalPaths are { from, to, route } for each earlier -> later pair connected by causal links
+ */
+export function compareStations(stations, graph) {
+  const sorted = [...stations].sort((a, b) => a.year - b.year);
+
+  const gaps = sorted.slice(1).map((station, idx) => ({
+    from: sorted[idx],
+    to: station,
+    years: station.year - sorted[idx].year
+  }));
+
+  const sharedLines = sorted.length === 0
+    ? []
+    : sorted[0].lines.filter(line => sorted.every(station => station.lines.includes(line)));
+
+  const causalPaths = [];
+  if (graph) {
+    sorted.forEach((from, i) => {
+      sorted.slice(i + 1).forEach(to => {
+        const route = planRoute(graph, from.id, to.id, ROUTE_MODES.CAUSAL);
+        if (route) causalPaths.push({ from, to, route });
+      });
+    });
+  }
+
+  return {
+    stations: sorted,
+    gaps,
+    totalYears: sorted.length > 1 ? sorted[sorted.length - 1].year - sorted[0].year : 0,
+    sharedLines,
+    causalPaths
+  };
+}
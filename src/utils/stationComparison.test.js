@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for Station Comparison
+ * Tests the selection toggle, chronological gaps, shared lines and causal paths
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MAX_COMPARED_STATIONS, toggleComparedStation, compareStations } from './stationComparison';
+import { buildRouteGraph } from './routePlanner';
+import { STATION_DATA } from '../data/stations';
+
+const lines = { Red: { id: 'red' }, Blue: { id: 'blue' } };
+
+// Red:    a - b - c
+// Blue:   a ----- c - d
+// Causal: a -> b -> d
+const createStation = (id, year, stationLines, connections) => ({ id, year, lines: stationLines, connections });
+const stations = [
+  createStation('a', -200, ['Red', 'Blue'], [{ targetId: 'b', type: 'causal' }]),
+  createStation('b', 100, ['Red'], [{ targetId: 'd', type: 'causal' }]),
+  createStation('c', 300, ['Red', 'Blue']),
+  createStation('d', 800, ['Blue'])
+];
+const byId = Object.fromEntries(stations.map(s => [s.id, s]));
+const graph = buildRouteGraph(stations, lines);
+
+describe('toggleComparedStation', () => {
+  it('should add and remove stations', () => {
+    expect(toggleComparedStation([], 'a')).toEqual(['a']);
+    expect(toggleComparedStation(['a', 'b'], 'a')).toEqual(['b']);
+  });
+
+  it('should not grow past the limit', () => {
+    const full = ['a', 'b', 'c', 'd'];
+    expect(full).toHaveLength(MAX_COMPARED_STATIONS);
+    expect(toggleComparedStation(full, 'e')).toBe(full);
+    expect(toggleComparedStation(full, 'c')).toEqual(['a', 'b', 'd']);
+  });
+});
+
+describe('compareStations', () => {
+  it('should order stations by year and measure the gaps between them', () => {
+    const comparison = compareStations([byId.c, byId.a, byId.d]);
+
+    expect(comparison.stations.map(s => s.id)).toEqual(['a', 'c', 'd']);
+    expect(comparison.gaps.map(gap => [gap.from.id, gap.to.id, gap.years])).toEqual([
+      ['a', 'c', 500],
+      ['c', 'd', 500]
+    ]);
+    expect(comparison.totalYears).toBe(1000);
+  });
+
+  it('should find the lines every station is on', () => {
+    expect(compareStations([byId.a, byId.c]).sharedLines).toEqual(['Red', 'Blue']);
+    expect(compareStations([byId.a, byId.b, byId.d]).sharedLines).toEqual([]);
+  });
+
+  it('should find causal paths from earlier to later stations', () => {
+    const { causalPaths } = compareStations([byId.d, byId.a, byId.c], graph);
+
+    expect(causalPaths).toHaveLength(1);
+    expect(causalPaths[0].from.id).toBe('a');
+    expect(causalPaths[0].to.id).toBe('d');
+    expect(causalPaths[0].route.stationIds).toEqual(['a', 'b', 'd']);
+  });
+
+  it('should skip causal paths without a route network', () => {
+    expect(compareStations([byId.a, byId.d]).causalPaths).toEqual([]);
+  });
+
+  it('should compare Rome and Han from the built-in data', () => {
+    const rome = STATION_DATA.find(s => s.id === 'rome');
+    const han = STATION_DATA.find(s => s.id === 'han');
+    const comparison = compareStations([han, rome]);
+
+    expect(comparison.stations[0].id).toBe('rome');
+    expect(comparison.totalYears).toBe(609);
+    expect(comparison.sharedLines).toEqual(['Empire']);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Station Filter Expressions
+ * Structured filters that combine conditions on station properties with AND/OR
+ *
+ * An expression is a group: { op: 'and' | 'or', conditions: [...] }. Each condition is
+ * one of the FILTER_TYPES below, or a nested group. An empty group matches everything,
+ * so "no filter" and "a filter with no conditions yet" behave the same.
+ *
+ * All helpers are pure and return new expressions, so they can be stored in the reducer.
+ */
+
+import { LINES } from '../constants/metroConfig';
+
+/**
+ * How the conditions of a group are combined
+ */
+export const FILTER_OPS = {
+  AND: 'and',
+  OR: 'or'
+};
+
+/**
+ * Condition types
+ * - lines: { lines: [lineName], match: 'all' | 'any' } - station is on all/any of the lines
+ * - significance: { values: [level] } - station significance is one of the levels
+ * - connections: { min } - station has at least `min` outgoing causal connections
+ * - lineCount: { min } - interchange on at least `min` lines
+ */
+export const FILTER_TYPES = {
+  LINES: 'lines',
+  SIGNIFICANCE: 'significance',
+  CONNECTIONS: 'connections',
+  LINE_COUNT: 'lineCount'
+};
+
+/**
+ * Human-readable labels for the condition types (filter builder menu)
+ */
+export const FILTER_TYPE_LABELS = {
+  [FILTER_TYPES.LINES]: 'On lines',
+  [FILTER_TYPES.SIGNIFICANCE]: 'Significance',
+  [FILTER_TYPES.CONNECTIONS]: 'Leads to other stations',
+  [FILTER_TYPES.LINE_COUNT]: 'Interchange'
+};
+
+/**
+ * Create a filter group
+ * @param {string} [op='and'] - FILTER_OPS value
+ * @param {Array} [conditions=[]] - Conditions or nested groups
+ * @returns {Object} Filter expression
+ */
+export function createFilterExpression(op = FILTER_OPS.AND, conditions = []) {
+  return { op, conditions };
+}
+
+/**
+ * Create a condition of a type with sensible defaults
+ * @param {string} type - FILTER_TYPES value
+ * @param {Object} [options] - Fields to override
+ * @returns {Object} Condition
+ */
+export function createFilterCondition(type, options = {}) {
+  const defaults = {
+    [FILTER_TYPES.LINES]: { lines: [], match: 'all' },
+    [FILTER_TYPES.SIGNIFICANCE]: { values: [] },
+    [FILTER_TYPES.CONNECTIONS]: { min: 1 },
+    [FILTER_TYPES.LINE_COUNT]: { min: 3 }
+  };
+  return { type, ...defaults[type], ...options };
+}
+
+/**
+ * Check whether a value is a group rather than a single condition
+ */
+function isGroup(node) {
+  return Array.isArray(node?.conditions);
+}
+
+/**
+ * Check one condition against a station
+ * Conditions that list nothing (no lines, no significance levels) do not restrict.
+ * Unknown condition types never match.
+ */
+function matchesCondition(station, condition) {
+  switch (condition.type) {
+    case FILTER_TYPES.LINES: {
+      if (condition.lines.length === 0) return true;
+      const stationLines = station.lines || [];
+      return condition.match === 'any'
+        ? condition.lines.some(line => stationLines.includes(line))
+        : condition.lines.every(line => stationLines.includes(line));
+    }
+    case FILTER_TYPES.SIGNIFICANCE:
+      return condition.values.length === 0 || condition.values.includes(station.significance);
+    case FILTER_TYPES.CONNECTIONS:
+      return (station.connections?.length ?? 0) >= condition.min;
+    case FILTER_TYPES.LINE_COUNT:
+      return new Set(station.lines || []).size >= condition.min;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a station against a filter expression
+ * @param {Object} station - Raw or processed station
+ * @param {Object|null} expression - Filter group (null matches everything)
+ * @returns {boolean} True if the station passes
+ */
+export function matchesFilter(station, expression) {
+  if (!expression) return true;
+  if (!isGroup(expression)) return matchesCondition(station, expression);
+  if (expression.conditions.length === 0) return true;
+
+  return expression.op === FILTER_OPS.OR
+    ? expression.conditions.some(node => matchesFilter(station, node))
+    : expression.conditions.every(node => matchesFilter(station, node));
+}
+
+/**
+ * Check whether an expression restricts anything
+ * @param {Object|null} expression - Filter group
+ * @returns {boolean} False for null and for groups without conditions
+ */
+export function isFilterActive(expression) {
+  return isGroup(expression) && expression.conditions.length > 0;
+}
+
+/**
+ * Apply a filter expression to stations
+ * @param {Array} stations - Stations
+ * @param {Object|null} expression - Filter group
+ * @returns {Set<string>|null} Ids of matching stations, or null when the filter is inactive
+ */
+export function getFilterMatchIds(stations, expression) {
+  if (!isFilterActive(expression)) return null;
+  return new Set(stations.filter(station => matchesFilter(station, expression)).map(station => station.id));
+}
+
+/**
+ * Add a condition to the top-level group
+ * @param {Object|null} expression - Filter group (null starts a new AND group)
+ * @param {Object} condition - Condition to add
+ * @returns {Object} New expression
+ */
+export function addFilterCondition(expression, condition) {
+  const group = expression || createFilterExpression();
+  return { ...group, conditions: [...group.conditions, condition] };
+}
+
+/**
+ * Change one condition of the top-level group
+ * @param {Object} expression - Filter group
+ * @param {number} index - Condition index
+ * @param {Object} patch - Fields to replace
+ * @returns {Object} New expression
+ */
+export function updateFilterCondition(expression, index, patch) {
+  return {
+    ...expression,
+    conditions: expression.conditions.map((condition, idx) => (idx === index ? { ...condition, ...patch } : condition))
+  };
+}
+
+/**
+ * Remove one condition from the top-level group
+ * @param {Object} expression - Filter group
+ * @param {number} index - Condition index
+ * @returns {Object|null} New expression, or null once no conditions are left
+ */
+export function removeFilterCondition(expression, index) {
+  const conditions = expression.conditions.filter((_, idx) => idx !== index);
+  return conditions.length > 0 ? { ...expression, conditions } : null;
+}
+
+/**
+ * Describe a condition in a few words
+ */
+function describeCondition(condition, lines) {
+  const lineName = (line) => lines[line]?.name || line;
+  switch (condition.type) {
+    case FILTER_TYPES.LINES:
+      if (condition.lines.length === 0) return 'on any line';
+      return `on ${condition.lines.map(lineName).join(condition.match === 'any' ? ' or ' : ' and ')}`;
+    case FILTER_TYPES.SIGNIFICANCE:
+      return condition.values.length === 0 ? 'any significance' : condition.values.join(' or ');
+    case FILTER_TYPES.CONNECTIONS:
+      return condition.min === 1 ? 'leads to another station' : `leads to ${condition.min}+ stations`;
+    case FILTER_TYPES.LINE_COUNT:
+      return `interchange of ${condition.min}+ lines`;
+    default:
+      return 'unknown condition';
+  }
+}
+
+/**
+ * Describe a filter expression for announcements and summaries
+ * @param {Object|null} expression - Filter group
+ * @param {Object} [lines=LINES] - Active line configuration (for line names)
+ * @returns {string} Description, e.g. 'on Conflict and Empire AND crisis or hub'; empty when inactive
+ */
+export function describeFilter(expression, lines = LINES) {
+  if (!isFilterActive(expression)) return '';
+  const joiner = expression.op === FILTER_OPS.OR ? ' OR ' : ' AND ';
+  return expression.conditions
+    .map(node => (isGroup(node) ? `(${describeFilter(node, lines)})` : describeCondition(node, lines)))
+    .join(joiner);
+}
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Station Filter Expressions
+ * Tests condition matching, AND/OR groups, builder helpers and descriptions
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  FILTER_OPS,
+  FILTER_TYPES,
+  createFilterExpression,
+  createFilterCondition,
+  matchesFilter,
+  isFilterActive,
+  getFilterMatchIds,
+  addFilterCondition,
+  updateFilterCondition,
+  removeFilterCondition,
+  describeFilter
+} from './stationFilter';
+import { STATION_DATA } from '../data/stations';
+
+const createStation = (id, overrides = {}) => ({
+  id,
+  lines: ['Tech'],
+  significance: 'minor',
+  ...overrides
+});
+
+const stations = [
+  createStation('mongol', { lines: ['Empire', 'War'], significance: 'major' }),
+  createStation('crisis', { lines: ['War', 'Population', 'Empire'], significance: 'crisis' }),
+  createStation('hub', { lines: ['Tech', 'Philosophy', 'Population'], significance: 'hub', connections: [{ targetId: 'x' }] }),
+  createStation('wheel', { connections: [{ targetId: 'a' }, { targetId: 'b' }] })
+];
+
+const ids = (expression) => stations.filter(s => matchesFilter(s, expression)).map(s => s.id);
+
+describe('matchesFilter - conditions', () => {
+  it('should match stations on all or any of the lines', () => {
+    const both = createFilterCondition(FILTER_TYPES.LINES, { lines: ['War', 'Empire'] });
+    expect(ids(both)).toEqual(['mongol', 'crisis']);
+
+    const either = createFilterCondition(FILTER_TYPES.LINES, { lines: ['Philosophy', 'War'], match: 'any' });
+    expect(ids(either)).toEqual(['mongol', 'crisis', 'hub']);
+  });
+
+  it('should match significance levels', () => {
+    const condition = createFilterCondition(FILTER_TYPES.SIGNIFICANCE, { values: ['crisis', 'hub'] });
+    expect(ids(condition)).toEqual(['crisis', 'hub']);
+  });
+
+  it('should match stations with outgoing connections', () => {
+    expect(ids(createFilterCondition(FILTER_TYPES.CONNECTIONS))).toEqual(['hub', 'wheel']);
+    expect(ids(createFilterCondition(FILTER_TYPES.CONNECTIONS, { min: 2 }))).toEqual(['wheel']);
+  });
+
+  it('should match interchanges by line count', () => {
+    expect(ids(createFilterCondition(FILTER_TYPES.LINE_COUNT))).toEqual(['crisis', 'hub']);
+  });
+
+  it('should not restrict with empty lists and never match unknown types', () => {
+    expect(ids(createFilterCondition(FILTER_TYPES.LINES))).toHaveLength(4);
+    expect(ids({ type: 'colour' })).toEqual([]);
+  });
+});
+
+describe('matchesFilter - groups', () => {
+  const crisisOrHub = createFilterCondition(FILTER_TYPES.SIGNIFICANCE, { values: ['crisis', 'hub'] });
+  const warAndEmpire = createFilterCondition(FILTER_TYPES.LINES, { lines: ['War', 'Empire'] });
+
+  it('should combine conditions with AND', () => {
+    expect(ids(createFilterExpression(FILTER_OPS.AND, [crisisOrHub, warAndEmpire]))).toEqual(['crisis']);
+  });
+
+  it('should combine conditions with OR', () => {
+    expect(ids(createFilterExpression(FILTER_OPS.OR, [crisisOrHub, warAndEmpire]))).toEqual(['mongol', 'crisis', 'hub']);
+  });
+
+  it('should evaluate nested groups', () => {
+    const nested = createFilterExpression(FILTER_OPS.OR, [
+      createFilterExpression(FILTER_OPS.AND, [crisisOrHub, createFilterCondition(FILTER_TYPES.CONNECTIONS)]),
+      createFilterCondition(FILTER_TYPES.CONNECTIONS, { min: 2 })
+    ]);
+    expect(ids(nested)).toEqual(['hub', 'wheel']);
+  });
+
+  it('should match everything without conditions', () => {
+    expect(ids(null)).toHaveLength(4);
+    expect(ids(createFilterExpression())).toHaveLength(4);
+  });
+});
+
+describe('getFilterMatchIds', () => {
+  it('should return null while the filter is inactive', () => {
+    expect(isFilterActive(createFilterExpression())).toBe(false);
+    expect(getFilterMatchIds(stations, createFilterExpression())).toBeNull();
+  });
+
+  it('should find the interchanges of the built-in data', () => {
+    const matchIds = getFilterMatchIds(STATION_DATA, createFilterExpression(FILTER_OPS.AND, [
+      createFilterCondition(FILTER_TYPES.LINE_COUNT)
+    ]));
+    expect(matchIds.size).toBeGreaterThan(0);
+    matchIds.forEach(id => {
+      expect(STATION_DATA.find(s => s.id === id).lines.length).toBeGreaterThanOrEqual(3);
+    });
+  });
+});
+
+describe('filter builder helpers', () => {
+  it('should add, update and remove conditions without mutating', () => {
+    const added = addFilterCondition(null, createFilterCondition(FILTER_TYPES.SIGNIFICANCE));
+    expect(added).toEqual({ op: FILTER_OPS.AND, conditions: [{ type: FILTER_TYPES.SIGNIFICANCE, values: [] }] });
+
+    const updated = updateFilterCondition(added, 0, { values: ['crisis'] });
+    expect(updated.conditions[0].values).toEqual(['crisis']);
+    expect(added.conditions[0].values).toEqual([]);
+
+    expect(removeFilterCondition(updated, 0)).toBeNull();
+  });
+});
+
+describe('describeFilter', () => {
+  it('should describe conditions with line names and the operator', () => {
+    const expression = createFilterExpression(FILTER_OPS.AND, [
+      createFilterCondition(FILTER_TYPES.LINES, { lines: ['War', 'Empire'] }),
+      createFilterCondition(FILTER_TYPES.SIGNIFICANCE, { values: ['crisis', 'hub'] })
+    ]);
+    expect(describeFilter(expression)).toBe('on Conflict and Empire AND crisis or hub');
+    expect(describeFilter({ ...expression, op: FILTER_OPS.OR })).toBe('on Conflict and Empire OR crisis or hub');
+  });
+
+  it('should be empty for inactive filters', () => {
+    expect(describeFilter(null)).toBe('');
+  });
+});
@@ -0,0 +1,361 @@
+/**
+ * Station Search
+ * Fuzzy, ranked search over every text field of a station
+ *
+ * A query is split into:
+ * - A year range clause: '1800-1900', '3000-2000 BCE', 'between 500 BCE and 100 CE',
+ *   'before 500 BCE', 'after 1800'
+ * - Free-text terms, each of which must match some field of the station
+ *
+ * A term matches a word exactly, as a prefix, inside a word (3+ letters), or within a
+ * small edit distance (typos). Each term scores its best match times the weight of the
+ * field it was found in, so a hit in the name outranks the same hit in the details.
+ */
+
+import { LINES } from '../constants/metroConfig';
+import { parseYearInput, formatYearLabel, formatYearRange, getYearSpan } from './years';
+
+/**
+ * Searched fields in ranking order
+ * - weight: score multiplier for a match in this field
+ * - snippet: matches in this field can be shown as a context snippet
+ */
+export const SEARCH_FIELDS = [
+  { key: 'name', weight: 10 },
+  { key: 'yearLabel', weight: 6 },
+  { key: 'lines', weight: 5 },
+  { key: 'insight', weight: 4, snippet: true },
+  { key: 'visual', weight: 3, snippet: true },
+  { key: 'atmosphere', weight: 3, snippet: true },
+  { key: 'details', weight: 2, snippet: true }
+];
+
+/**
+ * Match quality per match kind (multiplied by the field weight)
+ */
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.6,
+  substring: 0.5
+};
+
+// Extra score when the whole query appears in the name
+const PHRASE_BONUS = { prefix: 6, contains: 3 };
+
+// Words that only count when they are all the query has
+const STOP_WORDS = new Set(['a', 'an', 'and', 'of', 'the', 'in', 'on', 'at', 'for']);
+
+// Words, keeping '10,000' and "women's" together
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[,.'’][\p{L}\p{N}]+)*/gu;
+
+const YEAR = String.raw`(?:c\.?\s*)?-?\d[\d,]*(?:\s*(?:bce|bc|ce|ad)\b)?`;
+
+/**
+ * Year range clauses, tried in order
+ */
+const RANGE_CLAUSES = [
+  { pattern: new RegExp(String.raw`\bbetween\s+(${YEAR})\s+and\s+(${YEAR})`, 'i'), kind: 'range' },
+  { pattern: new RegExp(String.raw`\b(?:before|until|pre)\s+(${YEAR})`, 'i'), kind: 'before' },
+  { pattern: new RegExp(String.raw`\b(?:after|since|post)\s+(${YEAR})`, 'i'), kind: 'after' },
+  { pattern: new RegExp(String.raw`(${YEAR})\s*(?:-|–|—|\.\.|\bto\b)\s*(${YEAR})`, 'i'), kind: 'range' }
+];
+
+/**
+ * Normalize text for comparison: lowercase, no accents, no inner punctuation
+ */
+function normalize(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').replace(/[,.'’]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized words with their position in the original text
+ * @param {string} text - Text to split
+ * @returns {Array<{token: string, start: number, end: number}>} Words in order
+ */
+export function tokenize(text) {
+  if (typeof text !== 'string') return [];
+  return Array.from(text.matchAll(TOKEN_PATTERN), match => ({
+    token: normalize(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// Digits only, with optional separators (1348, 1,000, 3.5)
+const NUMERIC_TERM = /^\p{N}+(?:[,.]\p{N}+)*$/u;
+
+/**
+ * Number of typos tolerated for a term: none for short words and numbers
+ * (1348 must not find 1848), then 1, then 2
+ */
+function maxEditsFor(term) {
+  if (term.length < 4 || NUMERIC_TERM.test(term)) return 0;
+  return term.length < 7 ? 1 : 2;
+}
+
+/**
+ * Damerau-Levenshtein distance (adjacent transpositions count as one edit)
+ * Gives up early once the distance must exceed `max`.
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrev = prev;
+    prev = row;
+  }
+  return Math.min(prev[b.length], max + 1);
+}
+
+/**
+ * Match one query term against one word
+ * @returns {{quality: number, start: number, end: number}|null} Match quality and the
+ *   highlighted part of the word (offsets into the original text), or null
+ */
+function matchToken(term, { token, start, end }) {
+  if (token === term) return { quality: MATCH_QUALITY.exact, start, end };
+  if (token.startsWith(term)) {
+    return { quality: MATCH_QUALITY.prefix, start, end: Math.min(end, start + term.length) };
+  }
+
+  const maxEdits = maxEditsFor(term);
+  if (maxEdits > 0) {
+    // Compare whole words, and word prefixes for terms that are still being typed
+    // (a typo in a prefix ranks slightly below the same typo in a whole word)
+    const distance = Math.min(
+      editDistance(term, token, maxEdits),
+      token.length > term.length ? editDistance(term, token.slice(0, term.length), maxEdits) + 0.5 : Infinity
+    );
+    if (distance <= maxEdits) {
+      return { quality: MATCH_QUALITY.fuzzy * (1 - (distance - 1) * 0.25), start, end };
+    }
+  }
+
+  const index = term.length >= 3 ? token.indexOf(term) : -1;
+  if (index > 0) {
+    return { quality: MATCH_QUALITY.substring, start: start + index, end: Math.min(end, start + index + term.length) };
+  }
+  return null;
+}
+
+/**
+ * Parse both ends of a range; '3000-2000 BCE' puts both ends in BCE
+ */
+function parseRangeEnds(startText, endText) {
+  let start = parseYearInput(startText);
+  const end = parseYearInput(endText);
+  if (start === null || end === null) return null;
+
+  const startHasEra = /bc|ce|ad|-/i.test(startText);
+  if (!startHasEra && /bc/i.test(endText)) start = -start;
+  return start <= end ? { start, end } : { start: end, end: start };
+}
+
+/**
+ * Parse a search query into text terms and an optional year range
+ * @param {string} query - Raw query
+ * @returns {{text: string, terms: Array<string>, yearRange: Object|null}} Parsed query;
+ *   yearRange is { start, end, label } with inclusive (possibly infinite) bounds
+ */
+export function parseSearchQuery(query) {
+  let text = typeof query === 'string' ? query.trim() : '';
+  let yearRange = null;
+
+  for (const { pattern, kind } of RANGE_CLAUSES) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    if (kind === 'range') {
+      const range = parseRangeEnds(match[1].trim(), match[2].trim());
+      if (!range) continue;
+      yearRange = { ...range, label: formatYearRange({ startYear: range.start, endYear: range.end }) };
+    } else {
+      const year = parseYearInput(match[1].trim());
+      if (year === null) continue;
+      yearRange = kind === 'before'
+        ? { start: -Infinity, end: year - 1, label: `before ${formatYearLabel(year)}` }
+        : { start: year + 1, end: Infinity, label: `after ${formatYearLabel(year)}` };
+    }
+    text = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`.trim();
+    break;
+  }
+
+  const words = tokenize(text).map(({ token }) => token);
+  const meaningful = words.filter(word => !STOP_WORDS.has(word));
+  const terms = [...new Set(meaningful.length > 0 ? meaningful : words)];
+
+  return { text: normalize(text.replace(/\s+/g, ' ')), terms, yearRange };
+}
+
+/**
+ * Read the text of a searchable field
+ */
+function getFieldText(station, key, lines) {
+  if (key === 'lines') {
+    return (station.lines || []).map(line => (lines[line]?.name ? `${line} ${lines[line].name}` : line)).join(' · ');
+  }
+  const value = station[key] ?? station.narrative?.[key];
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Pre-tokenize stations for searching
+ * @param {Array} stations - Processed (or raw) stations
+ * @param {Object} [lines=LINES] - Active line configuration (line names are searchable)
+ * @returns {Array} Search index for searchStations
+ */
+export function createSearchIndex(stations, lines = LINES) {
+  return stations.map(station => ({
+    station,
+    fields: SEARCH_FIELDS.map(field => {
+      const text = getFieldText(station, field.key, lines);
+      return { ...field, text, tokens: tokenize(text) };
+    })
+  }));
+}
+
+/**
+ * Check whether a station (or its span) falls in a year range
+ */
+function isInYearRange(station, { start, end }) {
+  const span = getYearSpan(station) || { startYear: station.year, endYear: station.year };
+  return span.startYear <= end && span.endYear >= start;
+}
+
+/**
+ * Search an index
+ * @param {Array} index - Index from createSearchIndex
+ * @param {string|Object} query - Raw query or the result of parseSearchQuery
+ * @returns {Array} Results, best first: { station, score, matches, snippet } where matches
+ *   maps a field key to highlighted [start, end) ranges and snippet is the best matching
+ *   context field ({ field, text, ranges }) or null. Empty for an empty query.
+ */
+export function searchStations(index, query) {
+  const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+  const { terms, yearRange, text } = parsed;
+  if (terms.length === 0 && !yearRange) return [];
+
+  const results = [];
+  index.forEach(({ station, fields }) => {
+    if (yearRange && !isInYearRange(station, yearRange)) return;
+
+    let score = 0;
+    const matches = {};
+    const fieldScores = {};
+
+    for (const term of terms) {
+      let best = 0;
+      fields.forEach(field => {
+        field.tokens.forEach(token => {
+          const match = matchToken(term, token);
+          if (!match) return;
+          const termScore = match.quality * field.weight;
+          best = Math.max(best, termScore);
+          fieldScores[field.key] = Math.max(fieldScores[field.key] || 0, termScore);
+          (matches[field.key] ||= []).push([match.start, match.end]);
+        });
+      });
+      // Every term has to match somewhere
+      if (best === 0) return;
+      score += best;
+    }
+
+    const name = normalize(station.name || '');
+    if (text && name.startsWith(text)) score += PHRASE_BONUS.prefix;
+    else if (text && name.includes(text)) score += PHRASE_BONUS.contains;
+
+    const snippetField = fields
+      .filter(field => field.snippet && fieldScores[field.key])
+      .sort((a, b) => fieldScores[b.key] - fieldScores[a.key])[0];
+
+    results.push({
+      station,
+      score,
+      matches,
+      snippet: snippetField ? { field: snippetField.key, text: snippetField.text, ranges: matches[snippetField.key] } : null
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score || a.station.year - b.station.year);
+}
+
+/**
+ * Sort and merge overlapping highlight ranges
+ */
+function mergeRanges(ranges = []) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+  return merged;
+}
+
+/**
+ * Split text into plain and highlighted segments
+ * @param {string} text - Text to split
+ * @param {Array<[number, number]>} [ranges] - Highlighted ranges
+ * @returns {Array<{text: string, match: boolean}>} Segments covering the whole text
+ */
+export function highlightSegments(text, ranges) {
+  const segments = [];
+  let cursor = 0;
+  mergeRanges(ranges).forEach(([start, end]) => {
+    if (start > cursor) segments.push({ text: text.slice(cursor, start), match: false });
+    segments.push({ text: text.slice(start, end), match: true });
+    cursor = end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+  return segments;
+}
+
+/**
+ * Cut a short snippet of text around its first highlight
+ * @param {string} text - Full text
+ * @param {Array<[number, number]>} ranges - Highlighted ranges
+ * @param {number} [radius=40] - Characters of context on each side
+ * @returns {Array<{text: string, match: boolean}>} Segments, with '…' where text was cut
+ */
+export function createSnippet(text, ranges, radius = 40) {
+  const merged = mergeRanges(ranges);
+  if (merged.length === 0) return [{ text: text.slice(0, radius * 2), match: false }];
+
+  const [firstStart, firstEnd] = merged[0];
+  let start = Math.max(0, firstStart - radius);
+  let end = Math.min(text.length, firstEnd + radius);
+  // Cut at word boundaries
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < firstStart) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > firstEnd) end = space;
+  }
+
+  const inWindow = merged
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [s - start, e - start]);
+  const segments = highlightSegments(text.slice(start, end), inWindow);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for Station Search
+ * Tests tokenization, typo tolerance, ranking, year range queries and snippets
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  tokenize,
+  editDistance,
+  parseSearchQuery,
+  createSearchIndex,
+  searchStations,
+  highlightSegments,
+  createSnippet
+} from './stationSearch';
+import { processStations } from '../data/stations';
+import { LINES } from '../constants/metroConfig';
+
+const createStation = (id, overrides = {}) => ({
+  id,
+  name: id,
+  year: 1500,
+  yearLabel: '1500 CE',
+  lines: ['Tech'],
+  visual: '',
+  atmosphere: '',
+  insight: '',
+  details: '',
+  ...overrides
+});
+
+const idsOf = (results) => results.map(result => result.station.id);
+
+describe('tokenize', () => {
+  it('should split words with their offsets in the original text', () => {
+    expect(tokenize('Black Death!')).toEqual([
+      { token: 'black', start: 0, end: 5 },
+      { token: 'death', start: 6, end: 11 }
+    ]);
+  });
+
+  it('should keep numbers with separators and contractions together', () => {
+    expect(tokenize("10,000 BCE · Women's Suffrage").map(t => t.token)).toEqual(['10000', 'bce', 'womens', 'suffrage']);
+  });
+
+  it('should ignore accents and case', () => {
+    expect(tokenize('Éléphant').map(t => t.token)).toEqual(['elephant']);
+  });
+});
+
+describe('editDistance', () => {
+  it('should count insertions, deletions, substitutions and transpositions', () => {
+    expect(editDistance('steam', 'steam')).toBe(0);
+    expect(editDistance('stem', 'steam')).toBe(1);
+    expect(editDistance('staem', 'steam')).toBe(1);
+    expect(editDistance('renaisance', 'renaissance')).toBe(1);
+  });
+
+  it('should stop early past the limit', () => {
+    expect(editDistance('printing', 'gunpowder', 2)).toBe(3);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('should split text into terms without stop words', () => {
+    expect(parseSearchQuery('  The Fall of Rome ').terms).toEqual(['fall', 'rome']);
+    expect(parseSearchQuery('the').terms).toEqual(['the']);
+  });
+
+  it('should parse dashed and worded ranges', () => {
+    expect(parseSearchQuery('1800-1900').yearRange).toMatchObject({ start: 1800, end: 1900, label: '1800 – 1900 CE' });
+    expect(parseSearchQuery('between 500 BCE and 100 CE').yearRange).toMatchObject({ start: -500, end: 100 });
+    expect(parseSearchQuery('1900 to 1800').yearRange).toMatchObject({ start: 1800, end: 1900 });
+  });
+
+  it('should read a trailing BCE as applying to both ends', () => {
+    expect(parseSearchQuery('3000-2000 BCE').yearRange).toMatchObject({ start: -3000, end: -2000 });
+    expect(parseSearchQuery('-3000 - 2000').yearRange).toMatchObject({ start: -3000, end: 2000 });
+  });
+
+  it('should parse open-ended ranges and keep the remaining terms', () => {
+    const before = parseSearchQuery('war before 500 BCE');
+    expect(before.yearRange).toEqual({ start: -Infinity, end: -501, label: 'before 500 BCE' });
+    expect(before.terms).toEqual(['war']);
+
+    expect(parseSearchQuery('after 1800').yearRange).toMatchObject({ start: 1801, end: Infinity });
+  });
+
+  it('should leave single years as text', () => {
+    const parsed = parseSearchQuery('1347');
+    expect(parsed.yearRange).toBeNull();
+    expect(parsed.terms).toEqual(['1347']);
+  });
+});
+
+describe('searchStations', () => {
+  const stations = [
+    createStation('steam', { name: 'Steam Engine', year: 1769, details: 'Watt improves the engine.' }),
+    createStation('railroads', { name: 'Railroads', year: 1830, insight: 'Steam power moves people.' }),
+    createStation('factory', { name: 'Factory', year: 1800, details: 'Steam everywhere.' }),
+    createStation('empire', { name: 'Roman Empire', year: -27, yearLabel: '27 BCE', lines: ['Empire'] }),
+    createStation('plague', { name: 'Black Death', year: 1347, yearLabel: '1347 CE', startYear: 1346, endYear: 1353 })
+  ];
+  const index = createSearchIndex(stations, LINES);
+
+  it('should rank name matches over insight matches over details matches', () => {
+    expect(idsOf(searchStations(index, 'steam'))).toEqual(['steam', 'railroads', 'factory']);
+  });
+
+  it('should tolerate typos and match partially typed words', () => {
+    expect(idsOf(searchStations(index, 'stem engnie'))).toEqual(['steam']);
+    expect(idsOf(searchStations(index, 'railr'))).toEqual(['railroads']);
+  });
+
+  it('should not fuzzy-match very short words', () => {
+    expect(searchStations(index, 'rim')).toEqual([]);
+  });
+
+  it('should match numbers exactly, without typo tolerance', () => {
+    const revolutions = createSearchIndex([
+      ...stations,
+      createStation('1848', { name: 'Revolutions', year: 1848, yearLabel: '1848 CE' }),
+      createStation('1343', { name: 'Siege', year: 1343, yearLabel: '1343 CE' }),
+      createStation('1348', { name: 'Florence Plague', year: 1348, yearLabel: '1348 CE' })
+    ], LINES);
+    expect(idsOf(searchStations(revolutions, '1348'))).toEqual(['1348']);
+  });
+
+  it('should require every term to match', () => {
+    expect(idsOf(searchStations(index, 'steam watt'))).toEqual(['steam']);
+  });
+
+  it('should search line keys and line names', () => {
+    expect(idsOf(searchStations(index, 'empire'))).toEqual(['empire']);
+    // Equal scores fall back to chronological order
+    expect(idsOf(searchStations(index, 'technology'))).toEqual(['plague', 'steam', 'factory', 'railroads']);
+  });
+
+  it('should filter by year range, counting spans that overlap it', () => {
+    expect(idsOf(searchStations(index, '1350-1800'))).toEqual(['plague', 'steam', 'factory']);
+    expect(idsOf(searchStations(index, 'steam after 1790'))).toEqual(['railroads', 'factory']);
+    expect(idsOf(searchStations(index, 'before 1 CE'))).toEqual(['empire']);
+  });
+
+  it('should return highlight ranges and a context snippet', () => {
+    const [result] = searchStations(index, 'power');
+
+    expect(result.station.id).toBe('railroads');
+    expect(result.snippet).toEqual({ field: 'insight', text: 'Steam power moves people.', ranges: [[6, 11]] });
+    expect(searchStations(index, 'rail')[0].matches.name).toEqual([[0, 4]]);
+  });
+
+  it('should return nothing for an empty query', () => {
+    expect(searchStations(index, '   ')).toEqual([]);
+  });
+
+  it('should search narrative fields of the built-in data', () => {
+    const builtIn = createSearchIndex(processStations(), LINES);
+
+    expect(searchStations(builtIn, 'Gutenberg')[0].station.id).toBe('gutenberg');
+    expect(searchStations(builtIn, 'aqueducts')[0].station.id).toBe('pax-romana');
+  });
+});
+
+describe('highlightSegments', () => {
+  it('should merge overlapping ranges', () => {
+    expect(highlightSegments('Black Death', [[6, 11], [0, 3], [1, 5]])).toEqual([
+      { text: 'Black', match: true },
+      { text: ' ', match: false },
+      { text: 'Death', match: true }
+    ]);
+  });
+
+  it('should return the whole text without ranges', () => {
+    expect(highlightSegments('Renaissance')).toEqual([{ text: 'Renaissance', match: false }]);
+  });
+});
+
+describe('createSnippet', () => {
+  const text = 'Black Death arrives in Europe. Between thirty and fifty percent of the population dies within a few years.';
+
+  it('should cut around the first match at word boundaries', () => {
+    const segments = createSnippet(text, [[71, 81]], 20);
+
+    expect(segments[0]).toEqual({ text: '…', match: false });
+    expect(segments.find(s => s.match).text).toBe('population');
+    expect(segments.map(s => s.text).join('')).toBe('…percent of the population dies within a few…');
+  });
+
+  it('should not add ellipses when the text fits', () => {
+    expect(createSnippet('Steam power', [[0, 5]]).map(s => s.text)).toEqual(['Steam', ' power']);
+  });
+});
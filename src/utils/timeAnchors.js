@@ -0,0 +1,72 @@
+/**
+ * Time Anchor Generation
+ * Computes piecewise time-scale anchors from the station years of a dataset,
+ * replacing hand-tuned percentages that go stale when the data changes
+ *
+ * The timeline is cut into bands holding roughly the same number of stations,
+ * and each band gets width in proportion to its stations on top of a minimum
+ * share, so dense periods spread out while empty eras stay visible.
+ */
+
+import { TIMELINE, TIME_LAYOUT } from '../constants/metroConfig';
+
+/**
+ * Compute piecewise anchors for a set of station years
+ * @param {Array<number>} years - Station years (negative for BCE); out-of-range years are clamped
+ * @param {Object} [options]
+ * @param {number} [options.bandCount=TIME_LAYOUT.BAND_COUNT] - Number of equal-count bands
+ * @param {number} [options.minBandShare=TIME_LAYOUT.MIN_BAND_SHARE] - Minimum width share per band
+ *   (capped so all bands can meet it)
+ * @returns {Array<{year: number, position: number}>} Ascending anchors from TIMELINE.START (0) to TIMELINE.END (1)
+ */
+export function computeTimeAnchors(years, {
+  bandCount = TIME_LAYOUT.BAND_COUNT,
+  minBandShare = TIME_LAYOUT.MIN_BAND_SHARE
+} = {}) {
+  const sorted = years
+    .filter(Number.isFinite)
+    .map(year => Math.min(TIMELINE.END, Math.max(TIMELINE.START, year)))
+    .sort((a, b) => a - b);
+
+  if (sorted.length === 0) {
+    return [{ year: TIMELINE.START, position: 0 }, { year: TIMELINE.END, position: 1 }];
+  }
+
+  // Band edges: the first station, then midway between the stations either side of
+  // each quantile, then the last station. Time before and after the data gets its own band.
+  const count = sorted.length;
+  const bands = Math.max(1, Math.min(Math.floor(bandCount), count));
+  const candidates = [sorted[0]];
+  for (let k = 1; k < bands; k++) {
+    const index = Math.round((k * count) / bands);
+    candidates.push((sorted[index - 1] + sorted[index]) / 2);
+  }
+  candidates.push(sorted[count - 1]);
+
+  const edges = [TIMELINE.START];
+  candidates.forEach(year => {
+    if (year > edges[edges.length - 1] && year < TIMELINE.END) edges.push(year);
+  });
+  edges.push(TIMELINE.END);
+
+  // Stations per band. Bands are [edge, next edge); the last station closes the band it
+  // ends rather than opening the empty stretch up to TIMELINE.END.
+  const bandTotal = edges.length - 1;
+  const lastYear = sorted[count - 1];
+  const counts = new Array(bandTotal).fill(0);
+  let band = 0;
+  sorted.forEach(year => {
+    while (band < bandTotal - 1 && year >= edges[band + 1]) band++;
+    const closesBand = year === lastYear && year > sorted[0] && edges[band] === year;
+    counts[closesBand ? band - 1 : band]++;
+  });
+
+  const minShare = Math.min(Math.max(0, minBandShare), 1 / bandTotal);
+  const freeShare = 1 - minShare * bandTotal;
+
+  let position = 0;
+  return edges.map((year, index) => {
+    if (index > 0) position += minShare + (freeShare * counts[index - 1]) / count;
+    return { year, position: index === bandTotal ? 1 : position };
+  });
+}
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for Time Anchor Generation
+ * Tests equal-count bands, minimum era share and use as a piecewise time scale
+ */
+
+import { describe, it, expect } from 'vitest';
+import { computeTimeAnchors } from './timeAnchors';
+import { createPiecewiseScale } from './coordinates';
+import { STATION_DATA } from '../data/stations';
+import { TIMELINE, VIEWBOX } from '../constants/metroConfig';
+
+const expectValidAnchors = (anchors) => {
+  expect(anchors[0]).toEqual({ year: TIMELINE.START, position: 0 });
+  expect(anchors[anchors.length - 1]).toEqual({ year: TIMELINE.END, position: 1 });
+  for (let i = 1; i < anchors.length; i++) {
+    expect(anchors[i].year).toBeGreaterThan(anchors[i - 1].year);
+    expect(anchors[i].position).toBeGreaterThan(anchors[i - 1].position);
+  }
+};
+
+describe('computeTimeAnchors', () => {
+  it('should span the timeline with strictly increasing anchors', () => {
+    expectValidAnchors(computeTimeAnchors(STATION_DATA.map(s => s.year)));
+    expectValidAnchors(computeTimeAnchors([1500, 1500, 1500]));
+    expectValidAnchors(computeTimeAnchors([TIMELINE.START, TIMELINE.END]));
+  });
+
+  it('should fall back to a linear layout without years', () => {
+    expect(computeTimeAnchors([])).toEqual([
+      { year: TIMELINE.START, position: 0 },
+      { year: TIMELINE.END, position: 1 }
+    ]);
+  });
+
+  it('should give each band roughly the same number of stations', () => {
+    const years = STATION_DATA.map(s => s.year);
+    const scale = createPiecewiseScale(computeTimeAnchors(years, { bandCount: 8, minBandShare: 0 }));
+    const perQuarter = [0, 0, 0, 0];
+    years.forEach(year => {
+      perQuarter[Math.min(3, Math.floor((scale.yearToX(year) / VIEWBOX.WIDTH) * 4))]++;
+    });
+
+    perQuarter.forEach(count => {
+      expect(count).toBeGreaterThan(years.length / 4 - 4);
+      expect(count).toBeLessThan(years.length / 4 + 4);
+    });
+  });
+
+  it('should keep a minimum share for eras without stations', () => {
+    const anchors = computeTimeAnchors([1800, 1850, 1900], { minBandShare: 0.1 });
+    const scale = createPiecewiseScale(anchors);
+
+    // Nothing happens before 1800, but the 11,800 empty years still get a band
+    expect(scale.yearToX(1800)).toBeCloseTo(0.1 * VIEWBOX.WIDTH, 6);
+    expect(VIEWBOX.WIDTH - scale.yearToX(1900)).toBeCloseTo(0.1 * VIEWBOX.WIDTH, 6);
+  });
+
+  it('should cap the minimum share so the bands still fit', () => {
+    expectValidAnchors(computeTimeAnchors([0, 1000, 2000], { minBandShare: 0.9 }));
+  });
+
+  it('should clamp out-of-range years and ignore non-numbers', () => {
+    const anchors = computeTimeAnchors([-50000, 1000, NaN, 5000]);
+    expectValidAnchors(anchors);
+    expect(anchors.every(a => Number.isFinite(a.year))).toBe(true);
+  });
+
+  it('should be deterministic regardless of input order', () => {
+    const years = STATION_DATA.map(s => s.year);
+    expect(computeTimeAnchors([...years].reverse())).toEqual(computeTimeAnchors(years));
+  });
+});
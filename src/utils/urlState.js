@@ -0,0 +1,206 @@
+/**
+ * URL State Serialization
+ * Encodes the shareable part of the map state (view, selection, filters, journey)
+ * into query parameters and restores it from them.
+ *
+ * Example: ?view=3400,1000,1600,800&station=black-death&lines=war
+ * A journey is stored as its tour and stop: ?tour=key-moments&journey=2
+ *
+ * Parsing never throws - malformed values and unknown ids are dropped and
+ * reported as issues so a stale link still opens the map.
+ */
+
+import { LINES } from '../constants/metroConfig';
+
+/**
+ * Query parameter names owned by the map state
+ * Other parameters (e.g. ?dataset=) are left untouched
+ */
+export const URL_PARAMS = {
+  VIEW: 'view',
+  STATION: 'station',
+  LINES: 'lines',
+  SEARCH: 'q',
+  ERA: 'era',
+  TOUR: 'tour',
+  JOURNEY: 'journey'
+};
+
+// Token used when every line is hidden (an empty list would read as "no filter")
+const NO_LINES = 'none';
+
+/**
+ * Parse a comma-separated list of finite numbers
+ * @returns {Array<number>|null} Numbers, or null if any part is not a finite number
+ */
+function parseNumberList(value, expectedLength) {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',');
+  if (parts.length !== expectedLength) return null;
+
+  const numbers = parts.map(part => (part.trim() === '' ? NaN : Number(part)));
+  return numbers.every(Number.isFinite) ? numbers : null;
+}
+
+/**
+ * Serialize the shareable map state into a query string
+ * @param {Object} state - Map state from useMapState
+ * @param {Object} [options]
+ * @param {Object} [options.lines=LINES] - Active line configuration
+ * @param {string} [options.baseSearch=''] - Existing query string whose other parameters are kept
+ * @returns {string} Query string including the leading '?', or '' when there is nothing to encode
+ */
+export function serializeMapState(state, { lines = LINES, baseSearch = '' } = {}) {
+  const params = new URLSearchParams(baseSearch);
+  Object.values(URL_PARAMS).forEach(name => params.delete(name));
+
+  const { viewBox } = state;
+  if (viewBox) {
+    params.set(URL_PARAMS.VIEW, [viewBox.x, viewBox.y, viewBox.width, viewBox.height].map(Math.round).join(','));
+  }
+
+  if (state.selectedStation?.id) {
+    params.set(URL_PARAMS.STATION, state.selectedStation.id);
+  }
+
+  // Only encode line filters when something is hidden
+  const lineIds = Object.values(lines).map(config => config.id);
+  const visibleIds = lineIds.filter(id => state.visibleLines?.[id] !== false);
+  if (visibleIds.length < lineIds.length) {
+    params.set(URL_PARAMS.LINES, visibleIds.length > 0 ? visibleIds.join(',') : NO_LINES);
+  }
+
+  if (state.searchQuery) {
+    params.set(URL_PARAMS.SEARCH, state.searchQuery);
+  }
+
+  if (Array.isArray(state.focusedEra)) {
+    params.set(URL_PARAMS.ERA, state.focusedEra.join(','));
+  }
+
+  if (state.journeyMode) {
+    if (state.activeTourId) params.set(URL_PARAMS.TOUR, state.activeTourId);
+    params.set(URL_PARAMS.JOURNEY, String(state.journeyIndex));
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Check whether a query string carries any map state
+ * @param {string} search - Query string
+ * @returns {boolean} True if at least one map state parameter is present
+ */
+export function hasMapState(search) {
+  const params = new URLSearchParams(search);
+  return Object.values(URL_PARAMS).some(name => params.has(name));
+}
+
+/**
+ * Parse map state from a query string
+ * Every shareable field is returned (with its default when absent) so that
+ * navigating back to a URL without a parameter also clears it. The viewBox is
+ * only returned when the URL specifies one.
+ *
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @param {Object} options
+ * @param {Array} options.stations - Processed stations, used to resolve station ids
+ * @param {Object} [options.lines=LINES] - Active line configuration
+ * @param {Array<Object>} [options.tours=[]] - Loaded tours, used to resolve the journey's tour
+ * @returns {{state: Object, issues: Array<string>}} State patch for applyViewState,
+ *   plus human-readable notes about parameters that were ignored
+ */
+export function parseMapState(search, { stations, lines = LINES, tours = [] }) {
+  const params = new URLSearchParams(search);
+  const issues = [];
+  const findStation = (id) => stations.find(s => s.id === id) || null;
+
+  const state = {
+    selectedStation: null,
+    visibleLines: Object.fromEntries(Object.values(lines).map(config => [config.id, true])),
+    searchQuery: '',
+    focusedEra: null,
+    journeyMode: false,
+    journeyIndex: 0
+  };
+
+  // View box: x,y,width,height in viewbox units
+  if (params.has(URL_PARAMS.VIEW)) {
+    const view = parseNumberList(params.get(URL_PARAMS.VIEW), 4);
+    if (view && view[2] > 0 && view[3] > 0) {
+      const [x, y, width, height] = view;
+      state.viewBox = { x, y, width, height };
+    } else {
+      issues.push(`Ignored invalid view "${params.get(URL_PARAMS.VIEW)}"`);
+    }
+  }
+
+  // Line filters: visible line ids
+  if (params.has(URL_PARAMS.LINES)) {
+    const value = params.get(URL_PARAMS.LINES);
+    const knownIds = new Set(Object.keys(state.visibleLines));
+
+    if (value === NO_LINES) {
+      knownIds.forEach(id => { state.visibleLines[id] = false; });
+    } else {
+      const requested = value.split(',').map(id => id.trim()).filter(Boolean);
+      const known = requested.filter(id => knownIds.has(id));
+      const unknown = requested.filter(id => !knownIds.has(id));
+
+      if (unknown.length > 0) {
+        issues.push(`Ignored unknown line${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+      }
+      // A filter naming no known line would hide everything - show all lines instead
+      if (known.length > 0) {
+        knownIds.forEach(id => { state.visibleLines[id] = known.includes(id); });
+      }
+    }
+  }
+
+  if (params.has(URL_PARAMS.SEARCH)) {
+    state.searchQuery = params.get(URL_PARAMS.SEARCH);
+  }
+
+  if (params.has(URL_PARAMS.ERA)) {
+    const era = parseNumberList(params.get(URL_PARAMS.ERA), 2);
+    if (era && era[0] <= era[1]) {
+      state.focusedEra = era;
+    } else {
+      issues.push(`Ignored invalid era "${params.get(URL_PARAMS.ERA)}"`);
+    }
+  }
+
+  // Journey: a stop of the linked tour
+  if (params.has(URL_PARAMS.JOURNEY)) {
+    const tourId = params.get(URL_PARAMS.TOUR);
+    const tour = tours.find(t => t.id === tourId) || null;
+    const index = Number(params.get(URL_PARAMS.JOURNEY));
+    const station = tour && Number.isInteger(index) ? findStation(tour.stops[index]?.stationId) : null;
+    if (tourId === null) {
+      issues.push('Ignored journey link that names no tour');
+    } else if (!tour) {
+      issues.push(`Ignored journey in unknown tour "${tourId}"`);
+    } else if (station) {
+      state.journeyMode = true;
+      state.journeyIndex = index;
+      state.activeTourId = tour.id;
+      state.selectedStation = station;
+    } else {
+      issues.push(`Ignored unknown journey stop "${params.get(URL_PARAMS.JOURNEY)}"`);
+    }
+  }
+
+  // Explicit selection wins over the journey stop
+  if (params.has(URL_PARAMS.STATION)) {
+    const id = params.get(URL_PARAMS.STATION);
+    const station = findStation(id);
+    if (station) {
+      state.selectedStation = station;
+    } else {
+      issues.push(`Station "${id}" was not found in this dataset`);
+    }
+  }
+
+  return { state, issues };
+}
@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for URL State Serialization
+ * Tests encoding the shareable map state and restoring it from stale or hostile links
+ */
+
+import { describe, it, expect } from 'vitest';
+import { serializeMapState, parseMapState, hasMapState, URL_PARAMS } from './urlState';
+import { resolveLines } from './lineConfig';
+
+const stations = [
+  { id: 'black-death', name: 'Black Death' },
+  { id: 'gutenberg', name: 'Printing Press' },
+  { id: 'neolithic', name: 'Neolithic' }
+];
+const tours = [
+  { id: 'default', stops: [{ stationId: 'neolithic' }, { stationId: 'gutenberg' }] },
+  { id: 'plague-years', stops: [{ stationId: 'black-death' }, { stationId: 'neolithic' }, { stationId: 'gutenberg' }] }
+];
+
+const createState = (overrides = {}) => ({
+  viewBox: { x: 3400.4, y: 1000, width: 1600, height: 800.6 },
+  selectedStation: null,
+  visibleLines: { tech: true, war: true, population: true, philosophy: true, empire: true },
+  searchQuery: '',
+  focusedEra: null,
+  journeyMode: false,
+  journeyIndex: 0,
+  ...overrides
+});
+
+const parse = (search, options = {}) => parseMapState(search, { stations, tours, ...options });
+
+describe('serializeMapState', () => {
+  it('should encode only the view for the default state', () => {
+    expect(serializeMapState(createState())).toBe('?view=3400%2C1000%2C1600%2C801');
+  });
+
+  it('should encode selection, hidden lines, search, era and journey', () => {
+    const params = new URLSearchParams(serializeMapState(createState({
+      selectedStation: stations[0],
+      visibleLines: { tech: false, war: true, population: false, philosophy: false, empire: false },
+      searchQuery: 'plague',
+      focusedEra: [1300, 1400],
+      journeyMode: true,
+      journeyIndex: 1,
+      activeTourId: 'plague-years'
+    })));
+
+    expect(params.get(URL_PARAMS.STATION)).toBe('black-death');
+    expect(params.get(URL_PARAMS.LINES)).toBe('war');
+    expect(params.get(URL_PARAMS.SEARCH)).toBe('plague');
+    expect(params.get(URL_PARAMS.ERA)).toBe('1300,1400');
+    expect(params.get(URL_PARAMS.TOUR)).toBe('plague-years');
+    expect(params.get(URL_PARAMS.JOURNEY)).toBe('1');
+  });
+
+  it('should encode all lines hidden as "none"', () => {
+    const state = createState({
+      visibleLines: { tech: false, war: false, population: false, philosophy: false, empire: false }
+    });
+    expect(new URLSearchParams(serializeMapState(state)).get(URL_PARAMS.LINES)).toBe('none');
+  });
+
+  it('should keep unrelated parameters such as the dataset', () => {
+    const search = serializeMapState(createState(), { baseSearch: '?dataset=/alt.json&station=old' });
+    const params = new URLSearchParams(search);
+
+    expect(params.get('dataset')).toBe('/alt.json');
+    expect(params.has(URL_PARAMS.STATION)).toBe(false);
+  });
+
+  it('should return an empty string when there is nothing to encode', () => {
+    expect(serializeMapState(createState({ viewBox: null }))).toBe('');
+  });
+});
+
+describe('parseMapState', () => {
+  it('should round-trip a serialized state', () => {
+    const original = createState({
+      selectedStation: stations[0],
+      visibleLines: { tech: false, war: true, population: false, philosophy: false, empire: false },
+      searchQuery: 'plague',
+      focusedEra: [1300, 1400]
+    });
+    const { state, issues } = parse(serializeMapState(original));
+
+    expect(issues).toEqual([]);
+    expect(state.selectedStation).toBe(stations[0]);
+    expect(state.visibleLines).toEqual(original.visibleLines);
+    expect(state.searchQuery).toBe('plague');
+    expect(state.focusedEra).toEqual([1300, 1400]);
+    expect(state.viewBox).toEqual({ x: 3400, y: 1000, width: 1600, height: 801 });
+  });
+
+  it('should return defaults for absent parameters (so back navigation clears them)', () => {
+    const { state } = parse('');
+
+    expect(state.selectedStation).toBeNull();
+    expect(state.searchQuery).toBe('');
+    expect(state.focusedEra).toBeNull();
+    expect(state.journeyMode).toBe(false);
+    expect(Object.values(state.visibleLines).every(Boolean)).toBe(true);
+    expect(state).not.toHaveProperty('viewBox');
+  });
+
+  it('should drop unknown station ids with an issue', () => {
+    const { state, issues } = parse('?station=atlantis');
+
+    expect(state.selectedStation).toBeNull();
+    expect(issues[0]).toContain('atlantis');
+  });
+
+  it('should ignore malformed views and eras', () => {
+    const { state, issues } = parse('?view=1,2,abc,4&era=1400,1300');
+
+    expect(state).not.toHaveProperty('viewBox');
+    expect(state.focusedEra).toBeNull();
+    expect(issues).toHaveLength(2);
+  });
+
+  it('should reject views with non-positive size', () => {
+    expect(parse('?view=0,0,0,100').state).not.toHaveProperty('viewBox');
+  });
+
+  it('should ignore unknown line ids and show all lines if none are known', () => {
+    const mixed = parse('?lines=war,dragons');
+    expect(mixed.state.visibleLines.war).toBe(true);
+    expect(mixed.state.visibleLines.tech).toBe(false);
+    expect(mixed.issues[0]).toContain('dragons');
+
+    const unknownOnly = parse('?lines=dragons');
+    expect(Object.values(unknownOnly.state.visibleLines).every(Boolean)).toBe(true);
+  });
+
+  it('should hide every line for "none"', () => {
+    expect(Object.values(parse('?lines=none').state.visibleLines).some(Boolean)).toBe(false);
+  });
+
+  it('should use the active line configuration', () => {
+    const lines = resolveLines({ Trade: {}, Faith: {} });
+    const { state } = parse('?lines=faith', { lines });
+
+    expect(state.visibleLines).toEqual({ trade: false, faith: true });
+  });
+
+  it('should restore journey mode at a valid stop', () => {
+    const { state } = parse('?tour=default&journey=1');
+
+    expect(state.journeyMode).toBe(true);
+    expect(state.journeyIndex).toBe(1);
+    expect(state.selectedStation).toBe(stations[1]);
+  });
+
+  it('should ignore out-of-range journey stops', () => {
+    const { state, issues } = parse('?tour=default&journey=7');
+
+    expect(state.journeyMode).toBe(false);
+    expect(issues).toHaveLength(1);
+  });
+
+  it('should restore a journey in the linked tour', () => {
+    const { state, issues } = parse('?tour=plague-years&journey=2');
+
+    expect(issues).toEqual([]);
+    expect(state.activeTourId).toBe('plague-years');
+    expect(state.journeyIndex).toBe(2);
+    expect(state.selectedStation).toBe(stations[1]);
+  });
+
+  it('should round-trip a journey in a non-default tour', () => {
+    const search = serializeMapState(createState({ journeyMode: true, journeyIndex: 0, activeTourId: 'plague-years' }));
+    const { state } = parse(search);
+
+    expect(state.activeTourId).toBe('plague-years');
+    expect(state.selectedStation).toBe(stations[0]);
+  });
+
+  it('should ignore journey links that name no tour', () => {
+    const { state, issues } = parse('?journey=0');
+
+    expect(state.journeyMode).toBe(false);
+    expect(issues).toEqual(['Ignored journey link that names no tour']);
+  });
+
+  it('should ignore journeys in tours that are not loaded', () => {
+    const { state, issues } = parse('?tour=deleted-tour&journey=0');
+
+    expect(state.journeyMode).toBe(false);
+    expect(state.activeTourId).toBeUndefined();
+    expect(issues).toEqual(['Ignored journey in unknown tour "deleted-tour"']);
+  });
+
+  it('should prefer an explicit station over the journey stop', () => {
+    expect(parse('?tour=default&journey=0&station=gutenberg').state.selectedStation).toBe(stations[1]);
+  });
+});
+
+describe('hasMapState', () => {
+  it('should detect map parameters only', () => {
+    expect(hasMapState('?station=gutenberg')).toBe(true);
+    expect(hasMapState('?dataset=/alt.json')).toBe(false);
+    expect(hasMapState('')).toBe(false);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Viewport Culling
+ * Spatial index for drawing only what intersects the current viewBox
+ *
+ * The map is laid out along the time axis, so the index buckets items into
+ * vertical strips CELL_SIZE wide: an item is stored in every strip its bounds
+ * cross, and a query visits only the strips the view crosses, then checks each
+ * candidate's bounds. Query cost grows with what is near the view, not with the
+ * size of the dataset.
+ *
+ * Bounds are plain { minX, minY, maxX, maxY } rectangles in SVG units.
+ */
+
+/**
+ * Width of an index strip (SVG units)
+ */
+export const CELL_SIZE = 200;
+
+/**
+ * Extra room around the view, as a fraction of its size on each side, so items
+ * appear just before they scroll in and labels near the edge are not clipped
+ */
+export const CULL_MARGIN = 0.25;
+
+/**
+ * Room around a station marker for its label, rings, star and close-up insight text (SVG units)
+ */
+export const STATION_PADDING = { x: 220, above: 140, below: 130 };
+
+/**
+ * Whether two bounds overlap (touching counts)
+ * @param {Object} a - Bounds
+ * @param {Object} b - Bounds
+ * @returns {boolean} True when they intersect
+ */
+export function intersectsBounds(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+/**
+ * Area to draw for a viewBox
+ * @param {Object} viewBox - Current viewBox
+ * @param {number} [margin=CULL_MARGIN] - Extra room as a fraction of the view size on each side
+ * @returns {Object} Bounds
+ */
+export function getCullBounds(viewBox, margin = CULL_MARGIN) {
+  const padX = viewBox.width * margin;
+  const padY = viewBox.height * margin;
+  return {
+    minX: viewBox.x - padX,
+    minY: viewBox.y - padY,
+    maxX: viewBox.x + viewBox.width + padX,
+    maxY: viewBox.y + viewBox.height + padY
+  };
+}
+
+/**
+ * Build a spatial index
+ * @param {Array} items - Items to index; queries return them in this order
+ * @param {Function} getBounds - Returns an item's bounds
+ * @param {Object} [options]
+ * @param {number} [options.cellSize=CELL_SIZE] - Strip width
+ * @returns {Object} Index for querySpatialIndex
+ */
+export function createSpatialIndex(items, getBounds, { cellSize = CELL_SIZE } = {}) {
+  const cells = new Map();
+  let minCell = Infinity;
+  let maxCell = -Infinity;
+
+  items.forEach((item, order) => {
+    const bounds = getBounds(item);
+    const entry = { item, bounds, order };
+    const first = Math.floor(bounds.minX / cellSize);
+    const last = Math.floor(bounds.maxX / cellSize);
+    for (let cell = first; cell <= last; cell++) {
+      if (!cells.has(cell)) cells.set(cell, []);
+      cells.get(cell).push(entry);
+    }
+    minCell = Math.min(minCell, first);
+    maxCell = Math.max(maxCell, last);
+  });
+
+  return { cells, cellSize, minCell, maxCell, size: items.length };
+}
+
+/**
+ * Items whose bounds intersect an area
+ * @param {Object} index - From createSpatialIndex
+ * @param {Object} bounds - Area to query
+ * @param {Object} [stats] - When given, `visited` is set to the number of candidates checked
+ * @returns {Array} Matching items, in index order
+ */
+export function querySpatialIndex(index, bounds, stats) {
+  const first = Math.max(index.minCell, Math.floor(bounds.minX / index.cellSize));
+  const last = Math.min(index.maxCell, Math.floor(bounds.maxX / index.cellSize));
+  const seen = new Set();
+  const hits = [];
+
+  for (let cell = first; cell <= last; cell++) {
+    const entries = index.cells.get(cell);
+    if (!entries) continue;
+    for (const entry of entries) {
+      if (seen.has(entry)) continue;
+      seen.add(entry);
+      if (intersectsBounds(entry.bounds, bounds)) hits.push(entry);
+    }
+  }
+
+  if (stats) stats.visited = seen.size;
+  return hits.sort((a, b) => a.order - b.order).map(entry => entry.item);
+}
+
+/**
+ * Bounds of a station as drawn: its markers on each line, its span and its label
+ * @param {Object} station - Processed station
+ * @param {Object} lineYPositions - Corridor Y per line name
+ * @returns {Object} Bounds
+ */
+export function getStationBounds(station, lineYPositions) {
+  const ys = station.lines.map(line => lineYPositions[line]).filter(Number.isFinite);
+  if (ys.length === 0) ys.push(station.coords.y);
+  const { x } = station.coords;
+  return {
+    minX: Math.min(x, station.span?.startX ?? x) - STATION_PADDING.x,
+    maxX: Math.max(x, station.span?.endX ?? x) + STATION_PADDING.x,
+    minY: Math.min(...ys) - STATION_PADDING.above,
+    maxY: Math.max(...ys) + STATION_PADDING.below
+  };
+}
+
+/**
+ * Causal links between stations, with their curve and bounds
+ * Each link is a cubic curve between the primary corridors of its ends; its bounds
+ * are those of its control points, which contain the curve.
+ * @param {Array} stations - Stations (links to ids missing from them are skipped)
+ * @param {Object} lineYPositions - Corridor Y per line name
+ * @returns {Array<{key: string, sourceId: string, targetId: string, pathData: string, bounds: Object}>} Links
+ */
+export function buildCausalLinks(stations, lineYPositions) {
+  const byId = new Map(stations.map(station => [station.id, station]));
+  const links = [];
+
+  stations.forEach(station => {
+    (station.connections || []).forEach((conn, idx) => {
+      const target = byId.get(conn.targetId);
+      if (!target) return;
+
+      const x1 = station.coords.x;
+      const y1 = lineYPositions[station.lines[0]] || station.coords.y;
+      const x2 = target.coords.x;
+      const y2 = lineYPositions[target.lines[0]] || target.coords.y;
+      // Control points offset horizontally by 30% of the distance for a smooth arc
+      const offset = Math.abs(x2 - x1) * 0.3;
+      const cx1 = x1 + offset;
+      const cx2 = x2 - offset;
+
+      links.push({
+        key: `${station.id}-${conn.targetId}-${idx}`,
+        sourceId: station.id,
+        targetId: target.id,
+        pathData: `M ${x1} ${y1} C ${cx1} ${y1}, ${cx2} ${y2}, ${x2} ${y2}`,
+        bounds: {
+          minX: Math.min(x1, x2, cx1, cx2),
+          maxX: Math.max(x1, x2, cx1, cx2),
+          minY: Math.min(y1, y2),
+          maxY: Math.max(y1, y2)
+        }
+      });
+    });
+  });
+
+  return links;
+}
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for Viewport Culling
+ * Tests bounds, the spatial index and the station/link geometry it indexes
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CELL_SIZE,
+  STATION_PADDING,
+  intersectsBounds,
+  getCullBounds,
+  createSpatialIndex,
+  querySpatialIndex,
+  getStationBounds,
+  buildCausalLinks
+} from './viewportCulling';
+
+const lineYPositions = { Tech: 1000, War: 2000 };
+
+const station = (id, x, overrides = {}) => ({
+  id,
+  lines: ['Tech'],
+  coords: { x, y: 0 },
+  ...overrides
+});
+
+// Stations spread evenly along one corridor
+const spreadStations = (count, width) => Array.from({ length: count }, (_, i) => (
+  station(`s${i}`, (i / count) * width)
+));
+
+const boundsOf = s => getStationBounds(s, lineYPositions);
+
+describe('bounds', () => {
+  it('should detect overlaps, counting touching edges', () => {
+    const a = { minX: 0, minY: 0, maxX: 10, maxY: 10 };
+    expect(intersectsBounds(a, { minX: 10, minY: 10, maxX: 20, maxY: 20 })).toBe(true);
+    expect(intersectsBounds(a, { minX: 11, minY: 0, maxX: 20, maxY: 10 })).toBe(false);
+    expect(intersectsBounds(a, { minX: 0, minY: -20, maxX: 10, maxY: -1 })).toBe(false);
+  });
+
+  it('should pad the view by the margin on each side', () => {
+    expect(getCullBounds({ x: 100, y: 50, width: 400, height: 200 }, 0.5)).toEqual({
+      minX: -100, minY: -50, maxX: 700, maxY: 350
+    });
+  });
+
+  it('should cover a station on every line, its span and its label', () => {
+    const bounds = getStationBounds(
+      station('rome', 500, { lines: ['Tech', 'War'], span: { startX: 400, endX: 900 } }),
+      lineYPositions
+    );
+    expect(bounds).toEqual({
+      minX: 400 - STATION_PADDING.x,
+      maxX: 900 + STATION_PADDING.x,
+      minY: 1000 - STATION_PADDING.above,
+      maxY: 2000 + STATION_PADDING.below
+    });
+  });
+});
+
+describe('spatial index', () => {
+  it('should return the items in view, in their original order', () => {
+    const stations = [station('c', 5000), station('a', 100), station('b', 150), station('far', 20000)];
+    const index = createSpatialIndex(stations, boundsOf);
+    const view = { minX: 0, minY: 900, maxX: 500, maxY: 1100 };
+    expect(querySpatialIndex(index, view).map(s => s.id)).toEqual(['a', 'b']);
+  });
+
+  it('should cull by height as well as by time', () => {
+    const index = createSpatialIndex([station('a', 100)], boundsOf);
+    expect(querySpatialIndex(index, { minX: 0, minY: 3000, maxX: 500, maxY: 3500 })).toEqual([]);
+  });
+
+  it('should return items spanning many strips once', () => {
+    const long = station('long', 0, { span: { startX: 0, endX: CELL_SIZE * 20 } });
+    const index = createSpatialIndex([long], boundsOf);
+    expect(index.cells.size).toBeGreaterThan(20);
+    expect(querySpatialIndex(index, { minX: -1e6, minY: -1e6, maxX: 1e6, maxY: 1e6 })).toEqual([long]);
+  });
+
+  it('should handle an empty index and views far off the map', () => {
+    expect(querySpatialIndex(createSpatialIndex([], boundsOf), { minX: 0, minY: 0, maxX: 10, maxY: 10 })).toEqual([]);
+    const index = createSpatialIndex(spreadStations(10, 8000), boundsOf);
+    expect(querySpatialIndex(index, { minX: -1e9, minY: 0, maxX: -1e9 + 10, maxY: 5000 })).toEqual([]);
+  });
+});
+
+describe('benchmark: query cost scales with what is in view', () => {
+  // Same density (one station per 4 units) on maps of growing length; the view stays the same size
+  const view = { minX: 4000, minY: 0, maxX: 5000, maxY: 4000 };
+  const measure = (count) => {
+    const index = createSpatialIndex(spreadStations(count, count * 4), boundsOf);
+    const stats = {};
+    const hits = querySpatialIndex(index, view, stats);
+    return { hits: hits.length, visited: stats.visited };
+  };
+
+  it('should visit the same number of candidates whatever the dataset size', () => {
+    const small = measure(2000);
+    const large = measure(50000);
+    expect(large.hits).toBe(small.hits);
+    expect(large.visited).toBe(small.visited);
+    // Candidates are the stations in view plus those in the strips at its edges
+    expect(small.visited).toBeLessThan(small.hits + (2 * (CELL_SIZE + 2 * STATION_PADDING.x)) / 4);
+  });
+
+  it('should visit far fewer candidates than a full scan', () => {
+    const { visited } = measure(50000);
+    expect(visited).toBeLessThan(50000 / 50);
+  });
+});
+
+describe('buildCausalLinks', () => {
+  const stations = [
+    station('a', 100, { connections: [{ targetId: 'b' }, { targetId: 'missing' }] }),
+    station('b', 1100, { lines: ['War'], connections: [{ targetId: 'a' }] })
+  ];
+
+  it('should resolve targets by id and skip missing ones', () => {
+    expect(buildCausalLinks(stations, lineYPositions).map(link => link.key)).toEqual(['a-b-0', 'b-a-0']);
+  });
+
+  it('should draw between the primary corridors and bound the control points', () => {
+    const [forward, backward] = buildCausalLinks(stations, lineYPositions);
+    expect(forward.pathData).toBe('M 100 1000 C 400 1000, 800 2000, 1100 2000');
+    expect(forward.bounds).toEqual({ minX: 100, maxX: 1100, minY: 1000, maxY: 2000 });
+    // Backward links bow outwards past both ends
+    expect(backward.bounds).toEqual({ minX: -200, maxX: 1400, minY: 1000, maxY: 2000 });
+  });
+});
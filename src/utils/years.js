@@ -0,0 +1,78 @@
+/**
+ * Year Utilities
+ * Formatting and parsing of historical years (negative numbers are BCE)
+ */
+
+/**
+ * Format a year the way the built-in data labels it
+ * BCE years use thousands separators ('3,000 BCE'), CE years do not ('1348 CE').
+ * Year 0 has no calendar label and is written as '1 CE'.
+ * @param {number} year - Year (negative for BCE)
+ * @returns {string} Year label
+ */
+export function formatYearLabel(year) {
+  const rounded = Math.round(year);
+  if (rounded < 0) return `${Math.abs(rounded).toLocaleString('en-US')} BCE`;
+  return `${Math.max(rounded, 1)} CE`;
+}
+
+/**
+ * Parse a typed year
+ * Accepts '1348', '-500', '3000 BCE', '3,000 bc', '1348 CE', 'AD 1348' and 'c. 500 BCE'.
+ * @param {string} text - User input
+ * @returns {number|null} Year (negative for BCE), or null if the text is not a year
+ */
+export function parseYearInput(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.trim().match(/^(?:c\.?\s*|circa\s+)?(ad\s+)?(-)?\s*(\d{1,3}(?:,\d{3})+|\d+)\s*(bce|bc|ce|ad)?$/i);
+  if (!match) return null;
+
+  const [, leadingAd, minus, digits, era] = match;
+  const isBce = era && /^bc/i.test(era);
+  if ((minus && (era || leadingAd)) || (leadingAd && era)) return null;
+
+  const value = parseInt(digits.replace(/,/g, ''), 10);
+  return minus || isBce ? -value : value;
+}
+
+/**
+ * Get the period a station spans
+ * A station with only one endpoint spans from (or to) its own year.
+ * @param {Object} station - Raw or processed station ({ year, startYear?, endYear?, circa? })
+ * @returns {{startYear: number, endYear: number, circa: boolean}|null} Span, or null for point events
+ */
+export function getYearSpan({ year, startYear, endYear, circa }) {
+  if (typeof startYear !== 'number' && typeof endYear !== 'number') return null;
+  return {
+    startYear: typeof startYear === 'number' ? startYear : year,
+    endYear: typeof endYear === 'number' ? endYear : year,
+    circa: circa === true
+  };
+}
+
+/**
+ * Format a span as a year range, e.g. '27 BCE – 180 CE' or 'c. 750 – 1258 CE'
+ * The era is only written once when both ends share it.
+ * @param {{startYear: number, endYear: number, circa?: boolean}} span - Span from getYearSpan
+ * @returns {string} Range label
+ */
+export function formatYearRange({ startYear, endYear, circa }) {
+  const start = formatYearLabel(startYear);
+  const end = formatYearLabel(endYear);
+  const startEra = start.split(' ')[1];
+  const range = startEra === end.split(' ')[1]
+    ? `${start.split(' ')[0]} – ${end}`
+    : `${start} – ${end}`;
+  return circa ? `c. ${range}` : range;
+}
+
+/**
+ * Format how long a span lasted, e.g. '207 years' or 'c. 500 years'
+ * @param {{startYear: number, endYear: number, circa?: boolean}} span - Span from getYearSpan
+ * @returns {string} Duration label
+ */
+export function formatDuration({ startYear, endYear, circa }) {
+  const years = Math.round(Math.abs(endYear - startYear));
+  const duration = years < 1 ? 'under a year' : `${years.toLocaleString('en-US')} year${years === 1 ? '' : 's'}`;
+  return circa ? `c. ${duration}` : duration;
+}
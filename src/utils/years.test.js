@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for Year Utilities
+ * Tests year label formatting, parsing of typed years and spans
+ */
+
+import { describe, it, expect } from 'vitest';
+import { formatYearLabel, parseYearInput, getYearSpan, formatYearRange, formatDuration } from './years';
+
+describe('formatYearLabel', () => {
+  it('should match the built-in label style', () => {
+    expect(formatYearLabel(-10000)).toBe('10,000 BCE');
+    expect(formatYearLabel(-336)).toBe('336 BCE');
+    expect(formatYearLabel(1348)).toBe('1348 CE');
+  });
+
+  it('should label year 0 as 1 CE and round fractional years', () => {
+    expect(formatYearLabel(0)).toBe('1 CE');
+    expect(formatYearLabel(1347.6)).toBe('1348 CE');
+  });
+});
+
+describe('parseYearInput', () => {
+  it('should parse plain and signed years', () => {
+    expect(parseYearInput('1348')).toBe(1348);
+    expect(parseYearInput(' -500 ')).toBe(-500);
+  });
+
+  it('should parse era suffixes and prefixes', () => {
+    expect(parseYearInput('3000 BCE')).toBe(-3000);
+    expect(parseYearInput('3,000 bc')).toBe(-3000);
+    expect(parseYearInput('1348 CE')).toBe(1348);
+    expect(parseYearInput('AD 1348')).toBe(1348);
+    expect(parseYearInput('c. 500 BCE')).toBe(-500);
+  });
+
+  it('should round-trip formatted labels', () => {
+    [-10000, -3000, -336, 1348, 2025].forEach(year => {
+      expect(parseYearInput(formatYearLabel(year))).toBe(year);
+    });
+  });
+
+  it('should reject text that is not a single year', () => {
+    expect(parseYearInput('')).toBeNull();
+    expect(parseYearInput('Black Death')).toBeNull();
+    expect(parseYearInput('-500 BCE')).toBeNull();
+    expect(parseYearInput('1914–1945')).toBeNull();
+    expect(parseYearInput(null)).toBeNull();
+  });
+});
+
+describe('getYearSpan', () => {
+  it('should return null for point events', () => {
+    expect(getYearSpan({ year: 1347 })).toBeNull();
+  });
+
+  it('should fill a missing endpoint with the station year', () => {
+    expect(getYearSpan({ year: 117, startYear: -27, endYear: 180 })).toEqual({ startYear: -27, endYear: 180, circa: false });
+    expect(getYearSpan({ year: 1206, endYear: 1368, circa: true })).toEqual({ startYear: 1206, endYear: 1368, circa: true });
+  });
+});
+
+describe('formatYearRange', () => {
+  it('should write the era once when both ends share it', () => {
+    expect(formatYearRange({ startYear: 1346, endYear: 1353 })).toBe('1346 – 1353 CE');
+    expect(formatYearRange({ startYear: -3000, endYear: -2500 })).toBe('3,000 – 2,500 BCE');
+    expect(formatYearRange({ startYear: -27, endYear: 180 })).toBe('27 BCE – 180 CE');
+  });
+
+  it('should mark uncertain spans', () => {
+    expect(formatYearRange({ startYear: 750, endYear: 1258, circa: true })).toBe('c. 750 – 1258 CE');
+  });
+});
+
+describe('formatDuration', () => {
+  it('should count whole years', () => {
+    expect(formatDuration({ startYear: -27, endYear: 180 })).toBe('207 years');
+    expect(formatDuration({ startYear: 1914, endYear: 1915 })).toBe('1 year');
+    expect(formatDuration({ startYear: 1914, endYear: 1914 })).toBe('under a year');
+    expect(formatDuration({ startYear: -10000, endYear: -3000, circa: true })).toBe('c. 7,000 years');
+  });
+});